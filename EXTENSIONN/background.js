@@ -4,6 +4,8 @@
  * Handles profile switching and fallback authentication logic
  */
 
+import { authenticateKeystrokePattern } from './libs/autoencoder.js';
+
 // Extension state management
 let extensionState = {
   isActive: false,
@@ -370,6 +372,9 @@ async function handleAuthenticationResult(result, tab, sendResponse) {
   } else {
     // Failed authentication
     extensionState.authFailureCount++;
+    if (result.reasonCode) {
+      console.warn(`Authentication failed (${result.reasonCode}) on ${tab.url}`);
+    }
     
     if (extensionState.authFailureCount >= AUTH_CONFIG.MAX_FAILURES_BEFORE_VOICE) {
       // Trigger voice authentication
@@ -574,8 +579,8 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 console.log('Ghost Key background script loaded');
 
 /**
- * Keystroke authentication function - CSP-compliant version
- * Ported from autoencoder.js to avoid eval() issues
+ * Keystroke authentication function
+ * Scores with the shared autoencoder module (libs/autoencoder.js), the same code the web app uses
  */
 function performKeystrokeAuthentication(inputFeatures, trainedModelData) {
   try {
@@ -585,57 +590,16 @@ function performKeystrokeAuthentication(inputFeatures, trainedModelData) {
 
     console.log("Performing autoencoder-based keystroke authentication");
 
-    // Normalize the input features using the same parameters from training
-    const { min, max } = trainedModelData.normalizationParams;
-    const normalizedInputFeatures = inputFeatures.map((value, i) => {
-      if (i >= min.length || i >= max.length) {
-        return 0; // Pad with zeros if feature array is longer than training data
-      }
-      const featureRange = max[i] - min[i];
-      return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
-    });
-
-    // Reconstruct autoencoder from serialized data
-    const autoencoder = deserializeAutoencoder(trainedModelData.autoencoder);
-
-    // Get the autoencoder's reconstruction of the input
-    const reconstructedFeatures = autoencoderPredict(autoencoder, normalizedInputFeatures);
-
-    // Calculate reconstruction error (mean squared error)
-    let reconstructionError = 0;
-    for (let i = 0; i < normalizedInputFeatures.length; i++) {
-      const featureDifference = normalizedInputFeatures[i] - reconstructedFeatures[i];
-      reconstructionError += featureDifference * featureDifference;
-    }
-    reconstructionError /= normalizedInputFeatures.length;
-
-    // Check against the learned authentication threshold
-    const authenticationThreshold = trainedModelData.threshold;
-    const authenticationSuccessful = reconstructionError <= authenticationThreshold;
-
-    // Calculate confidence score
-    const maxExpectedError = trainedModelData.trainingStats?.maximumError || authenticationThreshold * 2;
-    const confidenceLevel = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)));
-
-    // Create feature deviation visualization data
-    const featureDeviations = normalizedInputFeatures.slice(0, 10).map((val) => Math.min(Math.abs(val), 1));
+    const authResult = authenticateKeystrokePattern(inputFeatures, upgradeLegacyExtensionModel(trainedModelData));
 
     console.log(`Keystroke authentication result:`, {
-      reconstructionError: reconstructionError.toFixed(6),
-      threshold: authenticationThreshold.toFixed(6),
-      authenticated: authenticationSuccessful,
-      confidence: confidenceLevel.toFixed(3),
+      reconstructionError: authResult.reconstructionError.toFixed(6),
+      threshold: authResult.threshold.toFixed(6),
+      authenticated: authResult.authenticated,
+      confidence: authResult.confidence.toFixed(3),
     });
 
-    return {
-      success: authenticationSuccessful,
-      authenticated: authenticationSuccessful,
-      reconstructionError,
-      threshold: authenticationThreshold,
-      confidence: confidenceLevel,
-      deviations: featureDeviations,
-      modelType: "autoencoder"
-    };
+    return authResult;
   } catch (error) {
     console.error('Authentication error:', error);
     return {
@@ -649,58 +613,15 @@ function performKeystrokeAuthentication(inputFeatures, trainedModelData) {
 }
 
 /**
- * Deserialize autoencoder model
+ * Profiles trained by the old extension-only autoencoder (version "1.0", no serialization format)
+ * used a linear output layer - tell the shared module so they keep scoring the way they were trained
  */
-function deserializeAutoencoder(serializedData) {
+function upgradeLegacyExtensionModel(trainedModelData) {
+  if (trainedModelData.autoencoder.format || trainedModelData.version !== "1.0") {
+    return trainedModelData;
+  }
   return {
-    inputSize: serializedData.inputSize,
-    hiddenSize: serializedData.hiddenSize,
-    bottleneckSize: serializedData.bottleneckSize,
-    weights1: serializedData.weights1,
-    weights2: serializedData.weights2,
-    weights3: serializedData.weights3,
-    biases1: serializedData.biases1,
-    biases2: serializedData.biases2,
-    biases3: serializedData.biases3
+    ...trainedModelData,
+    autoencoder: { ...trainedModelData.autoencoder, outputActivation: 'linear' }
   };
 }
-
-/**
- * Autoencoder prediction function
- */
-function autoencoderPredict(autoencoder, inputFeatures) {
-  // ReLU activation function
-  const relu = (x) => Math.max(0, x);
-  
-  // Layer 1: Input to hidden layer (encoding)
-  const hiddenLayerOutput = new Array(autoencoder.hiddenSize);
-  for (let j = 0; j < autoencoder.hiddenSize; j++) {
-    let weightedSum = autoencoder.biases1[j];
-    for (let i = 0; i < autoencoder.inputSize; i++) {
-      weightedSum += inputFeatures[i] * autoencoder.weights1[i][j];
-    }
-    hiddenLayerOutput[j] = relu(weightedSum);
-  }
-
-  // Layer 2: Hidden to bottleneck layer (compression)
-  const bottleneckOutput = new Array(autoencoder.bottleneckSize);
-  for (let j = 0; j < autoencoder.bottleneckSize; j++) {
-    let weightedSum = autoencoder.biases2[j];
-    for (let i = 0; i < autoencoder.hiddenSize; i++) {
-      weightedSum += hiddenLayerOutput[i] * autoencoder.weights2[i][j];
-    }
-    bottleneckOutput[j] = relu(weightedSum);
-  }
-
-  // Layer 3: Bottleneck to output layer (reconstruction)
-  const reconstructedOutput = new Array(autoencoder.inputSize);
-  for (let j = 0; j < autoencoder.inputSize; j++) {
-    let weightedSum = autoencoder.biases3[j];
-    for (let i = 0; i < autoencoder.bottleneckSize; i++) {
-      weightedSum += bottleneckOutput[i] * autoencoder.weights3[i][j];
-    }
-    reconstructedOutput[j] = weightedSum; // Linear activation for output layer
-  }
-
-  return reconstructedOutput;
-}
\ No newline at end of file
@@ -19,6 +19,27 @@ const CAPTURE_CONFIG = {
   DEBOUNCE_DELAY: 300
 };
 
+// Keystroke pairing is an ES module shared with the app (libs/keystroke-pairing.js) - content scripts
+// can't import statically, so it is loaded once on first use
+let keystrokePairingModule = null;
+
+function loadKeystrokePairing() {
+  if (!keystrokePairingModule) {
+    keystrokePairingModule = import(chrome.runtime.getURL('libs/keystroke-pairing.js'));
+  }
+  return keystrokePairingModule;
+}
+
+// Liveness checks (libs/keystroke-liveness.js) - same lazy loading
+let keystrokeLivenessModule = null;
+
+function loadKeystrokeLiveness() {
+  if (!keystrokeLivenessModule) {
+    keystrokeLivenessModule = import(chrome.runtime.getURL('libs/keystroke-liveness.js'));
+  }
+  return keystrokeLivenessModule;
+}
+
 // Initialize content script
 function initializeContentScript() {
   console.log('Ghost Key content script initializing...');
@@ -251,8 +272,11 @@ function handleKeyDown(event) {
   // Store keystroke timing data
   contentState.keystrokeBuffer.push({
     key: event.key,
+    code: event.code,
     type: 'keydown',
-    timestamp: performance.now()
+    timestamp: performance.now(),
+    repeat: event.repeat,
+    isTrusted: event.isTrusted // false for events dispatched by page script
   });
   
   if (event.key === 'Enter') {
@@ -265,12 +289,14 @@ function handleKeyUp(event) {
   
   contentState.keystrokeBuffer.push({
     key: event.key,
+    code: event.code,
     type: 'keyup',
-    timestamp: performance.now()
+    timestamp: performance.now(),
+    isTrusted: event.isTrusted
   });
 }
 
-function processAuthentication() {
+async function processAuthentication() {
   if (contentState.keystrokeBuffer.length < CAPTURE_CONFIG.PASSWORD_MIN_LENGTH * 2) {
     showMessage('Please type a longer password', 'warning');
     return;
@@ -284,7 +310,29 @@ function processAuthentication() {
   console.log('Processing authentication with', contentState.keystrokeBuffer.length, 'keystroke events');
   console.log('🔑 Password length:', contentState.actualPassword.length, 'characters');
   
-  const features = extractKeystrokeFeatures(contentState.keystrokeBuffer);
+  let features;
+  try {
+    // Scripted or machine-regular input fails before it reaches the model
+    const { checkKeystrokeLiveness, LIVENESS_REASON_CODE } = await loadKeystrokeLiveness();
+    const liveness = checkKeystrokeLiveness(contentState.keystrokeBuffer);
+    if (!liveness.live) {
+      console.warn('Synthetic keystrokes rejected:', liveness.failures);
+      handleAuthenticationResponse({
+        success: true,
+        authenticated: false,
+        reasonCode: LIVENESS_REASON_CODE,
+        reason: 'Input looks synthetic: ' + liveness.failures.map((failure) => failure.message).join('; ')
+      });
+      return;
+    }
+
+    const { pairKeystrokeEvents } = await loadKeystrokePairing();
+    features = extractKeystrokeFeatures(pairKeystrokeEvents(contentState.keystrokeBuffer));
+  } catch (error) {
+    console.error('Failed to load keystroke pairing:', error);
+    showMessage('Extension needs to be reloaded. Please refresh this page.', 'error');
+    return;
+  }
   showMessage('🔍 Analyzing biometric patterns...', 'info');
   
   // Use safe message sending
@@ -331,36 +379,27 @@ function processAuthentication() {
   });
 }
 
-function extractKeystrokeFeatures(keystrokeBuffer) {
-  const keyDownEvents = keystrokeBuffer.filter(k => k.type === 'keydown');
-  const keyUpEvents = keystrokeBuffer.filter(k => k.type === 'keyup');
+// Same layout as the popup's enrollment samples (ui/popup.js), built from the paired keystrokes
+function extractKeystrokeFeatures(pairing) {
+  const { keystrokes, holdTimes, ddTimes, udTimes, correctionCount } = pairing;
   
-  const holdTimes = [];
-  const ddTimes = [];
-  const udTimes = [];
-  
-  // Calculate timing features
-  keyDownEvents.forEach(downEvent => {
-    const upEvent = keyUpEvents.find(up => 
-      up.key === downEvent.key && up.timestamp > downEvent.timestamp);
-    if (upEvent) {
-      holdTimes.push(upEvent.timestamp - downEvent.timestamp);
-    }
-  });
-  
-  for (let i = 0; i < keyDownEvents.length - 1; i++) {
-    ddTimes.push(keyDownEvents[i + 1].timestamp - keyDownEvents[i].timestamp);
-  }
+  const totalTime = keystrokes.length > 0 ? 
+    keystrokes[keystrokes.length - 1].downAt - keystrokes[0].downAt : 0;
+  const typingSpeed = totalTime > 0 ? keystrokes.length / (totalTime / 1000) : 0;
+  const avgFlightTime = udTimes.length > 0 ? udTimes.reduce((a, b) => a + b, 0) / udTimes.length : 0;
   
-  const typingSpeed = keyDownEvents.length > 0 ? 
-    keyDownEvents.length / ((keyDownEvents[keyDownEvents.length - 1]?.timestamp - keyDownEvents[0]?.timestamp) / 1000) : 0;
+  const meanHoldTime = holdTimes.length > 0 ? holdTimes.reduce((a, b) => a + b, 0) / holdTimes.length : 0;
+  const pressureVariance = holdTimes.length > 0 ? 
+    Math.sqrt(holdTimes.reduce((sum, t) => sum + Math.pow(t - meanHoldTime, 2), 0) / holdTimes.length) : 0;
   
   const features = [
     ...holdTimes.slice(0, 11),
     ...ddTimes.slice(0, 10),
     ...udTimes.slice(0, 10),
     typingSpeed,
-    0, 0, 0 // Additional features
+    avgFlightTime,
+    correctionCount,
+    pressureVariance
   ];
   
   while (features.length < 34) features.push(0);
@@ -404,7 +443,7 @@ function handleAuthenticationResponse(response) {
   } else {
     contentState.authFailureCount++;
     
-    const errorDetails = response.reconstructionError ? 
+    const errorDetails = response.reason ? `\n${response.reason}` : response.reconstructionError ? 
       `\nError: ${response.reconstructionError.toFixed(5)}` : '';
     
     if (contentState.authFailureCount >= 2) {
@@ -437,7 +476,8 @@ function handleAuthenticationResponse(response) {
       result: {
         success: response.authenticated,
         confidence: response.confidence,
-        failureCount: contentState.authFailureCount
+        failureCount: contentState.authFailureCount,
+        reasonCode: response.reasonCode
       }
     }, (bgResponse) => {
       if (bgResponse?.error) {
@@ -0,0 +1,148 @@
+/**
+ * Keystroke liveness - fails an entry that looks scripted before it reaches a detector
+ *
+ * Shared by the React hook, the browser extension and the API routes (EXTENSIONN/libs/keystroke-liveness.js
+ * is a verbatim copy - edit this one, then run `npm run sync:extension`). Plain ES module JavaScript
+ * with no dependencies beyond the pairing module next to it.
+ *
+ * A person typing a passphrase leaves traces a script has to work at to fake:
+ *   - untrusted events: events dispatched from page script have isTrusted === false (only the
+ *     browser-side captures can see this, the server never gets the flag)
+ *   - timer quantization: generated timestamps tend to sit on a round grid (every interval a multiple
+ *     of 10 ms) or share the same instant, real ones come from a sub-millisecond clock
+ *   - low variance: nobody holds every key for the same time or keeps a metronome-perfect rhythm
+ *   - non-human timing: keys released instantly, or pressed faster than anyone can type
+ *
+ * Browsers with coarsened timers (privacy.resistFingerprinting rounds to 100 ms) look quantized too -
+ * pass { QUANTIZATION_STEPS: [] } where those users have to be supported.
+ */
+
+import { pairKeystrokeEvents } from './keystroke-pairing.js';
+
+// Reason code for rejected entries - the "reason" column of the audit log (AUTH_REASON_CODES.SYNTHETIC_INPUT)
+const LIVENESS_REASON_CODE = 'synthetic_input';
+
+// Thresholds - loose enough that a sloppy or very steady typist still passes
+const LIVENESS_CONFIG = {
+  MINIMUM_KEYSTROKES: 4,              // Fewer keystrokes say nothing about variance or distributions
+  QUANTIZATION_STEPS: [50, 25, 20, 10, 5], // Grids scripted timestamps tend to land on (ms), coarsest first
+  QUANTIZATION_TOLERANCE: 0.2,        // An interval within 0.2 ms of a grid line counts as on it
+  QUANTIZED_INTERVAL_RATIO: 0.9,      // Flag when 90% of the intervals are on one grid
+  SHARED_TIMESTAMP_RATIO: 0.5,        // ...or half of the events share an instant with the previous one
+  MINIMUM_INTERVALS: 8,               // Need this many intervals before judging the grid
+  MINIMUM_VARIATION: 0.04,            // Coefficient of variation below 4% of hold or DD times is a metronome
+  MINIMUM_MEDIAN_HOLD: 15,            // Key bounces aside, nobody releases a key within 15 ms
+  MAXIMUM_MEDIAN_HOLD: 600,
+  MINIMUM_MEDIAN_DD: 35               // Faster than ~28 keys a second
+};
+
+/**
+ * @typedef {Object} LivenessEvent
+ * @property {'keydown'|'keyup'} type
+ * @property {string} [key]
+ * @property {string} [code]
+ * @property {number} timestamp
+ * @property {boolean} [repeat]
+ * @property {boolean} [isTrusted] - event.isTrusted, when the capture could see it
+ */
+
+/**
+ * @typedef {Object} LivenessFailure
+ * @property {'untrusted-events'|'timer-quantization'|'low-variance'|'non-human-timing'} check
+ * @property {string} message
+ */
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function coefficientOfVariation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (mean <= 0) return 0;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+// Share of intervals that sit on a multiple of step
+function ratioOnGrid(intervals, step, tolerance) {
+  const onGrid = intervals.filter((interval) => {
+    const offset = interval % step;
+    return offset <= tolerance || step - offset <= tolerance;
+  });
+  return onGrid.length / intervals.length;
+}
+
+/**
+ * Run the liveness checks over one passphrase entry
+ * @param {LivenessEvent[]} events - in the order they were received
+ * @param {Partial<typeof LIVENESS_CONFIG>} [options] - overrides for LIVENESS_CONFIG
+ * @returns {{ live: boolean, failures: LivenessFailure[] }}
+ */
+function checkKeystrokeLiveness(events, options = {}) {
+  const config = { ...LIVENESS_CONFIG, ...options };
+  const failures = [];
+
+  const untrusted = events.filter((event) => event.isTrusted === false).length;
+  if (untrusted > 0) {
+    failures.push({
+      check: 'untrusted-events',
+      message: `${untrusted} of ${events.length} key events were dispatched by a script`
+    });
+  }
+
+  const intervals = [];
+  for (let i = 1; i < events.length; i++) {
+    intervals.push(Math.abs(events[i].timestamp - events[i - 1].timestamp));
+  }
+  const nonZeroIntervals = intervals.filter((interval) => interval > 0);
+  const sharedRatio = intervals.length > 0 ? (intervals.length - nonZeroIntervals.length) / intervals.length : 0;
+  if (intervals.length >= config.MINIMUM_INTERVALS && sharedRatio >= config.SHARED_TIMESTAMP_RATIO) {
+    failures.push({
+      check: 'timer-quantization',
+      message: `${Math.round(sharedRatio * 100)}% of the key events share a timestamp with the one before`
+    });
+  } else if (nonZeroIntervals.length >= config.MINIMUM_INTERVALS) {
+    const step = config.QUANTIZATION_STEPS.find(
+      (candidate) => ratioOnGrid(nonZeroIntervals, candidate, config.QUANTIZATION_TOLERANCE) >= config.QUANTIZED_INTERVAL_RATIO
+    );
+    if (step !== undefined) {
+      failures.push({
+        check: 'timer-quantization',
+        message: `The intervals between key events are all multiples of ${step} ms`
+      });
+    }
+  }
+
+  const { holdTimes, ddTimes } = pairKeystrokeEvents(events);
+  if (holdTimes.length >= config.MINIMUM_KEYSTROKES) {
+    const holdVariation = coefficientOfVariation(holdTimes);
+    const ddVariation = coefficientOfVariation(ddTimes);
+    if (holdVariation < config.MINIMUM_VARIATION || ddVariation < config.MINIMUM_VARIATION) {
+      failures.push({
+        check: 'low-variance',
+        message: `Timing is too regular (hold times vary ${(holdVariation * 100).toFixed(1)}%, key-to-key ${(ddVariation * 100).toFixed(1)}%)`
+      });
+    }
+
+    const medianHold = median(holdTimes);
+    const medianDd = median(ddTimes);
+    if (medianHold < config.MINIMUM_MEDIAN_HOLD || medianHold > config.MAXIMUM_MEDIAN_HOLD) {
+      failures.push({
+        check: 'non-human-timing',
+        message: `Keys are held for ${medianHold.toFixed(0)} ms on average, outside the human range`
+      });
+    }
+    if (medianDd < config.MINIMUM_MEDIAN_DD) {
+      failures.push({
+        check: 'non-human-timing',
+        message: `Keys follow each other every ${medianDd.toFixed(0)} ms, faster than anyone types`
+      });
+    }
+  }
+
+  return { live: failures.length === 0, failures };
+}
+
+export { LIVENESS_CONFIG, LIVENESS_REASON_CODE, checkKeystrokeLiveness };
@@ -0,0 +1,34 @@
+/**
+ * ML Bridge for Ghost Key Extension
+ * autoencoder.js, keystroke-pairing.js and keystroke-liveness.js are ES modules shared with the main Ghost Key app, so the
+ * popup loads them through this module script and exposes them on window.GhostKeyML for the classic
+ * scripts (ml-loader.js, health-check.js, ui/popup.js).
+ */
+import {
+  SimpleAutoencoder,
+  normalizeKeystrokeFeatures,
+  applyNormalization,
+  addRealisticNoise,
+  computeReconstructionError,
+  trainKeystrokeBiometricModel,
+  authenticateKeystrokePattern,
+  BIOMETRIC_AUTH_CONFIG
+} from './autoencoder.js';
+import { pairKeystrokeEvents } from './keystroke-pairing.js';
+import { checkKeystrokeLiveness } from './keystroke-liveness.js';
+
+window.GhostKeyML = {
+  SimpleAutoencoder,
+  normalizeKeystrokeFeatures,
+  applyNormalization,
+  addRealisticNoise,
+  computeReconstructionError,
+  trainKeystrokeBiometricModel,
+  authenticateKeystrokePattern,
+  pairKeystrokeEvents,
+  checkKeystrokeLiveness,
+  BIOMETRIC_AUTH_CONFIG
+};
+
+console.log('ML Bridge: Exposed shared autoencoder module on window.GhostKeyML');
+document.dispatchEvent(new CustomEvent('GhostKeyMLReady'));
@@ -8,13 +8,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     console.log('ML Loader: Starting ML library initialization...');
     
-    // Wait a bit for autoencoder.js to load since it's included before this script
+    // Wait a bit for ml-bridge.js (a deferred module script) to expose autoencoder.js
     await new Promise(resolve => setTimeout(resolve, 200));
     
     // Check if ML library is already loaded by autoencoder.js
     if (window.GhostKeyML && 
         typeof window.GhostKeyML.trainKeystrokeBiometricModel === 'function') {
-      console.log('ML Loader: Ghost Key ML library already loaded by autoencoder.js');
+      console.log('ML Loader: Ghost Key ML library already loaded by ml-bridge.js');
       console.log('ML Loader: Available functions:', Object.keys(window.GhostKeyML));
       window.dispatchEvent(new CustomEvent('GhostKeyMLReady'));
       return;
@@ -42,7 +42,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error('ML Loader: Timeout waiting for ML library');
         createFallbackML();
         window.dispatchEvent(new CustomEvent('GhostKeyMLError', { 
-          detail: new Error('ML library load timeout - autoencoder.js may not have loaded properly') 
+          detail: new Error('ML library load timeout - ml-bridge.js may not have loaded properly') 
         }));
         return;
       }
@@ -13,7 +13,7 @@ async function initializeGhostKeyExtension() {
       // Browser environment - load from global
       if (!window.GhostKeyML) {
         console.log('Loading autoencoder ML library...');
-        await loadScript('libs/autoencoder.js');
+        await loadScript('libs/ml-bridge.js', 'module');
       }
       
       if (!window.VoiceAuthentication) {
@@ -30,10 +30,13 @@ async function initializeGhostKeyExtension() {
   }
 }
 
-// Utility function to load scripts dynamically
-function loadScript(src) {
+// Utility function to load scripts dynamically (pass type 'module' for ES modules)
+function loadScript(src, type) {
   return new Promise((resolve, reject) => {
     const script = document.createElement('script');
+    if (type) {
+      script.type = type;
+    }
     script.src = chrome.runtime.getURL(src);
     script.onload = resolve;
     script.onerror = reject;
@@ -52,7 +52,7 @@ console.log('6. Common Issues:');
 console.log('   - "Cannot read properties of null": DOM elements missing');
 console.log('   - "Runtime connection error": Background script not responding');
 console.log('   - "CSP violation": eval() usage detected');
-console.log('   - "ML library not loaded": autoencoder.js not accessible');
+console.log('   - "ML library not loaded": libs/ml-bridge.js or libs/autoencoder.js not accessible');
 
 // Debug Commands
 console.log('7. Debug Commands (run in console):');
@@ -681,7 +681,9 @@ function captureKeystroke(event) {
       key: event.key,
       type: event.type,
       timestamp: performance.now(),
-      code: event.code
+      code: event.code,
+      repeat: event.repeat,
+      isTrusted: event.isTrusted // false for events dispatched by script
     };
     
     // Add to current sample buffer
@@ -696,6 +698,15 @@ function captureKeystroke(event) {
 function processSample() {
   const input = document.getElementById('keystroke-input');
   
+  // A profile trained on scripted samples would let that script back in
+  const liveness = window.GhostKeyML.checkKeystrokeLiveness(currentKeystrokeBuffer);
+  if (!liveness.live) {
+    showTrainingStatus('Sample rejected - input looks synthetic: ' + liveness.failures.map((failure) => failure.message).join('; '), 'error');
+    input.value = '';
+    currentKeystrokeBuffer = [];
+    return;
+  }
+
   if (input.value === popupState.registrationData.password) {
     // Extract keystroke features from the captured buffer
     const features = extractKeystrokeFeatures(currentKeystrokeBuffer);
@@ -1144,42 +1155,15 @@ window.startRegistration = startRegistration;
 
 // Feature extraction function for keystroke analysis
 function extractKeystrokeFeatures(keystrokeBuffer) {
-  const keyDownEvents = keystrokeBuffer.filter(k => k.type === 'keydown');
-  const keyUpEvents = keystrokeBuffer.filter(k => k.type === 'keyup');
-  
-  const holdTimes = [];
-  const ddTimes = [];
-  const udTimes = [];
-  
-  // Calculate hold times (dwell times)
-  keyDownEvents.forEach(downEvent => {
-    const upEvent = keyUpEvents.find(up => 
-      up.key === downEvent.key && up.timestamp > downEvent.timestamp
-    );
-    if (upEvent) {
-      holdTimes.push(upEvent.timestamp - downEvent.timestamp);
-    }
-  });
-  
-  // Calculate down-to-down times
-  for (let i = 0; i < keyDownEvents.length - 1; i++) {
-    ddTimes.push(keyDownEvents[i + 1].timestamp - keyDownEvents[i].timestamp);
-  }
-  
-  // Calculate up-to-down times (flight times)
-  for (let i = 0; i < keyDownEvents.length - 1; i++) {
-    const currentUp = keyUpEvents.find(up => 
-      up.key === keyDownEvents[i].key && up.timestamp > keyDownEvents[i].timestamp
-    );
-    if (currentUp) {
-      udTimes.push(keyDownEvents[i + 1].timestamp - currentUp.timestamp);
-    }
-  }
+  // Pair each keydown with its own keyup by physical key (shared with the app and content.js) -
+  // handles repeated letters, key rollover, Shift/CapsLock and Backspace corrections
+  const { keystrokes, holdTimes, ddTimes, udTimes, correctionCount } =
+    window.GhostKeyML.pairKeystrokeEvents(keystrokeBuffer);
   
   // Calculate additional metrics
-  const totalTime = keyDownEvents.length > 0 ? 
-    keyDownEvents[keyDownEvents.length - 1].timestamp - keyDownEvents[0].timestamp : 0;
-  const typingSpeed = totalTime > 0 ? keyDownEvents.length / (totalTime / 1000) : 0;
+  const totalTime = keystrokes.length > 0 ? 
+    keystrokes[keystrokes.length - 1].downAt - keystrokes[0].downAt : 0;
+  const typingSpeed = totalTime > 0 ? keystrokes.length / (totalTime / 1000) : 0;
   const avgFlightTime = udTimes.length > 0 ? udTimes.reduce((a, b) => a + b, 0) / udTimes.length : 0;
   
   // Calculate pressure variance (consistency indicator)
@@ -1195,7 +1179,7 @@ function extractKeystrokeFeatures(keystrokeBuffer) {
     ...udTimes.slice(0, PASSWORD_LENGTH - 1),
     typingSpeed,
     avgFlightTime,
-    0, // error rate (backspace count)
+    correctionCount, // error rate (backspace count)
     pressureVariance
   ];
   
@@ -0,0 +1,77 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import {
+  AdminAccountError,
+  createAdminAccount,
+  deleteAdminAccount,
+  loadAdminAccounts,
+  normalizeAdminUsername,
+  summarizeAdminAccount,
+} from "@/lib/admin-accounts"
+import { withAdminRole } from "@/lib/admin-auth"
+import { ADMIN_ROLES } from "@/lib/admin-roles"
+import { endSessionsForAdmin } from "@/lib/admin-sessions"
+import { parseJsonBody, parseSearchParams } from "@/lib/request-validation"
+
+// Admin names keep their own rules (lib/admin-accounts) - createAdminAccount checks them and the password policy
+const createAccountSchema = z.object({ username: z.string(), password: z.string(), role: z.enum(ADMIN_ROLES) })
+const deleteAccountQuerySchema = z.object({ username: z.string() })
+
+export const GET = withAdminRole("superadmin", async () => {
+  try {
+    const accounts = (await loadAdminAccounts()).map(summarizeAdminAccount)
+    return NextResponse.json({ success: true, accounts })
+  } catch (error) {
+    console.error("Failed to list admin accounts:", error)
+    return NextResponse.json({ success: false, error: "Failed to list admin accounts" }, { status: 500 })
+  }
+})
+
+export const POST = withAdminRole("superadmin", async (request: NextRequest, admin) => {
+  try {
+    const parsed = await parseJsonBody(request, createAccountSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, password, role } = parsed.data
+
+    const account = await createAdminAccount(username, password, role, admin.username)
+    console.log(`Admin ${admin.username} created ${account.role} account ${account.username}`)
+
+    return NextResponse.json({ success: true, account })
+  } catch (error) {
+    if (error instanceof AdminAccountError) {
+      return NextResponse.json({ success: false, error: error.message }, { status: 400 })
+    }
+    console.error("Failed to create admin account:", error)
+    return NextResponse.json({ success: false, error: "Failed to create admin account" }, { status: 500 })
+  }
+})
+
+export const DELETE = withAdminRole("superadmin", async (request: NextRequest, admin) => {
+  try {
+    const parsed = parseSearchParams(request.nextUrl.searchParams, deleteAccountQuerySchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const username = normalizeAdminUsername(parsed.data.username)
+    if (!username) {
+      return NextResponse.json({ success: false, error: "username is not a valid admin name" }, { status: 400 })
+    }
+    // Deleting yourself could leave nobody able to manage accounts
+    if (username === admin.username) {
+      return NextResponse.json({ success: false, error: "You cannot delete your own account" }, { status: 400 })
+    }
+
+    if (!(await deleteAdminAccount(username))) {
+      return NextResponse.json({ success: false, error: `No admin account ${username}` }, { status: 404 })
+    }
+    endSessionsForAdmin(username)
+    console.log(`Admin ${admin.username} deleted admin account ${username}`)
+
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error("Failed to delete admin account:", error)
+    return NextResponse.json({ success: false, error: "Failed to delete admin account" }, { status: 500 })
+  }
+})
@@ -0,0 +1,45 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { withAdminRole } from "@/lib/admin-auth"
+import { AUTH_REASON_CODES } from "@/lib/auth-reasons"
+import { clearLockout, listLockouts, logRateLimitEvent } from "@/lib/auth-rate-limits"
+import { parseJsonBody, usernameSchema } from "@/lib/request-validation"
+
+// A username is canonicalized the way the login routes key it, so "Alice" unlocks "alice" (admin names are lowercased)
+const unlockSchema = z.discriminatedUnion("kind", [
+  z.object({ kind: z.literal("user"), subject: usernameSchema }),
+  z.object({ kind: z.literal("admin"), subject: z.string().trim().toLowerCase().min(1, "is required") }),
+  z.object({ kind: z.literal("ip"), subject: z.string().trim().min(1, "is required") }),
+])
+
+// Usernames and IPs locked out after too many failed attempts (lib/auth-rate-limits)
+export const GET = withAdminRole("auditor", async () => {
+  try {
+    return NextResponse.json({ success: true, lockouts: await listLockouts() })
+  } catch (error) {
+    console.error("Failed to list lockouts:", error)
+    return NextResponse.json({ success: false, error: "Failed to list lockouts" }, { status: 500 })
+  }
+})
+
+// Unlock a username or an IP before its lockout runs out - also forgets the failures that led to it
+export const POST = withAdminRole("operator", async (request: NextRequest, admin) => {
+  try {
+    const parsed = await parseJsonBody(request, unlockSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { kind, subject } = parsed.data
+
+    if (!(await clearLockout(kind, subject))) {
+      return NextResponse.json({ success: false, error: `No failures or lockout recorded for ${kind} ${subject}` }, { status: 404 })
+    }
+    console.log(`Admin ${admin.username} unlocked ${kind} ${subject}`)
+    await logRateLimitEvent(request, kind === "user" ? subject : `${kind}:${subject}`, AUTH_REASON_CODES.LOCKOUT_CLEARED)
+
+    return NextResponse.json({ success: true, kind, subject })
+  } catch (error) {
+    console.error("Failed to clear lockout:", error)
+    return NextResponse.json({ success: false, error: "Failed to clear lockout" }, { status: 500 })
+  }
+})
@@ -0,0 +1,50 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { normalizeAdminUsername, verifyAdminCredentials } from "@/lib/admin-accounts"
+import { ADMIN_SESSION_COOKIE, adminSessionCookieOptions, createAdminSession } from "@/lib/admin-sessions"
+import { checkRateLimit, logRateLimitEvent, recordAuthOutcome } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { parseJsonBody } from "@/lib/request-validation"
+
+const adminLoginSchema = z.object({ username: z.string().max(128), password: z.string() })
+
+// Exchange an admin username and password for a session cookie.
+// Guesses go through the same limiter as user logins (lib/auth-rate-limits), keyed on the admin name and the IP.
+export async function POST(request: NextRequest) {
+  try {
+    const parsed = await parseJsonBody(request, adminLoginSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, password } = parsed.data
+    // Names that can't be an admin are still counted, as typed - guessing those mustn't be free either
+    const adminName = normalizeAdminUsername(username) ?? username.trim().toLowerCase()
+
+    const rateLimit = await checkRateLimit(adminName, clientAddress(request), "admin")
+    if (!rateLimit.allowed) {
+      console.log(`Rate limited admin sign-in for ${adminName}: ${rateLimit.reason}`)
+      await logRateLimitEvent(request, `admin:${adminName}`, rateLimit.reasonCode)
+      return NextResponse.json(
+        { success: false, error: rateLimit.reason, reasonCode: rateLimit.reasonCode, retryAfterSeconds: rateLimit.retryAfterSeconds },
+        { status: 429, headers: { "Retry-After": String(rateLimit.retryAfterSeconds) } },
+      )
+    }
+
+    const account = await verifyAdminCredentials(username, password)
+    await recordAuthOutcome(request, adminName, account !== null, "admin")
+    if (!account) {
+      console.log(`Admin sign-in failed for ${username}`)
+      return NextResponse.json({ success: false, error: "Invalid admin credentials" }, { status: 401 })
+    }
+
+    const session = createAdminSession(account.username, account.role)
+    console.log(`Admin ${account.username} signed in as ${account.role}`)
+
+    const response = NextResponse.json({ success: true, admin: { username: session.username, role: session.role } })
+    response.cookies.set(ADMIN_SESSION_COOKIE, session.id, adminSessionCookieOptions(request))
+    return response
+  } catch (error) {
+    console.error("Admin sign-in error:", error)
+    return NextResponse.json({ success: false, error: "Admin sign-in failed" }, { status: 500 })
+  }
+}
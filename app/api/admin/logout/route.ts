@@ -0,0 +1,10 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { ADMIN_SESSION_COOKIE, endAdminSession } from "@/lib/admin-sessions"
+
+export async function POST(request: NextRequest) {
+  endAdminSession(request.cookies.get(ADMIN_SESSION_COOKIE)?.value)
+
+  const response = NextResponse.json({ success: true })
+  response.cookies.delete(ADMIN_SESSION_COOKIE)
+  return response
+}
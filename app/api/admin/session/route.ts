@@ -0,0 +1,11 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { getAdminSession } from "@/lib/admin-auth"
+
+// Who is signed in - the AdminPanel asks on load so a page refresh keeps the admin signed in
+export async function GET(request: NextRequest) {
+  const admin = getAdminSession(request)
+  if (!admin) {
+    return NextResponse.json({ success: false, error: "Admin sign-in required" }, { status: 401 })
+  }
+  return NextResponse.json({ success: true, admin: { username: admin.username, role: admin.role } })
+}
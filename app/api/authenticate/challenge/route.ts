@@ -0,0 +1,43 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { AUTH_REASON_CODES } from "@/lib/auth-reasons"
+import { checkIpLimit, rateLimitedResponse } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { issueAuthChallenge } from "@/lib/replay-protection"
+import { parseJsonBody, usernameSchema } from "@/lib/request-validation"
+
+const challengeSchema = z.object({ username: usernameSchema })
+
+// Single-use nonce for the next /api/authenticate attempt of this user (see lib/replay-protection).
+// An address that is locked out, or asks for too many, gets the same 429 as a rate-limited attempt.
+export async function POST(request: NextRequest) {
+  try {
+    // Canonicalized like the login itself, so the challenge is bound to the same name /api/authenticate checks
+    const parsed = await parseJsonBody(request, challengeSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username } = parsed.data
+
+    const ip = clientAddress(request)
+    const ipLimit = await checkIpLimit(ip)
+    if (!ipLimit.allowed) {
+      return rateLimitedResponse(ipLimit)
+    }
+
+    // Issued whether or not the user exists, so the endpoint doesn't reveal who is enrolled
+    const issue = issueAuthChallenge(username, ip)
+    if (!issue.issued) {
+      return rateLimitedResponse({
+        allowed: false,
+        reasonCode: AUTH_REASON_CODES.RATE_LIMITED,
+        reason: `Too many challenges requested - wait ${issue.retryAfterSeconds} s before trying again`,
+        retryAfterSeconds: issue.retryAfterSeconds,
+      })
+    }
+    return NextResponse.json({ success: true, challenge: issue.challenge })
+  } catch (error) {
+    console.error("Failed to issue authentication challenge:", error)
+    return NextResponse.json({ success: false, error: "Failed to issue challenge" }, { status: 500 })
+  }
+}
@@ -1,311 +1,420 @@
 import { type NextRequest, NextResponse } from "next/server"
-import fs from "fs/promises"
-import path from "path"
+import { z } from "zod"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { getDetector, readDetectorSet, scoreDetectors } from "@/lib/anomaly-detectors"
+import { readModelFeatureSchema } from "@/lib/keystroke-feature-schema"
+import { extractKeystrokeFeatures, validateExtractedFeatures, validateRawKeystrokeEvents } from "@/lib/keystroke-features"
+import { assessKeystrokeLiveness, describeLivenessFailures } from "@/lib/keystroke-liveness"
+import { loadPassphraseRecord, verifyPassphrase } from "@/lib/passphrase-hash"
+import { logAuditEvent } from "@/lib/audit-log"
+import { AUTH_REASON_CODES, type AuthReasonCode } from "@/lib/auth-reasons"
+import { checkRateLimit, logRateLimitEvent, rateLimitedResponse, recordAuthOutcome } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { deviceTemplate, loadDeviceTemplate, loadDeviceTemplates } from "@/lib/device-templates"
+import { loadActiveModel } from "@/lib/model-versions"
+import {
+  combineBiometricScores,
+  extractMouseFeatures,
+  readMouseFeatureSchema,
+  validateRawPointerEvents,
+} from "@/lib/mouse-dynamics"
+import { mouseTemplate } from "@/lib/mouse-templates"
+import { consumeAuthChallenge, findReplayedAttempt, recordAttemptFingerprint } from "@/lib/replay-protection"
+import { deviceNameSchema, parseJsonBody, usernameSchema } from "@/lib/request-validation"
+import type { TemplateRef } from "@/lib/storage"
+import { adaptTemplate, type TemplateUpdate } from "@/lib/template-adaptation"
+import { describeSession, issueUserSession, setSessionCookie } from "@/lib/user-sessions"
+
+// Events are checked in detail by validateRawKeystrokeEvents / validateRawPointerEvents, the challenge by consumeAuthChallenge
+const authenticateSchema = z.object({
+  username: usernameSchema,
+  password: z.string().optional(),
+  keystrokeEvents: z.unknown(),
+  pointerEvents: z.unknown().optional(),
+  challenge: z.unknown(),
+  device: deviceNameSchema.nullish(), // Without one every device template is scored
+})
+
+// Outcome of a single authentication factor, reported separately so the audit log
+// can tell a wrong passphrase from a wrong typist
+interface FactorResult {
+  verified: boolean
+  reason: string
+}
 
-// Simple autoencoder implementation for keystroke authentication
-// NOTE: This is a basic implementation - in production you'd want something more robust
-class SimpleAutoencoder {
-  private encoderWeights!: number[][]
-  private bottleneckWeights!: number[][]
-  private decoderWeights!: number[][]
-  private encoderBiases!: number[]
-  private bottleneckBiases!: number[]
-  private decoderBiases!: number[]
-  private inputDimensions: number
-  private hiddenLayerSize: number
-  private bottleneckDimensions: number
-
-  constructor(inputDimensions: number, hiddenLayerSize = 16, bottleneckDimensions = 8) {
-    this.inputDimensions = inputDimensions
-    this.hiddenLayerSize = hiddenLayerSize
-    this.bottleneckDimensions = bottleneckDimensions
-  }
-
-  // ReLU activation function - keeps positive values, zeros out negatives
-  private reluActivation(x: number): number {
-    return Math.max(0, x)
-  }
-
-  // Sigmoid activation function - maps any real number to (0,1)
-  private sigmoidActivation(x: number): number {
-    // Clamp input to prevent overflow
-    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, x))))
-  }
+// Pick the audit reason code from the two factor outcomes (empty string on success)
+function resolveReasonCode(
+  knowledgeFactor: FactorResult,
+  biometricFactor: FactorResult,
+  passphraseEnrolled: boolean,
+): AuthReasonCode | "" {
+  if (!passphraseEnrolled) return AUTH_REASON_CODES.NO_PASSPHRASE_ENROLLED
+  if (!knowledgeFactor.verified && !biometricFactor.verified) return AUTH_REASON_CODES.BOTH_FACTORS_FAILED
+  if (!knowledgeFactor.verified) return AUTH_REASON_CODES.KNOWLEDGE_FACTOR_FAILED
+  if (!biometricFactor.verified) return AUTH_REASON_CODES.BIOMETRIC_FACTOR_FAILED
+  return ""
+}
 
-  // Forward pass through the autoencoder network
-  predict(inputFeatures: number[]): number[] {
-    // First layer: input to hidden
-    const hiddenLayerOutput = new Array(this.hiddenLayerSize)
-    for (let i = 0; i < this.hiddenLayerSize; i++) {
-      let weightedSum = this.encoderBiases[i]
-      for (let j = 0; j < this.inputDimensions; j++) {
-        weightedSum += inputFeatures[j] * this.encoderWeights[j][i]
-      }
-      hiddenLayerOutput[i] = this.reluActivation(weightedSum)
-    }
+// Human-readable summary of whichever factors failed
+function describeFailedFactors(knowledgeFactor: FactorResult, biometricFactor: FactorResult): string {
+  return [knowledgeFactor, biometricFactor]
+    .filter((factor) => !factor.verified)
+    .map((factor) => factor.reason)
+    .join("; ")
+}
 
-    // Second layer: hidden to bottleneck (compressed representation)
-    const bottleneckOutput = new Array(this.bottleneckDimensions)
-    for (let i = 0; i < this.bottleneckDimensions; i++) {
-      let weightedSum = this.bottleneckBiases[i]
-      for (let j = 0; j < this.hiddenLayerSize; j++) {
-        weightedSum += hiddenLayerOutput[j] * this.bottleneckWeights[j][i]
-      }
-      bottleneckOutput[i] = this.reluActivation(weightedSum)
-    }
+// What the client learns about a rejected attempt. Which factor failed, and why, goes to the audit log and
+// the server log only - telling a wrong passphrase from a wrong typist would make this a passphrase oracle.
+function rejectedAttemptResponse() {
+  return NextResponse.json({
+    success: false,
+    authenticated: false,
+    mse: 0,
+    reconstructionError: 0,
+    deviations: [],
+    reason: "Authentication failed - the passphrase or the typing rhythm did not match",
+  })
+}
 
-    // Third layer: bottleneck to output (reconstruction)
-    const reconstructedOutput = new Array(this.inputDimensions)
-    for (let i = 0; i < this.inputDimensions; i++) {
-      let weightedSum = this.decoderBiases[i]
-      for (let j = 0; j < this.bottleneckDimensions; j++) {
-        weightedSum += bottleneckOutput[j] * this.decoderWeights[j][i]
-      }
-      reconstructedOutput[i] = this.sigmoidActivation(weightedSum)
-    }
+// Mouse-dynamics result reported next to the keystroke one - only scored when the attempt was clicked
+// through with the mouse and the template has a mouse model
+interface MouseDynamicsResult {
+  available: boolean
+  reason: string
+  weight: number
+  score?: number
+  threshold?: number
+  accepted?: boolean
+  confidence?: number
+}
 
-    return reconstructedOutput
+async function scoreMouseDynamics(template: TemplateRef, pointerEvents: unknown): Promise<MouseDynamicsResult> {
+  const weight = AUTH_CONFIG.MOUSE_DYNAMICS_WEIGHT
+  if (!AUTH_CONFIG.MOUSE_DYNAMICS_ENABLED) {
+    return { available: false, reason: "Mouse dynamics are disabled", weight }
   }
-
-  // Restore autoencoder from saved training data
-  static deserialize(savedData: any): SimpleAutoencoder {
-    const autoencoder = new SimpleAutoencoder(savedData.inputSize, savedData.hiddenSize, savedData.bottleneckSize)
-    autoencoder.encoderWeights = savedData.weights1
-    autoencoder.bottleneckWeights = savedData.weights2
-    autoencoder.decoderWeights = savedData.weights3
-    autoencoder.encoderBiases = savedData.biases1
-    autoencoder.bottleneckBiases = savedData.biases2
-    autoencoder.decoderBiases = savedData.biases3
-    return autoencoder
+  const modelData = await loadActiveModel(mouseTemplate(template))
+  const detectorSet = readDetectorSet(modelData)
+  if (!readMouseFeatureSchema(modelData) || !detectorSet) {
+    return { available: false, reason: "No mouse model for this template - enroll by clicking through the form", weight }
+  }
+  const pointerCheck = validateRawPointerEvents(pointerEvents)
+  if (!pointerCheck.valid) {
+    return { available: false, reason: pointerCheck.reason, weight }
+  }
+  const mouse = extractMouseFeatures(pointerCheck.events)
+  if (!mouse.available) {
+    return { available: false, reason: mouse.reason, weight }
+  }
+  const { score, threshold, accepted, confidence } = scoreDetectors(detectorSet, mouse.features)[detectorSet.primaryDetector]!
+  return {
+    available: true,
+    reason: accepted ? "Pointer movement matches" : "Pointer movement differs from enrollment",
+    weight,
+    score,
+    threshold,
+    accepted,
+    confidence,
   }
 }
 
+// Log this authentication attempt to our audit trail and count it towards the rate limits
+async function logAuthenticationAttempt(
+  request: NextRequest,
+  username: string,
+  authenticated: boolean,
+  mse: number,
+  reason: string,
+) {
+  await logAuditEvent(request, { username, result: authenticated ? "Pass" : "Fail", mse, reason })
+  await recordAuthOutcome(request, username, authenticated)
+}
+
 // Main authentication endpoint - this is where the magic happens
 export async function POST(request: NextRequest) {
   try {
     // Parse the incoming authentication request
-    const requestBody = await request.json()
-    console.log("Authentication request received for:", requestBody.username)
-
-    // Extract user credentials from request
-    const { username, password } = requestBody
-
-    if (!username) {
+    const parsed = await parseJsonBody(request, authenticateSchema)
+    if (!parsed.success) {
       return NextResponse.json(
         {
           success: false,
           authenticated: false,
           mse: 0,
           reconstructionError: 0,
-          reason: "Username is required",
+          reason: parsed.error,
         },
         { status: 400 },
       )
     }
+    const requestBody = parsed.data
+    console.log("Authentication request received for:", requestBody.username)
 
-    // Load the user's trained biometric model
-    const userModelDirectory = path.join(process.cwd(), AUTH_CONFIG.MODELS_DIR, username)
-    const userModelFile = path.join(userModelDirectory, "model.json")
-
-    try {
-      const savedModelData = JSON.parse(await fs.readFile(userModelFile, "utf-8"))
-      console.log("Model loaded for user:", username, "Model type:", savedModelData.modelType || "statistical")
-
-      // Extract biometric features from the request in multiple possible formats
-      let keystrokeFeatures = []
-
-      if (requestBody.features && Array.isArray(requestBody.features)) {
-        keystrokeFeatures = requestBody.features
-      } else if (requestBody.features && requestBody.features.features && Array.isArray(requestBody.features.features)) {
-        keystrokeFeatures = requestBody.features.features
-      } else if (requestBody.extractedFeatures && Array.isArray(requestBody.extractedFeatures)) {
-        keystrokeFeatures = requestBody.extractedFeatures
-      } else if (
-        requestBody.extractedFeatures &&
-        requestBody.extractedFeatures.features &&
-        Array.isArray(requestBody.extractedFeatures.features)
-      ) {
-        keystrokeFeatures = requestBody.extractedFeatures.features
-      }
+    // Extract user credentials from request
+    const { username, password } = requestBody
 
-      // If we still don't have features, try to reconstruct them from component parts
-      if (keystrokeFeatures.length === 0) {
-        const keyHoldTimes = requestBody.holdTimes || []
-        const downToDownTimes = requestBody.ddTimes || []
-        const upToDownTimes = requestBody.udTimes || []
-        const overallTypingSpeed = requestBody.typingSpeed || 0
-        const averageFlightTime = requestBody.flightTime || 0
-        const errorCount = requestBody.errorRate || 0
-        const typingPressure = requestBody.pressPressure || 0
-
-        // Reconstruct feature vector similar to the training pipeline
-        const PASSWORD_LENGTH = 11
-        keystrokeFeatures = [
-          ...keyHoldTimes.slice(0, PASSWORD_LENGTH),
-          ...downToDownTimes.slice(0, PASSWORD_LENGTH - 1),
-          ...upToDownTimes.slice(0, PASSWORD_LENGTH - 1),
-          overallTypingSpeed,
-          averageFlightTime,
-          errorCount,
-          typingPressure,
-        ]
-
-        // Pad with zeros if we don't have enough features
-        while (keystrokeFeatures.length < PASSWORD_LENGTH * 3 + 1) {
-          keystrokeFeatures.push(0)
-        }
-      }
+    // Locked or backing off (lib/auth-rate-limits) - the attempt isn't scored, only logged
+    const rateLimit = await checkRateLimit(username, clientAddress(request))
+    if (!rateLimit.allowed) {
+      console.log(`Rate limited attempt for ${username}: ${rateLimit.reason}`)
+      await logRateLimitEvent(request, username, rateLimit.reasonCode)
+      return rateLimitedResponse(rateLimit)
+    }
 
-      console.log("Using features array of length:", keystrokeFeatures.length)
+    // Every attempt spends a single-use challenge from /api/authenticate/challenge - a resent request can't
+    const challengeCheck = consumeAuthChallenge(username, requestBody.challenge)
+    if (!challengeCheck.valid) {
+      const reasonCode = challengeCheck.replay ? AUTH_REASON_CODES.REPLAY_DETECTED : AUTH_REASON_CODES.CHALLENGE_INVALID
+      console.log(`Rejected attempt for ${username}: ${challengeCheck.reason}`)
 
-      // Determine which authentication method to use based on model type
-      if (savedModelData.modelType === "autoencoder" && savedModelData.autoencoder) {
-        console.log("Using advanced autoencoder authentication")
+      await logAuthenticationAttempt(request, username, false, 0, reasonCode)
 
-        // Normalize input features using the same parameters from training
-        const { min, max } = savedModelData.normalizationParams
-        const normalizedInputFeatures = keystrokeFeatures.map((value: number, i: number) => {
-          if (i >= min.length || i >= max.length) {
-            return 0 // Safety padding if feature array is longer than expected
-          }
-          const featureRange = max[i] - min[i]
-          return featureRange === 0 ? 0 : (value - min[i]) / featureRange
-        })
+      return rejectedAttemptResponse()
+    }
 
-        // Load the trained autoencoder model
-        const trainedAutoencoder = SimpleAutoencoder.deserialize(savedModelData.autoencoder)
+    // Load the user's trained biometric model(s) - one template per enrolled device (lib/device-templates).
+    // A client that knows its device names it; otherwise every template is scored and the best match decides.
+    // The passphrase hash and replay fingerprints are per user - they stay with the default template
+    const userTemplate = deviceTemplate(username)
+    const requestedDevice = requestBody.device ?? null
 
-        // Get the autoencoder's reconstruction of the input
-        const reconstructedFeatures = trainedAutoencoder.predict(normalizedInputFeatures)
+    try {
+      // The active version of each template (see lib/model-versions) - admins can roll it back without re-enrollment
+      const templates = requestedDevice
+        ? [await loadDeviceTemplate(username, requestedDevice)].filter((template) => template !== null)
+        : await loadDeviceTemplates(username)
+      if (templates.length === 0 && requestedDevice) {
+        // Probing for device names counts as a failure like any other - otherwise it would dodge the limits
+        await recordAuthOutcome(request, username, false)
+        return NextResponse.json({
+          success: false,
+          authenticated: false,
+          mse: 0,
+          reconstructionError: 0,
+          deviations: [],
+          reason: `No "${requestedDevice}" device template for ${username} - enroll on this device or leave the device out`,
+        })
+      }
+      if (templates.length === 0) {
+        throw new Error(`No model for ${username}`)
+      }
+      for (const { device, model } of templates) {
+        console.log("Model loaded for user:", username, "Device:", device, "Model type:", model.modelType, "Version:", model.version ?? "legacy")
+      }
 
-        // Calculate reconstruction error (mean squared error)
-        let reconstructionError = 0
-        for (let i = 0; i < normalizedInputFeatures.length; i++) {
-          const featureDifference = normalizedInputFeatures[i] - reconstructedFeatures[i]
-          reconstructionError += featureDifference * featureDifference
+      // Features come from the raw events through the one server-side extractor, in the layout each
+      // template was enrolled with (users enrolled before overlap counts keep the shorter v1 layout)
+      const eventCheck = validateRawKeystrokeEvents(requestBody.keystrokeEvents)
+      const candidates = templates.map((template) => {
+        const featureSchema = readModelFeatureSchema(template.model)
+        const extracted = eventCheck.valid ? extractKeystrokeFeatures(eventCheck.events, featureSchema?.version) : null
+        const features = extracted?.features ?? []
+        // The vector must have exactly the layout recorded at enrollment - no padding or truncation
+        const schemaCheck = !featureSchema
+          ? { valid: false as const, reason: "Model was trained before feature schemas existed - please register again" }
+          : !eventCheck.valid
+            ? eventCheck
+            : validateExtractedFeatures(featureSchema, extracted!)
+        return {
+          ...template,
+          featureSchema,
+          extracted,
+          features,
+          schemaError: schemaCheck.valid ? null : schemaCheck.reason,
+          unsupportedKeyboard: "unsupportedKeyboard" in schemaCheck && schemaCheck.unsupportedKeyboard,
         }
-        reconstructionError /= normalizedInputFeatures.length
+      })
+      const comparableCandidates = candidates.filter((candidate) => candidate.schemaError === null)
+      const liveness = eventCheck.valid ? assessKeystrokeLiveness(eventCheck.events) : null
+
+      console.log("Using features array of length:", candidates[0].features.length)
+
+      // Knowledge factor - the typed passphrase has to match the hash stored at enrollment
+      const passphraseRecord = await loadPassphraseRecord(userTemplate)
+      let knowledgeFactor: FactorResult
+      if (!passphraseRecord) {
+        knowledgeFactor = { verified: false, reason: "No passphrase enrolled for this user - please register again" }
+      } else if (await verifyPassphrase(password || "", passphraseRecord)) {
+        knowledgeFactor = { verified: true, reason: "Passphrase matches" }
+      } else {
+        knowledgeFactor = { verified: false, reason: "Passphrase does not match" }
+      }
 
-        // Check if reconstruction error is within acceptable threshold
-        const acceptableThreshold = savedModelData.threshold
-        const authenticationSuccessful = reconstructionError <= acceptableThreshold
+      if (comparableCandidates.length === 0) {
+        const schemaError = candidates[0].schemaError!
+        const biometricFactor: FactorResult = { verified: false, reason: schemaError }
+        const reasonCode = candidates[0].unsupportedKeyboard
+          ? AUTH_REASON_CODES.UNSUPPORTED_KEYBOARD
+          : AUTH_REASON_CODES.FEATURE_SCHEMA_MISMATCH
+        console.log(`Rejected feature vector for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
 
-        // Calculate confidence score for this authentication attempt
-        const maxExpectedError = savedModelData.trainingStats?.maxError || acceptableThreshold * 2
-        const confidenceScore = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)))
+        await logAuthenticationAttempt(request, username, false, 0, reasonCode)
 
-        // Create deviation map for visualization (limited to first 10 features for heatmap)
-        const featureDeviations = normalizedInputFeatures.slice(0, 10).map((val: number) => Math.min(Math.abs(val), 1))
+        return rejectedAttemptResponse()
+      }
 
-        console.log(`Autoencoder authentication for ${username}:`, {
-          reconstructionError: reconstructionError.toFixed(6),
-          threshold: acceptableThreshold.toFixed(6),
-          authenticated: authenticationSuccessful,
-          confidence: confidenceScore.toFixed(3),
-        })
+      // Liveness - scripted or machine-generated timings are failed before any detector scores them
+      if (liveness && !liveness.live) {
+        const biometricFactor: FactorResult = { verified: false, reason: describeLivenessFailures(liveness) }
+        console.log(`Rejected synthetic input for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
 
-        // Log this authentication attempt to our audit trail
-        try {
-          await fetch(`${request.nextUrl.origin}/api/log-auth`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              timestamp: new Date().toISOString(),
-              username,
-              result: authenticationSuccessful ? "Pass" : "Fail",
-              mse: reconstructionError,
-              ip: request.headers.get("x-forwarded-for") || "localhost",
-              userAgent: request.headers.get("user-agent") || "Unknown",
-            }),
-          })
-        } catch (logError) {
-          console.error("Failed to log authentication:", logError)
-        }
+        await logAuthenticationAttempt(request, username, false, 0, AUTH_REASON_CODES.SYNTHETIC_INPUT)
 
-        return NextResponse.json({
-          success: authenticationSuccessful,
-          authenticated: authenticationSuccessful,
-          mse: reconstructionError,
-          reconstructionError,
-          deviations: featureDeviations,
-          confidence: confidenceScore,
-          reason: authenticationSuccessful
-            ? "Authentication successful"
-            : `Reconstruction error too high: ${reconstructionError.toFixed(6)} > ${acceptableThreshold.toFixed(6)}`,
-          method: "autoencoder",
-        })
-      } else {
-        console.log("Using legacy statistical authentication")
+        return rejectedAttemptResponse()
+      }
 
-        // Statistical model authentication (fallback method)
-        if (!savedModelData.means || !savedModelData.stds) {
-          throw new Error("Statistical model data is incomplete")
-        }
+      // A fresh challenge doesn't make old timings new - (near-)repeats of a recent attempt are replays
+      const { extracted } = comparableCandidates[0]
+      const replayedAttempt = await findReplayedAttempt(userTemplate, extracted!)
+      if (replayedAttempt) {
+        const biometricFactor: FactorResult = { verified: false, reason: replayedAttempt }
+        console.log(`Rejected replayed keystrokes for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
 
-        // Calculate mean squared error using the same normalization as training
-        let calculatedMSE = 0
-        const keystrokeDeviations = []
+        await logAuthenticationAttempt(request, username, false, 0, AUTH_REASON_CODES.REPLAY_DETECTED)
 
-        for (let i = 0; i < keystrokeFeatures.length && i < savedModelData.means.length; i++) {
-          const normalizedFeature = (keystrokeFeatures[i] - savedModelData.means[i]) / (savedModelData.stds[i] || 1)
-          const absoluteDeviation = Math.abs(normalizedFeature)
-          keystrokeDeviations.push(Math.min(absoluteDeviation, 1)) // Cap at 1 for visualization
-          calculatedMSE += normalizedFeature * normalizedFeature
+        return rejectedAttemptResponse()
+      }
+      await recordAttemptFingerprint(userTemplate, extracted!)
+
+      // Score with every trained detector of every comparable template - the primary one decides, the rest
+      // are reported for comparison
+      const scoredTemplates = comparableCandidates.map((candidate) => {
+        const detectorSet = readDetectorSet(candidate.model)
+        if (!detectorSet) {
+          throw new Error(`Unsupported model type: ${candidate.model.modelType}`)
         }
+        const detectorScores = scoreDetectors(detectorSet, candidate.features)
+        return { ...candidate, detectorSet, detectorScores, primaryScore: detectorScores[detectorSet.primaryDetector]! }
+      })
 
-        calculatedMSE = calculatedMSE / keystrokeFeatures.length
-
-        // Use percentile-based threshold for authentication decision
-        const percentileThreshold = savedModelData.mseStats?.percentileThreshold || 0.1
-        const authenticationSuccessful = calculatedMSE <= percentileThreshold
+      // The matching template is the accepting one with the highest confidence - or, when none accepts,
+      // the closest one, whose scores explain the rejection
+      const matchedTemplate = scoredTemplates.reduce((best, candidate) =>
+        candidate.primaryScore.accepted !== best.primaryScore.accepted
+          ? candidate.primaryScore.accepted
+            ? candidate
+            : best
+          : candidate.primaryScore.confidence > best.primaryScore.confidence
+            ? candidate
+            : best,
+      )
+      const { model: savedModelData, featureSchema, features: keystrokeFeatures, detectorSet, detectorScores, primaryScore } =
+        matchedTemplate
+      const primaryDetector = getDetector(detectorSet.primaryDetector)
+
+      const keystrokeReason = primaryScore.accepted
+        ? "Typing rhythm matches"
+        : `${primaryDetector.scoreName} too high: ${primaryScore.score.toFixed(6)} > ${primaryScore.threshold.toFixed(6)}`
+
+      // With a mouse score the typing has to pass on its own and the weighted mix of both, each relative
+      // to its threshold, has to pass too - the pointer can turn a pass into a fail but never the reverse
+      const mouseDynamics = await scoreMouseDynamics(matchedTemplate.template, requestBody.pointerEvents)
+      const combined =
+        mouseDynamics.available && mouseDynamics.weight > 0
+          ? combineBiometricScores(
+              primaryScore,
+              { score: mouseDynamics.score!, threshold: mouseDynamics.threshold! },
+              mouseDynamics.weight,
+            )
+          : null
+      const biometricFactor: FactorResult = !combined
+        ? { verified: primaryScore.accepted, reason: keystrokeReason }
+        : combined.accepted
+          ? { verified: true, reason: "Typing rhythm and pointer movement match" }
+          : {
+              verified: false,
+              reason: primaryScore.accepted
+                ? `Combined typing and pointer score too high: ${combined.combinedScore.toFixed(3)} > 1 (${mouseDynamics.reason})`
+                : keystrokeReason,
+            }
+
+      // Both factors are required - a perfect rhythm with the wrong passphrase is still a fail
+      const authenticationSuccessful = knowledgeFactor.verified && biometricFactor.verified
+      const reasonCode = resolveReasonCode(knowledgeFactor, biometricFactor, passphraseRecord !== null)
+
+      console.log(`${primaryDetector.label} authentication for ${username} (${matchedTemplate.device}):`, {
+        score: primaryScore.score.toFixed(6),
+        threshold: primaryScore.threshold.toFixed(6),
+        knowledgeFactor: knowledgeFactor.verified,
+        biometricFactor: biometricFactor.verified,
+        authenticated: authenticationSuccessful,
+        confidence: primaryScore.confidence.toFixed(3),
+        mouseScore: mouseDynamics.score?.toFixed(6) ?? null,
+        combinedScore: combined?.combinedScore.toFixed(3) ?? null,
+      })
 
-        let failureReason = ""
-        if (!authenticationSuccessful) {
-          const percentileUsed = savedModelData.mseStats?.percentileUsed || AUTH_CONFIG.STATISTICAL_PERCENTILE_THRESHOLD
-          failureReason = `MSE (${calculatedMSE.toFixed(5)}) exceeds ${percentileUsed}th percentile threshold (${percentileThreshold.toFixed(5)})`
-        }
+      await logAuthenticationAttempt(request, username, authenticationSuccessful, primaryScore.score, reasonCode)
+      if (!authenticationSuccessful) {
+        console.log(`Rejected attempt for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
+        return rejectedAttemptResponse()
+      }
 
-        console.log(`Statistical authentication for ${username}:`, {
-          mse: calculatedMSE.toFixed(6),
-          threshold: percentileThreshold.toFixed(6),
-          authenticated: authenticationSuccessful,
+      // Confident passes feed the rolling template window - a failure here must never fail the login
+      let templateUpdate: TemplateUpdate | null = null
+      try {
+        templateUpdate = await adaptTemplate({
+          username,
+          template: matchedTemplate.template,
+          modelData: savedModelData,
+          featureSchema: featureSchema!,
+          detectorSet,
+          features: keystrokeFeatures,
+          confidence: primaryScore.confidence,
+          score: primaryScore.score,
         })
+        console.log(`Template update for ${username}: ${templateUpdate.reason}`)
+      } catch (adaptationError) {
+        console.error("Template adaptation failed:", adaptationError)
+      }
 
-        // Log this authentication attempt
-        try {
-          await fetch(`${request.nextUrl.origin}/api/log-auth`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              timestamp: new Date().toISOString(),
-              username,
-              result: authenticationSuccessful ? "Pass" : "Fail",
-              mse: calculatedMSE,
-              ip: request.headers.get("x-forwarded-for") || "localhost",
-              userAgent: request.headers.get("user-agent") || "Unknown",
-            }),
-          })
-        } catch (logError) {
-          console.error("Failed to log authentication:", logError)
-        }
-
-        return NextResponse.json({
-          success: authenticationSuccessful,
-          authenticated: authenticationSuccessful,
-          mse: calculatedMSE,
-          reconstructionError: calculatedMSE,
-          deviations: keystrokeDeviations,
-          reason: authenticationSuccessful ? "Authentication successful" : failureReason,
-          method: "statistical",
-          thresholds: {
-            percentileThreshold,
-            percentileUsed: savedModelData.mseStats?.percentileUsed || AUTH_CONFIG.PERCENTILE_THRESHOLD,
-          },
-        })
+      // A pass signs the user in - the mouse counts as a factor only when it took part in the decision
+      const session = await issueUserSession(request, username, [
+        "passphrase",
+        "keystroke",
+        ...(combined ? (["mouse"] as const) : []),
+      ])
+
+      const response = NextResponse.json({
+        success: true,
+        authenticated: true,
+        mse: primaryScore.score,
+        reconstructionError: primaryScore.score,
+        deviations: primaryScore.deviations,
+        featureNames: featureSchema!.featureNames,
+        confidence: primaryScore.confidence,
+        reason: "Authentication successful",
+        method: detectorSet.primaryDetector,
+        modelVersion: savedModelData.version ?? null,
+        device: matchedTemplate.device,
+        // Only when several templates were scored - which of the user's devices this attempt looked like
+        deviceScores:
+          scoredTemplates.length > 1
+            ? Object.fromEntries(
+                scoredTemplates.map(({ device, primaryScore: { score, threshold, accepted, confidence } }) => [
+                  device,
+                  { score, threshold, accepted, confidence },
+                ]),
+              )
+            : undefined,
+        detectorScores: Object.fromEntries(
+          Object.entries(detectorScores).map(([id, { score, threshold, accepted, confidence }]) => [
+            id,
+            { score, threshold, accepted, confidence },
+          ]),
+        ),
+        mouseDynamics,
+        combinedScore: combined?.combinedScore ?? null,
+        templateUpdate,
+        session: session ? describeSession(session.claims, session.token) : null,
+      })
+      if (session) {
+        setSessionCookie(response, request, session)
       }
+      return response
     } catch (error) {
       console.error("Authentication error:", error)
+      // Guessing at usernames counts against the IP like any other failure
+      await recordAuthOutcome(request, username, false)
       return NextResponse.json({
         success: false,
         authenticated: false,
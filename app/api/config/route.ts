@@ -1,5 +1,9 @@
 import { NextResponse, type NextRequest } from "next/server"
+import { z } from "zod"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { parseJsonBody } from "@/lib/request-validation"
+
+const configUpdateSchema = z.object({ percentile: z.number() })
 
 export async function GET() {
   return NextResponse.json({
@@ -11,7 +15,11 @@ export async function GET() {
 
 export async function POST(request: NextRequest) {
   try {
-    const { percentile } = await request.json()
+    const parsed = await parseJsonBody(request, configUpdateSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ error: parsed.error }, { status: 400 })
+    }
+    const { percentile } = parsed.data
 
     if (!AUTH_CONFIG.PERCENTILE_OPTIONS.includes(percentile)) {
       return NextResponse.json({ error: "Invalid percentile value" }, { status: 400 })
@@ -0,0 +1,135 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { logAuditEvent } from "@/lib/audit-log"
+import { AUTH_REASON_CODES } from "@/lib/auth-reasons"
+import { applyWindowScore, getContinuousSession, startContinuousSession } from "@/lib/continuous-auth"
+import { deviceTemplate, loadDeviceTemplates } from "@/lib/device-templates"
+import {
+  addWindowToProfile,
+  extractGraphLatencies,
+  isProfileLearning,
+  loadFreeTextProfile,
+  saveFreeTextProfile,
+  scoreTypingWindow,
+} from "@/lib/free-text-dynamics"
+import { validateRawKeystrokeEvents } from "@/lib/keystroke-features"
+import { assessKeystrokeLiveness } from "@/lib/keystroke-liveness"
+import { parseJsonBody, usernameSchema } from "@/lib/request-validation"
+import { clearSessionCookie, getUserSession, KEYSTROKE_PASS_FACTORS, revokeSession, sessionCovers } from "@/lib/user-sessions"
+
+// The window's events are checked by validateRawKeystrokeEvents, the session id by getContinuousSession
+const continuousAuthSchema = z.object({
+  username: usernameSchema,
+  sessionId: z.string().optional(),
+  keystrokeEvents: z.unknown(),
+})
+
+// Step-ups and locks go to the same audit trail as logins
+async function logTrustChange(request: NextRequest, username: string, trust: number, reason: string) {
+  await logAuditEvent(request, { username, result: "Fail", mse: trust, reason })
+}
+
+// Score one window of free-text typing from a logged-in session and update its rolling trust.
+// Without a sessionId a new session starts at full trust - the client does that right after login.
+// Both need the user's own Ghost Key session from a keystroke pass: a continuous session is bound to it,
+// so only windows typed under the login that started it are scored and learned from.
+export async function POST(request: NextRequest) {
+  try {
+    if (!AUTH_CONFIG.CONTINUOUS_AUTH_ENABLED) {
+      return NextResponse.json({ success: false, error: "Continuous authentication is disabled" }, { status: 404 })
+    }
+
+    const parsed = await parseJsonBody(request, continuousAuthSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, sessionId, keystrokeEvents } = parsed.data
+
+    const signedIn = await getUserSession(request)
+    if (!sessionCovers(signedIn, username, KEYSTROKE_PASS_FACTORS)) {
+      return NextResponse.json(
+        { success: false, error: "Sign in as this user with passphrase and typing rhythm to start or continue a continuous session" },
+        { status: signedIn ? 403 : 401 },
+      )
+    }
+
+    if ((await loadDeviceTemplates(username)).length === 0) {
+      return NextResponse.json({ success: false, error: `No model found for user ${username}` }, { status: 404 })
+    }
+
+    const session =
+      sessionId === undefined
+        ? startContinuousSession(username, signedIn.sid)
+        : getContinuousSession(sessionId, username, signedIn.sid)
+    if (!session) {
+      return NextResponse.json(
+        { success: false, error: "Continuous session is unknown or has expired - please log in again" },
+        { status: 404 },
+      )
+    }
+
+    // Opening call - nothing typed yet
+    if (keystrokeEvents === undefined) {
+      return NextResponse.json({ success: true, sessionId: session.id, trust: session.trust, status: session.status })
+    }
+
+    const eventCheck = validateRawKeystrokeEvents(keystrokeEvents)
+    if (!eventCheck.valid) {
+      return NextResponse.json({ success: false, error: eventCheck.reason }, { status: 400 })
+    }
+
+    const latencies = extractGraphLatencies(eventCheck.events)
+    const profile = await loadFreeTextProfile(deviceTemplate(username))
+    const learning = isProfileLearning(profile)
+    const previousStatus = session.status
+
+    // Scripted typing counts as a window that matched nothing
+    const liveness = assessKeystrokeLiveness(eventCheck.events)
+    const windowScore = !liveness.live
+      ? { score: 0, comparedGraphs: 0, matchedGraphs: 0 }
+      : learning
+        ? { score: null, comparedGraphs: 0, matchedGraphs: 0 }
+        : scoreTypingWindow(profile, latencies)
+
+    // The profile learns from the first windows after login, then only from windows of a trusted session
+    // that scored well - an impostor's typing must not be folded in
+    const trusted = session.status === "active" && (windowScore.score ?? 0) >= AUTH_CONFIG.CONTINUOUS_STEP_UP_TRUST
+    if (liveness.live && (learning || trusted)) {
+      await saveFreeTextProfile(deviceTemplate(username), addWindowToProfile(profile, latencies))
+    }
+
+    applyWindowScore(session, windowScore.score)
+    if (session.status !== previousStatus && session.status !== "active") {
+      const reasonCode =
+        session.status === "locked" ? AUTH_REASON_CODES.CONTINUOUS_LOCKED : AUTH_REASON_CODES.CONTINUOUS_STEP_UP
+      console.log(`Continuous session for ${username}: ${session.status} (trust ${session.trust.toFixed(3)})`)
+      await logTrustChange(request, username, session.trust, reasonCode)
+    }
+
+    // A step-up or lock ends the user's Ghost Key session too - they have to pass /api/authenticate again
+    const sessionEnded = session.status !== "active"
+    if (sessionEnded) {
+      revokeSession(signedIn)
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      sessionId: session.id,
+      trust: session.trust,
+      status: session.status,
+      learning,
+      windowScore: windowScore.score,
+      comparedGraphs: windowScore.comparedGraphs,
+      matchedGraphs: windowScore.matchedGraphs,
+      livenessFailures: liveness.live ? undefined : liveness.failures,
+    })
+    if (sessionEnded) {
+      clearSessionCookie(response)
+    }
+    return response
+  } catch (error) {
+    console.error("Continuous authentication failed:", error)
+    return NextResponse.json({ success: false, error: "Continuous authentication failed" }, { status: 500 })
+  }
+}
@@ -1,45 +1,22 @@
 import { NextResponse } from "next/server"
-import fs from "fs/promises"
-import path from "path"
+import { withAdminRole } from "@/lib/admin-auth"
+import { AUDIT_LOG_COLUMNS, formatAuditEvent } from "@/lib/csv"
+import { getStorage } from "@/lib/storage"
 
-export async function GET() {
+// Same layout as logs/access_log.csv, whichever backend keeps the events
+export const GET = withAdminRole("auditor", async () => {
   try {
-    const logFile = path.join(process.cwd(), "logs", "access_log.csv")
+    const events = await getStorage().auditEvents.list()
+    const content = [AUDIT_LOG_COLUMNS.join(","), ...events.map(formatAuditEvent)].join("\n") + "\n"
 
-    try {
-      // Ensure logs directory exists
-      const logsDir = path.join(process.cwd(), "logs")
-      await fs.mkdir(logsDir, { recursive: true })
-
-      // Check if file exists, if not create it with headers
-      try {
-        await fs.access(logFile)
-      } catch {
-        const headers = "timestamp,username,result,mse,ip,userAgent,reason\n"
-        await fs.writeFile(logFile, headers, "utf-8")
-      }
-
-      const content = await fs.readFile(logFile, "utf-8")
-
-      return new NextResponse(content, {
-        headers: {
-          "Content-Type": "text/csv",
-          "Content-Disposition": `attachment; filename="security_audit_${new Date().toISOString().split("T")[0]}.csv"`,
-        },
-      })
-    } catch (fileError) {
-      console.error("File operation error:", fileError)
-      // Return empty CSV with headers
-      const headers = "timestamp,username,result,mse,ip,userAgent,reason\n"
-      return new NextResponse(headers, {
-        headers: {
-          "Content-Type": "text/csv",
-          "Content-Disposition": `attachment; filename="security_audit_${new Date().toISOString().split("T")[0]}.csv"`,
-        },
-      })
-    }
+    return new NextResponse(content, {
+      headers: {
+        "Content-Type": "text/csv",
+        "Content-Disposition": `attachment; filename="security_audit_${new Date().toISOString().split("T")[0]}.csv"`,
+      },
+    })
   } catch (error) {
     console.error("Failed to export logs:", error)
     return NextResponse.json({ error: "Failed to export logs" }, { status: 500 })
   }
-}
+})
@@ -0,0 +1,98 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { readDetectorSet, type DetectorId } from "@/lib/anomaly-detectors"
+import { loadGenuineSamples, loadImpostorSamples, saveTaggedImpostorSample } from "@/lib/calibration-samples"
+import { readModelFeatureSchema } from "@/lib/keystroke-feature-schema"
+import { extractKeystrokeFeatures, validateExtractedFeatures, validateRawKeystrokeEvents } from "@/lib/keystroke-features"
+import { loadDeviceTemplate, loadDeviceTemplates } from "@/lib/device-templates"
+import { deviceNameSchema, parseJsonBody, usernameSchema } from "@/lib/request-validation"
+import { enqueueTrainingJob } from "@/lib/training-jobs"
+import { getUserSession, KEYSTROKE_PASS_FACTORS, sessionCovers } from "@/lib/user-sessions"
+import { generateTrainingSeed } from "@/libs/autoencoder"
+
+// The events are checked by validateRawKeystrokeEvents
+const impostorSampleSchema = z.object({
+  username: usernameSchema,
+  keystrokeEvents: z.unknown(),
+  device: deviceNameSchema.optional(),
+})
+
+// Store an attempt the user tagged as "someone else typing" and queue a recalibration of their thresholds.
+// Only the user, signed in with a keystroke pass, may tag attempts for themselves - otherwise anyone could
+// feed a template impostor samples. The sample is kept per user; the recalibrated template is the given device's, or the default one.
+export async function POST(request: NextRequest) {
+  try {
+    const parsed = await parseJsonBody(request, impostorSampleSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, keystrokeEvents, device: deviceName } = parsed.data
+
+    const session = await getUserSession(request)
+    if (!sessionCovers(session, username, KEYSTROKE_PASS_FACTORS)) {
+      return NextResponse.json(
+        { success: false, error: "Sign in as this user with passphrase and typing rhythm to tag attempts as someone else's" },
+        { status: session ? 403 : 401 },
+      )
+    }
+
+    const template = deviceName
+      ? await loadDeviceTemplate(username, deviceName)
+      : ((await loadDeviceTemplates(username))[0] ?? null)
+    if (!template) {
+      return NextResponse.json({ success: false, error: `No model found for user ${username}` }, { status: 404 })
+    }
+    const savedModelData = template.model
+
+    const featureSchema = readModelFeatureSchema(savedModelData)
+    const detectorSet = readDetectorSet(savedModelData)
+    if (!featureSchema || !detectorSet) {
+      return NextResponse.json(
+        { success: false, error: "This model predates threshold calibration - please register again" },
+        { status: 409 },
+      )
+    }
+
+    // Same extraction and layout rule as authentication - an impostor sample has to be comparable with the user's own
+    const eventCheck = validateRawKeystrokeEvents(keystrokeEvents)
+    if (!eventCheck.valid) {
+      return NextResponse.json({ success: false, error: `Sample rejected: ${eventCheck.reason}` }, { status: 400 })
+    }
+    const extracted = extractKeystrokeFeatures(eventCheck.events, featureSchema.version)
+    const { features } = extracted
+    const schemaCheck = validateExtractedFeatures(featureSchema, extracted)
+    if (!schemaCheck.valid) {
+      return NextResponse.json({ success: false, error: `Sample rejected: ${schemaCheck.reason}` }, { status: 400 })
+    }
+
+    await saveTaggedImpostorSample(username, features)
+
+    const genuineSamples = await loadGenuineSamples(template.template, featureSchema)
+    const impostors = await loadImpostorSamples(username, featureSchema)
+    // Leave-one-out folds retrain the detectors, so they reuse the model's seed (models from before seeds get one now).
+    // The job saves the result as a new version in detector-set form, which also upgrades a pre-registry model.
+    const job = enqueueTrainingJob({
+      username,
+      template: template.template,
+      featureSchema,
+      samples: genuineSamples,
+      impostors,
+      detectorIds: Object.keys(detectorSet.detectors) as DetectorId[],
+      primaryDetector: detectorSet.primaryDetector,
+      seed: savedModelData.seed ?? generateTrainingSeed(),
+      trainedAt: new Date().toISOString(),
+      pretrainedDetectors: detectorSet.detectors,
+    })
+    console.log(`Tagged impostor sample stored for ${username}, queued recalibration ${job.id} of ${template.device}`)
+
+    return NextResponse.json({
+      success: true,
+      taggedAttempts: impostors.sources.taggedAttempts,
+      device: template.device,
+      jobId: job.id,
+    })
+  } catch (error) {
+    console.error("Failed to store impostor sample:", error)
+    return NextResponse.json({ success: false, error: "Failed to store impostor sample" }, { status: 500 })
+  }
+}
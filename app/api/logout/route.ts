@@ -0,0 +1,15 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { clearSessionCookie, getUserSession, revokeSession } from "@/lib/user-sessions"
+
+// End the caller's session - the cookie is cleared and the token (and any refreshed copy) stops working
+export async function POST(request: NextRequest) {
+  const session = await getUserSession(request)
+  if (session) {
+    revokeSession(session)
+    console.log(`Session ended for ${session.sub}`)
+  }
+
+  const response = NextResponse.json({ success: true })
+  clearSessionCookie(response)
+  return response
+}
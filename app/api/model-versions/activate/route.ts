@@ -0,0 +1,37 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import { deviceTemplate } from "@/lib/device-templates"
+import { withAdminRole } from "@/lib/admin-auth"
+import { activateModelVersion, ModelVersionError } from "@/lib/model-versions"
+import { deviceNameSchema, parseJsonBody, usernameSchema } from "@/lib/request-validation"
+
+// Versions are kept per device template (the default template without a device)
+const activateVersionSchema = z.object({
+  username: usernameSchema,
+  version: z.number().int("must be a version number").min(1, "must be a version number"),
+  device: deviceNameSchema.optional(),
+})
+
+// Point authentication at another stored version - used to roll back a bad retrain
+export const POST = withAdminRole("operator", async (request: NextRequest, admin) => {
+  try {
+    const parsed = await parseJsonBody(request, activateVersionSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, version, device = DEFAULT_DEVICE } = parsed.data
+
+    const template = deviceTemplate(username, device)
+    await activateModelVersion(template, version)
+    console.log(`Model version ${version} activated for ${username} by admin ${admin.username}`)
+
+    return NextResponse.json({ success: true, activeVersion: version })
+  } catch (error) {
+    if (error instanceof ModelVersionError) {
+      return NextResponse.json({ success: false, error: error.message }, { status: 404 })
+    }
+    console.error("Failed to activate model version:", error)
+    return NextResponse.json({ success: false, error: "Failed to activate model version" }, { status: 500 })
+  }
+})
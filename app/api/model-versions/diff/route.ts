@@ -0,0 +1,43 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import { deviceTemplate } from "@/lib/device-templates"
+import { withAdminRole } from "@/lib/admin-auth"
+import { diffModelVersions, readModelVersion } from "@/lib/model-versions"
+import { deviceNameSchema, parseSearchParams, usernameSchema } from "@/lib/request-validation"
+
+// Versions are kept per device template (?device=, the default template without one)
+const diffQuerySchema = z.object({
+  username: usernameSchema,
+  from: z.coerce.number().int("must be a version number").min(1, "must be a version number"),
+  to: z.coerce.number().int("must be a version number").min(1, "must be a version number"),
+  device: deviceNameSchema.optional(),
+})
+
+// Training stats of two versions side by side (?username=&from=&to=)
+export const GET = withAdminRole("viewer", async (request: NextRequest) => {
+  try {
+    const parsed = parseSearchParams(request.nextUrl.searchParams, diffQuerySchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, from, to, device = DEFAULT_DEVICE } = parsed.data
+
+    const template = deviceTemplate(username, device)
+    const [fromRecord, toRecord] = await Promise.all([
+      readModelVersion(template, from),
+      readModelVersion(template, to),
+    ])
+    if (!fromRecord || !toRecord) {
+      return NextResponse.json(
+        { success: false, error: `Version ${!fromRecord ? from : to} does not exist for ${username}` },
+        { status: 404 },
+      )
+    }
+
+    return NextResponse.json({ success: true, diff: diffModelVersions(fromRecord, toRecord) })
+  } catch (error) {
+    console.error("Failed to diff model versions:", error)
+    return NextResponse.json({ success: false, error: "Failed to diff model versions" }, { status: 500 })
+  }
+})
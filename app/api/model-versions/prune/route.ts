@@ -0,0 +1,34 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import { deviceTemplate } from "@/lib/device-templates"
+import { withAdminRole } from "@/lib/admin-auth"
+import { pruneModelVersions } from "@/lib/model-versions"
+import { deviceNameSchema, parseJsonBody, usernameSchema } from "@/lib/request-validation"
+
+// Versions are kept per device template (the default template without a device)
+const pruneVersionsSchema = z.object({
+  username: usernameSchema,
+  keep: z.number().int("must be a non-negative integer").nonnegative("must be a non-negative integer"),
+  device: deviceNameSchema.optional(),
+})
+
+// Delete old versions, keeping the newest `keep` (the active version is never deleted)
+export const POST = withAdminRole("operator", async (request: NextRequest, admin) => {
+  try {
+    const parsed = await parseJsonBody(request, pruneVersionsSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, keep, device = DEFAULT_DEVICE } = parsed.data
+
+    const template = deviceTemplate(username, device)
+    const prunedVersions = await pruneModelVersions(template, keep)
+    console.log(`Pruned model versions for ${username} (admin ${admin.username}):`, prunedVersions)
+
+    return NextResponse.json({ success: true, prunedVersions })
+  } catch (error) {
+    console.error("Failed to prune model versions:", error)
+    return NextResponse.json({ success: false, error: "Failed to prune model versions" }, { status: 500 })
+  }
+})
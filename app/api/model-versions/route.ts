@@ -0,0 +1,31 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import { deviceTemplate, loadDeviceTemplates } from "@/lib/device-templates"
+import { withAdminRole } from "@/lib/admin-auth"
+import { listModelVersions } from "@/lib/model-versions"
+import { deviceNameSchema, parseSearchParams, usernameSchema } from "@/lib/request-validation"
+
+// Versions are kept per device template (?device=, the default template without one)
+const listVersionsQuerySchema = z.object({ username: usernameSchema, device: deviceNameSchema.optional() })
+
+// List a user's stored keystroke model versions, which one is active, and the update history.
+// One device template at a time - `devices` names the user's others.
+export const GET = withAdminRole("viewer", async (request: NextRequest) => {
+  try {
+    const parsed = parseSearchParams(request.nextUrl.searchParams, listVersionsQuerySchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username } = parsed.data
+    const device = parsed.data.device ?? DEFAULT_DEVICE
+
+    const { activeVersion, versions, history } = await listModelVersions(deviceTemplate(username, device))
+    const devices = (await loadDeviceTemplates(username)).map((template) => template.device)
+
+    return NextResponse.json({ success: true, username, device, devices, activeVersion, versions, history })
+  } catch (error) {
+    console.error("Failed to list model versions:", error)
+    return NextResponse.json({ success: false, error: "Failed to list model versions" }, { status: 500 })
+  }
+})
@@ -0,0 +1,27 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { describeSession, getUserSession, refreshUserSession, setSessionCookie } from "@/lib/user-sessions"
+
+// Swap a still-valid token for a new one with a later expiry - up to SESSION_MAX_HOURS after sign-in
+export async function POST(request: NextRequest) {
+  try {
+    const current = await getUserSession(request)
+    if (!current) {
+      return NextResponse.json({ success: false, error: "Not signed in" }, { status: 401 })
+    }
+
+    const session = await refreshUserSession(current)
+    if (!session) {
+      return NextResponse.json(
+        { success: false, error: "Session has reached its maximum lifetime - authenticate again" },
+        { status: 401 },
+      )
+    }
+
+    const response = NextResponse.json({ success: true, session: describeSession(session.claims, session.token) })
+    setSessionCookie(response, request, session)
+    return response
+  } catch (error) {
+    console.error("Session refresh failed:", error)
+    return NextResponse.json({ success: false, error: "Session refresh failed" }, { status: 500 })
+  }
+}
@@ -0,0 +1,11 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { describeSession, getUserSession } from "@/lib/user-sessions"
+
+// Who the session cookie or bearer token belongs to and which factors they passed
+export async function GET(request: NextRequest) {
+  const session = await getUserSession(request)
+  if (!session) {
+    return NextResponse.json({ success: false, error: "Not signed in" }, { status: 401 })
+  }
+  return NextResponse.json({ success: true, session: describeSession(session) })
+}
@@ -0,0 +1,196 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { getDetector, readDetectorSet, scoreDetectors } from "@/lib/anomaly-detectors"
+import { logAuditEvent } from "@/lib/audit-log"
+import { AUTH_REASON_CODES, type AuthReasonCode } from "@/lib/auth-reasons"
+import { checkRateLimit, logRateLimitEvent, rateLimitedResponse, recordAuthOutcome } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { loadActiveModel } from "@/lib/model-versions"
+import { loadPassphraseRecord, verifyPassphrase } from "@/lib/passphrase-hash"
+import { parseJsonBody, usernameSchema } from "@/lib/request-validation"
+import { consumeAuthChallenge, findReplayedAttempt, recordAttemptFingerprint } from "@/lib/replay-protection"
+import {
+  extractTouchFeatures,
+  readTouchFeatureSchema,
+  touchesToPin,
+  validateRawTouchEvents,
+  validateTouchFeatureVector,
+} from "@/lib/touch-dynamics"
+import { touchTemplate } from "@/lib/touch-templates"
+import { describeSession, issueUserSession, setSessionCookie } from "@/lib/user-sessions"
+
+// The touches are checked by validateRawTouchEvents, the challenge by consumeAuthChallenge
+const touchAuthenticateSchema = z.object({
+  username: usernameSchema,
+  touchEvents: z.unknown(),
+  challenge: z.unknown(),
+})
+
+interface FactorResult {
+  verified: boolean
+  reason: string
+}
+
+// Log this touch attempt to the same audit trail as keystroke logins - it shares their rate limits too
+async function logAuthenticationAttempt(
+  request: NextRequest,
+  username: string,
+  authenticated: boolean,
+  score: number,
+  reason: string,
+) {
+  await logAuditEvent(request, { username, result: authenticated ? "Pass" : "Fail", mse: score, reason })
+  await recordAuthOutcome(request, username, authenticated)
+}
+
+// Which factor failed stays in the audit and server logs - the client only learns that the attempt failed,
+// so the keypad can't be used to try PINs against
+function rejection(reason = "Authentication failed - the PIN or the touch pattern did not match") {
+  return NextResponse.json({ success: false, authenticated: false, mse: 0, reconstructionError: 0, deviations: [], reason })
+}
+
+// Which factors failed, for the server log
+function describeFailedFactors(...factors: FactorResult[]) {
+  return factors
+    .filter((factor) => !factor.verified)
+    .map((factor) => factor.reason)
+    .join("; ")
+}
+
+// Touch login - the PIN entered on the keypad is the knowledge factor, how it was touched the biometric one
+export async function POST(request: NextRequest) {
+  try {
+    if (!AUTH_CONFIG.TOUCH_AUTH_ENABLED) {
+      return NextResponse.json({ success: false, authenticated: false, reason: "Touch authentication is disabled" }, { status: 404 })
+    }
+
+    const parsed = await parseJsonBody(request, touchAuthenticateSchema)
+    if (!parsed.success) {
+      return NextResponse.json(
+        { success: false, authenticated: false, mse: 0, reconstructionError: 0, reason: parsed.error },
+        { status: 400 },
+      )
+    }
+    const { username, touchEvents, challenge } = parsed.data
+
+    const rateLimit = await checkRateLimit(username, clientAddress(request))
+    if (!rateLimit.allowed) {
+      await logRateLimitEvent(request, username, rateLimit.reasonCode)
+      return rateLimitedResponse(rateLimit)
+    }
+
+    // Same single-use challenges as /api/authenticate
+    const challengeCheck = consumeAuthChallenge(username, challenge)
+    if (!challengeCheck.valid) {
+      const reasonCode = challengeCheck.replay ? AUTH_REASON_CODES.REPLAY_DETECTED : AUTH_REASON_CODES.CHALLENGE_INVALID
+      await logAuthenticationAttempt(request, username, false, 0, reasonCode)
+      return rejection()
+    }
+
+    const template = touchTemplate(username)
+    const modelData = await loadActiveModel(template)
+    const featureSchema = readTouchFeatureSchema(modelData)
+    const detectorSet = readDetectorSet(modelData)
+    if (!modelData || !featureSchema || !detectorSet) {
+      return rejection(`No touch model found for user ${username}. Please enroll on the keypad first.`)
+    }
+
+    const eventCheck = validateRawTouchEvents(touchEvents)
+    const extracted = eventCheck.valid ? extractTouchFeatures(eventCheck.events) : null
+
+    const pinRecord = await loadPassphraseRecord(template)
+    const knowledgeFactor: FactorResult = !pinRecord
+      ? { verified: false, reason: "No PIN enrolled for this user - please enroll again" }
+      : extracted && (await verifyPassphrase(touchesToPin(extracted.touches), pinRecord))
+        ? { verified: true, reason: "PIN matches" }
+        : { verified: false, reason: "PIN does not match" }
+
+    const schemaCheck = !eventCheck.valid ? eventCheck : validateTouchFeatureVector(featureSchema, extracted!.features)
+    if (!schemaCheck.valid) {
+      const biometricFactor: FactorResult = { verified: false, reason: schemaCheck.reason }
+      console.log(`Rejected touch entry for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
+      await logAuthenticationAttempt(request, username, false, 0, AUTH_REASON_CODES.FEATURE_SCHEMA_MISMATCH)
+      return rejection()
+    }
+
+    // Touch timings are fingerprinted like keystroke timings - dwell and swipe-in times in place of hold and UD
+    const timingParts = { holdTimes: extracted!.dwellTimes, ddTimes: [], udTimes: extracted!.swipeInTimes }
+    const replayedAttempt = await findReplayedAttempt(template, timingParts, "Touch timings")
+    if (replayedAttempt) {
+      const biometricFactor: FactorResult = { verified: false, reason: replayedAttempt }
+      console.log(`Rejected replayed touches for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
+      await logAuthenticationAttempt(request, username, false, 0, AUTH_REASON_CODES.REPLAY_DETECTED)
+      return rejection()
+    }
+    await recordAttemptFingerprint(template, timingParts)
+
+    const detectorScores = scoreDetectors(detectorSet, extracted!.features)
+    const primaryScore = detectorScores[detectorSet.primaryDetector]!
+    const primaryDetector = getDetector(detectorSet.primaryDetector)
+    const biometricFactor: FactorResult = {
+      verified: primaryScore.accepted,
+      reason: primaryScore.accepted
+        ? "Touch pattern matches"
+        : `${primaryDetector.scoreName} too high: ${primaryScore.score.toFixed(6)} > ${primaryScore.threshold.toFixed(6)}`,
+    }
+
+    const authenticationSuccessful = knowledgeFactor.verified && biometricFactor.verified
+    const reasonCode: AuthReasonCode | "" = !pinRecord
+      ? AUTH_REASON_CODES.NO_PASSPHRASE_ENROLLED
+      : !knowledgeFactor.verified && !biometricFactor.verified
+        ? AUTH_REASON_CODES.BOTH_FACTORS_FAILED
+        : !knowledgeFactor.verified
+          ? AUTH_REASON_CODES.KNOWLEDGE_FACTOR_FAILED
+          : !biometricFactor.verified
+            ? AUTH_REASON_CODES.BIOMETRIC_FACTOR_FAILED
+            : ""
+
+    console.log(`Touch ${primaryDetector.label} authentication for ${username}:`, {
+      score: primaryScore.score.toFixed(6),
+      threshold: primaryScore.threshold.toFixed(6),
+      knowledgeFactor: knowledgeFactor.verified,
+      biometricFactor: biometricFactor.verified,
+      authenticated: authenticationSuccessful,
+    })
+
+    await logAuthenticationAttempt(request, username, authenticationSuccessful, primaryScore.score, reasonCode)
+    if (!authenticationSuccessful) {
+      console.log(`Rejected touch entry for ${username}: ${describeFailedFactors(knowledgeFactor, biometricFactor)}`)
+      return rejection()
+    }
+
+    const session = await issueUserSession(request, username, ["pin", "touch"])
+
+    const response = NextResponse.json({
+      success: true,
+      authenticated: true,
+      mse: primaryScore.score,
+      reconstructionError: primaryScore.score,
+      deviations: primaryScore.deviations,
+      featureNames: featureSchema.featureNames,
+      confidence: primaryScore.confidence,
+      reason: "Authentication successful",
+      method: detectorSet.primaryDetector,
+      modality: "touch",
+      modelVersion: modelData.version ?? null,
+      detectorScores: Object.fromEntries(
+        Object.entries(detectorScores).map(([id, { score, threshold, accepted, confidence }]) => [
+          id,
+          { score, threshold, accepted, confidence },
+        ]),
+      ),
+      session: session ? describeSession(session.claims, session.token) : null,
+    })
+    if (session) {
+      setSessionCookie(response, request, session)
+    }
+    return response
+  } catch (error) {
+    console.error("Touch authentication failed:", error)
+    return NextResponse.json(
+      { success: false, authenticated: false, mse: 0, reconstructionError: 0, deviations: [], reason: "Authentication system error" },
+      { status: 500 },
+    )
+  }
+}
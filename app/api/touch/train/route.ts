@@ -0,0 +1,212 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { z } from "zod"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { checkRateLimit, logRateLimitEvent, recordKnowledgeCheck } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { DETECTOR_IDS, isDetectorId, readDetectorSet, type DetectorId } from "@/lib/anomaly-detectors"
+import { deviceTemplate, loadDeviceTemplates } from "@/lib/device-templates"
+import { measureEnrollmentConsistency } from "@/lib/enrollment-quality"
+import { hasEnrollmentSession, setEnrollmentCookie, startEnrollmentSession } from "@/lib/enrollment-sessions"
+import { generateTrainingSeed } from "@/libs/autoencoder"
+import { loadActiveModel } from "@/lib/model-versions"
+import { parseJsonBody, usernameSchema } from "@/lib/request-validation"
+import { hashPassphrase, loadPassphraseRecord, savePassphraseRecord, verifyPassphrase } from "@/lib/passphrase-hash"
+import {
+  createTouchFeatureSchema,
+  extractTouchFeatures,
+  touchesToPin,
+  validateRawTouchEvents,
+  validateTouchFeatureVector,
+} from "@/lib/touch-dynamics"
+import { getStorage } from "@/lib/storage"
+import { loadTouchImpostorSamples, loadTouchSamples, touchTemplate } from "@/lib/touch-templates"
+import { enqueueTrainingJob } from "@/lib/training-jobs"
+import { getUserSession, KEYSTROKE_PASS_FACTORS, sessionCovers } from "@/lib/user-sessions"
+
+// Same detector options as /api/train-model. The touches are checked by validateRawTouchEvents.
+const touchTrainSchema = z
+  .object({
+    username: usernameSchema,
+    touchEvents: z.unknown(),
+    sampleCount: z.number().int("must be a non-negative integer").nonnegative("must be a non-negative integer"),
+    detectors: z
+      .array(z.custom<DetectorId>(isDetectorId, { message: `must be one of: ${DETECTOR_IDS.join(", ")}` }))
+      .min(1, `must be a non-empty list of: ${DETECTOR_IDS.join(", ")}`)
+      .optional(),
+    primaryDetector: z.custom<DetectorId>(isDetectorId, { message: `must be one of: ${DETECTOR_IDS.join(", ")}` }).optional(),
+  })
+  .refine((body) => !body.primaryDetector || !body.detectors || body.detectors.includes(body.primaryDetector), {
+    message: "must be one of the detectors being trained",
+    path: ["primaryDetector"],
+  })
+
+// Touch enrollment - same flow as /api/train-model: one PIN entry per request, the fifth queues a training job.
+// A touch pass signs the user in, so enrolling over an existing user takes a session of theirs, and later
+// entries have to come from whoever started the enrollment (lib/enrollment-sessions).
+export async function POST(request: NextRequest) {
+  try {
+    if (!AUTH_CONFIG.TOUCH_AUTH_ENABLED) {
+      return NextResponse.json({ success: false, error: "Touch authentication is disabled" }, { status: 404 })
+    }
+
+    const parsed = await parseJsonBody(request, touchTrainSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const { username, touchEvents, sampleCount, detectors: requestedDetectors, primaryDetector } = parsed.data
+
+    // The PIN is whatever the touches spell out on the keypad - both factors come from the same entry
+    const eventCheck = validateRawTouchEvents(touchEvents)
+    if (!eventCheck.valid) {
+      return NextResponse.json({ success: false, error: `Sample rejected: ${eventCheck.reason}` }, { status: 400 })
+    }
+    const extracted = extractTouchFeatures(eventCheck.events)
+    const pin = touchesToPin(extracted.touches)
+    if (!/^\d+$/.test(pin) || pin.length < AUTH_CONFIG.TOUCH_PIN_MIN_LENGTH || pin.length > AUTH_CONFIG.TOUCH_PIN_MAX_LENGTH) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: `PIN must be ${AUTH_CONFIG.TOUCH_PIN_MIN_LENGTH}-${AUTH_CONFIG.TOUCH_PIN_MAX_LENGTH} digits entered on the keypad`,
+        },
+        { status: 400 },
+      )
+    }
+    const featureSchema = createTouchFeatureSchema(pin.length)
+    const schemaCheck = validateTouchFeatureVector(featureSchema, extracted.features)
+    if (!schemaCheck.valid) {
+      return NextResponse.json({ success: false, error: `Sample rejected: ${schemaCheck.reason}` }, { status: 400 })
+    }
+
+    const template = touchTemplate(username)
+
+    // Knowledge factor: the first entry stores the PIN hash, every later one must use the same PIN
+    let enrollmentToken: string | null = null
+    if (sampleCount === 0) {
+      // Replacing an existing user's PIN and touch samples needs their session from a keystroke or a touch pass -
+      // a user enrolled only by typing counts too, or anyone could add a touch login to their account.
+      // Whoever started this enrollment may restart it.
+      const enrolled =
+        (await loadPassphraseRecord(template)) !== null ||
+        (await loadActiveModel(template)) !== null ||
+        (await loadPassphraseRecord(deviceTemplate(username))) !== null ||
+        (await loadDeviceTemplates(username)).length > 0
+      if (enrolled) {
+        const session = await getUserSession(request)
+        const signedIn =
+          sessionCovers(session, username, KEYSTROKE_PASS_FACTORS) || sessionCovers(session, username, ["pin", "touch"])
+        if (!signedIn && !hasEnrollmentSession(request, template)) {
+          return NextResponse.json(
+            { success: false, error: "This user is already enrolled - sign in as them to enroll a touch PIN" },
+            { status: 403 },
+          )
+        }
+      }
+      await savePassphraseRecord(template, await hashPassphrase(pin))
+      await getStorage().samples.clear(template, "samples")
+      enrollmentToken = startEnrollmentSession(request, template)
+    } else {
+      if (!hasEnrollmentSession(request, template)) {
+        return NextResponse.json(
+          { success: false, error: "No touch enrollment in progress here - start again from the first entry" },
+          { status: 403 },
+        )
+      }
+      // The PIN is checked under the same rate limits as a sign-in
+      const rateLimit = await checkRateLimit(username, clientAddress(request))
+      if (!rateLimit.allowed) {
+        console.log(`Rate limited touch enrollment entry for ${username}: ${rateLimit.reason}`)
+        await logRateLimitEvent(request, username, rateLimit.reasonCode)
+        return NextResponse.json(
+          { success: false, error: rateLimit.reason, reasonCode: rateLimit.reasonCode, retryAfterSeconds: rateLimit.retryAfterSeconds },
+          { status: 429, headers: { "Retry-After": String(rateLimit.retryAfterSeconds) } },
+        )
+      }
+      const pinRecord = await loadPassphraseRecord(template)
+      const pinMatches = pinRecord !== null && (await verifyPassphrase(pin, pinRecord))
+      await recordKnowledgeCheck(request, username, pinMatches)
+      if (!pinMatches) {
+        return NextResponse.json(
+          { success: false, error: "PIN does not match the one used for the first sample" },
+          { status: 400 },
+        )
+      }
+    }
+    // Responses from here on carry the cookie of an enrollment this entry started
+    const reply = (body: Record<string, unknown>, init?: ResponseInit) => {
+      const response = NextResponse.json(body, init)
+      if (enrollmentToken) {
+        setEnrollmentCookie(response, request, template, enrollmentToken)
+      }
+      return response
+    }
+
+    // No raw events are kept - the keys they carry are the PIN
+    await getStorage().samples.write(template, "samples", {
+      id: sampleCount,
+      data: {
+        sampleId: sampleCount,
+        timestamp: new Date().toISOString(),
+        featureSchemaVersion: featureSchema.version,
+        features: extracted.features,
+        pointerTypes: [...new Set(eventCheck.events.map((event) => event.pointerType))],
+      },
+    })
+
+    if (sampleCount < AUTH_CONFIG.TOUCH_SAMPLES_REQUIRED - 1) {
+      return reply({ success: true, sampleStored: true, jobId: null })
+    }
+
+    const collectedSamples = await loadTouchSamples(template, featureSchema)
+    if (collectedSamples.length < AUTH_CONFIG.TOUCH_SAMPLES_REQUIRED) {
+      return reply({ success: true, sampleStored: true, jobId: null })
+    }
+
+    // Same rule as keystroke enrollment - entries that disagree with each other make a template that rejects its user
+    const consistency = measureEnrollmentConsistency(featureSchema, collectedSamples)
+    if (!consistency.acceptable) {
+      return reply(
+        {
+          success: false,
+          sampleStored: true,
+          error: `Touch samples are too inconsistent to train on (consistency ${consistency.score.toFixed(2)}, at least ${consistency.minimum} needed). Please enroll again, tapping at your usual pace.`,
+          consistency,
+        },
+        { status: 422 },
+      )
+    }
+
+    // Keep the detectors the active touch model was trained with unless the request names others
+    let detectorIds: DetectorId[] = requestedDetectors ?? [...AUTH_CONFIG.DEFAULT_DETECTORS]
+    let primary: DetectorId = primaryDetector ?? requestedDetectors?.[0] ?? AUTH_CONFIG.PRIMARY_DETECTOR
+    if (!requestedDetectors && sampleCount > 0) {
+      const existingSet = readDetectorSet(await loadActiveModel(template))
+      if (existingSet) {
+        detectorIds = Object.keys(existingSet.detectors) as DetectorId[]
+        primary = primaryDetector ?? existingSet.primaryDetector
+      }
+    }
+    if (!detectorIds.includes(primary)) {
+      detectorIds = [primary, ...detectorIds]
+    }
+
+    const impostors = await loadTouchImpostorSamples(username, featureSchema)
+
+    const job = enqueueTrainingJob({
+      username,
+      template,
+      featureSchema,
+      samples: collectedSamples,
+      impostors,
+      detectorIds,
+      primaryDetector: primary,
+      seed: generateTrainingSeed(),
+      trainedAt: new Date().toISOString(),
+    })
+    console.log(`Queued touch training job ${job.id} for ${username} (${detectorIds.join(", ")}, ${collectedSamples.length} samples)`)
+
+    return reply({ success: true, sampleStored: true, jobId: job.id, consistency })
+  } catch (error) {
+    console.error("Touch training failed:", error)
+    return NextResponse.json({ success: false, error: "Training failed" }, { status: 500 })
+  }
+}
@@ -0,0 +1,26 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { readEnrollmentSession } from "@/lib/enrollment-sessions"
+import { getTrainingJob } from "@/lib/training-jobs"
+import { getUserSession } from "@/lib/user-sessions"
+
+// Progress of a background training job queued by /api/train-model (or a recalibration or adaptation retrain).
+// Only the user it trains for may read it: with their Ghost Key session, or the enrollment cookie of the
+// enrollment that queued it. Anyone else gets the same 404 as for an unknown id.
+export async function GET(request: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params
+  const job = getTrainingJob(id)
+
+  const signedIn = await getUserSession(request)
+  const enrolling = [readEnrollmentSession(request, "keystroke"), readEnrollmentSession(request, "touch")]
+  const ownJob =
+    job !== null && (signedIn?.sub === job.username || enrolling.some((template) => template?.username === job.username))
+
+  if (!job || !ownJob) {
+    return NextResponse.json(
+      { success: false, error: "Unknown training job - it may have expired or the server restarted" },
+      { status: 404 },
+    )
+  }
+
+  return NextResponse.json({ success: true, job })
+}
@@ -1,438 +1,397 @@
 import { type NextRequest, NextResponse } from "next/server"
-import fs from "fs/promises"
-import path from "path"
+import { z } from "zod"
 import { AUTH_CONFIG } from "@/config/auth-config"
-
-// Data augmentation helper - adds realistic noise to training samples
-function addVariationNoise(originalData: number[], noiseIntensity: number = AUTH_CONFIG.DATA_AUGMENTATION_NOISE): number[] {
-  return originalData.map((value) => {
-    // Add proportional noise to simulate natural typing variations
-    const randomNoise = (Math.random() - 0.5) * 2 * noiseIntensity * value
-    return Math.max(0, value + randomNoise) // Keep values positive
+import { checkRateLimit, logRateLimitEvent, recordKnowledgeCheck } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { DETECTOR_IDS, isDetectorId, readDetectorSet, type DetectorId } from "@/lib/anomaly-detectors"
+import { loadImpostorSamples } from "@/lib/calibration-samples"
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import { deviceTemplate, loadDeviceTemplate, loadDeviceTemplates } from "@/lib/device-templates"
+import { assessEnrollmentSample, measureEnrollmentConsistency } from "@/lib/enrollment-quality"
+import { hasEnrollmentSession, setEnrollmentCookie, startEnrollmentSession } from "@/lib/enrollment-sessions"
+import { generateTrainingSeed } from "@/libs/autoencoder"
+import { loadActiveModel } from "@/lib/model-versions"
+import { createMouseFeatureSchema, extractMouseFeatures, validateRawPointerEvents } from "@/lib/mouse-dynamics"
+import { loadMouseImpostorSamples, loadMouseSamples, mouseTemplate } from "@/lib/mouse-templates"
+import { deviceNameSchema, parseJsonBody, usernameSchema } from "@/lib/request-validation"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+import { enqueueTrainingJob } from "@/lib/training-jobs"
+import { getUserSession, KEYSTROKE_PASS_FACTORS, sessionCovers } from "@/lib/user-sessions"
+import {
+  createFeatureSchema,
+  getPassphraseLength,
+  validateFeatureVector,
+  type KeystrokeFeatureSchema,
+} from "@/lib/keystroke-feature-schema"
+import { extractKeystrokeFeatures, validateExtractedFeatures, validateRawKeystrokeEvents } from "@/lib/keystroke-features"
+import { assessKeystrokeLiveness, describeLivenessFailures } from "@/lib/keystroke-liveness"
+import { hashPassphrase, loadPassphraseRecord, savePassphraseRecord, verifyPassphrase } from "@/lib/passphrase-hash"
+
+// Events are checked in detail by validateRawKeystrokeEvents / validateRawPointerEvents
+const trainModelSchema = z
+  .object({
+    username: usernameSchema,
+    password: z.string().min(1, "is required for enrollment"),
+    keystrokeEvents: z.unknown(),
+    pointerEvents: z.unknown().optional(),
+    sampleCount: z.number().int("must be a non-negative integer").nonnegative("must be a non-negative integer"),
+    privacyMode: z.boolean().optional(),
+    // Optional detector selection - e.g. { detectors: ["autoencoder", "scaled-manhattan"] } to benchmark both
+    detectors: z
+      .array(z.custom<DetectorId>(isDetectorId, { message: `must be one of: ${DETECTOR_IDS.join(", ")}` }))
+      .min(1, `must be a non-empty list of: ${DETECTOR_IDS.join(", ")}`)
+      .optional(),
+    primaryDetector: z.custom<DetectorId>(isDetectorId, { message: `must be one of: ${DETECTOR_IDS.join(", ")}` }).optional(),
+    // Optional training seed - pass the one stored in model.json to reproduce that model exactly
+    seed: z.number().int().min(0).max(0xffffffff, "must be an unsigned 32-bit integer").optional(),
+    keepOutlier: z.boolean().optional(),
+    // Which device template this enrollment is for - without one it goes to the user's default template
+    device: deviceNameSchema.optional(),
   })
-}
-
-// Normalize keystroke features to [0, 1] range for neural network training
-function normalizeKeystrokeFeatures(featureSamples: number[][]): { normalized: number[][]; min: number[]; max: number[] } {
-  const numberOfFeatures = featureSamples[0].length
-  const minValues = new Array(numberOfFeatures).fill(Number.POSITIVE_INFINITY)
-  const maxValues = new Array(numberOfFeatures).fill(Number.NEGATIVE_INFINITY)
-
-  // Find minimum and maximum values for each feature across all samples
-  featureSamples.forEach((sampleFeatures) => {
-    sampleFeatures.forEach((featureValue, featureIndex) => {
-      minValues[featureIndex] = Math.min(minValues[featureIndex], featureValue)
-      maxValues[featureIndex] = Math.max(maxValues[featureIndex], featureValue)
-    })
+  .refine((body) => !body.primaryDetector || !body.detectors || body.detectors.includes(body.primaryDetector), {
+    message: "must be one of the detectors being trained",
+    path: ["primaryDetector"],
   })
 
-  // Normalize each feature to [0,1] range
-  const normalizedSamples = featureSamples.map((sampleFeatures) =>
-    sampleFeatures.map((featureValue, featureIndex) => {
-      const featureRange = maxValues[featureIndex] - minValues[featureIndex]
-      return featureRange === 0 ? 0 : (featureValue - minValues[featureIndex]) / featureRange
-    }),
-  )
-
-  return { normalized: normalizedSamples, min: minValues, max: maxValues }
-}
-
-// Autoencoder neural network for keystroke biometric learning
-class SimpleAutoencoder {
-  private encoderWeights: number[][]
-  private bottleneckWeights: number[][]
-  private decoderWeights: number[][]
-  private encoderBiases: number[]
-  private bottleneckBiases: number[]
-  private decoderBiases: number[]
-  private inputDimensions: number
-  private hiddenLayerSize: number
-  private bottleneckDimensions: number
-
-  constructor(inputDimensions: number, hiddenLayerSize = 16, bottleneckDimensions = 8) {
-    this.inputDimensions = inputDimensions
-    this.hiddenLayerSize = hiddenLayerSize
-    this.bottleneckDimensions = bottleneckDimensions
-
-    // Initialize network weights using Xavier initialization for better training
-    this.encoderWeights = this.initializeNetworkWeights(inputDimensions, hiddenLayerSize)
-    this.bottleneckWeights = this.initializeNetworkWeights(hiddenLayerSize, bottleneckDimensions)
-    this.decoderWeights = this.initializeNetworkWeights(bottleneckDimensions, inputDimensions)
-
-    // Initialize biases with small random values
-    this.encoderBiases = new Array(hiddenLayerSize).fill(0).map(() => Math.random() * 0.1 - 0.05)
-    this.bottleneckBiases = new Array(bottleneckDimensions).fill(0).map(() => Math.random() * 0.1 - 0.05)
-    this.decoderBiases = new Array(inputDimensions).fill(0).map(() => Math.random() * 0.1 - 0.05)
-  }
-
-  // Xavier/Glorot weight initialization for better gradient flow
-  private initializeNetworkWeights(inputSize: number, outputSize: number): number[][] {
-    const weightMatrix: number[][] = []
-    const initializationScale = Math.sqrt(2.0 / inputSize) // Xavier initialization
-    for (let i = 0; i < inputSize; i++) {
-      weightMatrix[i] = []
-      for (let j = 0; j < outputSize; j++) {
-        weightMatrix[i][j] = (Math.random() * 2 - 1) * initializationScale
-      }
+// Load the stored samples 0..count-1 of the current enrollment that fit the schema
+async function loadEnrollmentSamples(template: TemplateRef, featureSchema: KeystrokeFeatureSchema, count: number) {
+  const collectedSamples: number[][] = []
+  for (const sample of await getStorage().samples.list(template, "samples")) {
+    if (sample.id >= count) continue
+    if (validateFeatureVector(featureSchema, sample.data.features).valid) {
+      collectedSamples.push(sample.data.features)
+    } else {
+      console.warn(`Skipping sample ${sample.id}: it does not match the current feature schema`)
     }
-    return weightMatrix
   }
+  return collectedSamples
+}
 
-  // ReLU activation function - helps with gradient flow
-  private reluActivation(x: number): number {
-    return Math.max(0, x)
-  }
+// Main training endpoint - handles keystroke model training
+export async function POST(request: NextRequest) {
+  try {
+    const parsed = await parseJsonBody(request, trainModelSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ success: false, error: parsed.error }, { status: 400 })
+    }
+    const {
+      username,
+      password,
+      keystrokeEvents,
+      sampleCount,
+      privacyMode,
+      detectors: requestedDetectors,
+      primaryDetector,
+      seed,
+      keepOutlier,
+      device,
+      pointerEvents,
+    } = parsed.data
+
+    // The feature layout follows the enrolled passphrase - n hold times, n-1 DD/UD times and summaries
+    const passphraseLength = getPassphraseLength(password)
+    if (passphraseLength < AUTH_CONFIG.REQUIRED_PASSWORD_LENGTH) {
+      return NextResponse.json(
+        { error: `Passphrase must be at least ${AUTH_CONFIG.REQUIRED_PASSWORD_LENGTH} characters long` },
+        { status: 400 },
+      )
+    }
+    const featureSchema = createFeatureSchema(passphraseLength)
 
-  // Sigmoid activation for output layer - maps to [0,1] range
-  private sigmoidActivation(x: number): number {
-    // Clamp input to prevent numerical overflow
-    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, x))))
-  }
+    const deviceName = device ?? DEFAULT_DEVICE
 
-  // Forward pass through the autoencoder network
-  private forwardPass(inputData: number[]): { hiddenOutput: number[]; bottleneckOutput: number[]; finalOutput: number[] } {
-    // Layer 1: Input to hidden layer
-    const hiddenLayerActivations = new Array(this.hiddenLayerSize)
-    for (let i = 0; i < this.hiddenLayerSize; i++) {
-      let weightedSum = this.encoderBiases[i]
-      for (let j = 0; j < this.inputDimensions; j++) {
-        weightedSum += inputData[j] * this.encoderWeights[j][i]
-      }
-      hiddenLayerActivations[i] = this.reluActivation(weightedSum)
+    // Features are extracted here from the raw events - clients don't send their own vectors
+    const eventCheck = validateRawKeystrokeEvents(keystrokeEvents)
+    if (!eventCheck.valid) {
+      return NextResponse.json({ success: false, error: `Sample rejected: ${eventCheck.reason}` }, { status: 400 })
     }
-
-    // Layer 2: Hidden to bottleneck layer (compression)
-    const bottleneckActivations = new Array(this.bottleneckDimensions)
-    for (let i = 0; i < this.bottleneckDimensions; i++) {
-      let weightedSum = this.bottleneckBiases[i]
-      for (let j = 0; j < this.hiddenLayerSize; j++) {
-        weightedSum += hiddenLayerActivations[j] * this.bottleneckWeights[j][i]
-      }
-      bottleneckActivations[i] = this.reluActivation(weightedSum)
+    // A template enrolled from scripted samples would let that script back in
+    const liveness = assessKeystrokeLiveness(eventCheck.events)
+    if (!liveness.live) {
+      return NextResponse.json(
+        { success: false, error: `Sample rejected: ${describeLivenessFailures(liveness)}`, livenessFailures: liveness.failures },
+        { status: 400 },
+      )
     }
-
-    // Layer 3: Bottleneck to output layer (reconstruction)
-    const outputActivations = new Array(this.inputDimensions)
-    for (let i = 0; i < this.inputDimensions; i++) {
-      let weightedSum = this.decoderBiases[i]
-      for (let j = 0; j < this.bottleneckDimensions; j++) {
-        weightedSum += bottleneckActivations[j] * this.decoderWeights[j][i]
-      }
-      outputActivations[i] = this.sigmoidActivation(weightedSum)
+    const extracted = extractKeystrokeFeatures(eventCheck.events, featureSchema.version)
+    const { features } = extracted
+
+    // Reject samples that don't fit the layout instead of padding or truncating them
+    const schemaCheck = validateExtractedFeatures(featureSchema, extracted)
+    if (!schemaCheck.valid) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: schemaCheck.unsupportedKeyboard
+            ? `Sample rejected: ${schemaCheck.reason}`
+            : `Sample rejected: ${schemaCheck.reason}. Please retype the passphrase without corrections.`,
+        },
+        { status: 400 },
+      )
     }
 
-    return { hiddenOutput: hiddenLayerActivations, bottleneckOutput: bottleneckActivations, finalOutput: outputActivations }
-  }
-
-  // Prediction method for inference
-  predict(inputSample: number[]): number[] {
-    return this.forwardPass(inputSample).finalOutput
-  }
-
-  // Train the autoencoder using gradient descent
-  trainNetwork(trainingData: number[][], epochs = 100, learningRate = 0.01): number[] {
-    const trainingLosses = []
-
-    for (let currentEpoch = 0; currentEpoch < epochs; currentEpoch++) {
-      let epochTotalLoss = 0
-
-      for (const trainingSample of trainingData) {
-        const { hiddenOutput, bottleneckOutput, finalOutput } = this.forwardPass(trainingSample)
+    // Samples and models are kept per device template, with a mouse template riding along
+    const storage = getStorage()
+    const template = deviceTemplate(username, deviceName)
+    const mouse = mouseTemplate(template)
+
+    // The user's other trained templates - an enrollment on a new device must not go past the limit
+    const otherTemplates =
+      sampleCount === 0
+        ? (await loadDeviceTemplates(username)).filter((other) => other.device !== deviceName)
+        : []
+    if (otherTemplates.length >= AUTH_CONFIG.MAX_DEVICE_TEMPLATES) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: `At most ${AUTH_CONFIG.MAX_DEVICE_TEMPLATES} device templates per user - re-enroll an existing one instead`,
+        },
+        { status: 400 },
+      )
+    }
 
-        // Calculate reconstruction loss (mean squared error)
-        let sampleLoss = 0
-        for (let i = 0; i < this.inputDimensions; i++) {
-          const reconstructionError = trainingSample[i] - finalOutput[i]
-          sampleLoss += reconstructionError * reconstructionError
+    // Knowledge factor: the first sample starts a fresh enrollment and stores the passphrase hash,
+    // every later sample must be typed with the same passphrase (server-side twin of the UI check).
+    // The hash is per user, so enrolling another device keeps the passphrase the other templates use.
+    // Later samples also have to come from whoever started the enrollment (lib/enrollment-sessions).
+    let enrollmentToken: string | null = null
+    if (sampleCount === 0 && otherTemplates.length === 0) {
+      // Re-enrolling an existing user replaces their passphrase and template - only they may do that, proven
+      // by a session from a full keystroke pass. The passphrase alone isn't enough: it is the one factor
+      // re-enrollment would let an attacker replace the typing rhythm behind. Whoever started this
+      // enrollment may restart it.
+      const existingRecord = await loadPassphraseRecord(deviceTemplate(username))
+      const existingTemplate = await loadDeviceTemplate(username, deviceName)
+      if (existingRecord || existingTemplate) {
+        const session = await getUserSession(request)
+        if (!sessionCovers(session, username, KEYSTROKE_PASS_FACTORS) && !hasEnrollmentSession(request, template)) {
+          return NextResponse.json(
+            {
+              success: false,
+              error: "This user is already enrolled - sign in with passphrase and typing rhythm to enroll again",
+            },
+            { status: 403 },
+          )
         }
-        sampleLoss /= this.inputDimensions
-        epochTotalLoss += sampleLoss
-
-        // Backpropagation - update weights based on gradients
-        this.updateNetworkWeights(trainingSample, hiddenOutput, bottleneckOutput, finalOutput, learningRate)
       }
-
-      const averageEpochLoss = epochTotalLoss / trainingData.length
-      trainingLosses.push(averageEpochLoss)
-
-      // Log progress every 20 epochs
-      if (currentEpoch % 20 === 0) {
-        console.log(`Epoch ${currentEpoch}: Average Loss = ${averageEpochLoss.toFixed(6)}`)
+      await savePassphraseRecord(deviceTemplate(username), await hashPassphrase(password))
+      enrollmentToken = startEnrollmentSession(request, template)
+    } else {
+      if (sampleCount > 0 && !hasEnrollmentSession(request, template)) {
+        return NextResponse.json(
+          { success: false, error: "No enrollment in progress for this template here - start again from the first sample" },
+          { status: 403 },
+        )
       }
-    }
-
-    return trainingLosses
-  }
-
-  // Backpropagation algorithm to update network weights
-  private updateNetworkWeights(
-    originalInput: number[],
-    hiddenActivations: number[],
-    bottleneckActivations: number[],
-    networkOutput: number[],
-    learningRate: number,
-  ): void {
-    // Calculate output layer gradients (sigmoid derivative)
-    const outputGradients = new Array(this.inputDimensions)
-    for (let i = 0; i < this.inputDimensions; i++) {
-      outputGradients[i] = (originalInput[i] - networkOutput[i]) * networkOutput[i] * (1 - networkOutput[i])
-    }
-
-    // Update decoder weights and biases
-    for (let i = 0; i < this.bottleneckDimensions; i++) {
-      for (let j = 0; j < this.inputDimensions; j++) {
-        this.decoderWeights[i][j] += learningRate * outputGradients[j] * bottleneckActivations[i]
+      // A new device template is another way in to the account, so adding one takes the same proof as
+      // re-enrolling - the passphrase still has to match the one the other templates use
+      if (sampleCount === 0) {
+        const session = await getUserSession(request)
+        if (!sessionCovers(session, username, KEYSTROKE_PASS_FACTORS) && !hasEnrollmentSession(request, template)) {
+          return NextResponse.json(
+            {
+              success: false,
+              error: "Sign in with passphrase and typing rhythm on one of your enrolled devices to add another",
+            },
+            { status: 403 },
+          )
+        }
       }
-    }
-    for (let i = 0; i < this.inputDimensions; i++) {
-      this.decoderBiases[i] += learningRate * outputGradients[i]
-    }
-
-    // Calculate bottleneck layer gradients (ReLU derivative)
-    const bottleneckGradients = new Array(this.bottleneckDimensions)
-    for (let i = 0; i < this.bottleneckDimensions; i++) {
-      let gradient = 0
-      for (let j = 0; j < this.inputDimensions; j++) {
-        gradient += outputGradients[j] * this.decoderWeights[i][j]
+      // The passphrase is checked under the same rate limits as a sign-in - enrollment is no free guessing oracle
+      const rateLimit = await checkRateLimit(username, clientAddress(request))
+      if (!rateLimit.allowed) {
+        console.log(`Rate limited enrollment sample for ${username}: ${rateLimit.reason}`)
+        await logRateLimitEvent(request, username, rateLimit.reasonCode)
+        return NextResponse.json(
+          { success: false, error: rateLimit.reason, reasonCode: rateLimit.reasonCode, retryAfterSeconds: rateLimit.retryAfterSeconds },
+          { status: 429, headers: { "Retry-After": String(rateLimit.retryAfterSeconds) } },
+        )
       }
-      bottleneckGradients[i] = gradient * (bottleneckActivations[i] > 0 ? 1 : 0)
-    }
-
-    // Update bottleneck weights and biases
-    for (let i = 0; i < this.hiddenLayerSize; i++) {
-      for (let j = 0; j < this.bottleneckDimensions; j++) {
-        this.bottleneckWeights[i][j] += learningRate * bottleneckGradients[j] * hiddenActivations[i]
+      const passphraseRecord = await loadPassphraseRecord(deviceTemplate(username))
+      const passphraseMatches = passphraseRecord !== null && (await verifyPassphrase(password, passphraseRecord))
+      await recordKnowledgeCheck(request, username, passphraseMatches)
+      if (!passphraseMatches) {
+        return NextResponse.json(
+          {
+            success: false,
+            error:
+              sampleCount === 0
+                ? "Passphrase does not match the one enrolled on your other devices"
+                : "Passphrase does not match the one used for the first sample",
+          },
+          { status: 400 },
+        )
       }
-    }
-    for (let i = 0; i < this.bottleneckDimensions; i++) {
-      this.bottleneckBiases[i] += learningRate * bottleneckGradients[i]
-    }
-
-    // Calculate hidden layer gradients (ReLU derivative)
-    const hiddenGradients = new Array(this.hiddenLayerSize)
-    for (let i = 0; i < this.hiddenLayerSize; i++) {
-      let gradient = 0
-      for (let j = 0; j < this.bottleneckDimensions; j++) {
-        gradient += bottleneckGradients[j] * this.bottleneckWeights[i][j]
+      if (sampleCount === 0) {
+        enrollmentToken = startEnrollmentSession(request, template)
       }
-      hiddenGradients[i] = gradient * (hiddenActivations[i] > 0 ? 1 : 0)
     }
-
-    // Update encoder weights and biases
-    for (let i = 0; i < this.inputDimensions; i++) {
-      for (let j = 0; j < this.hiddenLayerSize; j++) {
-        this.encoderWeights[i][j] += learningRate * hiddenGradients[j] * originalInput[i]
+    // Responses from here on carry the cookie of an enrollment this sample started
+    const reply = (body: Record<string, unknown>, init?: ResponseInit) => {
+      const response = NextResponse.json(body, init)
+      if (enrollmentToken) {
+        setEnrollmentCookie(response, request, template, enrollmentToken)
       }
+      return response
     }
-    for (let i = 0; i < this.hiddenLayerSize; i++) {
-      this.encoderBiases[i] += learningRate * hiddenGradients[i]
-    }
-  }
 
-  // Serialize the trained model for storage
-  serialize(): any {
-    return {
-      weights1: this.encoderWeights,
-      weights2: this.bottleneckWeights,
-      weights3: this.decoderWeights,
-      biases1: this.encoderBiases,
-      biases2: this.bottleneckBiases,
-      biases3: this.decoderBiases,
-      inputSize: this.inputDimensions,
-      hiddenSize: this.hiddenLayerSize,
-      bottleneckSize: this.bottleneckDimensions,
+    // A first sample starts a fresh enrollment - drop samples left over from an earlier one
+    // (including ones added by template adaptation) so they don't leak into the new model
+    if (sampleCount === 0) {
+      await storage.samples.clear(template, "samples")
+      await storage.samples.clear(mouse, "samples")
     }
-  }
-
-  // Restore a trained model from saved data
-  static deserialize(savedData: any): SimpleAutoencoder {
-    const autoencoder = new SimpleAutoencoder(savedData.inputSize, savedData.hiddenSize, savedData.bottleneckSize)
-    autoencoder.encoderWeights = savedData.weights1
-    autoencoder.bottleneckWeights = savedData.weights2
-    autoencoder.decoderWeights = savedData.weights3
-    autoencoder.encoderBiases = savedData.biases1
-    autoencoder.bottleneckBiases = savedData.biases2
-    autoencoder.decoderBiases = savedData.biases3
-    return autoencoder
-  }
-}
-
-// Main training endpoint - handles keystroke model training
-export async function POST(request: NextRequest) {
-  try {
-    const {
-      username,
-      features,
-      holdTimes,
-      ddTimes,
-      udTimes,
-      additionalFeatures,
-      sampleCount,
-      privacyMode,
-      rawData
-    } = await request.json()
 
-    // Set up user-specific directory structure for model storage
-    const userModelDirectory = path.join(process.cwd(), AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY, username)
-    const sampleStorageDirectory = path.join(userModelDirectory, "samples")
-    const rawKeystrokeDirectory = path.join(userModelDirectory, "raw_data")
-
-    // Create necessary directories
-    await fs.mkdir(sampleStorageDirectory, { recursive: true })
-    if (!privacyMode) {
-      await fs.mkdir(rawKeystrokeDirectory, { recursive: true })
+    // Enrollment QC: compare the sample with the ones already collected. An outlier isn't stored unless
+    // the user has seen the findings and chosen to keep it (keepOutlier) - otherwise they retype it.
+    const previousSamples = await loadEnrollmentSamples(template, featureSchema, sampleCount)
+    const quality = assessEnrollmentSample(featureSchema, features, previousSamples)
+    if (quality.outlier && keepOutlier !== true) {
+      console.log(`Held back sample ${sampleCount} for ${username} (${deviceName}): ${quality.findings.join("; ")}`)
+      return reply({ success: true, sampleStored: false, jobId: null, device: deviceName, quality })
     }
 
     // Store the current training sample with comprehensive metadata
     const currentSampleData = {
       sampleId: sampleCount,
       timestamp: new Date().toISOString(),
+      featureSchemaVersion: featureSchema.version,
       features,
       detailedFeatures: {
-        holdTimes,
-        ddTimes,
-        udTimes,
-        ...additionalFeatures,
+        holdTimes: extracted.holdTimes,
+        ddTimes: extracted.ddTimes,
+        udTimes: extracted.udTimes,
+        typingSpeed: extracted.typingSpeed,
+        flightTime: extracted.flightTime,
+        errorRate: extracted.errorRate,
+        pressPressure: extracted.pressPressure,
+        overlapCount: extracted.overlapCount,
       },
       privacyMode,
     }
 
-    const sampleFilePath = path.join(sampleStorageDirectory, `sample_${sampleCount}.json`)
-    await fs.writeFile(sampleFilePath, JSON.stringify(currentSampleData, null, 2))
+    await storage.samples.write(template, "samples", { id: sampleCount, data: currentSampleData })
 
-    // Store raw keystroke data if privacy mode is disabled
-    if (!privacyMode && rawData) {
-      const rawDataFilePath = path.join(rawKeystrokeDirectory, `raw_${sampleCount}.json`)
-      await fs.writeFile(
-        rawDataFilePath,
-        JSON.stringify(
-          {
-            sampleId: sampleCount,
-            timestamp: new Date().toISOString(),
-            rawKeystrokes: rawData,
-          },
-          null,
-          2,
-        ),
-      )
+    // Keep the raw events unless privacy mode is on - the codes reveal the passphrase, but they let the
+    // samples be re-extracted (lib/keystroke-features) when the feature schema changes
+    if (!privacyMode) {
+      await storage.samples.write(template, "raw_data", {
+        id: sampleCount,
+        data: {
+          sampleId: sampleCount,
+          timestamp: new Date().toISOString(),
+          rawKeystrokes: eventCheck.events,
+        },
+      })
+    }
+
+    // Mouse dynamics ride along when the sample was clicked through with the mouse - samples typed and
+    // submitted from the keyboard just don't add one
+    let mouseSampleStored = false
+    if (AUTH_CONFIG.MOUSE_DYNAMICS_ENABLED && pointerEvents !== undefined) {
+      const pointerCheck = validateRawPointerEvents(pointerEvents)
+      const mouseFeatures = pointerCheck.valid
+        ? extractMouseFeatures(pointerCheck.events)
+        : { available: false as const, reason: pointerCheck.reason }
+      if (mouseFeatures.available) {
+        await storage.samples.write(mouse, "samples", {
+          id: sampleCount,
+          data: { sampleId: sampleCount, timestamp: new Date().toISOString(), features: mouseFeatures.features },
+        })
+        mouseSampleStored = true
+      } else {
+        console.log(`No mouse sample for ${username} (${deviceName}) sample ${sampleCount}: ${mouseFeatures.reason}`)
+      }
     }
 
     // Check if we have enough samples to train the autoencoder model
     if (sampleCount >= AUTH_CONFIG.SAMPLES_REQUIRED - 1) {
-      const collectedSamples = []
-
-      // Load all previously stored samples for training
-      for (let i = 0; i <= sampleCount; i++) {
-        try {
-          const samplePath = path.join(sampleStorageDirectory, `sample_${i}.json`)
-          const loadedSampleData = JSON.parse(await fs.readFile(samplePath, "utf-8"))
-          collectedSamples.push(loadedSampleData.features)
-        } catch (error) {
-          console.error(`Failed to load sample ${i}:`, error)
-        }
-      }
+      const collectedSamples = [...previousSamples, features]
 
       if (collectedSamples.length >= AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES) {
-        console.log(`Training autoencoder for ${username} with ${collectedSamples.length} samples...`)
-
-        // Data augmentation - create additional training samples by adding realistic noise
-        const augmentedTrainingSet: number[][] = []
-        collectedSamples.forEach((originalSample) => {
-          augmentedTrainingSet.push(originalSample) // Include original sample
-
-          // Generate augmented samples with noise to improve model robustness
-          for (let i = 0; i < AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER; i++) {
-            augmentedTrainingSet.push(addVariationNoise(originalSample))
-          }
-        })
-
-        // Normalize all features to [0,1] range for optimal neural network training
-        const { normalized, min, max } = normalizeKeystrokeFeatures(augmentedTrainingSet)
-
-        // Create and configure the autoencoder architecture
-        const inputFeatureDimensions = normalized[0].length
-        const autoencoderModel = new SimpleAutoencoder(inputFeatureDimensions, 16, 8)
-
-        console.log("Training autoencoder neural network...")
-        const trainingLossHistory = autoencoderModel.trainNetwork(normalized, 200, 0.01)
-
-        // Evaluate model performance on original samples (without noise)
-        const originalNormalizedSamples = collectedSamples.map((sample) =>
-          sample.map((value: number, i: number) => {
-            const range = max[i] - min[i]
-            return range === 0 ? 0 : (value - min[i]) / range
-          }),
-        )
+        // A template built from samples that disagree with each other rejects its own user - start over instead
+        const consistency = measureEnrollmentConsistency(featureSchema, collectedSamples)
+        if (!consistency.acceptable) {
+          return reply(
+            {
+              success: false,
+              sampleStored: true,
+              error: `Enrollment samples are too inconsistent to train on (consistency ${consistency.score.toFixed(2)}, at least ${consistency.minimum} needed). Please enroll again, typing at your usual pace.`,
+              quality,
+              consistency,
+            },
+            { status: 422 },
+          )
+        }
 
-        const reconstructionErrorsOnOriginalSamples = []
-        for (const normalizedSample of originalNormalizedSamples) {
-          const reconstructedSample = autoencoderModel.predict(normalizedSample)
-          let meanSquaredError = 0
-          for (let i = 0; i < normalizedSample.length; i++) {
-            const difference = normalizedSample[i] - reconstructedSample[i]
-            meanSquaredError += difference * difference
+        // Every sample after the minimum retrains the model, and the client only sends a detector
+        // selection when it wants one - otherwise keep whatever the active model was trained with (or the defaults)
+        let detectorIds: DetectorId[] = requestedDetectors ?? [...AUTH_CONFIG.DEFAULT_DETECTORS]
+        let primary: DetectorId = primaryDetector ?? requestedDetectors?.[0] ?? AUTH_CONFIG.PRIMARY_DETECTOR
+        if (!requestedDetectors && sampleCount > 0) {
+          const existingSet = readDetectorSet(await loadActiveModel(template))
+          if (existingSet) {
+            detectorIds = Object.keys(existingSet.detectors) as DetectorId[]
+            primary = primaryDetector ?? existingSet.primaryDetector
           }
-          meanSquaredError /= normalizedSample.length
-          reconstructionErrorsOnOriginalSamples.push(meanSquaredError)
+        }
+        if (!detectorIds.includes(primary)) {
+          detectorIds = [primary, ...detectorIds]
         }
 
-        // Calculate authentication threshold using 95th percentile of training errors
-        const sortedReconstructionErrors = [...reconstructionErrorsOnOriginalSamples].sort((a, b) => a - b)
-        const percentile95Index = Math.floor(0.95 * sortedReconstructionErrors.length)
-        const calculatedThreshold = sortedReconstructionErrors[percentile95Index] || AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD
+        // Thresholds are calibrated against other users' samples and tagged impostor attempts
+        const impostors = await loadImpostorSamples(username, featureSchema)
 
-        // Use the higher of configured threshold or calculated threshold (with safety margin)
-        // Add additional safety checks to prevent NaN values
-        const safeCalculatedThreshold = isNaN(calculatedThreshold) || calculatedThreshold <= 0 
-          ? AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD 
-          : calculatedThreshold
-        const finalAuthenticationThreshold = Math.max(
-          AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD, 
-          safeCalculatedThreshold * 1.2
+        // Training and calibration run in a background worker - the client polls the job for progress
+        const job = enqueueTrainingJob({
+          username,
+          template,
+          featureSchema,
+          samples: collectedSamples,
+          impostors,
+          detectorIds,
+          primaryDetector: primary,
+          seed: seed ?? generateTrainingSeed(),
+          trainedAt: new Date().toISOString(),
+        })
+        console.log(
+          `Queued training job ${job.id} for ${username} on ${deviceName} (${detectorIds.join(", ")}, ${collectedSamples.length} samples)`,
         )
 
-        // Calculate mean reconstruction error properly
-        const meanReconstructionError = reconstructionErrorsOnOriginalSamples.length > 0 
-          ? reconstructionErrorsOnOriginalSamples.reduce((a, b) => a + b, 0) / reconstructionErrorsOnOriginalSamples.length
-          : 0
-
-        // Create comprehensive model data for storage
-        const trainedModelData = {
-          username,
-          modelType: "autoencoder",
-          inputDim: inputFeatureDimensions,
-          normalizationParams: { min, max },
-          threshold: finalAuthenticationThreshold,
-          autoencoder: autoencoderModel.serialize(),
-          trainingStats: {
-            samples: collectedSamples.length,
-            augmentedSamples: augmentedTrainingSet.length,
-            reconstructionErrors: reconstructionErrorsOnOriginalSamples,
-            meanError: meanReconstructionError,
-            maxError: Math.max(...reconstructionErrorsOnOriginalSamples),
-            minError: Math.min(...reconstructionErrorsOnOriginalSamples),
-            calculatedThreshold: safeCalculatedThreshold,
-            finalThreshold: finalAuthenticationThreshold,
-            finalLoss: trainingLossHistory[trainingLossHistory.length - 1],
-          },
-          createdAt: new Date().toISOString(),
+        // The mouse model retrains alongside once enough samples were clicked through
+        let mouseJobId: string | null = null
+        const mouseFeatureSchema = createMouseFeatureSchema()
+        const mouseSamples = AUTH_CONFIG.MOUSE_DYNAMICS_ENABLED ? await loadMouseSamples(mouse, mouseFeatureSchema) : []
+        if (mouseSamples.length >= AUTH_CONFIG.MOUSE_SAMPLES_REQUIRED) {
+          const mouseJob = enqueueTrainingJob({
+            username,
+            template: mouse,
+            featureSchema: mouseFeatureSchema,
+            samples: mouseSamples,
+            impostors: await loadMouseImpostorSamples(username, mouseFeatureSchema),
+            detectorIds,
+            primaryDetector: primary,
+            seed: generateTrainingSeed(),
+            trainedAt: new Date().toISOString(),
+          })
+          mouseJobId = mouseJob.id
+          console.log(`Queued mouse training job ${mouseJob.id} for ${username} on ${deviceName} (${mouseSamples.length} samples)`)
         }
 
-        // Save the trained model to disk (this overwrites any existing model)
-        const modelFilePath = path.join(userModelDirectory, "model.json")
-        await fs.writeFile(modelFilePath, JSON.stringify(trainedModelData, null, 2))
-
-        console.log(`Autoencoder trained successfully for ${username}:`, {
-          samples: collectedSamples.length,
-          augmented: augmentedTrainingSet.length,
-          threshold: finalAuthenticationThreshold,
-          meanReconstructionError: meanReconstructionError,
-          finalLoss: trainingLossHistory[trainingLossHistory.length - 1],
+        return reply({
+          success: true,
+          sampleStored: true,
+          jobId: job.id,
+          mouseJobId,
+          mouseSampleStored,
+          device: deviceName,
+          quality,
+          consistency,
         })
       }
     }
 
-    return NextResponse.json({ success: true })
+    return reply({ success: true, sampleStored: true, jobId: null, mouseSampleStored, device: deviceName, quality })
   } catch (error) {
     console.error("Autoencoder training failed:", error)
     return NextResponse.json({ error: "Training failed" }, { status: 500 })
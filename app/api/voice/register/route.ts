@@ -1,71 +1,54 @@
 import { type NextRequest, NextResponse } from "next/server"
-import fs from "fs/promises"
-import path from "path"
+import { z } from "zod"
+import { jsonFieldSchema, parseFormData, usernameSchema } from "@/lib/request-validation"
+import { getStorage } from "@/lib/storage"
+import { getUserSession, KEYSTROKE_PASS_FACTORS, sessionCovers } from "@/lib/user-sessions"
 import type { SessionVoiceProfile } from "@/utils/voice-feature-extractor"
 
+// One feature set per recording, extracted in the browser. Only the MFCCs are required - the other
+// fields are averaged as they come.
+const voiceFeaturesSchema = z
+  .object({ mfccMean: z.array(z.number()) })
+  .passthrough()
+  .transform((features) => features as unknown as SessionVoiceProfile)
+
+const voiceRegisterSchema = z
+  .object({
+    username: usernameSchema,
+    features: jsonFieldSchema(
+      z.array(voiceFeaturesSchema).min(1, "are missing - no voice features were extracted, please make sure the audio is clear enough"),
+    ),
+  })
+  .catchall(z.unknown()) // sample_0, sample_1, ... - the recordings themselves
+
+// A voice pass on /api/voice/verify signs the user in, so only the user - signed in with a keystroke pass -
+// may set the profile it is checked against
 export async function POST(request: NextRequest) {
   try {
-    const formData = await request.formData()
-    const username = formData.get("username") as string
-    const featuresJson = formData.get("features") as string
-
-    if (!username) {
-      return NextResponse.json({ error: "Username is required" }, { status: 400 })
+    const parsed = await parseFormData(request, voiceRegisterSchema)
+    if (!parsed.success) {
+      return NextResponse.json({ error: parsed.error, success: false }, { status: 400 })
     }
+    const { username, features: extractedFeatures, ...recordings } = parsed.data
 
-    // Parse the extracted features with validation
-    let extractedFeatures: SessionVoiceProfile[] = []
-    try {
-      extractedFeatures = featuresJson ? JSON.parse(featuresJson) : []
-
-      // Validate that we have features
-      if (extractedFeatures.length === 0) {
-        return NextResponse.json(
-          {
-            error: "No voice features extracted. Please ensure audio quality is sufficient.",
-            success: false,
-          },
-          { status: 400 },
-        )
-      }
-
-      // Validate feature structure
-      for (const feature of extractedFeatures) {
-        if (!feature.mfccMean || !Array.isArray(feature.mfccMean)) {
-          return NextResponse.json(
-            {
-              error: "Invalid voice features detected. Please try recording again.",
-              success: false,
-            },
-            { status: 400 },
-          )
-        }
-      }
-    } catch (error) {
-      console.error("Failed to parse features:", error)
+    const session = await getUserSession(request)
+    if (!sessionCovers(session, username, KEYSTROKE_PASS_FACTORS)) {
       return NextResponse.json(
-        {
-          error: "Failed to process voice features. Please try again.",
-          success: false,
-        },
-        { status: 400 },
+        { error: "Sign in as this user with passphrase and typing rhythm to register a voice profile", success: false },
+        { status: session ? 403 : 401 },
       )
     }
 
-    // Create user voice directory
-    const voiceDir = path.join(process.cwd(), "voice_models", username)
-    await fs.mkdir(voiceDir, { recursive: true })
+    const voiceProfiles = getStorage().voiceProfiles
 
     // Save voice samples
     const samples = []
     let sampleIndex = 0
 
-    while (formData.get(`sample_${sampleIndex}`)) {
-      const sample = formData.get(`sample_${sampleIndex}`) as File
-      const samplePath = path.join(voiceDir, `voice_sample_${sampleIndex}.webm`)
-
+    while (recordings[`sample_${sampleIndex}`] instanceof Blob) {
+      const sample = recordings[`sample_${sampleIndex}`] as Blob
       const arrayBuffer = await sample.arrayBuffer()
-      await fs.writeFile(samplePath, Buffer.from(arrayBuffer))
+      await voiceProfiles.saveRecording(username, `voice_sample_${sampleIndex}.webm`, new Uint8Array(arrayBuffer))
 
       samples.push({
         index: sampleIndex,
@@ -92,8 +75,7 @@ export async function POST(request: NextRequest) {
     }
 
     // Save voice profile
-    const profilePath = path.join(voiceDir, "voice_profile.json")
-    await fs.writeFile(profilePath, JSON.stringify(voiceProfile, null, 2))
+    await voiceProfiles.save(username, voiceProfile)
 
     console.log(`Voice profile created for ${username} with ${samples.length} samples and biometric features`)
 
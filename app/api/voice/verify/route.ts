@@ -1,34 +1,53 @@
 import { type NextRequest, NextResponse } from "next/server"
-import fs from "fs/promises"
-import path from "path"
+import { z } from "zod"
 import { type SessionVoiceProfile, calculateComprehensiveVoiceMatch } from "@/utils/voice-feature-extractor"
 import { AUTH_CONFIG } from "@/config/auth-config"
+import { checkRateLimit, logRateLimitEvent, recordAuthOutcome } from "@/lib/auth-rate-limits"
+import { clientAddress } from "@/lib/client-address"
+import { jsonFieldSchema, parseFormData, usernameSchema } from "@/lib/request-validation"
+import { getStorage } from "@/lib/storage"
+import { describeSession, issueUserSession, setSessionCookie } from "@/lib/user-sessions"
+
+// Features of the sample, extracted in the browser - same layout as one enrollment feature set
+const voiceVerifySchema = z.object({
+  username: usernameSchema,
+  voice_sample: z.instanceof(Blob, { message: "must be an audio file" }),
+  features: jsonFieldSchema(
+    z
+      .object({ mfccMean: z.array(z.number()) })
+      .passthrough()
+      .transform((features) => features as unknown as SessionVoiceProfile),
+  ),
+})
 
 export async function POST(request: NextRequest) {
   try {
-    const formData = await request.formData()
-    const username = formData.get("username") as string
-    const voiceSample = formData.get("voice_sample") as File
-    const featuresJson = formData.get("features") as string
-
-    if (!username || !voiceSample) {
-      return NextResponse.json({ error: "Username and voice sample are required" }, { status: 400 })
+    const parsed = await parseFormData(request, voiceVerifySchema)
+    if (!parsed.success) {
+      return NextResponse.json({ error: parsed.error }, { status: 400 })
     }
+    const { username, voice_sample: voiceSample, features: extractedFeatures } = parsed.data
 
-    // Parse the extracted features
-    const extractedFeatures: SessionVoiceProfile = featuresJson ? JSON.parse(featuresJson) : null
-
-    if (!extractedFeatures) {
-      return NextResponse.json({ error: "Voice features are required" }, { status: 400 })
+    // Voice is a way in too, so it shares the keystroke login's failure counters and lockouts
+    const rateLimit = await checkRateLimit(username, clientAddress(request))
+    if (!rateLimit.allowed) {
+      await logRateLimitEvent(request, username, rateLimit.reasonCode)
+      return NextResponse.json(
+        {
+          success: false,
+          error: rateLimit.reason,
+          reasonCode: rateLimit.reasonCode,
+          retryAfterSeconds: rateLimit.retryAfterSeconds,
+        },
+        { status: 429, headers: { "Retry-After": String(rateLimit.retryAfterSeconds) } },
+      )
     }
 
-    // Check if voice profile exists
-    const voiceDir = path.join(process.cwd(), "voice_models", username)
-    const profilePath = path.join(voiceDir, "voice_profile.json")
-
-    try {
-      await fs.access(profilePath)
-    } catch {
+    // Load voice profile
+    const voiceProfiles = getStorage().voiceProfiles
+    const voiceProfile = await voiceProfiles.read(username)
+    if (!voiceProfile) {
+      await recordAuthOutcome(request, username, false)
       return NextResponse.json(
         {
           success: false,
@@ -38,14 +57,10 @@ export async function POST(request: NextRequest) {
       )
     }
 
-    // Load voice profile
-    const profileData = await fs.readFile(profilePath, "utf-8")
-    const voiceProfile = JSON.parse(profileData)
-
     // Save verification sample for analysis
-    const verificationPath = path.join(voiceDir, `verification_${Date.now()}.webm`)
+    const verificationFile = `verification_${Date.now()}.webm`
     const arrayBuffer = await voiceSample.arrayBuffer()
-    await fs.writeFile(verificationPath, Buffer.from(arrayBuffer))
+    await voiceProfiles.saveRecording(username, verificationFile, new Uint8Array(arrayBuffer))
 
     // Compare extracted features with the reference model using robust similarity
     const referenceModel = voiceProfile.referenceModel
@@ -56,6 +71,7 @@ export async function POST(request: NextRequest) {
     // Use configurable threshold
     const SIMILARITY_THRESHOLD = AUTH_CONFIG.VOICE_MATCH_THRESHOLD
     const success = similarityResult.overallSimilarity >= SIMILARITY_THRESHOLD
+    await recordAuthOutcome(request, username, success)
 
     // Enhanced logging with robustness metrics
     const verificationLog = {
@@ -65,7 +81,7 @@ export async function POST(request: NextRequest) {
       similarityScore: similarityResult.overallSimilarity,
       threshold: SIMILARITY_THRESHOLD,
       sampleSize: voiceSample.size,
-      verificationFile: path.basename(verificationPath),
+      verificationFile,
       robustnessMetrics: {
         pitchNormalizedSimilarity: similarityResult.pitchNormalizedSimilarity,
         tempoNormalizedSimilarity: similarityResult.tempoNormalizedSimilarity,
@@ -82,19 +98,21 @@ export async function POST(request: NextRequest) {
       },
     }
 
-    const logPath = path.join(voiceDir, "verification_log.jsonl")
-    await fs.appendFile(logPath, JSON.stringify(verificationLog) + "\n")
+    await voiceProfiles.appendVerification(username, verificationLog)
 
     // Clean up verification file after processing (optional)
     setTimeout(async () => {
       try {
-        await fs.unlink(verificationPath)
+        await voiceProfiles.deleteRecording(username, verificationFile)
       } catch (error) {
         console.error("Failed to clean up verification file:", error)
       }
     }, 5000)
 
-    return NextResponse.json({
+    // A match signs the user in, or adds the voice factor to the session they already have
+    const session = success ? await issueUserSession(request, username, ["voice"]) : null
+
+    const response = NextResponse.json({
       success,
       similarityScore: similarityResult.overallSimilarity,
       threshold: SIMILARITY_THRESHOLD,
@@ -103,7 +121,12 @@ export async function POST(request: NextRequest) {
       detailedMetrics: verificationLog.detailedMetrics,
       confidenceLevel:
         similarityResult.confidenceScore > 0.8 ? "high" : similarityResult.confidenceScore > 0.6 ? "medium" : "low",
+      session: session ? describeSession(session.claims, session.token) : null,
     })
+    if (session) {
+      setSessionCookie(response, request, session)
+    }
+    return response
   } catch (error) {
     console.error("Voice verification failed:", error)
     return NextResponse.json({ error: "Voice verification failed" }, { status: 500 })
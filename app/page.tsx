@@ -4,6 +4,7 @@
 import { useState } from "react"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { KeystrokeCapture } from "@/components/keystroke-capture"
+import { TouchCapture } from "@/components/touch-capture"
 import { AuditDashboard } from "@/components/audit-dashboard"
 import { AdminPanel } from "@/components/admin-panel"
 import { ThemeToggle } from "@/components/theme-toggle"
@@ -87,7 +88,10 @@ export default function HomePage() {
 
           {/* Tab content areas with smooth animations */}
           <TabsContent value="auth" className="mt-6 animate-slide-up">
-            <KeystrokeCapture />
+            <div className="space-y-6">
+              <KeystrokeCapture />
+              <TouchCapture />
+            </div>
           </TabsContent>
 
           <TabsContent value="audit" className="mt-6 animate-slide-up">
@@ -1,6 +1,6 @@
 "use client"
 
-// Admin panel for system management - probably need better auth than hardcoded password
+// Admin panel for system management - signs in with an admin account and only shows what its role allows
 import { useState, useEffect } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
@@ -8,7 +8,9 @@ import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
-import { Shield, Download, Trash2, Terminal, Server, UserX, Users, AlertTriangle } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Shield, Download, Trash2, Terminal, Server, UserX, Users, AlertTriangle, History, GitCompare, RotateCcw, LogOut, KeyRound, Lock, LockOpen } from "lucide-react"
+import { ADMIN_ROLES, hasAdminRole, type AdminRole } from "@/lib/admin-roles"
 
 // User interface for the user list
 interface User {
@@ -18,11 +20,58 @@ interface User {
   lastActivity?: string
 }
 
+// Summary of a stored keystroke model version (see lib/model-versions)
+interface ModelVersionSummary {
+  version: number
+  createdAt: string
+  source: string
+  metadata: {
+    samples: number | null
+    primaryDetector: string | null
+    seed?: number | null // Missing on versions saved before training was seeded
+    detectors: Record<string, { threshold: number; estimatedFar: number | null; estimatedFrr: number | null }>
+  }
+}
+
+// The signed-in admin, as returned by /api/admin/session
+interface SignedInAdmin {
+  username: string
+  role: AdminRole
+}
+
+// An admin account as listed by /api/admin/accounts
+interface AdminAccountSummary {
+  username: string
+  role: AdminRole
+  createdAt: string
+  createdBy: string | null
+}
+
+// A locked username or IP, as listed by /api/admin/lockouts
+interface LockoutSummary {
+  kind: "user" | "admin" | "ip"
+  subject: string
+  lockedUntil: string
+  lockouts: number
+}
+
 export function AdminPanel() {
-  // Authentication state for admin access
+  // Authentication state for admin access - the session itself is an httpOnly cookie
+  const [adminUsername, setAdminUsername] = useState("")
   const [adminPassword, setAdminPassword] = useState("")
-  const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(false)
+  const [admin, setAdmin] = useState<SignedInAdmin | null>(null)
   const [loginError, setLoginError] = useState("")
+
+  // Admin account management (superadmin only)
+  const [adminAccounts, setAdminAccounts] = useState<AdminAccountSummary[]>([])
+  const [newAccountUsername, setNewAccountUsername] = useState("")
+  const [newAccountPassword, setNewAccountPassword] = useState("")
+  const [newAccountRole, setNewAccountRole] = useState<AdminRole>("viewer")
+  const [accountError, setAccountError] = useState("")
+
+  // Lockouts after too many failed attempts
+  const [lockouts, setLockouts] = useState<LockoutSummary[]>([])
+  const [lockoutError, setLockoutError] = useState("")
   
   // User management state
   const [registeredUsers, setRegisteredUsers] = useState<string[]>([])
@@ -30,20 +79,153 @@ export function AdminPanel() {
   const [isDeletingUser, setIsDeletingUser] = useState(false)
   const [deletionResult, setDeletionResult] = useState<any>(null)
 
-  // Fetch user list when admin is authenticated
+  // Model version state
+  const [versionUser, setVersionUser] = useState("")
+  const [versionDevice, setVersionDevice] = useState("default") // Each device template has its own versions
+  const [versionDevices, setVersionDevices] = useState<string[]>([])
+  const [modelVersions, setModelVersions] = useState<ModelVersionSummary[]>([])
+  const [activeVersion, setActiveVersion] = useState<number | null>(null)
+  const [versionError, setVersionError] = useState("")
+  const [diffFrom, setDiffFrom] = useState("")
+  const [diffTo, setDiffTo] = useState("")
+  const [versionDiff, setVersionDiff] = useState<any>(null)
+  const [versionsToKeep, setVersionsToKeep] = useState("5")
+
+  // Pick up a session that is still open from before a page reload
   useEffect(() => {
-    if (isAdminAuthenticated) {
+    fetch("/api/admin/session")
+      .then((response) => response.json())
+      .then((data) => data.success && setAdmin(data.admin))
+      .catch((error) => console.error("Failed to check admin session:", error))
+  }, [])
+
+  // Fetch user list (and lockouts and accounts, for the roles that see them) once an admin is signed in
+  useEffect(() => {
+    if (admin) {
       loadUserList()
+      if (hasAdminRole(admin.role, "auditor")) {
+        loadLockouts()
+      }
+      if (hasAdminRole(admin.role, "superadmin")) {
+        loadAdminAccounts()
+      }
     }
-  }, [isAdminAuthenticated])
+  }, [admin])
+
+  const can = (role: AdminRole) => admin !== null && hasAdminRole(admin.role, role)
 
-  // Simple admin authentication - TODO: implement proper auth system
-  const authenticateAdmin = () => {
-    if (adminPassword === "admin123") {
-      setIsAdminAuthenticated(true)
+  const authenticateAdmin = async () => {
+    try {
+      const response = await fetch("/api/admin/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: adminUsername, password: adminPassword }),
+      })
+      const result = await response.json()
+      if (!result.success) {
+        setLoginError(result.error || "Invalid admin credentials")
+        return
+      }
+      setAdmin(result.admin)
       setLoginError("")
-    } else {
-      setLoginError("Invalid admin credentials")
+    } catch (error) {
+      setLoginError("Admin sign-in failed: " + error)
+    } finally {
+      setAdminPassword("")
+    }
+  }
+
+  const signOutAdmin = async () => {
+    await fetch("/api/admin/logout", { method: "POST" }).catch(() => undefined)
+    setAdmin(null)
+    setRegisteredUsers([])
+    setAdminAccounts([])
+    setLockouts([])
+    setModelVersions([])
+    setVersionUser("")
+  }
+
+  const loadAdminAccounts = async () => {
+    try {
+      const response = await fetch("/api/admin/accounts")
+      const data = await response.json()
+      if (!data.success) {
+        setAccountError(data.error || "Failed to load admin accounts")
+        return
+      }
+      setAdminAccounts(data.accounts)
+    } catch (error) {
+      setAccountError("Failed to load admin accounts: " + error)
+    }
+  }
+
+  const createAdminAccount = async () => {
+    setAccountError("")
+    try {
+      const response = await fetch("/api/admin/accounts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: newAccountUsername, password: newAccountPassword, role: newAccountRole }),
+      })
+      const result = await response.json()
+      if (!result.success) {
+        setAccountError(result.error || "Failed to create admin account")
+        return
+      }
+      setNewAccountUsername("")
+      setNewAccountPassword("")
+      await loadAdminAccounts()
+    } catch (error) {
+      setAccountError("Failed to create admin account: " + error)
+    }
+  }
+
+  const deleteAdminAccount = async (username: string) => {
+    if (!confirm(`Delete admin account ${username}? They are signed out immediately.`)) return
+    setAccountError("")
+    try {
+      const response = await fetch(`/api/admin/accounts?${new URLSearchParams({ username })}`, { method: "DELETE" })
+      const result = await response.json()
+      if (!result.success) {
+        setAccountError(result.error || "Failed to delete admin account")
+        return
+      }
+      await loadAdminAccounts()
+    } catch (error) {
+      setAccountError("Failed to delete admin account: " + error)
+    }
+  }
+
+  const loadLockouts = async () => {
+    try {
+      const response = await fetch("/api/admin/lockouts")
+      const data = await response.json()
+      if (!data.success) {
+        setLockoutError(data.error || "Failed to load lockouts")
+        return
+      }
+      setLockouts(data.lockouts)
+    } catch (error) {
+      setLockoutError("Failed to load lockouts: " + error)
+    }
+  }
+
+  const unlock = async ({ kind, subject }: LockoutSummary) => {
+    setLockoutError("")
+    try {
+      const response = await fetch("/api/admin/lockouts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ kind, subject }),
+      })
+      const result = await response.json()
+      if (!result.success) {
+        setLockoutError(result.error || "Failed to unlock")
+        return
+      }
+      await loadLockouts()
+    } catch (error) {
+      setLockoutError("Failed to unlock: " + error)
     }
   }
 
@@ -96,10 +278,7 @@ Type the username "${targetUser}" to confirm:`
       const response = await fetch("/api/delete-user-data", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          username: targetUser,
-          adminPassword: adminPassword,
-        }),
+        body: JSON.stringify({ username: targetUser }),
       })
 
       const result = await response.json()
@@ -110,7 +289,7 @@ Type the username "${targetUser}" to confirm:`
         setTargetUser("")
         loadUserList() // Refresh the user list
       } else {
-        setLoginError(result.message || "Failed to delete user data")
+        setLoginError(result.error || result.message || "Failed to delete user data")
       }
     } catch (error) {
       setLoginError("Failed to delete user data: " + error)
@@ -119,6 +298,86 @@ Type the username "${targetUser}" to confirm:`
     }
   }
 
+  // Load the stored model versions for the selected user
+  const loadModelVersions = async (username = versionUser, device = versionDevice) => {
+    if (!username) return
+    setVersionError("")
+    setVersionDiff(null)
+    try {
+      const query = new URLSearchParams({ username, device })
+      const response = await fetch(`/api/model-versions?${query}`)
+      const data = await response.json()
+      if (!data.success) {
+        setVersionError(data.error || "Failed to load model versions")
+        return
+      }
+      setModelVersions(data.versions)
+      setActiveVersion(data.activeVersion)
+      setVersionDevices(data.devices)
+    } catch (error) {
+      setVersionError("Failed to load model versions: " + error)
+    }
+  }
+
+  // Roll the user's authentication back (or forward) to another version
+  const activateVersion = async (version: number) => {
+    if (!confirm(`Make version ${version} the active model for ${versionUser} (${versionDevice})?`)) return
+    try {
+      const response = await fetch("/api/model-versions/activate", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: versionUser, version, device: versionDevice }),
+      })
+      const result = await response.json()
+      if (!result.success) {
+        setVersionError(result.error || "Failed to activate version")
+        return
+      }
+      await loadModelVersions()
+    } catch (error) {
+      setVersionError("Failed to activate version: " + error)
+    }
+  }
+
+  const compareVersions = async () => {
+    if (!diffFrom || !diffTo) return
+    try {
+      const query = new URLSearchParams({ username: versionUser, device: versionDevice, from: diffFrom, to: diffTo })
+      const response = await fetch(`/api/model-versions/diff?${query}`)
+      const result = await response.json()
+      if (!result.success) {
+        setVersionError(result.error || "Failed to compare versions")
+        return
+      }
+      setVersionDiff(result.diff)
+    } catch (error) {
+      setVersionError("Failed to compare versions: " + error)
+    }
+  }
+
+  const pruneVersions = async () => {
+    const keep = Number(versionsToKeep)
+    if (!confirm(`Delete all but the newest ${keep} versions for ${versionUser}? The active version is always kept.`)) return
+    try {
+      const response = await fetch("/api/model-versions/prune", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: versionUser, keep, device: versionDevice }),
+      })
+      const result = await response.json()
+      if (!result.success) {
+        setVersionError(result.error || "Failed to prune versions")
+        return
+      }
+      alert(`🧹 Pruned ${result.prunedVersions.length} model versions`)
+      await loadModelVersions()
+    } catch (error) {
+      setVersionError("Failed to prune versions: " + error)
+    }
+  }
+
+  const formatStat = (value: number | null) => (value === null ? "—" : Number(value.toFixed(4)).toString())
+
   // Clear all security logs - another dangerous operation
   const purgeSecurityLogs = async () => {
     if (confirm("⚠️ WARNING: This will permanently delete all security logs. Continue?")) {
@@ -150,7 +409,7 @@ Type the username "${targetUser}" to confirm:`
   }
 
   // Show login screen if admin hasn't authenticated yet
-  if (!isAdminAuthenticated) {
+  if (!admin) {
     return (
       <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
         <CardHeader
@@ -171,9 +430,17 @@ Type the username "${targetUser}" to confirm:`
         </CardHeader>
         <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
           <div className="space-y-2">
-            <Label htmlFor="admin-password" className="text-slate-300 dark:text-slate-400">
+            <Label htmlFor="admin-username" className="text-slate-300 dark:text-slate-400">
               Admin Credentials
             </Label>
+            <Input
+              id="admin-username"
+              value={adminUsername}
+              onChange={(e) => setAdminUsername(e.target.value)}
+              placeholder="Admin username"
+              autoComplete="username"
+              className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-purple-500/50 dark:focus:border-purple-400/50 transition-all duration-300"
+            />
             <Input
               id="admin-password"
               type="password"
@@ -181,9 +448,10 @@ Type the username "${targetUser}" to confirm:`
               onChange={(e) => setAdminPassword(e.target.value)}
               onKeyDown={(e) => e.key === "Enter" && authenticateAdmin()}
               placeholder="Enter admin password"
+              autoComplete="current-password"
               className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-purple-500/50 dark:focus:border-purple-400/50 transition-all duration-300"
             />
-            <p className="text-xs text-slate-500">Default: admin123 (for demo purposes only)</p>
+            <p className="text-xs text-slate-500">No account yet? Create the first one with npm run admin:create</p>
           </div>
 
           {loginError && (
@@ -206,29 +474,145 @@ Type the username "${targetUser}" to confirm:`
 
   return (
     <div className="space-y-6">
+      {/* Signed-in admin */}
+      <div className="flex items-center justify-between gap-4 p-3 bg-slate-800/50 rounded-lg border border-slate-700/50">
+        <div className="flex items-center gap-2 text-sm text-slate-300">
+          <Shield className="w-4 h-4 text-purple-400" />
+          Signed in as <span className="font-medium text-slate-100">{admin.username}</span>
+          <Badge variant="outline" className="text-purple-300 border-purple-500/50">
+            {admin.role}
+          </Badge>
+        </div>
+        <Button size="sm" variant="outline" onClick={signOutAdmin} className="border-slate-600 text-slate-300">
+          <LogOut className="w-4 h-4 mr-2" />
+          Sign Out
+        </Button>
+      </div>
+
       {/* User Data Management */}
+      {can("superadmin") && (
+        <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+          <CardHeader
+            className="border-b border-slate-700/50 dark:border-slate-600/50"
+            style={{
+              background: "linear-gradient(to right, rgba(220, 38, 38, 0.8), rgba(239, 68, 68, 0.8))",
+            }}
+          >
+            <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+              <UserX className="w-5 h-5 text-red-400" />
+              <span className="bg-gradient-to-r from-red-400 to-orange-400 bg-clip-text text-transparent">
+                🗑️ User Data Management
+              </span>
+            </CardTitle>
+            <CardDescription className="text-slate-400 dark:text-slate-500">
+              ⚠️ DANGER ZONE: Permanently delete all user data including models, logs, and training data
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label className="text-slate-300">Select User to Delete</Label>
+                <Select value={targetUser} onValueChange={setTargetUser}>
+                  <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                    <SelectValue placeholder="Choose user..." />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-600">
+                    {registeredUsers.map((user) => (
+                      <SelectItem key={user} value={user} className="text-slate-200 hover:bg-slate-700">
+                        {user}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-slate-500">Found {registeredUsers.length} registered users</p>
+              </div>
+
+              <div className="flex items-end">
+                <Button
+                  onClick={permanentlyDeleteUser}
+                  disabled={!targetUser || isDeletingUser}
+                  className="w-full bg-gradient-to-r from-red-600/80 to-red-700/80 hover:from-red-500 hover:to-red-600 border border-red-500/50 text-white font-medium"
+                >
+                  <UserX className="w-4 h-4 mr-2" />
+                  {isDeletingUser ? "Deleting..." : "🗑️ DELETE ALL USER DATA"}
+                </Button>
+              </div>
+            </div>
+
+            {deletionResult && (
+              <Alert
+                className={`border-${deletionResult.success ? "green" : "red"}-500/50 bg-${deletionResult.success ? "green" : "red"}-500/10`}
+              >
+                <AlertTriangle className="w-4 h-4" />
+                <AlertDescription className={`text-${deletionResult.success ? "green" : "red"}-300`}>
+                  <div className="font-medium">{deletionResult.message}</div>
+                  {deletionResult.deletionResults && (
+                    <div className="mt-2 text-sm">
+                      <div>
+                        ✅ Keystroke Models: {deletionResult.deletionResults.keystrokeModels ? "Deleted" : "Not Found"}
+                      </div>
+                      <div>✅ Voice Models: {deletionResult.deletionResults.voiceModels ? "Deleted" : "Not Found"}</div>
+                      <div>✅ Auth Logs: {deletionResult.deletionResults.authLogs ? "Cleaned" : "Not Found"}</div>
+                      {deletionResult.deletionResults.errors.length > 0 && (
+                        <div className="mt-1 text-red-400">Errors: {deletionResult.deletionResults.errors.join(", ")}</div>
+                      )}
+                    </div>
+                  )}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-4">
+              <div className="flex items-start gap-2">
+                <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+                <div className="text-sm text-red-300">
+                  <div className="font-medium mb-1">⚠️ WARNING: This action is IRREVERSIBLE</div>
+                  <ul className="list-disc list-inside space-y-1 text-xs">
+                    <li>Deletes all trained ML models (keystroke & voice)</li>
+                    <li>Removes all authentication logs and history</li>
+                    <li>Erases all raw training data and samples</li>
+                    <li>Clears user from audit dashboard</li>
+                    <li>Cannot be undone - user will need to re-register</li>
+                  </ul>
+                </div>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Model Versions */}
       <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
         <CardHeader
           className="border-b border-slate-700/50 dark:border-slate-600/50"
           style={{
-            background: "linear-gradient(to right, rgba(220, 38, 38, 0.8), rgba(239, 68, 68, 0.8))",
+            background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
           }}
         >
           <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
-            <UserX className="w-5 h-5 text-red-400" />
-            <span className="bg-gradient-to-r from-red-400 to-orange-400 bg-clip-text text-transparent">
-              🗑️ User Data Management
+            <History className="w-5 h-5 text-purple-400" />
+            <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
+              Model Versions
             </span>
           </CardTitle>
           <CardDescription className="text-slate-400 dark:text-slate-500">
-            ⚠️ DANGER ZONE: Permanently delete all user data including models, logs, and training data
+            Every retrain is kept as a version - roll back a bad one without re-enrolling the user
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div className="space-y-2">
-              <Label className="text-slate-300">Select User to Delete</Label>
-              <Select value={targetUser} onValueChange={setTargetUser}>
+              <Label className="text-slate-300">User</Label>
+              <Select
+                value={versionUser}
+                onValueChange={(username) => {
+                  setVersionUser(username)
+                  setVersionDevice("default")
+                  setDiffFrom("")
+                  setDiffTo("")
+                  loadModelVersions(username, "default")
+                }}
+              >
                 <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
                   <SelectValue placeholder="Choose user..." />
                 </SelectTrigger>
@@ -240,62 +624,340 @@ Type the username "${targetUser}" to confirm:`
                   ))}
                 </SelectContent>
               </Select>
-              <p className="text-xs text-slate-500">Found {registeredUsers.length} registered users</p>
+              {versionDevices.some((device) => device !== "default") && (
+                <Select
+                  value={versionDevice}
+                  onValueChange={(device) => {
+                    setVersionDevice(device)
+                    setDiffFrom("")
+                    setDiffTo("")
+                    loadModelVersions(versionUser, device)
+                  }}
+                >
+                  <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                    <SelectValue placeholder="Device template..." />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-600">
+                    {versionDevices.map((device) => (
+                      <SelectItem key={device} value={device} className="text-slate-200 hover:bg-slate-700">
+                        {device}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
             </div>
 
-            <div className="flex items-end">
-              <Button
-                onClick={permanentlyDeleteUser}
-                disabled={!targetUser || isDeletingUser}
-                className="w-full bg-gradient-to-r from-red-600/80 to-red-700/80 hover:from-red-500 hover:to-red-600 border border-red-500/50 text-white font-medium"
-              >
-                <UserX className="w-4 h-4 mr-2" />
-                {isDeletingUser ? "Deleting..." : "🗑️ DELETE ALL USER DATA"}
-              </Button>
-            </div>
+            {can("operator") && (
+              <div className="flex items-end gap-2">
+                <Input
+                  type="number"
+                  min={0}
+                  value={versionsToKeep}
+                  onChange={(e) => setVersionsToKeep(e.target.value)}
+                  className="w-20 bg-slate-700/50 border-slate-600/50 text-slate-200"
+                />
+                <Button
+                  onClick={pruneVersions}
+                  disabled={!versionUser || modelVersions.length === 0 || versionsToKeep === ""}
+                  className="flex-1 bg-red-600/80 hover:bg-red-500 border border-red-500/50"
+                >
+                  <Trash2 className="w-4 h-4 mr-2" />
+                  Prune Older Versions
+                </Button>
+              </div>
+            )}
           </div>
 
-          {deletionResult && (
-            <Alert
-              className={`border-${deletionResult.success ? "green" : "red"}-500/50 bg-${deletionResult.success ? "green" : "red"}-500/10`}
-            >
-              <AlertTriangle className="w-4 h-4" />
-              <AlertDescription className={`text-${deletionResult.success ? "green" : "red"}-300`}>
-                <div className="font-medium">{deletionResult.message}</div>
-                {deletionResult.deletionResults && (
-                  <div className="mt-2 text-sm">
-                    <div>
-                      ✅ Keystroke Models: {deletionResult.deletionResults.keystrokeModels ? "Deleted" : "Not Found"}
+          {versionError && (
+            <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
+              <AlertDescription>{versionError}</AlertDescription>
+            </Alert>
+          )}
+
+          {versionUser && modelVersions.length === 0 && !versionError && (
+            <p className="text-sm text-slate-500">
+              No stored versions yet - the user's model is versioned the next time it is trained
+            </p>
+          )}
+
+          {modelVersions.length > 0 && (
+            <div className="space-y-2">
+              {[...modelVersions].reverse().map((modelVersion) => {
+                const primary = modelVersion.metadata.primaryDetector
+                const primaryStats = primary ? modelVersion.metadata.detectors[primary] : undefined
+                return (
+                  <div
+                    key={modelVersion.version}
+                    className="flex items-center justify-between gap-4 p-3 bg-slate-700/30 rounded-lg border border-slate-600/30"
+                  >
+                    <div className="text-sm text-slate-300 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-slate-100">v{modelVersion.version}</span>
+                        <Badge variant="outline" className="text-slate-400 border-slate-600">
+                          {modelVersion.source}
+                        </Badge>
+                        {modelVersion.version === activeVersion && (
+                          <Badge className="bg-green-600/80 text-white">active</Badge>
+                        )}
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        {new Date(modelVersion.createdAt).toLocaleString()} · {modelVersion.metadata.samples ?? "?"} samples
+                        · {primary ?? "unknown detector"}
+                        {primaryStats &&
+                          ` · threshold ${formatStat(primaryStats.threshold)} · FAR ${formatStat(primaryStats.estimatedFar)} · FRR ${formatStat(primaryStats.estimatedFrr)}`}
+                        {modelVersion.metadata.seed != null && ` · seed ${modelVersion.metadata.seed}`}
+                      </div>
                     </div>
-                    <div>✅ Voice Models: {deletionResult.deletionResults.voiceModels ? "Deleted" : "Not Found"}</div>
-                    <div>✅ Auth Logs: {deletionResult.deletionResults.authLogs ? "Cleaned" : "Not Found"}</div>
-                    {deletionResult.deletionResults.errors.length > 0 && (
-                      <div className="mt-1 text-red-400">Errors: {deletionResult.deletionResults.errors.join(", ")}</div>
-                    )}
+                    <Button
+                      size="sm"
+                      onClick={() => activateVersion(modelVersion.version)}
+                      disabled={modelVersion.version === activeVersion || !can("operator")}
+                      className="bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Activate
+                    </Button>
                   </div>
-                )}
-              </AlertDescription>
-            </Alert>
+                )
+              })}
+            </div>
           )}
 
-          <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-4">
-            <div className="flex items-start gap-2">
-              <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
-              <div className="text-sm text-red-300">
-                <div className="font-medium mb-1">⚠️ WARNING: This action is IRREVERSIBLE</div>
-                <ul className="list-disc list-inside space-y-1 text-xs">
-                  <li>Deletes all trained ML models (keystroke & voice)</li>
-                  <li>Removes all authentication logs and history</li>
-                  <li>Erases all raw training data and samples</li>
-                  <li>Clears user from audit dashboard</li>
-                  <li>Cannot be undone - user will need to re-register</li>
-                </ul>
+          {modelVersions.length > 1 && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {[
+                { label: "Compare from", value: diffFrom, onChange: setDiffFrom },
+                { label: "to", value: diffTo, onChange: setDiffTo },
+              ].map(({ label, value, onChange }) => (
+                <div key={label} className="space-y-2">
+                  <Label className="text-slate-300">{label}</Label>
+                  <Select value={value} onValueChange={onChange}>
+                    <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                      <SelectValue placeholder="Version..." />
+                    </SelectTrigger>
+                    <SelectContent className="bg-slate-800 border-slate-600">
+                      {modelVersions.map((modelVersion) => (
+                        <SelectItem
+                          key={modelVersion.version}
+                          value={String(modelVersion.version)}
+                          className="text-slate-200 hover:bg-slate-700"
+                        >
+                          v{modelVersion.version}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+              <div className="flex items-end">
+                <Button
+                  onClick={compareVersions}
+                  disabled={!diffFrom || !diffTo}
+                  className="w-full bg-blue-600/80 hover:bg-blue-500 border border-blue-500/50"
+                >
+                  <GitCompare className="w-4 h-4 mr-2" />
+                  Compare
+                </Button>
               </div>
             </div>
-          </div>
+          )}
+
+          {versionDiff && (
+            <div className="space-y-3 text-sm">
+              {Object.entries<any>(versionDiff.detectors).map(([detectorId, stats]) => (
+                <div key={detectorId} className="p-3 bg-slate-700/30 rounded-lg border border-slate-600/30">
+                  <div className="font-medium text-slate-200 mb-2">
+                    {detectorId}: v{versionDiff.from.version} → v{versionDiff.to.version}
+                  </div>
+                  <div className="grid grid-cols-4 gap-x-4 gap-y-1 text-xs text-slate-400">
+                    <div className="text-slate-500">Stat</div>
+                    <div className="text-slate-500">From</div>
+                    <div className="text-slate-500">To</div>
+                    <div className="text-slate-500">Change</div>
+                    {Object.entries<any>(stats).map(([stat, { from, to, change }]) => (
+                      <div key={stat} className="contents">
+                        <div>{stat}</div>
+                        <div>{formatStat(from)}</div>
+                        <div>{formatStat(to)}</div>
+                        <div className={change > 0 ? "text-orange-300" : change < 0 ? "text-cyan-300" : ""}>
+                          {change === null ? "—" : `${change > 0 ? "+" : ""}${formatStat(change)}`}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
         </CardContent>
       </Card>
 
+      {/* Lockouts */}
+      {can("auditor") && (
+        <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+          <CardHeader
+            className="border-b border-slate-700/50 dark:border-slate-600/50"
+            style={{
+              background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+            }}
+          >
+            <CardTitle className="flex items-center justify-between text-slate-100 dark:text-slate-200">
+              <span className="flex items-center gap-2">
+                <Lock className="w-5 h-5 text-purple-400" />
+                <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
+                  Lockouts
+                </span>
+              </span>
+              <Button size="sm" variant="outline" onClick={loadLockouts} className="border-slate-600 text-slate-300">
+                <RotateCcw className="w-4 h-4" />
+              </Button>
+            </CardTitle>
+            <CardDescription className="text-slate-400 dark:text-slate-500">
+              Usernames and addresses locked after too many failed logins - operators can unlock them early
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+            {lockouts.length === 0 ? (
+              <p className="text-sm text-slate-500">Nothing is locked out</p>
+            ) : (
+              <div className="space-y-2">
+                {lockouts.map((lockout) => (
+                  <div
+                    key={`${lockout.kind}:${lockout.subject}`}
+                    className="flex items-center justify-between gap-4 p-3 bg-slate-700/30 rounded-lg border border-slate-600/30"
+                  >
+                    <div className="text-sm text-slate-300 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-slate-100">{lockout.subject}</span>
+                        <Badge variant="outline" className="text-slate-400 border-slate-600">
+                          {lockout.kind === "user" ? "username" : lockout.kind === "admin" ? "admin" : "IP"}
+                        </Badge>
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        Locked until {new Date(lockout.lockedUntil).toLocaleString()}
+                        {lockout.lockouts > 1 ? ` - lockout ${lockout.lockouts} in a row` : ""}
+                      </div>
+                    </div>
+                    {can("operator") && (
+                      <Button
+                        size="sm"
+                        onClick={() => unlock(lockout)}
+                        className="bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
+                      >
+                        <LockOpen className="w-4 h-4 mr-2" />
+                        Unlock
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {lockoutError && (
+              <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
+                <AlertDescription>{lockoutError}</AlertDescription>
+              </Alert>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Admin Accounts */}
+      {can("superadmin") && (
+        <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
+          <CardHeader
+            className="border-b border-slate-700/50 dark:border-slate-600/50"
+            style={{
+              background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+            }}
+          >
+            <CardTitle className="flex items-center gap-2 text-slate-100 dark:text-slate-200">
+              <KeyRound className="w-5 h-5 text-purple-400" />
+              <span className="bg-gradient-to-r from-purple-400 to-blue-400 bg-clip-text text-transparent">
+                Admin Accounts
+              </span>
+            </CardTitle>
+            <CardDescription className="text-slate-400 dark:text-slate-500">
+              Viewers browse users and models, auditors read the audit log, operators manage model versions
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+            <div className="space-y-2">
+              {adminAccounts.map((account) => (
+                <div
+                  key={account.username}
+                  className="flex items-center justify-between gap-4 p-3 bg-slate-700/30 rounded-lg border border-slate-600/30"
+                >
+                  <div className="text-sm text-slate-300 space-y-1">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-slate-100">{account.username}</span>
+                      <Badge variant="outline" className="text-slate-400 border-slate-600">
+                        {account.role}
+                      </Badge>
+                    </div>
+                    <div className="text-xs text-slate-500">
+                      Created {new Date(account.createdAt).toLocaleString()} by {account.createdBy ?? "admin:create"}
+                    </div>
+                  </div>
+                  <Button
+                    size="sm"
+                    onClick={() => deleteAdminAccount(account.username)}
+                    disabled={account.username === admin.username}
+                    className="bg-red-600/80 hover:bg-red-500 border border-red-500/50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <Input
+                value={newAccountUsername}
+                onChange={(e) => setNewAccountUsername(e.target.value)}
+                placeholder="Username"
+                className="bg-slate-700/50 border-slate-600/50 text-slate-200"
+              />
+              <Input
+                type="password"
+                value={newAccountPassword}
+                onChange={(e) => setNewAccountPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="new-password"
+                className="bg-slate-700/50 border-slate-600/50 text-slate-200"
+              />
+              <Select value={newAccountRole} onValueChange={(role) => setNewAccountRole(role as AdminRole)}>
+                <SelectTrigger className="bg-slate-700/50 border-slate-600/50 text-slate-200">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-600">
+                  {ADMIN_ROLES.map((role) => (
+                    <SelectItem key={role} value={role} className="text-slate-200 hover:bg-slate-700">
+                      {role}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                onClick={createAdminAccount}
+                disabled={!newAccountUsername || !newAccountPassword}
+                className="bg-purple-600/80 hover:bg-purple-500 border border-purple-500/50"
+              >
+                <Users className="w-4 h-4 mr-2" />
+                Add Admin
+              </Button>
+            </div>
+
+            {accountError && (
+              <Alert className="border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400">
+                <AlertDescription>{accountError}</AlertDescription>
+              </Alert>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* System Administration */}
       <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm">
         <CardHeader
@@ -4,10 +4,64 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { TrendingUp, AlertTriangle } from "lucide-react"
 
 interface AnomalyHeatmapProps {
-  data: number[]
+  data: number[] // 0-1 per feature
+  featureNames?: string[] // From the model's feature schema, e.g. "hold.k1", "dd.k1-k2", "typingSpeed"
 }
 
-export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
+type TimingType = "hold" | "dd" | "ud"
+
+interface HeatmapCell {
+  name: string
+  label: string
+  value: number
+}
+
+const TIMING_TYPES: { type: TimingType; label: string; description: string }[] = [
+  { type: "hold", label: "Hold", description: "how long the key was held" },
+  { type: "dd", label: "DD", description: "press to next press" },
+  { type: "ud", label: "UD", description: "release to next press" },
+]
+
+// Friendlier labels for the aggregate features at the end of the vector
+const SUMMARY_FEATURE_LABELS: Record<string, string> = {
+  typingSpeed: "Typing speed",
+  meanFlightTime: "Mean flight",
+  errorCount: "Errors",
+  holdTimeStd: "Hold σ",
+}
+
+// Split the vector into a key x timing-type grid plus the features that aren't tied to one key
+function groupFeatures(data: number[], featureNames: string[]) {
+  const keys = new Map<number, Partial<Record<TimingType, HeatmapCell>>>()
+  const otherFeatures: HeatmapCell[] = []
+
+  data.forEach((value, index) => {
+    const name = featureNames[index]
+    const match = name?.match(/^(hold|dd|ud)\.k(\d+)(?:-k(\d+))?$/)
+    if (!match) {
+      otherFeatures.push({
+        name: name || `feature ${index + 1}`,
+        label: SUMMARY_FEATURE_LABELS[name] || name || `F${index + 1}`,
+        value,
+      })
+      return
+    }
+    const type = match[1] as TimingType
+    const key = Number(match[2])
+    const row = keys.get(key) || {}
+    row[type] = { name, label: match[3] ? `K${key}→K${match[3]}` : `K${key}`, value }
+    keys.set(key, row)
+  })
+
+  const keyRows = [...keys.entries()].sort(([a], [b]) => a - b).map(([key, cells]) => ({ key, cells }))
+  return { keyRows, otherFeatures }
+}
+
+function average(values: number[]) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0
+}
+
+export function AnomalyHeatmap({ data, featureNames = [] }: AnomalyHeatmapProps) {
   const getColorIntensity = (value: number) => {
     // Normalize value to 0-1 range for color intensity
     const normalized = Math.min(Math.max(value, 0), 1)
@@ -32,10 +86,40 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
     return { level: "High", color: "text-red-400", icon: "🔴" }
   }
 
-  const avgDeviation = data.reduce((sum, val) => sum + val, 0) / data.length
+  const avgDeviation = average(data)
   const maxDeviation = Math.max(...data)
   const riskAssessment = getRiskLevel(avgDeviation)
 
+  const { keyRows, otherFeatures } = groupFeatures(data, featureNames)
+  const typeAverages = TIMING_TYPES.map(({ type }) =>
+    average(keyRows.flatMap(({ cells }) => (cells[type] ? [cells[type]!.value] : []))),
+  )
+
+  const renderCell = (cell: HeatmapCell | undefined, key: string) => {
+    if (!cell) {
+      return <div key={key} className="w-full h-8 sm:h-10 rounded-lg border border-dashed border-slate-700/50" />
+    }
+    const risk = getRiskLevel(cell.value)
+    return (
+      <div key={key} className="relative group">
+        <div
+          className="w-full h-8 sm:h-10 rounded-lg border-2 border-slate-600/50 flex items-center justify-center text-xs font-mono font-bold transition-all duration-300 hover:scale-105 hover:shadow-lg cursor-pointer text-slate-200"
+          style={{ backgroundColor: getColorIntensity(cell.value) }}
+          title={`${cell.name}: ${cell.value.toFixed(3)} (${risk.level} Risk)`}
+        >
+          {cell.label}
+        </div>
+
+        {/* Tooltip */}
+        <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-slate-700 text-slate-200 text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-10 border border-slate-600/50">
+          {cell.name}: {cell.value.toFixed(3)}
+          <br />
+          {risk.icon} {risk.level} Risk
+        </div>
+      </div>
+    )
+  }
+
   return (
     <Card className="bg-slate-800/50 border-slate-700/50 shadow-xl backdrop-blur-sm transition-all duration-300 hover:shadow-cyan-500/10">
       <CardHeader
@@ -83,29 +167,51 @@ export function AnomalyHeatmap({ data }: AnomalyHeatmapProps) {
             </div>
           </div>
 
-          <div className="grid grid-cols-5 sm:grid-cols-10 gap-2 max-w-2xl mx-auto">
-            {data.map((value, index) => {
-              const risk = getRiskLevel(value)
-              return (
-                <div key={index} className="relative group">
-                  <div
-                    className="w-8 h-8 sm:w-10 sm:h-10 rounded-lg border-2 border-slate-600/50 flex items-center justify-center text-xs font-mono font-bold transition-all duration-300 hover:scale-110 hover:shadow-lg cursor-pointer text-slate-200"
-                    style={{ backgroundColor: getColorIntensity(value) }}
-                    title={`Key ${index + 1}: ${value.toFixed(3)} (${risk.level} Risk)`}
-                  >
-                    {index + 1}
+          {/* One row per key, one column per timing type - DD/UD cells belong to the key the transition starts from */}
+          {keyRows.length > 0 && (
+            <div className="max-w-2xl mx-auto space-y-2">
+              <div className="grid grid-cols-[3rem_repeat(3,minmax(0,1fr))_3.5rem] gap-2 text-xs text-slate-400">
+                <span>Key</span>
+                {TIMING_TYPES.map(({ type, label, description }) => (
+                  <span key={type} className="text-center" title={description}>
+                    {label}
+                  </span>
+                ))}
+                <span className="text-right">Avg</span>
+              </div>
+              {keyRows.map(({ key, cells }) => {
+                const keyAverage = average(TIMING_TYPES.flatMap(({ type }) => (cells[type] ? [cells[type]!.value] : [])))
+                return (
+                  <div key={key} className="grid grid-cols-[3rem_repeat(3,minmax(0,1fr))_3.5rem] gap-2 items-center">
+                    <span className="text-xs font-mono text-slate-300">K{key}</span>
+                    {TIMING_TYPES.map(({ type }) => renderCell(cells[type], `${key}-${type}`))}
+                    <span className={`text-xs font-mono text-right ${getRiskLevel(keyAverage).color}`}>
+                      {keyAverage.toFixed(2)}
+                    </span>
                   </div>
+                )
+              })}
+              <div className="grid grid-cols-[3rem_repeat(3,minmax(0,1fr))_3.5rem] gap-2 pt-2 border-t border-slate-700/50 text-xs font-mono">
+                <span className="text-slate-400">Avg</span>
+                {TIMING_TYPES.map(({ type }, index) => (
+                  <span key={type} className={`text-center ${getRiskLevel(typeAverages[index]).color}`}>
+                    {typeAverages[index].toFixed(2)}
+                  </span>
+                ))}
+                <span />
+              </div>
+            </div>
+          )}
 
-                  {/* Tooltip */}
-                  <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-slate-700 text-slate-200 text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-10 border border-slate-600/50">
-                    Key {index + 1}: {value.toFixed(3)}
-                    <br />
-                    {risk.icon} {risk.level} Risk
-                  </div>
-                </div>
-              )
-            })}
-          </div>
+          {/* Features that aren't tied to a single key (or every feature when the names are unknown) */}
+          {otherFeatures.length > 0 && (
+            <div className="max-w-2xl mx-auto">
+              {keyRows.length > 0 && <h5 className="text-xs text-slate-400 mb-2">Whole-passphrase features</h5>}
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {otherFeatures.map((cell, index) => renderCell(cell, `other-${index}`))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Legend */}
@@ -16,6 +16,15 @@ interface AuthLog {
   reason?: string
 }
 
+// The audit routes need an admin session with the auditor role (sign in on the Command Center tab)
+async function accessErrorMessage(response: Response) {
+  if (response.status === 401) {
+    return "Sign in on the Command Center tab with an auditor account to see the audit log"
+  }
+  const data = await response.json().catch(() => ({}))
+  return data.error || "Your admin role can't read the audit log"
+}
+
 export function AuditDashboard() {
   const [logs, setLogs] = useState<AuthLog[]>([])
   const [loading, setLoading] = useState(false)
@@ -37,6 +46,9 @@ export function AuditDashboard() {
         },
       })
 
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(await accessErrorMessage(response))
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
@@ -63,6 +75,9 @@ export function AuditDashboard() {
     setLoading(true)
     try {
       const response = await fetch("/api/export-logs")
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(await accessErrorMessage(response))
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
@@ -78,7 +93,7 @@ export function AuditDashboard() {
       document.body.removeChild(a)
     } catch (error) {
       console.error("Failed to export logs:", error)
-      setError("Failed to export logs")
+      setError(error instanceof Error ? error.message : "Failed to export logs")
     } finally {
       setLoading(false)
     }
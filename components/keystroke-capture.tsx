@@ -3,7 +3,7 @@
 // Main keystroke authentication component - this is where the magic happens
 import type React from "react"
 
-import { useState, useRef } from "react"
+import { useState, useRef, useEffect } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
@@ -11,15 +11,22 @@ import { Label } from "@/components/ui/label"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Progress } from "@/components/ui/progress"
-import { Shield, Lock, Key, Fingerprint, Cpu, Volume2 } from "lucide-react"
+import { Shield, Lock, Key, Fingerprint, Cpu, Volume2, LogOut } from "lucide-react"
 import { Haptics, ImpactStyle, NotificationType } from "@capacitor/haptics"
 import { useKeystrokeAnalyzer } from "@/hooks/use-keystroke-analyzer"
+import { useContinuousAuth } from "@/hooks/use-continuous-auth"
+import { useMouseDynamics } from "@/hooks/use-mouse-dynamics"
+import { useGhostKeySession } from "@/hooks/use-ghost-key-session"
 import { AnomalyHeatmap } from "./anomaly-heatmap"
 import { VoiceRegistration } from "./voice-registration"
 import { VoiceAuthModal } from "./voice-auth-modal"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { getPassphraseLength } from "@/lib/keystroke-feature-schema"
+import { suggestDeviceName } from "@/lib/device-names"
+import type { RawPointerEvent } from "@/lib/mouse-dynamics"
+import type { SampleQualityReport, TrainingJobProgress } from "@/lib/runtime-api"
 
 // Constants - probably should move these to a config file eventually
-const PASSWORD_LENGTH = 11
 const SAMPLES_REQUIRED = 10
 
 export function KeystrokeCapture() {
@@ -32,24 +39,63 @@ export function KeystrokeCapture() {
   // by yas: checks if next iterated pass matches with the first pass if yes then next else exp error
   const [firstPassword, setFirstPassword] = useState<string | null>(null)
 
+  // Device template - suggested from this browser, editable (e.g. "mechanical" for an external keyboard).
+  // Enrollment always goes to it; authentication only sticks to it when pinned, otherwise all templates are tried.
+  const [deviceName, setDeviceName] = useState("")
+  const [pinDevice, setPinDevice] = useState(false)
+
 
   // UI feedback and status management
   const [authResult, setAuthResult] = useState<{ type: "success" | "error" | "info"; message: string } | null>(null)
   const [capturedSamples, setCapturedSamples] = useState(0)
   const [enablePrivacyMode, setEnablePrivacyMode] = useState(false)
+  const [tagAsImpostor, setTagAsImpostor] = useState(false) // Next attempt is someone else typing - store it for calibration
   const [showAnomalyMap, setShowAnomalyMap] = useState(false)
   const [keystrokeDeviations, setKeystrokeDeviations] = useState<number[]>([])
+  const [deviationFeatureNames, setDeviationFeatureNames] = useState<string[]>([])
+
+  // Background model training - each sample past the minimum queues a retrain on the server
+  const [trainingJob, setTrainingJob] = useState<TrainingJobProgress | null>(null)
+  const followedTrainingJobRef = useRef<string | null>(null)
+
+  // Enrollment QC - a sample the server held back as an outlier, waiting for "retype" or "keep"
+  const [pendingOutlier, setPendingOutlier] = useState<{
+    features: ReturnType<typeof extractFeatures>
+    passphrase: string
+    pointerEvents: RawPointerEvent[] | undefined
+    quality: SampleQualityReport
+  } | null>(null)
 
   // Voice authentication fallback system
   const [authFailureCount, setAuthFailureCount] = useState(0)
   const [showVoiceAuthDialog, setShowVoiceAuthDialog] = useState(false)
   const [showVoiceSetup, setShowVoiceSetup] = useState(false)
   const [hasVoiceProfile, setHasVoiceProfile] = useState(false)
+  // Voice registration needs a signed-in session - after enrollment it waits for the user's first sign-in
+  const [pendingVoiceSetup, setPendingVoiceSetup] = useState<string | null>(null)
+
+  // Continuous authentication - after a login, everything the user types keeps being scored
+  const [continuousLogin, setContinuousLogin] = useState<{ username: string; at: number } | null>(null)
+  const continuousAuth = useContinuousAuth(continuousLogin)
+
+  // The signed session a pass issues (httpOnly cookie, kept fresh by the hook)
+  const ghostKeySession = useGhostKeySession()
 
   // DOM refs for focus management
   const passphraseInputRef = useRef<HTMLInputElement>(null)
-  const { captureKeystrokes, extractFeatures, trainModel, authenticate, resetCapture, isCapturing, keystrokeData } =
-    useKeystrokeAnalyzer()
+  const {
+    captureKeystrokes,
+    extractFeatures,
+    trainModel,
+    watchTrainingJob,
+    authenticate,
+    tagImpostor,
+    resetCapture,
+    isCapturing,
+    keystrokeData,
+  } = useKeystrokeAnalyzer()
+  // Mouse movement to the fields and the submit button - an extra signal when the form is clicked through
+  const { takePointerEvents, resetPointerCapture } = useMouseDynamics()
 
   // Handle Enter key for form submission + keystroke capture
   const handleKeyPress = (e: React.KeyboardEvent) => {
@@ -66,49 +112,105 @@ export function KeystrokeCapture() {
     }
   }
 
+  // navigator and matchMedia only exist in the browser, so the suggestion is made after mount
+  useEffect(() => {
+    const pointerType = window.matchMedia("(pointer: coarse)").matches
+      ? "coarse"
+      : window.matchMedia("(pointer: fine)").matches
+        ? "fine"
+        : "none"
+    setDeviceName(suggestDeviceName({ userAgent: navigator.userAgent, pointerType }))
+  }, [])
+
+  // Trust dropping below policy asks for the passphrase again; a lock ends the session. The server
+  // signs the user out on both, so a step-up is a new sign-in as well.
+  useEffect(() => {
+    if (!continuousLogin) return
+    if (continuousAuth.status === "step-up") {
+      ghostKeySession.reloadSession()
+      setCurrentMode("auth")
+      setUserIdentifier(continuousLogin.username)
+      setAuthResult({
+        type: "info",
+        message: `⚠️ TYPING PATTERN CHANGED\nRe-enter your passphrase to sign in again as ${continuousLogin.username}`,
+      })
+      passphraseInputRef.current?.focus()
+    } else if (continuousAuth.status === "locked") {
+      setContinuousLogin(null)
+      ghostKeySession.reloadSession() // The server ended the session with the lock
+      setShowAnomalyMap(false)
+      setAuthResult({
+        type: "error",
+        message: `🔒 SESSION LOCKED\nThe typing no longer matches ${continuousLogin.username} - authenticate again`,
+      })
+    }
+  }, [continuousAuth.status, continuousLogin])
+
   const processAuthentication = async () => {
     if (!userIdentifier || !userPassphrase) {
       setAuthResult({ type: "error", message: "Please enter both username and password" })
       return
     }
 
+    if (tagAsImpostor) {
+      await processImpostorTag()
+      return
+    }
+
     try {
       const keystrokeFeatures = extractFeatures(keystrokeData)
 
       // Authenticate using our custom ML pipeline (runs locally for security)
-      const authResponse = await authenticate(userIdentifier, keystrokeFeatures, userPassphrase)
+      const authResponse = await authenticate(
+        userIdentifier,
+        keystrokeFeatures,
+        userPassphrase,
+        pinDevice && deviceName ? deviceName : undefined,
+        takePointerEvents(),
+      )
       console.log("Auth result:", authResponse)
 
-      // Process authentication response
-      if (authResponse.authenticated) {
+      // Locked or backing off on the server - nothing was scored, so this isn't a failure to count
+      if (authResponse.retryAfterSeconds !== undefined) {
+        setAuthResult({
+          type: "error",
+          message: `⏳ TOO MANY ATTEMPTS\n${authResponse.reason || "Try again later"}\nRetry in ${formatRetryAfter(authResponse.retryAfterSeconds)}`,
+        })
+        try { await Haptics.notification({ type: NotificationType.Warning }) } catch {}
+      } else if (authResponse.authenticated) {
         setAuthResult({
           type: "success",
-          message: `✅ AUTHENTICATION SUCCESSFUL\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}\n🛡️ ACCESS GRANTED`,
+          message: `✅ AUTHENTICATION SUCCESSFUL\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}${authResponse.device ? `\n💻 Device template: ${authResponse.device}` : ""}${authResponse.mouseDynamics?.available ? `\n🖱️ Pointer movement: ${authResponse.mouseDynamics.accepted ? "MATCHES" : "DIFFERS"}` : ""}\n🛡️ ACCESS GRANTED`,
         })
         // Haptic feedback for successful auth
         try { await Haptics.impact({ style: ImpactStyle.Heavy }) } catch {}
         setKeystrokeDeviations(authResponse.deviations || [])
+        setDeviationFeatureNames(authResponse.featureNames || [])
         setShowAnomalyMap(true)
         setAuthFailureCount(0) // Reset failure counter
-
-        // Log this successful attempt
-        await logAuthenticationAttempt(userIdentifier, true, authResponse.reconstructionError || 0)
+        setContinuousLogin({ username: userIdentifier, at: Date.now() })
+        if (authResponse.session) {
+          ghostKeySession.setSession(authResponse.session)
+        }
+        if (pendingVoiceSetup === userIdentifier) {
+          setPendingVoiceSetup(null)
+          setShowVoiceSetup(true)
+        }
       } else {
         const newFailureCount = authFailureCount + 1
         setAuthFailureCount(newFailureCount)
 
+        // The server doesn't say which factor failed - only scripted input is caught (and explained) here
         setAuthResult({
           type: "error",
-          message: `❌ AUTHENTICATION FAILED (Attempt ${newFailureCount}/2)\nBiometric Error: ${(authResponse.reconstructionError || 0).toFixed(5)}\n🚫 ACCESS DENIED\nReason: ${authResponse.reason || "Authentication failed"}`,
+          message: `❌ AUTHENTICATION FAILED (Attempt ${newFailureCount}/2)\n🚫 ACCESS DENIED\nReason: ${authResponse.reason || "Authentication failed"}`,
         })
         // Haptic feedback for failed auth
         try { await Haptics.notification({ type: NotificationType.Error }) } catch {}
         setKeystrokeDeviations(authResponse.deviations || [])
+        setDeviationFeatureNames(authResponse.featureNames || [])
         setShowAnomalyMap(true)
 
-        // Log this failed attempt
-        await logAuthenticationAttempt(userIdentifier, false, authResponse.reconstructionError || 0)
-
         // Trigger voice fallback after 2 consecutive failures
         if (newFailureCount >= 2) {
           setShowVoiceAuthDialog(true)
@@ -126,12 +228,57 @@ export function KeystrokeCapture() {
     clearFormInputs()
   }
 
+  // Someone else typed the user's passphrase - keep the attempt as an impostor sample instead of authenticating
+  const processImpostorTag = async () => {
+    try {
+      const tagResult = await tagImpostor(
+        userIdentifier,
+        extractFeatures(keystrokeData),
+        pinDevice && deviceName ? deviceName : undefined,
+      )
+      // Recalibration runs as a background job - follow it like a training run
+      setAuthResult({
+        type: "info",
+        message: `🧪 Impostor sample recorded (${tagResult.taggedAttempts} tagged)\n🎯 Recalibrating thresholds...`,
+      })
+      const recalibration = tagResult.jobId ? await followTrainingJob(tagResult.jobId) : null
+      setAuthResult(
+        recalibration?.status === "failed"
+          ? { type: "error", message: `🚨 RECALIBRATION ERROR: ${recalibration.error}` }
+          : {
+              type: "info",
+              message: `🧪 Impostor sample recorded (${tagResult.taggedAttempts} tagged)\n🎯 Thresholds recalibrated${recalibration?.version ? ` (model v${recalibration.version})` : ""}`,
+            },
+      )
+    } catch (error) {
+      setAuthResult({ type: "error", message: `🚨 TAGGING ERROR: ${error}` })
+    }
+
+    resetCapture()
+    clearFormInputs()
+  }
+
+  // Show live progress for the newest training job - an older one keeps running on the server but we stop polling it
+  const followTrainingJob = async (jobId: string) => {
+    followedTrainingJobRef.current = jobId
+    return watchTrainingJob(jobId, setTrainingJob, () => followedTrainingJobRef.current === jobId)
+  }
+
   const processRegistration = async () => {
     if (!userIdentifier || !userPassphrase) {
       setAuthResult({ type: "error", message: "Please enter both username and password" })
       return
     }
 
+    // The feature layout is derived from the passphrase length, so any length works above the minimum
+    if (getPassphraseLength(userPassphrase) < AUTH_CONFIG.REQUIRED_PASSWORD_LENGTH) {
+      setAuthResult({
+        type: "error",
+        message: `Passphrase must be at least ${AUTH_CONFIG.REQUIRED_PASSWORD_LENGTH} characters long`,
+      })
+      return
+    }
+
     // Ensure password consistency across training samples
     if (firstPassword === null) {
       // First sample - store the password for comparison
@@ -143,30 +290,80 @@ export function KeystrokeCapture() {
       return
     }
 
-    try {
-      const keystrokeFeatures = extractFeatures(keystrokeData)
-      const trainingSuccess = await trainModel(userIdentifier, keystrokeFeatures, capturedSamples, enablePrivacyMode)
+    await submitEnrollmentSample(extractFeatures(keystrokeData), userPassphrase, takePointerEvents())
+  }
 
-      if (trainingSuccess) {
+  // Send one enrollment sample. keepOutlier resends a sample the QC flagged after the user chose to keep it.
+  const submitEnrollmentSample = async (
+    keystrokeFeatures: ReturnType<typeof extractFeatures>,
+    passphrase: string,
+    pointerEvents: RawPointerEvent[] | undefined,
+    keepOutlier = false,
+  ) => {
+    setPendingOutlier(null)
+    try {
+      const trainingResult = await trainModel(
+        userIdentifier,
+        passphrase,
+        keystrokeFeatures,
+        capturedSamples,
+        enablePrivacyMode,
+        { keepOutlier, device: deviceName || undefined, pointerEvents },
+      )
+
+      if (trainingResult.success && trainingResult.sampleStored === false && trainingResult.quality) {
+        // Held back by enrollment QC - the user decides whether to retype it or keep it
+        setPendingOutlier({ features: keystrokeFeatures, passphrase, pointerEvents, quality: trainingResult.quality })
+        setAuthResult({
+          type: "error",
+          message: `⚠️ Sample ${trainingResult.quality.sampleNumber} doesn't match your earlier samples\n${trainingResult.quality.findings.join("\n")}`,
+        })
+        resetCapture()
+      } else if (trainingResult.success) {
         const newSampleCount = capturedSamples + 1
         setCapturedSamples(newSampleCount)
 
         if (newSampleCount >= SAMPLES_REQUIRED) {
+          // The last sample's training run produces the final model - wait for it before moving on
+          setAuthResult({ type: "info", message: `🧠 Training biometric model for ${userIdentifier}...` })
+          const finalJob = trainingResult.jobId ? await followTrainingJob(trainingResult.jobId) : null
+          if (finalJob?.status === "failed") {
+            setAuthResult({ type: "error", message: `🚨 TRAINING ERROR: ${finalJob.error}` })
+            resetCapture()
+            clearFormInputs()
+            return
+          }
+
           setAuthResult({
             type: "success",
-            message: `✅ BIOMETRIC PROFILE CREATED\n🤖 Neural Network Trained for ${userIdentifier}\n🔒 Security Clearance: ACTIVE`,
+            message: `✅ BIOMETRIC PROFILE CREATED\n🤖 Neural Network Trained for ${userIdentifier}\n🔒 Security Clearance: ACTIVE\n🎤 Sign in once to set up voice authentication`,
           })
           setCapturedSamples(0)
           setFirstPassword(null) // Reset for next user registration
-          setShowVoiceSetup(true) // Move to voice registration
+          setTrainingJob(null)
+          setPendingVoiceSetup(userIdentifier) // Voice registration follows the first sign-in
+          setCurrentMode("auth")
         } else {
           setAuthResult({
             type: "info",
             message: `📊 Biometric Sample ${newSampleCount}/${SAMPLES_REQUIRED} Captured\n⌨️ Continue keystroke pattern analysis`,
           })
+          // Intermediate retrains run while the user keeps typing samples
+          if (trainingResult.jobId) {
+            followTrainingJob(trainingResult.jobId).catch((error) => console.error("Lost track of training job:", error))
+          }
         }
 
         resetCapture() // Clear keystroke buffer
+      } else if (trainingResult.consistency) {
+        // The samples as a whole are too inconsistent to train on - start the enrollment over
+        setAuthResult({ type: "error", message: `🚨 ENROLLMENT REFUSED\n${trainingResult.error}` })
+        setCapturedSamples(0)
+        setFirstPassword(null)
+        resetCapture()
+      } else {
+        setAuthResult({ type: "error", message: `🚨 TRAINING ERROR: ${trainingResult.error || "Sample was not stored"}` })
+        resetCapture()
       }
     } catch (error) {
       setAuthResult({ type: "error", message: `🚨 TRAINING ERROR: ${error}` })
@@ -174,11 +371,21 @@ export function KeystrokeCapture() {
 
     clearFormInputs()
   }
+
+  // Drop a sample the QC flagged - the user types it again
+  const discardOutlierSample = () => {
+    setPendingOutlier(null)
+    setAuthResult({ type: "info", message: `🔁 Sample discarded - type the passphrase again` })
+    resetCapture()
+    clearFormInputs()
+  }
   
 
   // Handle successful voice authentication (fallback method)
   const handleVoiceAuthenticationSuccess = () => {
     setAuthFailureCount(0)
+    setContinuousLogin({ username: userIdentifier, at: Date.now() })
+    ghostKeySession.reloadSession() // voice/verify set the session cookie
     setAuthResult({
       type: "success",
       message: `✅ VOICE AUTHENTICATION SUCCESSFUL\n🛡️ ACCESS GRANTED VIA BIOMETRIC FALLBACK`,
@@ -199,31 +406,12 @@ export function KeystrokeCapture() {
   // Reset form inputs and focus management
   const clearFormInputs = () => {
     setUserPassphrase("")
+    resetPointerCapture() // The next attempt's mouse movement starts here
     if (passphraseInputRef.current) {
       passphraseInputRef.current.focus()
     }
   }
 
-  // Log authentication attempts for audit trail
-  const logAuthenticationAttempt = async (user: string, success: boolean, error: number) => {
-    try {
-      await fetch("/api/log-auth", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          timestamp: new Date().toISOString(),
-          username: user,
-          result: success ? "Pass" : "Fail",
-          mse: error,
-          ip: "localhost",
-          userAgent: navigator.userAgent,
-        }),
-      })
-    } catch (logError) {
-      console.error("Failed to log auth attempt:", logError)
-    }
-  }
-
   // Show voice registration component if we're in that flow
   if (showVoiceSetup) {
     return <VoiceRegistration username={userIdentifier} onComplete={handleVoiceProfileComplete} />
@@ -314,6 +502,7 @@ export function KeystrokeCapture() {
               </Label>
               <Input
                 id="username"
+                data-mouse-target="username"
                 value={userIdentifier}
                 onChange={(e) => setUserIdentifier(e.target.value)}
                 placeholder="Enter security ID"
@@ -332,6 +521,7 @@ export function KeystrokeCapture() {
               <Input
                 ref={passphraseInputRef}
                 id="password"
+                data-mouse-target="password"
                 type="password"
                 value={userPassphrase}
                 onChange={(e) => setUserPassphrase(e.target.value)}
@@ -347,6 +537,39 @@ export function KeystrokeCapture() {
             </div>
           </div>
 
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="device" className="text-slate-300 dark:text-slate-400 font-medium flex items-center gap-2">
+                <Cpu className="w-4 h-4 text-cyan-400" />
+                Device Template
+              </Label>
+              <Input
+                id="device"
+                value={deviceName}
+                onChange={(e) => setDeviceName(e.target.value)}
+                placeholder="e.g. mac-keyboard"
+                className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-cyan-500/50 dark:focus:border-cyan-400/50 transition-all duration-300"
+              />
+            </div>
+            <p className="text-xs text-slate-500 dark:text-slate-600 pb-2">
+              {currentMode === "register" ? (
+                "Each keyboard or phone you type on gets its own template - rename it for e.g. an external keyboard"
+              ) : (
+                <span className="flex items-center gap-2">
+                  <Checkbox
+                    id="pin-device"
+                    checked={pinDevice}
+                    onCheckedChange={(checked) => setPinDevice(checked as boolean)}
+                    className="border-slate-500 dark:border-slate-600"
+                  />
+                  <Label htmlFor="pin-device" className="text-xs text-slate-500 dark:text-slate-600">
+                    Only score against this template (otherwise every enrolled device is tried)
+                  </Label>
+                </span>
+              )}
+            </p>
+          </div>
+
           {currentMode === "register" && (
             <>
               <div className="flex items-center space-x-3 p-4 bg-slate-700/30 dark:bg-slate-800/30 rounded-lg border border-slate-600/30 dark:border-slate-700/30">
@@ -384,9 +607,135 @@ export function KeystrokeCapture() {
                   </div>
                 </div>
               )}
+
+              {pendingOutlier && (
+                <div className="space-y-3 p-4 rounded-lg border border-amber-500/30 bg-amber-500/5">
+                  <Label className="text-amber-300 font-medium flex items-center gap-2">
+                    <Shield className="w-4 h-4" />
+                    Sample {pendingOutlier.quality.sampleNumber} looks like an outlier
+                  </Label>
+                  <ul className="text-xs text-amber-400/80 list-disc pl-5 space-y-1">
+                    {pendingOutlier.quality.findings.map((finding) => (
+                      <li key={finding}>{finding}</li>
+                    ))}
+                  </ul>
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={discardOutlierSample} className="flex-1">
+                      Discard & retype
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() =>
+                        submitEnrollmentSample(pendingOutlier.features, pendingOutlier.passphrase, pendingOutlier.pointerEvents, true)
+                      }
+                      className="flex-1"
+                    >
+                      Keep sample
+                    </Button>
+                  </div>
+                </div>
+              )}
+
+              {trainingJob && (
+                <div className="space-y-2 p-4 rounded-lg border border-purple-500/30 bg-purple-500/5">
+                  <Label className="text-slate-300 dark:text-slate-400 font-medium flex items-center gap-2">
+                    <Cpu className="w-4 h-4" />
+                    {trainingJob.status === "queued" && "Model training queued..."}
+                    {trainingJob.status === "running" &&
+                      (trainingJob.stage === "training"
+                        ? `Training ${trainingJob.currentDetector} on ${trainingJob.samples} samples`
+                        : trainingJob.stage === "calibrating"
+                          ? "Calibrating thresholds"
+                          : "Saving model")}
+                    {trainingJob.status === "completed" && `Model v${trainingJob.version} trained on ${trainingJob.samples} samples`}
+                    {trainingJob.status === "failed" && "Model training failed"}
+                    {trainingJob.status === "superseded" && "Replaced by a newer training run"}
+                  </Label>
+                  {trainingJob.epochs > 0 && (
+                    <>
+                      <Progress
+                        value={(trainingJob.epoch / trainingJob.epochs) * 100}
+                        className="h-2 bg-slate-700 dark:bg-slate-800"
+                      />
+                      <div className="flex items-center justify-between gap-4">
+                        <p className="text-xs text-slate-400 dark:text-slate-500">
+                          Epoch {trainingJob.epoch}/{trainingJob.epochs}
+                          {trainingJob.lossCurve.length > 0 &&
+                            ` · loss ${trainingJob.lossCurve[trainingJob.lossCurve.length - 1].toFixed(5)}`}
+                        </p>
+                        <LossSparkline losses={trainingJob.lossCurve} />
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
             </>
           )}
 
+          {currentMode === "auth" && (
+            <div className="flex items-center space-x-3 p-4 bg-slate-700/30 dark:bg-slate-800/30 rounded-lg border border-slate-600/30 dark:border-slate-700/30">
+              <Checkbox
+                id="tag-impostor"
+                checked={tagAsImpostor}
+                onCheckedChange={(checked) => setTagAsImpostor(checked as boolean)}
+                className="border-slate-500 dark:border-slate-600"
+              />
+              <Label htmlFor="tag-impostor" className="text-sm text-slate-400 dark:text-slate-500">
+                🧪 Someone else is typing (store as an impostor sample for threshold calibration)
+              </Label>
+            </div>
+          )}
+
+          {ghostKeySession.session && (
+            <div className="flex items-center justify-between gap-2 p-3 rounded-lg border border-green-500/30 bg-green-500/5">
+              <div className="text-xs text-slate-300 dark:text-slate-400">
+                <div className="font-medium text-green-300">Signed in as {ghostKeySession.session.username}</div>
+                <div>
+                  Factors: {ghostKeySession.session.factors.join(", ")} · until{" "}
+                  {new Date(ghostKeySession.session.refreshableUntil).toLocaleTimeString()}
+                </div>
+              </div>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => {
+                  ghostKeySession.signOut()
+                  setContinuousLogin(null)
+                  setShowAnomalyMap(false)
+                }}
+                className="border-slate-600 text-slate-300"
+              >
+                <LogOut className="w-4 h-4 mr-1" />
+                Sign Out
+              </Button>
+            </div>
+          )}
+
+          {continuousLogin && continuousAuth.sessionId && (
+            <div
+              className={`space-y-2 p-4 rounded-lg border ${
+                continuousAuth.status === "active" ? "border-cyan-500/30 bg-cyan-500/5" : "border-amber-500/30 bg-amber-500/5"
+              }`}
+            >
+              <Label className="text-slate-300 dark:text-slate-400 font-medium flex items-center justify-between gap-2">
+                <span className="flex items-center gap-2">
+                  <Fingerprint className="w-4 h-4 text-cyan-400" />
+                  Continuous authentication · {continuousLogin.username}
+                </span>
+                <span className="font-mono text-xs">trust {(continuousAuth.trust * 100).toFixed(0)}%</span>
+              </Label>
+              <Progress value={continuousAuth.trust * 100} className="h-2 bg-slate-700 dark:bg-slate-800" />
+              <p className="text-xs text-slate-400 dark:text-slate-500">
+                {continuousAuth.learning
+                  ? "Learning your free-text typing - windows are not scored yet"
+                  : continuousAuth.windowScore === null
+                    ? `Scoring every ${AUTH_CONFIG.CONTINUOUS_WINDOW_KEYSTROKES} keystrokes you type`
+                    : `Last window matched ${(continuousAuth.windowScore * 100).toFixed(0)}% of your digraphs`}
+              </p>
+            </div>
+          )}
+
           {/* Security warning for failed authentication attempts */}
           {currentMode === "auth" && authFailureCount > 0 && authFailureCount < 2 && (
             <div className="p-3 bg-orange-500/10 rounded-lg border border-orange-500/30">
@@ -401,6 +750,7 @@ export function KeystrokeCapture() {
           )}
 
           <Button
+            data-mouse-target="submit"
             onClick={currentMode === "auth" ? processAuthentication : processRegistration}
             className={`w-full transition-all duration-300 ${
               currentMode === "auth"
@@ -440,7 +790,9 @@ export function KeystrokeCapture() {
         </CardContent>
       </Card>
 
-      {showAnomalyMap && keystrokeDeviations.length > 0 && <AnomalyHeatmap data={keystrokeDeviations} />}
+      {showAnomalyMap && keystrokeDeviations.length > 0 && (
+        <AnomalyHeatmap data={keystrokeDeviations} featureNames={deviationFeatureNames} />
+      )}
 
       {/* Voice Authentication Modal for fallback authentication */}
       <VoiceAuthModal
@@ -452,3 +804,30 @@ export function KeystrokeCapture() {
     </div>
   )
 }
+
+// Tiny loss-per-epoch chart for the training progress panel
+function LossSparkline({ losses }: { losses: number[] }) {
+  if (losses.length < 2) return null
+
+  const width = 120
+  const height = 24
+  const highest = Math.max(...losses)
+  const lowest = Math.min(...losses)
+  const range = highest - lowest || 1
+  const points = losses
+    .map((loss, epoch) => `${(epoch / (losses.length - 1)) * width},${height - ((loss - lowest) / range) * height}`)
+    .join(" ")
+
+  return (
+    <svg width={width} height={height} className="text-purple-400 flex-shrink-0" aria-label="Training loss curve">
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  )
+}
+
+// "45 s", "12 min" or "3 h" for a Retry-After in seconds
+function formatRetryAfter(seconds: number) {
+  if (seconds < 60) return `${seconds} s`
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`
+  return `${Math.ceil(seconds / 3600)} h`
+}
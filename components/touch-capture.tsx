@@ -0,0 +1,228 @@
+"use client"
+
+// Touch-dynamics login - PIN entry on the Ghost Key keypad, enrolled and scored as its own modality
+import { useState, useRef } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Progress } from "@/components/ui/progress"
+import { Shield, Fingerprint, Hand, Cpu } from "lucide-react"
+import { TouchKeypad } from "./touch-keypad"
+import { useTouchDynamics } from "@/hooks/use-touch-dynamics"
+import { useKeystrokeAnalyzer } from "@/hooks/use-keystroke-analyzer"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { TOUCH_BACKSPACE_KEY } from "@/lib/touch-dynamics"
+import type { TrainingJobProgress } from "@/lib/runtime-api"
+
+export function TouchCapture() {
+  const [currentMode, setCurrentMode] = useState<"auth" | "register">("auth")
+  const [userIdentifier, setUserIdentifier] = useState("")
+  const [enteredDigits, setEnteredDigits] = useState(0) // Only the count is shown - the PIN itself stays in the events
+  const [capturedSamples, setCapturedSamples] = useState(0)
+  const [submitting, setSubmitting] = useState(false)
+  const [authResult, setAuthResult] = useState<{ type: "success" | "error" | "info"; message: string } | null>(null)
+  const [trainingJob, setTrainingJob] = useState<TrainingJobProgress | null>(null)
+  const followedTrainingJobRef = useRef<string | null>(null)
+
+  const { captureTouch, extractFeatures, trainModel, authenticate, resetCapture, touchData } = useTouchDynamics()
+  // Touch models train through the same background jobs as keystroke models
+  const { watchTrainingJob } = useKeystrokeAnalyzer()
+
+  const handleKey = (key: string) => {
+    setEnteredDigits((count) => (key === TOUCH_BACKSPACE_KEY ? Math.max(0, count - 1) : count + 1))
+  }
+
+  const clearEntry = () => {
+    resetCapture()
+    setEnteredDigits(0)
+  }
+
+  const switchMode = (mode: "auth" | "register") => {
+    setCurrentMode(mode)
+    setCapturedSamples(0)
+    setAuthResult(null)
+    clearEntry()
+  }
+
+  const submitEntry = async () => {
+    if (!userIdentifier) {
+      setAuthResult({ type: "error", message: "Please enter your username" })
+      return
+    }
+    const entry = extractFeatures(touchData)
+    if (entry.touchCount < AUTH_CONFIG.TOUCH_PIN_MIN_LENGTH) {
+      setAuthResult({ type: "error", message: `Enter a PIN of at least ${AUTH_CONFIG.TOUCH_PIN_MIN_LENGTH} digits` })
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      if (currentMode === "register") {
+        const result = await trainModel(userIdentifier, entry, capturedSamples)
+        if (!result.success) {
+          setAuthResult({ type: "error", message: `❌ ${result.error || "Sample rejected"}` })
+          if ("consistency" in result && result.consistency) {
+            setCapturedSamples(0) // The entries as a whole were refused - the enrollment starts over
+          }
+          return
+        }
+        const sampleCount = capturedSamples + 1
+        setCapturedSamples(sampleCount)
+        if (result.jobId) {
+          const jobId = result.jobId
+          followedTrainingJobRef.current = jobId
+          setAuthResult({ type: "info", message: `🧠 ${sampleCount} touch samples captured - training the touch model` })
+          watchTrainingJob(jobId, setTrainingJob, () => followedTrainingJobRef.current === jobId)
+            .then((job) => {
+              if (job?.status === "completed") {
+                setAuthResult({ type: "success", message: `✅ TOUCH PROFILE READY\nModel v${job.version} - sign in with your PIN` })
+              } else if (job?.status === "failed") {
+                setAuthResult({ type: "error", message: `❌ Touch model training failed: ${job.error}` })
+              }
+            })
+            .catch((error) => setAuthResult({ type: "error", message: `❌ ${error.message}` }))
+        } else {
+          setAuthResult({
+            type: "info",
+            message: `📝 Touch sample ${sampleCount}/${AUTH_CONFIG.TOUCH_SAMPLES_REQUIRED} captured - enter the same PIN again`,
+          })
+        }
+        return
+      }
+
+      const result = await authenticate(userIdentifier, entry)
+      setAuthResult(
+        result.authenticated
+          ? {
+              type: "success",
+              message: `✅ AUTHENTICATION SUCCESSFUL\nTouch Score: ${(result.mse || 0).toFixed(5)}\n🛡️ ACCESS GRANTED`,
+            }
+          : {
+              type: "error",
+              message: `❌ AUTHENTICATION FAILED\n🚫 ACCESS DENIED\nReason: ${result.reason || "Authentication failed"}`,
+            },
+      )
+    } finally {
+      setSubmitting(false)
+      clearEntry()
+    }
+  }
+
+  return (
+    <Card className="bg-slate-800/50 dark:bg-slate-900/50 border-slate-700/50 dark:border-slate-600/50 shadow-2xl backdrop-blur-sm transition-all duration-300 hover:shadow-cyan-500/10">
+      <CardHeader
+        className="border-b border-slate-700/50 dark:border-slate-600/50"
+        style={{
+          background: "linear-gradient(to right, rgba(30, 41, 59, 0.8), rgba(51, 65, 85, 0.8))",
+        }}
+      >
+        <CardTitle className="flex items-center justify-between text-slate-100 dark:text-slate-200">
+          <span className="flex items-center gap-3">
+            <Hand className="w-6 h-6 text-cyan-400" />
+            <span className="text-xl bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+              Touch Keypad
+            </span>
+          </span>
+          <div className="flex gap-2">
+            <Button
+              variant={currentMode === "auth" ? "default" : "outline"}
+              size="sm"
+              onClick={() => switchMode("auth")}
+              className={
+                currentMode === "auth"
+                  ? "bg-cyan-600/80 hover:bg-cyan-500 text-white border-cyan-500/50"
+                  : "border-slate-600 text-slate-300 hover:bg-slate-700/50"
+              }
+            >
+              <Shield className="w-4 h-4 mr-2" />
+              Authenticate
+            </Button>
+            <Button
+              variant={currentMode === "register" ? "default" : "outline"}
+              size="sm"
+              onClick={() => switchMode("register")}
+              className={
+                currentMode === "register"
+                  ? "bg-blue-600/80 hover:bg-blue-500 text-white border-blue-500/50"
+                  : "border-slate-600 text-slate-300 hover:bg-slate-700/50"
+              }
+            >
+              <Fingerprint className="w-4 h-4 mr-2" />
+              Register
+            </Button>
+          </div>
+        </CardTitle>
+        <CardDescription className="text-slate-400 dark:text-slate-500">
+          👆 Where and how you touch each key - position, contact size, pressure and timing - works as a second factor
+          to your PIN
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6 p-6 bg-slate-800/30 dark:bg-slate-900/30">
+        <div className="space-y-2">
+          <Label htmlFor="touch-username" className="text-slate-300 dark:text-slate-400 font-medium">
+            Security ID
+          </Label>
+          <Input
+            id="touch-username"
+            value={userIdentifier}
+            onChange={(e) => setUserIdentifier(e.target.value)}
+            placeholder="Enter security ID"
+            className="bg-slate-700/50 dark:bg-slate-800/50 border-slate-600/50 dark:border-slate-700/50 text-slate-200 placeholder:text-slate-500 focus:border-cyan-500/50 dark:focus:border-cyan-400/50 transition-all duration-300"
+          />
+        </div>
+
+        <div className="flex justify-center gap-2 h-4" aria-label={`${enteredDigits} digits entered`}>
+          {Array.from({ length: Math.max(enteredDigits, AUTH_CONFIG.TOUCH_PIN_MIN_LENGTH) }, (_, i) => (
+            <span
+              key={i}
+              className={`w-3 h-3 rounded-full border ${i < enteredDigits ? "bg-cyan-400 border-cyan-400" : "border-slate-500"}`}
+            />
+          ))}
+        </div>
+
+        <TouchKeypad onPointer={captureTouch} onKey={handleKey} disabled={submitting} />
+
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={clearEntry} disabled={submitting} className="flex-1 border-slate-600 text-slate-300">
+            Clear
+          </Button>
+          <Button onClick={submitEntry} disabled={submitting} className="flex-1 bg-cyan-600/80 hover:bg-cyan-500 text-white">
+            {currentMode === "auth" ? "Authenticate" : "Capture Sample"}
+          </Button>
+        </div>
+
+        {currentMode === "register" && capturedSamples > 0 && (
+          <div className="space-y-2">
+            <Progress
+              value={Math.min(100, (capturedSamples / AUTH_CONFIG.TOUCH_SAMPLES_REQUIRED) * 100)}
+              className="h-3 bg-slate-700 dark:bg-slate-800"
+            />
+            <p className="text-sm text-slate-400 dark:text-slate-500 flex items-center gap-2">
+              <Cpu className="w-3 h-3" />
+              {capturedSamples}/{AUTH_CONFIG.TOUCH_SAMPLES_REQUIRED} touch samples captured
+              {trainingJob?.status === "running" && trainingJob.epochs > 0 && ` · epoch ${trainingJob.epoch}/${trainingJob.epochs}`}
+            </p>
+          </div>
+        )}
+
+        {authResult && (
+          <Alert
+            className={`transition-all duration-300 backdrop-blur-sm ${
+              authResult.type === "success"
+                ? "border-cyan-500/50 bg-cyan-500/10 text-cyan-300 dark:text-cyan-400"
+                : authResult.type === "error"
+                  ? "border-red-500/50 bg-red-500/10 text-red-300 dark:text-red-400"
+                  : "border-blue-500/50 bg-blue-500/10 text-blue-300 dark:text-blue-400"
+            }`}
+          >
+            <AlertDescription className="whitespace-pre-line font-medium font-mono text-sm">
+              {authResult.message}
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,56 @@
+"use client"
+
+// Ghost Key on-screen keypad - every key reports raw pointer events, so a finger, a pen, a mouse and
+// DevTools' touch emulation all produce the same kind of entry
+import type React from "react"
+import { Delete } from "lucide-react"
+import { TOUCH_BACKSPACE_KEY } from "@/lib/touch-dynamics"
+
+const KEYPAD_ROWS = [
+  ["1", "2", "3"],
+  ["4", "5", "6"],
+  ["7", "8", "9"],
+  [null, "0", TOUCH_BACKSPACE_KEY],
+]
+
+interface TouchKeypadProps {
+  onPointer: (event: React.PointerEvent<HTMLButtonElement>, key: string, type: "down" | "up") => void
+  onKey: (key: string) => void // After the pointer lifts - the digit (or Backspace) was entered
+  disabled?: boolean
+}
+
+export function TouchKeypad({ onPointer, onKey, disabled }: TouchKeypadProps) {
+  const handlePointerDown = (event: React.PointerEvent<HTMLButtonElement>, key: string) => {
+    // Keep receiving this pointer's events when it slides off the key, so its up is never lost
+    event.currentTarget.setPointerCapture(event.pointerId)
+    onPointer(event, key, "down")
+  }
+
+  const handlePointerUp = (event: React.PointerEvent<HTMLButtonElement>, key: string) => {
+    onPointer(event, key, "up")
+    onKey(key)
+  }
+
+  return (
+    <div className="grid grid-cols-3 gap-3 max-w-xs mx-auto select-none touch-none">
+      {KEYPAD_ROWS.flat().map((key, index) =>
+        key === null ? (
+          <div key={`blank-${index}`} />
+        ) : (
+          <button
+            key={key}
+            type="button"
+            disabled={disabled}
+            aria-label={key === TOUCH_BACKSPACE_KEY ? "Delete last digit" : key}
+            onPointerDown={(event) => handlePointerDown(event, key)}
+            onPointerUp={(event) => handlePointerUp(event, key)}
+            onContextMenu={(event) => event.preventDefault()}
+            className="h-16 rounded-xl border border-slate-600/50 bg-slate-700/50 text-2xl font-mono text-slate-200 transition-colors active:bg-cyan-500/30 active:border-cyan-400/60 disabled:opacity-50 flex items-center justify-center"
+          >
+            {key === TOUCH_BACKSPACE_KEY ? <Delete className="w-6 h-6 text-slate-400" /> : key}
+          </button>
+        ),
+      )}
+    </div>
+  )
+}
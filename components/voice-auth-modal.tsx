@@ -104,9 +104,10 @@ export function VoiceAuthModal({ isOpen, onClose, username, onSuccess }: VoiceAu
         })
       }
     } catch (error) {
+      // Lockouts come through here too, with the server's reason as the message
       setResult({
         type: "error",
-        message: "🚨 Voice verification error. Please try again.",
+        message: `🚨 Voice verification error. ${error instanceof Error && error.message ? error.message : "Please try again."}`,
       })
     }
     setIsVerifying(false)
@@ -11,6 +11,98 @@ export const AUTH_CONFIG = {
   AUTOENCODER_AUTH_THRESHOLD: 0.03,   // Main threshold - adjust this for stricter/looser auth
   AUTOENCODER_TEST_THRESHOLDS: [0.01, 0.03, 0.05, 0.07, 0.1], // Different thresholds for testing
 
+  // Anomaly detectors - train-model fits these unless the request asks for others, the primary one decides
+  DEFAULT_DETECTORS: ["autoencoder"],   // Any of: autoencoder, scaled-manhattan, mahalanobis, knn, one-class-svm
+  PRIMARY_DETECTOR: "autoencoder",
+  KNN_NEIGHBORS: 3,                   // Averaging over 3 neighbours is less jumpy than the single closest sample
+  MAHALANOBIS_SHRINKAGE: 0.5,         // Covariance from 5 samples is very noisy, pull it halfway to the diagonal
+  ONE_CLASS_SVM_NU: 0.1,              // Allow ~10% of enrollment samples outside the boundary
+
+  // Threshold calibration against impostor samples (other enrolled users + attempts tagged as someone else)
+  CALIBRATION_TARGET_FAR: 0.05,       // Accept at most 5% of impostor attempts
+  CALIBRATION_MIN_IMPOSTOR_SAMPLES: 20, // Below this the FAR estimate is too coarse - keep the detector's own threshold
+
+  // Adaptive template updating - confident passes are added to a rolling window of samples
+  ADAPTATION_ENABLED: true,
+  ADAPTATION_MIN_CONFIDENCE: 0.8,     // Only clear passes feed the template, borderline ones could be an impostor
+  ADAPTATION_MIN_INTERVAL_MINUTES: 60, // At most one new sample per hour, so a burst of attempts can't take over
+  ADAPTATION_WINDOW_SIZE: 20,         // Samples kept per user - the oldest are dropped first
+  ADAPTATION_RETRAIN_EVERY: 5,        // Retrain after this many new samples
+  ADAPTATION_MAX_THRESHOLD_CHANGE: 0.1, // A retrain may move each threshold by at most 10%
+
+  // Enrollment quality control - each new sample is compared with the ones already collected
+  ENROLLMENT_QC_MIN_PREVIOUS_SAMPLES: 2, // Need two samples before a spread means anything
+  ENROLLMENT_OUTLIER_SIGMA: 2,        // Keys this many standard deviations off the earlier samples get flagged
+  ENROLLMENT_MIN_RELATIVE_SPREAD: 0.15, // Spread floor of 15% of the mean, so two near-identical samples don't flag everything
+  ENROLLMENT_MIN_CONSISTENCY: 0.5,    // Refuse to train below this (1 - median coefficient of variation of hold/DD times)
+
+  // Liveness - entries that look scripted (libs/keystroke-liveness) are failed before any detector sees them
+  LIVENESS_CHECKS_ENABLED: true,
+
+  // Replay protection - single-use challenges and fingerprints of recent attempts (lib/replay-protection)
+  AUTH_CHALLENGE_TTL_SECONDS: 120,    // A challenge has to be used within two minutes of being issued
+  AUTH_CHALLENGE_MAX_PER_IP_PER_MINUTE: 30, // Challenges one client address may request per minute
+  AUTH_CHALLENGE_MAX_PENDING_PER_USER: 5, // Unused challenges kept per username - a new one evicts the oldest
+  REPLAY_FINGERPRINT_HISTORY: 100,    // Attempts remembered per user
+  REPLAY_MATCH_TOLERANCE_MS: 3,       // Timings this close on average (ms) to an earlier attempt are a replay
+
+  // Continuous authentication - free-text typing after login keeps a rolling trust score (lib/continuous-auth)
+  CONTINUOUS_AUTH_ENABLED: true,
+  CONTINUOUS_WINDOW_KEYSTROKES: 40,   // useContinuousAuth sends a window every 40 keystrokes
+  CONTINUOUS_MAX_GRAPH_LATENCY_MS: 1000, // Longer gaps are pauses, not rhythm
+  CONTINUOUS_LEARNING_OBSERVATIONS: 300, // Windows only build the profile until it has this many graph latencies
+  CONTINUOUS_MIN_GRAPH_OCCURRENCES: 3, // A digraph/trigraph needs this many observations before it is compared
+  CONTINUOUS_MIN_COMPARED_GRAPHS: 8,  // Windows with fewer comparable graphs don't move trust
+  CONTINUOUS_MIN_LOG_SPREAD: 0.15,    // Spread floor in log latency (~15%) for graphs seen only a few times
+  CONTINUOUS_GRAPH_TOLERANCE_SIGMA: 2, // A graph within 2 standard deviations of the profile counts as a match
+  CONTINUOUS_PROFILE_MAX_COUNT: 50,   // Per-graph count cap, so the profile keeps following slow drift
+  CONTINUOUS_TRUST_SMOOTHING: 0.3,    // Weight of the newest window in the rolling trust score
+  CONTINUOUS_STEP_UP_TRUST: 0.7,      // Below this the user has to type their passphrase again
+  CONTINUOUS_LOCK_TRUST: 0.5,         // Below this the session is locked
+  CONTINUOUS_SESSION_IDLE_MINUTES: 30,
+
+  // Per-device templates - each device a user enrolls on gets its own model (lib/device-templates)
+  MAX_DEVICE_TEMPLATES: 5,            // Templates a user can enroll - an attempt without a device is scored against all of them
+
+  // Mouse dynamics - how the pointer moves to the username field, password field and submit button (lib/mouse-dynamics)
+  MOUSE_DYNAMICS_ENABLED: true,
+  MOUSE_DYNAMICS_WEIGHT: 0.25,        // Share of the mouse score in the biometric decision - 0 only reports it
+  MOUSE_SAMPLES_REQUIRED: 5,          // Enrollment samples clicked through with the mouse before a mouse model is trained
+
+  // Touch dynamics - PIN entry on the on-screen keypad, trained as its own model (lib/touch-dynamics)
+  TOUCH_AUTH_ENABLED: true,
+  TOUCH_PIN_MIN_LENGTH: 6,            // Six touches give 39 features, four would leave too little to tell people apart
+  TOUCH_PIN_MAX_LENGTH: 12,
+  TOUCH_SAMPLES_REQUIRED: 5,
+
+  // Background training jobs - train-model answers with a job id and a worker thread does the training
+  TRAINING_JOB_RETENTION_MINUTES: 60, // Finished jobs can be polled for this long
+  TRAINING_JOB_POLL_INTERVAL_MS: 500, // How often KeystrokeCapture asks for progress
+
+  // Sessions - a pass issues a signed token recording the satisfied factors (lib/user-sessions, needs GHOSTKEY_SESSION_SECRET)
+  SESSION_TOKEN_TTL_MINUTES: 15,      // Short-lived, so a revoked token stops working in middleware soon after logout
+  SESSION_MAX_HOURS: 12,              // Refreshes stop this long after sign-in - then the user authenticates again
+  ENROLLMENT_SESSION_MINUTES: 30,     // An enrollment's later samples must follow its first within this (lib/enrollment-sessions)
+
+  // Rate limits and lockouts on /api/authenticate, /api/touch/authenticate, /api/voice/verify and /api/admin/login (lib/auth-rate-limits)
+  RATE_LIMIT_WINDOW_MINUTES: 15,      // Failures older than this no longer count
+  RATE_LIMIT_MAX_USER_FAILURES: 5,    // Failures in the window that lock a username
+  RATE_LIMIT_MAX_IP_FAILURES: 20,     // Higher for an IP - an office or a NAT shares one
+  RATE_LIMIT_BACKOFF_BASE_SECONDS: 1, // Wait after a username's first failure, doubled for each further one
+  RATE_LIMIT_BACKOFF_MAX_SECONDS: 60,
+  LOCKOUT_MINUTES: 15,                // First lockout - each repeat doubles it
+  LOCKOUT_MAX_MINUTES: 1440,          // Never locked for more than a day at a time
+  RATE_LIMIT_STATE_FILE: "logs/rate_limits.json",
+  // Reverse proxies in front of the app that append the client to x-forwarded-for (lib/client-address). Set it in
+  // production - with 0 (no proxy) a client that sends its own x-forwarded-for picks the address it is counted under
+  TRUSTED_PROXY_HOPS: Number(process.env.GHOSTKEY_TRUSTED_PROXY_HOPS) || 0,
+
+  // Admin accounts and sessions - `npm run admin:create` makes the first one (lib/admin-accounts)
+  ADMIN_ACCOUNTS_FILE: "admin/accounts.json",
+  ADMIN_PASSWORD_MIN_LENGTH: 12,
+  ADMIN_SESSION_IDLE_MINUTES: 30,     // Signed out after half an hour without admin requests
+  ADMIN_SESSION_MAX_HOURS: 8,         // ...and after a working day regardless
+
   // Voice biometric authentication settings - more lenient than keystroke
   VOICE_MATCH_THRESHOLD: 0.65,         // 70% similarity required for voice authentication
   VOICE_THRESHOLD_OPTIONS: [0.5, 0.6, 0.65, 0.7, 0.75], // For testing different strictness levels
@@ -20,6 +112,12 @@ export const AUTH_CONFIG = {
   // File system paths for model storage
   KEYSTROKE_MODELS_DIRECTORY: "models",
   VOICE_MODELS_DIRECTORY: "voice_models",
+  AUDIT_LOG_FILE: "logs/access_log.csv",
+
+  // Where users, models, samples, voice profiles and audit events are kept (lib/storage).
+  // "filesystem" uses the folders above, "sqlite" one database file - `npm run storage:migrate` copies one into the other
+  STORAGE_BACKEND: process.env.GHOSTKEY_STORAGE_BACKEND === "sqlite" ? "sqlite" : "filesystem",
+  SQLITE_DATABASE_FILE: "data/ghostkey.db",
 
   // Legacy statistical model settings (keeping for backward compatibility)
   STATISTICAL_PERCENTILE_THRESHOLD: 95, // 95th percentile for statistical authentication
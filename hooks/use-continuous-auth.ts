@@ -0,0 +1,140 @@
+"use client"
+
+// Continuous authentication - keeps scoring whatever the user types after login (see lib/continuous-auth)
+import { useState, useEffect, useRef, useCallback } from "react"
+import RuntimeAPI from "@/lib/runtime-api"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import type { RawKeystrokeEvent } from "@/lib/keystroke-features"
+
+type ContinuousStatus = "active" | "step-up" | "locked"
+
+interface ContinuousAuthState {
+  sessionId: string | null
+  trust: number
+  status: ContinuousStatus
+  learning: boolean
+  windowScore: number | null
+}
+
+const INITIAL_STATE: ContinuousAuthState = {
+  sessionId: null,
+  trust: 1,
+  status: "active",
+  learning: false,
+  windowScore: null,
+}
+
+// Modifiers on their own say nothing about rhythm and would split digraphs like Shift+A
+const IGNORED_KEYS = new Set(["Shift", "Control", "Alt", "Meta", "CapsLock"])
+
+// Password fields are never captured - only timings leave the browser, but they still shouldn't be watched
+function isPasswordField(target: EventTarget | null) {
+  return target instanceof HTMLInputElement && target.type === "password"
+}
+
+// A completed login - a new one (even for the same user) starts a new server session at full trust
+interface ContinuousAuthLogin {
+  username: string
+  at: number
+}
+
+export function useContinuousAuth(login: ContinuousAuthLogin | null) {
+  const username = login?.username ?? null
+  const loginAt = login?.at ?? null
+  const [state, setState] = useState<ContinuousAuthState>(INITIAL_STATE)
+  const bufferRef = useRef<RawKeystrokeEvent[]>([])
+  const heldKeysRef = useRef(new Set<string>())
+  const sessionIdRef = useRef<string | null>(null)
+  const sendingRef = useRef(false)
+
+  const reset = useCallback(() => {
+    bufferRef.current = []
+    heldKeysRef.current.clear()
+    sessionIdRef.current = null
+    setState(INITIAL_STATE)
+  }, [])
+
+  // Open a fresh server session for every login
+  useEffect(() => {
+    if (!username || !AUTH_CONFIG.CONTINUOUS_AUTH_ENABLED) return
+
+    let cancelled = false
+    RuntimeAPI.scoreContinuousAuth(username)
+      .then((result) => {
+        if (cancelled || !result.sessionId) return
+        sessionIdRef.current = result.sessionId
+        setState({ ...INITIAL_STATE, sessionId: result.sessionId, trust: result.trust ?? 1 })
+      })
+      .catch((error) => console.error("Failed to start continuous authentication:", error))
+
+    return () => {
+      cancelled = true
+      reset()
+    }
+  }, [username, loginAt, reset])
+
+  const sendWindow = useCallback(
+    async (keystrokeEvents: RawKeystrokeEvent[]) => {
+      if (!username || !sessionIdRef.current || sendingRef.current) return
+      sendingRef.current = true
+      try {
+        const result = await RuntimeAPI.scoreContinuousAuth(username, sessionIdRef.current, keystrokeEvents)
+        // A step-up or lock ended the sign-in on the server - nothing more to score until the next login
+        if (result.status !== "active") {
+          sessionIdRef.current = null
+        }
+        setState({
+          sessionId: result.sessionId ?? sessionIdRef.current,
+          trust: result.trust ?? 0,
+          status: result.status ?? "locked",
+          learning: result.learning ?? false,
+          windowScore: result.windowScore ?? null,
+        })
+      } catch (error) {
+        // The session is gone (server restart, idle timeout) - treat it as locked so the user logs in again
+        console.error("Continuous authentication window failed:", error)
+        sessionIdRef.current = null
+        setState((previous) => ({ ...previous, status: "locked" }))
+      } finally {
+        sendingRef.current = false
+      }
+    },
+    [username],
+  )
+
+  useEffect(() => {
+    if (!username || !AUTH_CONFIG.CONTINUOUS_AUTH_ENABLED) return
+
+    const capture = (event: KeyboardEvent, type: "keydown" | "keyup") => {
+      if (isPasswordField(event.target) || IGNORED_KEYS.has(event.key) || event.repeat) return
+      const code = event.code || event.key
+      if (type === "keydown") {
+        heldKeysRef.current.add(code)
+      } else if (!heldKeysRef.current.delete(code)) {
+        // Released a key pressed before capture started (or in a password field) - the server would
+        // take the orphan keyup for scripted input
+        return
+      }
+      bufferRef.current.push({ code, type, t: performance.now() })
+
+      // Send once the window is full and every key is up, so no keystroke is cut in half
+      const keydowns = bufferRef.current.filter((entry) => entry.type === "keydown").length
+      if (keydowns >= AUTH_CONFIG.CONTINUOUS_WINDOW_KEYSTROKES && heldKeysRef.current.size === 0) {
+        const typed = bufferRef.current
+        bufferRef.current = []
+        void sendWindow(typed)
+      }
+    }
+    const onKeyDown = (event: KeyboardEvent) => capture(event, "keydown")
+    const onKeyUp = (event: KeyboardEvent) => capture(event, "keyup")
+
+    window.addEventListener("keydown", onKeyDown)
+    window.addEventListener("keyup", onKeyUp)
+    return () => {
+      window.removeEventListener("keydown", onKeyDown)
+      window.removeEventListener("keyup", onKeyUp)
+    }
+  }, [username, sendWindow])
+
+  return { ...state, reset }
+}
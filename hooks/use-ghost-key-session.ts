@@ -0,0 +1,49 @@
+"use client"
+
+// The signed-in Ghost Key session - picked up from the cookie on load, renewed shortly before each token
+// expires, and ended with signOut. The token itself stays in the httpOnly cookie.
+import { useState, useEffect, useCallback } from "react"
+import RuntimeAPI, { type GhostKeySession } from "@/lib/runtime-api"
+
+// Renew this long before expiry, so a slow request doesn't let the token lapse
+const REFRESH_MARGIN_MS = 60_000
+
+export function useGhostKeySession() {
+  const [session, setSession] = useState<GhostKeySession | null>(null)
+
+  const reloadSession = useCallback(async () => {
+    try {
+      setSession(await RuntimeAPI.getSession())
+    } catch (error) {
+      console.error("Failed to load session:", error)
+    }
+  }, [])
+
+  useEffect(() => {
+    reloadSession()
+  }, [reloadSession])
+
+  useEffect(() => {
+    if (!session) return
+    const delay = Math.max(0, new Date(session.expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS)
+    const timer = setTimeout(async () => {
+      try {
+        // Past refreshableUntil this comes back null and the user is signed out
+        setSession(await RuntimeAPI.refreshSession())
+      } catch (error) {
+        console.error("Session refresh failed:", error)
+      }
+    }, delay)
+    return () => clearTimeout(timer)
+  }, [session])
+
+  const signOut = useCallback(async () => {
+    try {
+      await RuntimeAPI.logout()
+    } finally {
+      setSession(null)
+    }
+  }, [])
+
+  return { session, setSession, reloadSession, signOut }
+}
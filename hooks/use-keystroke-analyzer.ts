@@ -3,13 +3,25 @@
 // Custom hook for keystroke dynamics analysis - this is where the biometric magic happens
 import type React from "react"
 import { useState, useCallback } from "react"
-import RuntimeAPI from "@/lib/runtime-api"
+import RuntimeAPI, { type TrainingJobProgress } from "@/lib/runtime-api"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { readDetectorSet, scoreDetectors } from "@/lib/anomaly-detectors"
+import { readModelFeatureSchema } from "@/lib/keystroke-feature-schema"
+import { extractKeystrokeFeatures, type RawKeystrokeEvent } from "@/lib/keystroke-features"
+import { AUTH_REASON_CODES } from "@/lib/auth-reasons"
+import type { RawPointerEvent } from "@/lib/mouse-dynamics"
+import { describeLivenessFailures, type LivenessResult } from "@/lib/keystroke-liveness"
+import { checkKeystrokeLiveness } from "@/libs/keystroke-liveness"
+import { UNIDENTIFIED_CODE } from "@/libs/keystroke-pairing"
 
 // Structure for capturing individual keystroke events
 interface KeystrokeEvent {
   key: string
+  code: string // Physical key - pairs a keyup with its keydown even when Shift changed event.key in between
   type: "keydown" | "keyup"
   timestamp: number // High-precision timestamp from performance.now()
+  repeat: boolean // Auto-repeat while the key is held
+  isTrusted: boolean // False when page script dispatched the event - never sent, only checked here
 }
 
 // Extracted biometric features from keystroke patterns
@@ -21,7 +33,20 @@ interface ExtractedFeatures {
   flightTime: number // Average time between key releases and next presses
   errorRate: number // Number of backspace/correction events
   pressPressure: number // Variance in key press timing (pressure simulation)
+  overlapCount: number // Key rollovers - next key pressed before the previous one was released
   features: number[] // Final feature vector for ML processing
+  keystrokeEvents: RawKeystrokeEvent[] // What the server extracts from
+  liveness: LivenessResult // Checked here with isTrusted, the server repeats it without
+}
+
+// Only the physical key, event type and time leave the browser. Soft keyboards that report no code
+// (or an "Unidentified" one) fall back to the key, which may be "Unidentified" too - see libs/keystroke-pairing.
+function toRawKeystrokeEvents(rawData: KeystrokeEvent[]): RawKeystrokeEvent[] {
+  return rawData.map((event) => ({
+    code: (event.code !== UNIDENTIFIED_CODE && event.code) || event.key,
+    type: event.type,
+    t: event.timestamp,
+  }))
 }
 
 export function useKeystrokeAnalyzer() {
@@ -33,127 +58,116 @@ export function useKeystrokeAnalyzer() {
   const captureKeystrokeEvent = useCallback((event: React.KeyboardEvent, type: "keydown" | "keyup") => {
     const keystrokeEntry: KeystrokeEvent = {
       key: event.key,
+      code: event.code,
       type,
       timestamp: performance.now(), // High-precision timing for accurate biometrics
+      repeat: event.repeat,
+      isTrusted: event.isTrusted,
     }
 
     setKeystrokeBuffer((previousData) => [...previousData, keystrokeEntry])
   }, [])
 
-  // Extract biometric features from raw keystroke data
+  // Extract biometric features from raw keystroke data - the same extractor the server runs on the
+  // events we send it, so this is a preview (and the input for local scoring), not a second opinion
   const extractBiometricFeatures = useCallback((rawData: KeystrokeEvent[]): ExtractedFeatures => {
-    // Separate keydown and keyup events for timing analysis
-    const keyDownEvents = rawData.filter((k) => k.type === "keydown")
-    const keyUpEvents = rawData.filter((k) => k.type === "keyup")
-
-    // Create timeline of key presses with timestamps
-    const keyPressTimeline = keyDownEvents.map((k) => [k.key, k.timestamp] as [string, number])
-
-    const keyHoldDurations: number[] = []
-    const downToDownIntervals: number[] = []
-    const upToDownIntervals: number[] = []
-
-    // Calculate key hold times (how long each key is pressed)
-    keyPressTimeline.forEach(([keyChar, downTimestamp]) => {
-      const correspondingUpEvent = keyUpEvents.find((u) => u.key === keyChar && u.timestamp > downTimestamp)
-      if (correspondingUpEvent) {
-        keyHoldDurations.push(correspondingUpEvent.timestamp - downTimestamp)
-      }
-    })
-
-    // Calculate dwell times (interval between consecutive key presses)
-    for (let i = 0; i < keyPressTimeline.length - 1; i++) {
-      const currentKeyPress = keyPressTimeline[i][1]
-      const nextKeyPress = keyPressTimeline[i + 1][1]
-      downToDownIntervals.push(nextKeyPress - currentKeyPress)
-    }
-
-    // Calculate flight times (time from key release to next key press)
-    for (let i = 0; i < keyPressTimeline.length - 1; i++) {
-      const currentKeyChar = keyPressTimeline[i][0]
-      const currentKeyDown = keyPressTimeline[i][1]
-      const nextKeyDown = keyPressTimeline[i + 1][1]
-
-      const currentKeyUp = keyUpEvents.find((u) => u.key === currentKeyChar && u.timestamp > currentKeyDown)
-      if (currentKeyUp) {
-        upToDownIntervals.push(nextKeyDown - currentKeyUp.timestamp)
-      } else {
-        // Fallback if key up event is missing (shouldn't happen but safety first)
-        upToDownIntervals.push(nextKeyDown - currentKeyDown)
-      }
-    }
-
-    // Calculate derived biometric metrics
-    const totalTypingTime =
-      Math.max(
-        keyHoldDurations.reduce((sum, t) => sum + t, 0),
-        downToDownIntervals.reduce((sum, t) => sum + t, 0),
-        upToDownIntervals.reduce((sum, t) => sum + t, 0),
-      ) || 0.001 // Avoid division by zero
-
-    const overallTypingSpeed = keyPressTimeline.length / (totalTypingTime / 1000)
-    const averageFlightTime = upToDownIntervals.length > 0 ? upToDownIntervals.reduce((a, b) => a + b, 0) / upToDownIntervals.length : 0
-    const typoCount = rawData.filter((k) => k.key === "Backspace").length
-
-    // Calculate typing pressure variance (consistency indicator)
-    const meanHoldDuration = keyHoldDurations.length > 0 ? keyHoldDurations.reduce((a, b) => a + b, 0) / keyHoldDurations.length : 0
-    const typingPressureVariance =
-      keyHoldDurations.length > 0
-        ? Math.sqrt(keyHoldDurations.reduce((sum, t) => sum + Math.pow(t - meanHoldDuration, 2), 0) / keyHoldDurations.length)
-        : 0
-
-    // Create feature vector for machine learning (matches our Python training pipeline)
-    const PASSWORD_LENGTH = 11 // Expected password length for normalization
-    const mlFeatureVector = [
-      ...keyHoldDurations.slice(0, PASSWORD_LENGTH),
-      ...downToDownIntervals.slice(0, PASSWORD_LENGTH - 1),
-      ...upToDownIntervals.slice(0, PASSWORD_LENGTH - 1),
-      overallTypingSpeed,
-      averageFlightTime,
-      typoCount,
-      typingPressureVariance,
-    ]
-
-    // Pad feature vector with zeros if we have fewer keystrokes than expected
-    while (mlFeatureVector.length < PASSWORD_LENGTH * 3 + 1) {
-      mlFeatureVector.push(0)
-    }
-
-    return {
-      holdTimes: keyHoldDurations,
-      ddTimes: downToDownIntervals,
-      udTimes: upToDownIntervals,
-      typingSpeed: overallTypingSpeed,
-      flightTime: averageFlightTime,
-      errorRate: typoCount,
-      pressPressure: typingPressureVariance,
-      features: mlFeatureVector,
-    }
+    const keystrokeEvents = toRawKeystrokeEvents(rawData)
+    const { keystrokeCount, unidentifiedKeystrokeCount, ...extracted } = extractKeystrokeFeatures(keystrokeEvents)
+    const liveness = AUTH_CONFIG.LIVENESS_CHECKS_ENABLED
+      ? (checkKeystrokeLiveness(rawData) as LivenessResult)
+      : { live: true, failures: [] }
+    return { ...extracted, keystrokeEvents, liveness }
   }, [])
 
   // Train the ML model with new biometric data
   const trainBiometricModel = useCallback(
-    async (username: string, features: ExtractedFeatures, sampleCount: number, privacyMode: boolean) => {
+    async (
+      username: string,
+      password: string,
+      features: ExtractedFeatures,
+      sampleCount: number,
+      privacyMode: boolean,
+      options: { keepOutlier?: boolean; device?: string; pointerEvents?: RawPointerEvent[] } = {},
+    ) => {
+      // Synthetic samples never leave the browser - the server would reject them too
+      if (!features.liveness.live) {
+        return { success: false, jobId: null, error: `Sample rejected: ${describeLivenessFailures(features.liveness)}` }
+      }
       try {
-        return await RuntimeAPI.trainModel(username, features as any, sampleCount, privacyMode)
+        return await RuntimeAPI.trainModel(username, password, features as any, sampleCount, privacyMode, options)
       } catch (error) {
         console.error("Model training failed:", error)
-        return false
+        return { success: false, jobId: null, error: error instanceof Error ? error.message : String(error) }
+      }
+    },
+    [],
+  )
+
+  // Poll a background training job until it finishes, reporting every update.
+  // shouldContinue lets the caller stop following a job (e.g. once a newer sample started another one).
+  const watchTrainingJob = useCallback(
+    async (jobId: string, onProgress: (job: TrainingJobProgress) => void, shouldContinue: () => boolean = () => true) => {
+      while (shouldContinue()) {
+        const job = await RuntimeAPI.getTrainingJob(jobId)
+        onProgress(job)
+        if (job.status !== "queued" && job.status !== "running") {
+          return job
+        }
+        await new Promise((resolve) => setTimeout(resolve, AUTH_CONFIG.TRAINING_JOB_POLL_INTERVAL_MS))
       }
+      return null
     },
     [],
   )
 
-  // Authenticate user against their trained biometric model
-  const authenticateUser = useCallback(async (username: string, features: ExtractedFeatures, password: string) => {
+  // Authenticate user against their trained biometric model - one device template, or all of them without a device
+  const authenticateUser = useCallback(async (
+    username: string,
+    features: ExtractedFeatures,
+    password: string,
+    device?: string,
+    pointerEvents?: RawPointerEvent[],
+  ) => {
+    // Scripted input fails here, before the attempt reaches a detector
+    if (!features.liveness.live) {
+      const reason = describeLivenessFailures(features.liveness)
+      return {
+        success: false,
+        authenticated: false,
+        mse: 0,
+        deviations: [],
+        biometricFactor: { verified: false, reason },
+        livenessFailures: features.liveness.failures,
+        reasonCode: AUTH_REASON_CODES.SYNTHETIC_INPUT,
+        reason,
+      }
+    }
     try {
-      return await RuntimeAPI.authenticate(username, features as any, password)
+      return await RuntimeAPI.authenticate(username, features as any, password, device, pointerEvents)
     } catch (error) {
       console.error("Authentication failed:", error)
       return { success: false, authenticated: false, mse: 0, deviations: [] }
     }
   }, [])
 
+  // Record an attempt typed by someone else so the server can calibrate against it
+  const tagImpostorAttempt = useCallback(async (username: string, features: ExtractedFeatures, device?: string) => {
+    return await RuntimeAPI.tagImpostorAttempt(username, features as any, device)
+  }, [])
+
+  // Score against a model that is already on the device (e.g. the Capacitor build, where a static export
+  // has no /api routes) - uses the same detector registry as the server, so the result is identical
+  const scoreWithLocalModel = useCallback((model: any, features: ExtractedFeatures) => {
+    const detectorSet = readDetectorSet(model)
+    if (!detectorSet) {
+      throw new Error("Unsupported model type for local scoring")
+    }
+    // Extract in the layout the model was enrolled with
+    const featureSchema = readModelFeatureSchema(model)
+    const featureVector = extractKeystrokeFeatures(features.keystrokeEvents, featureSchema?.version).features
+    return scoreDetectors(detectorSet, featureVector)[detectorSet.primaryDetector]!
+  }, [])
+
   // Clear the keystroke buffer for next capture session
   const resetKeystrokeCapture = useCallback(() => {
     setKeystrokeBuffer([])
@@ -163,7 +177,10 @@ export function useKeystrokeAnalyzer() {
     captureKeystrokes: captureKeystrokeEvent,
     extractFeatures: extractBiometricFeatures,
     trainModel: trainBiometricModel,
+    watchTrainingJob,
     authenticate: authenticateUser,
+    tagImpostor: tagImpostorAttempt,
+    scoreLocally: scoreWithLocalModel,
     resetCapture: resetKeystrokeCapture,
     isCapturing: isCurrentlyCapturing,
     keystrokeData: keystrokeBuffer,
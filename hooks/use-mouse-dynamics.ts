@@ -0,0 +1,72 @@
+"use client"
+
+// Passive mouse-dynamics capture for the login form - records how the pointer travels to the elements
+// marked data-mouse-target="username" | "password" | "submit". Runs next to useKeystrokeAnalyzer.
+import { useCallback, useEffect, useRef } from "react"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { MOUSE_TARGETS, type MouseTarget, type RawPointerEvent } from "@/lib/mouse-dynamics"
+
+// Moves closer together than this are dropped - 60 Hz is plenty for velocity and curvature
+const MOVE_SAMPLE_INTERVAL_MS = 16
+
+// Only the most recent stretch of movement matters for one login
+const MAX_BUFFERED_EVENTS = 2000
+
+function targetOf(event: PointerEvent): MouseTarget | null {
+  const element = event.target instanceof Element ? event.target.closest("[data-mouse-target]") : null
+  const target = element?.getAttribute("data-mouse-target")
+  return MOUSE_TARGETS.find((known) => known === target) ?? null
+}
+
+export function useMouseDynamics() {
+  // A ref, not state - pointermove fires far too often to re-render on
+  const bufferRef = useRef<RawPointerEvent[]>([])
+  const syntheticRef = useRef(false)
+
+  useEffect(() => {
+    if (!AUTH_CONFIG.MOUSE_DYNAMICS_ENABLED) return
+
+    const record = (event: PointerEvent, type: RawPointerEvent["type"]) => {
+      // Touch and pen have their own modality (the touch keypad)
+      if (event.pointerType !== "mouse") return
+      if (!event.isTrusted) {
+        syntheticRef.current = true
+        return
+      }
+      const buffer = bufferRef.current
+      const t = performance.now()
+      if (type === "move" && buffer.length > 0 && t - buffer[buffer.length - 1].t < MOVE_SAMPLE_INTERVAL_MS) return
+
+      buffer.push({ type, t, x: event.clientX, y: event.clientY, target: type === "move" ? null : targetOf(event) })
+      if (buffer.length > MAX_BUFFERED_EVENTS) {
+        buffer.splice(0, buffer.length - MAX_BUFFERED_EVENTS)
+      }
+    }
+    const onMove = (event: PointerEvent) => record(event, "move")
+    const onDown = (event: PointerEvent) => record(event, "down")
+    const onUp = (event: PointerEvent) => record(event, "up")
+
+    window.addEventListener("pointermove", onMove, { passive: true })
+    window.addEventListener("pointerdown", onDown, { passive: true })
+    window.addEventListener("pointerup", onUp, { passive: true })
+    return () => {
+      window.removeEventListener("pointermove", onMove)
+      window.removeEventListener("pointerdown", onDown)
+      window.removeEventListener("pointerup", onUp)
+    }
+  }, [])
+
+  // The trace since the last reset, to send with a sample or attempt. Nothing is sent when page script
+  // dispatched pointer events in between - the server then scores the keystrokes alone.
+  const takePointerEvents = useCallback((): RawPointerEvent[] | undefined => {
+    if (syntheticRef.current || bufferRef.current.length === 0) return undefined
+    return [...bufferRef.current]
+  }, [])
+
+  const resetPointerCapture = useCallback(() => {
+    bufferRef.current = []
+    syntheticRef.current = false
+  }, [])
+
+  return { takePointerEvents, resetPointerCapture }
+}
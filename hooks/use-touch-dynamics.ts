@@ -0,0 +1,108 @@
+"use client"
+
+// Touch dynamics capture for the on-screen keypad - the pointer counterpart of useKeystrokeAnalyzer
+import type React from "react"
+import { useState, useCallback } from "react"
+import RuntimeAPI from "@/lib/runtime-api"
+import { AUTH_REASON_CODES } from "@/lib/auth-reasons"
+import { extractTouchFeatures, touchesToPin, type RawTouchEvent } from "@/lib/touch-dynamics"
+
+// A keypad pointer event as captured - isTrusted stays in the browser like it does for keystrokes
+interface CapturedTouchEvent extends RawTouchEvent {
+  isTrusted: boolean
+}
+
+export interface ExtractedTouchEntry {
+  pin: string
+  touchCount: number
+  features: number[]
+  touchEvents: RawTouchEvent[]
+  synthetic: boolean // Some event was dispatched by page script rather than a real (or DevTools-emulated) pointer
+}
+
+export function useTouchDynamics() {
+  const [touchBuffer, setTouchBuffer] = useState<CapturedTouchEvent[]>([])
+
+  // Record a pointerdown/pointerup on a keypad key. The offset is measured from the key's centre in
+  // units of half its size, so it doesn't depend on how large the keypad is rendered.
+  const captureTouch = useCallback((event: React.PointerEvent<HTMLElement>, key: string, type: "down" | "up") => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    const halfWidth = rect.width / 2 || 1
+    const halfHeight = rect.height / 2 || 1
+    const clamp = (value: number) => Math.max(-1.5, Math.min(1.5, value))
+
+    const entry: CapturedTouchEvent = {
+      key,
+      type,
+      t: performance.now(),
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      offsetX: clamp((event.clientX - (rect.left + halfWidth)) / halfWidth),
+      offsetY: clamp((event.clientY - (rect.top + halfHeight)) / halfHeight),
+      width: event.width,
+      height: event.height,
+      pressure: event.pressure,
+      isTrusted: event.isTrusted,
+    }
+    setTouchBuffer((previous) => [...previous, entry])
+  }, [])
+
+  // Same extractor the server runs - the PIN is what the touches spell out
+  const extractFeatures = useCallback((captured: CapturedTouchEvent[]): ExtractedTouchEntry => {
+    const touchEvents: RawTouchEvent[] = captured.map(({ isTrusted, ...event }) => event)
+    const { touches, features } = extractTouchFeatures(touchEvents)
+    return {
+      pin: touchesToPin(touches),
+      touchCount: touches.length,
+      features,
+      touchEvents,
+      synthetic: captured.some((event) => !event.isTrusted),
+    }
+  }, [])
+
+  const trainModel = useCallback(async (username: string, entry: ExtractedTouchEntry, sampleCount: number) => {
+    if (entry.synthetic) {
+      return { success: false, jobId: null, error: "Sample rejected: keypad events were generated by script" }
+    }
+    try {
+      return await RuntimeAPI.trainTouchModel(username, entry.touchEvents, sampleCount)
+    } catch (error) {
+      console.error("Touch model training failed:", error)
+      return { success: false, jobId: null, error: error instanceof Error ? error.message : String(error) }
+    }
+  }, [])
+
+  const authenticate = useCallback(async (username: string, entry: ExtractedTouchEntry) => {
+    if (entry.synthetic) {
+      const reason = "Keypad events were generated by script"
+      return {
+        success: false,
+        authenticated: false,
+        mse: 0,
+        deviations: [],
+        biometricFactor: { verified: false, reason },
+        reasonCode: AUTH_REASON_CODES.SYNTHETIC_INPUT,
+        reason,
+      }
+    }
+    try {
+      return await RuntimeAPI.authenticateTouch(username, entry.touchEvents)
+    } catch (error) {
+      console.error("Touch authentication failed:", error)
+      return { success: false, authenticated: false, mse: 0, deviations: [] }
+    }
+  }, [])
+
+  const resetCapture = useCallback(() => {
+    setTouchBuffer([])
+  }, [])
+
+  return {
+    captureTouch,
+    extractFeatures,
+    trainModel,
+    authenticate,
+    resetCapture,
+    touchData: touchBuffer,
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Admin accounts
+ * Stored in ADMIN_ACCOUNTS_FILE (admin/accounts.json, kept out of git) with scrypt password hashes from
+ * lib/passphrase-hash. The first account is created with `npm run admin:create`; after that a
+ * superadmin can add more from the Command Center.
+ */
+import { randomBytes } from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { hashPassphrase, verifyPassphrase, type PassphraseRecord } from "@/lib/passphrase-hash"
+import { isAdminRole, type AdminRole } from "@/lib/admin-roles"
+
+export interface AdminAccount {
+  username: string
+  role: AdminRole
+  password: PassphraseRecord
+  createdAt: string
+  createdBy: string | null // null for accounts created by the bootstrap command
+}
+
+// What the API and the panel get to see of an account
+export type AdminAccountSummary = Omit<AdminAccount, "password">
+
+// A bad username or password, or a name that is already taken - the message is shown to the admin
+export class AdminAccountError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "AdminAccountError"
+  }
+}
+
+const ADMIN_USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/
+
+function accountsFilePath() {
+  return path.join(process.cwd(), AUTH_CONFIG.ADMIN_ACCOUNTS_FILE)
+}
+
+export function normalizeAdminUsername(username: unknown): string | null {
+  if (typeof username !== "string") return null
+  const normalized = username.trim().toLowerCase()
+  return ADMIN_USERNAME_PATTERN.test(normalized) ? normalized : null
+}
+
+export async function loadAdminAccounts(): Promise<AdminAccount[]> {
+  try {
+    const stored = JSON.parse(await fs.readFile(accountsFilePath(), "utf-8"))
+    return Array.isArray(stored.accounts) ? stored.accounts.filter((account: AdminAccount) => isAdminRole(account.role)) : []
+  } catch {
+    return []
+  }
+}
+
+async function saveAdminAccounts(accounts: AdminAccount[]) {
+  const filePath = accountsFilePath()
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  // Write-then-rename so a crash never leaves a half-written accounts file (and no admin can sign in)
+  const temporaryPath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(temporaryPath, JSON.stringify({ accounts }, null, 2), { mode: 0o600 })
+  await fs.rename(temporaryPath, filePath)
+}
+
+export function summarizeAdminAccount({ password, ...summary }: AdminAccount): AdminAccountSummary {
+  return summary
+}
+
+export async function createAdminAccount(
+  username: unknown,
+  password: string,
+  role: AdminRole,
+  createdBy: string | null,
+): Promise<AdminAccountSummary> {
+  const normalized = normalizeAdminUsername(username)
+  if (!normalized) {
+    throw new AdminAccountError("Admin username must be 3-32 characters of a-z, 0-9, '.', '_' or '-'")
+  }
+  if (password.length < AUTH_CONFIG.ADMIN_PASSWORD_MIN_LENGTH) {
+    throw new AdminAccountError(`Admin password must be at least ${AUTH_CONFIG.ADMIN_PASSWORD_MIN_LENGTH} characters long`)
+  }
+
+  const accounts = await loadAdminAccounts()
+  if (accounts.some((account) => account.username === normalized)) {
+    throw new AdminAccountError(`Admin account ${normalized} already exists`)
+  }
+
+  const account: AdminAccount = {
+    username: normalized,
+    role,
+    password: await hashPassphrase(password),
+    createdAt: new Date().toISOString(),
+    createdBy,
+  }
+  await saveAdminAccounts([...accounts, account])
+  return summarizeAdminAccount(account)
+}
+
+export async function deleteAdminAccount(username: string): Promise<boolean> {
+  const accounts = await loadAdminAccounts()
+  const remaining = accounts.filter((account) => account.username !== username)
+  if (remaining.length === accounts.length) return false
+  await saveAdminAccounts(remaining)
+  return true
+}
+
+// Checked against for unknown usernames, so a wrong username takes as long as a wrong password
+let decoyPasswordRecord: Promise<PassphraseRecord> | null = null
+
+export async function verifyAdminCredentials(username: unknown, password: unknown): Promise<AdminAccount | null> {
+  decoyPasswordRecord ??= hashPassphrase(randomBytes(16).toString("hex"))
+  const normalized = normalizeAdminUsername(username)
+  const account = normalized ? (await loadAdminAccounts()).find((candidate) => candidate.username === normalized) : undefined
+  const passwordMatches = await verifyPassphrase(
+    typeof password === "string" ? password : "",
+    account?.password ?? (await decoyPasswordRecord),
+  )
+  return account && passwordMatches ? account : null
+}
@@ -0,0 +1,33 @@
+/**
+ * Role check shared by the admin and audit API routes
+ * Each route handler is wrapped in withAdminRole, which looks up the admin session from its cookie
+ * and answers 401 (not signed in or session expired) or 403 (role too low) before the handler runs.
+ * Done per route rather than in middleware.ts: sessions live in this process's memory, which the
+ * edge middleware can't see.
+ */
+import { NextResponse, type NextRequest } from "next/server"
+import { hasAdminRole, type AdminRole } from "@/lib/admin-roles"
+import { ADMIN_SESSION_COOKIE, touchAdminSession, type AdminSession } from "@/lib/admin-sessions"
+
+export function getAdminSession(request: NextRequest): AdminSession | null {
+  return touchAdminSession(request.cookies.get(ADMIN_SESSION_COOKIE)?.value)
+}
+
+export function withAdminRole(
+  role: AdminRole,
+  handler: (request: NextRequest, admin: AdminSession) => Promise<Response>,
+) {
+  return async (request: NextRequest): Promise<Response> => {
+    const admin = getAdminSession(request)
+    if (!admin) {
+      return NextResponse.json({ success: false, error: "Admin sign-in required" }, { status: 401 })
+    }
+    if (!hasAdminRole(admin.role, role)) {
+      return NextResponse.json(
+        { success: false, error: `This needs the ${role} role - signed in as ${admin.role}` },
+        { status: 403 },
+      )
+    }
+    return handler(request, admin)
+  }
+}
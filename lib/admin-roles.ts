@@ -0,0 +1,21 @@
+/**
+ * Admin roles, from least to most privileged
+ * Each role can do everything the ones before it can:
+ *   viewer      - list users and browse model versions
+ *   auditor     - read and export the audit log, generate reports
+ *   operator    - activate and prune model versions
+ *   superadmin  - delete user data and manage admin accounts
+ * No Node dependencies, so the AdminPanel uses the same list to show what the signed-in admin may do.
+ */
+
+export const ADMIN_ROLES = ["viewer", "auditor", "operator", "superadmin"] as const
+export type AdminRole = (typeof ADMIN_ROLES)[number]
+
+export function isAdminRole(value: unknown): value is AdminRole {
+  return ADMIN_ROLES.includes(value as AdminRole)
+}
+
+// Whether an admin with `role` may do something that needs `required`
+export function hasAdminRole(role: AdminRole, required: AdminRole): boolean {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required)
+}
@@ -0,0 +1,89 @@
+/**
+ * Server-side admin sessions
+ * Signing in creates a random session id that only travels in an httpOnly, SameSite=Strict cookie; the
+ * role and expiry stay on the server. Sessions live in memory - a restart signs every admin out.
+ * A session ends after ADMIN_SESSION_IDLE_MINUTES without requests or ADMIN_SESSION_MAX_HOURS overall.
+ */
+import { randomBytes } from "crypto"
+import type { NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import type { AdminRole } from "@/lib/admin-roles"
+
+export const ADMIN_SESSION_COOKIE = "ghostkey_admin_session"
+
+export interface AdminSession {
+  id: string
+  username: string
+  role: AdminRole
+  createdAt: number
+  lastSeenAt: number
+}
+
+// Kept on globalThis so sessions survive Next's dev-mode module reloads
+const globalStore = globalThis as typeof globalThis & { ghostKeyAdminSessions?: Map<string, AdminSession> }
+const sessions: Map<string, AdminSession> = (globalStore.ghostKeyAdminSessions ??= new Map())
+
+function isExpired(session: AdminSession, now: number) {
+  return (
+    now - session.lastSeenAt > AUTH_CONFIG.ADMIN_SESSION_IDLE_MINUTES * 60_000 ||
+    now - session.createdAt > AUTH_CONFIG.ADMIN_SESSION_MAX_HOURS * 3_600_000
+  )
+}
+
+function dropExpiredSessions(now: number) {
+  for (const [id, session] of sessions) {
+    if (isExpired(session, now)) {
+      sessions.delete(id)
+    }
+  }
+}
+
+export function createAdminSession(username: string, role: AdminRole): AdminSession {
+  const now = Date.now()
+  dropExpiredSessions(now)
+
+  const session: AdminSession = { id: randomBytes(32).toString("base64url"), username, role, createdAt: now, lastSeenAt: now }
+  sessions.set(session.id, session)
+  return session
+}
+
+// Look a session up and count this as activity, or null when it is unknown or has expired
+export function touchAdminSession(id: string | undefined): AdminSession | null {
+  if (!id) return null
+  const now = Date.now()
+  const session = sessions.get(id)
+  if (!session) return null
+  if (isExpired(session, now)) {
+    sessions.delete(id)
+    return null
+  }
+  session.lastSeenAt = now
+  return session
+}
+
+export function endAdminSession(id: string | undefined) {
+  if (id) {
+    sessions.delete(id)
+  }
+}
+
+// Sign an admin out everywhere - used when their account is deleted
+export function endSessionsForAdmin(username: string) {
+  for (const [id, session] of sessions) {
+    if (session.username === username) {
+      sessions.delete(id)
+    }
+  }
+}
+
+// Cookie options for the session cookie - Secure whenever the request came in over HTTPS (directly or
+// through a proxy), so it never travels in the clear once TLS is set up
+export function adminSessionCookieOptions(request: NextRequest) {
+  return {
+    httpOnly: true,
+    sameSite: "strict" as const,
+    secure: request.nextUrl.protocol === "https:" || request.headers.get("x-forwarded-proto") === "https",
+    path: "/",
+    maxAge: AUTH_CONFIG.ADMIN_SESSION_MAX_HOURS * 3600,
+  }
+}
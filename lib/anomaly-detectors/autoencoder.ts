@@ -0,0 +1,49 @@
+// Autoencoder detector - thin wrapper around the shared module the extension and browser also use
+import { authenticateKeystrokePattern, trainKeystrokeBiometricModel } from "@/libs/autoencoder"
+import { assertDetectorModel } from "./shared"
+import type { AnomalyDetector, SerializedDetectorModel } from "./types"
+
+const MODEL_VERSION = 1
+
+type AutoencoderDetectorModel = SerializedDetectorModel & ReturnType<typeof trainKeystrokeBiometricModel>
+
+export const autoencoderDetector: AnomalyDetector<AutoencoderDetectorModel> = {
+  id: "autoencoder",
+  label: "Autoencoder",
+  scoreName: "Reconstruction error",
+
+  train(samples, options) {
+    return {
+      detector: "autoencoder",
+      version: MODEL_VERSION,
+      ...trainKeystrokeBiometricModel(samples, {
+        noiseLevel: options.noiseLevel,
+        augmentationMultiplier: options.augmentationMultiplier,
+        minimumThreshold: options.minimumThreshold,
+        seed: options.seed,
+        createdAt: options.trainedAt,
+        onEpoch: options.onEpoch,
+      }),
+    }
+  },
+
+  score(model, features) {
+    const result = authenticateKeystrokePattern(features, model)
+    return {
+      score: result.reconstructionError,
+      threshold: result.threshold,
+      accepted: result.authenticated,
+      confidence: result.confidence,
+      deviations: result.deviations,
+    }
+  },
+
+  serialize(model) {
+    return model
+  },
+
+  deserialize(data) {
+    assertDetectorModel(data, "autoencoder", MODEL_VERSION)
+    return data as AutoencoderDetectorModel
+  },
+}
@@ -0,0 +1,97 @@
+/**
+ * Anomaly detector registry
+ * Every detector implements train/score/serialize, so /api/train-model can fit any of them (or several)
+ * for a user and /api/authenticate can score with all of them. The primary detector makes the decision,
+ * the others are reported alongside it so we can compare the classic detectors with the autoencoder.
+ */
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { autoencoderDetector } from "./autoencoder"
+import { knnDetector } from "./knn"
+import { mahalanobisDetector } from "./mahalanobis"
+import { oneClassSvmDetector } from "./one-class-svm"
+import { scaledManhattanDetector } from "./scaled-manhattan"
+import type { AnomalyDetector, DetectorId, DetectorScore, DetectorTrainingOptions, SerializedDetectorModel } from "./types"
+
+export type { AnomalyDetector, DetectorId, DetectorScore, DetectorTrainingOptions, SerializedDetectorModel }
+export { DetectorModelError } from "./shared"
+
+const DETECTORS: Record<DetectorId, AnomalyDetector<any>> = {
+  autoencoder: autoencoderDetector,
+  "scaled-manhattan": scaledManhattanDetector,
+  mahalanobis: mahalanobisDetector,
+  knn: knnDetector,
+  "one-class-svm": oneClassSvmDetector,
+}
+
+export const DETECTOR_IDS = Object.keys(DETECTORS) as DetectorId[]
+
+// model.json layout for keystroke models trained through the registry
+export const DETECTOR_SET_MODEL_TYPE = "detector-set"
+
+export interface DetectorSet {
+  primaryDetector: DetectorId
+  detectors: Partial<Record<DetectorId, SerializedDetectorModel>>
+}
+
+export const DEFAULT_TRAINING_OPTIONS: DetectorTrainingOptions = {
+  noiseLevel: AUTH_CONFIG.DATA_AUGMENTATION_NOISE,
+  augmentationMultiplier: AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER,
+  minimumThreshold: AUTH_CONFIG.AUTOENCODER_AUTH_THRESHOLD,
+  knnNeighbors: AUTH_CONFIG.KNN_NEIGHBORS,
+  mahalanobisShrinkage: AUTH_CONFIG.MAHALANOBIS_SHRINKAGE,
+  oneClassSvmNu: AUTH_CONFIG.ONE_CLASS_SVM_NU,
+}
+
+export function isDetectorId(value: unknown): value is DetectorId {
+  return typeof value === "string" && value in DETECTORS
+}
+
+export function getDetector(id: DetectorId): AnomalyDetector {
+  return DETECTORS[id]
+}
+
+// Fit each requested detector on the same enrollment samples
+export function trainDetectors(
+  detectorIds: DetectorId[],
+  samples: number[][],
+  options: DetectorTrainingOptions = DEFAULT_TRAINING_OPTIONS,
+): DetectorSet["detectors"] {
+  const trainedDetectors: DetectorSet["detectors"] = {}
+  for (const id of detectorIds) {
+    const detector = getDetector(id)
+    trainedDetectors[id] = detector.serialize(detector.train(samples, options))
+  }
+  return trainedDetectors
+}
+
+// Score one attempt with every detector in the set
+export function scoreDetectors(detectorSet: DetectorSet, features: number[]) {
+  const scores: Partial<Record<DetectorId, DetectorScore>> = {}
+  for (const id of Object.keys(detectorSet.detectors) as DetectorId[]) {
+    const detector = getDetector(id)
+    scores[id] = detector.score(detector.deserialize(detectorSet.detectors[id]!), features)
+  }
+  return scores
+}
+
+// Read the detectors out of model.json. Models saved before the registry existed kept a single
+// autoencoder at the top level, so they are read as a set containing just that detector.
+export function readDetectorSet(modelData: any): DetectorSet | null {
+  if (modelData?.modelType === DETECTOR_SET_MODEL_TYPE) {
+    const storedIds = Object.keys(modelData.detectors || {})
+    if (!isDetectorId(modelData.primaryDetector) || !storedIds.includes(modelData.primaryDetector)) {
+      return null
+    }
+    const detectors: DetectorSet["detectors"] = {}
+    for (const id of storedIds.filter(isDetectorId)) {
+      detectors[id] = modelData.detectors[id]
+    }
+    return { primaryDetector: modelData.primaryDetector, detectors }
+  }
+
+  if (modelData?.modelType === "autoencoder" && modelData.autoencoder) {
+    return { primaryDetector: "autoencoder", detectors: { autoencoder: { ...modelData, detector: "autoencoder", version: 1 } } }
+  }
+
+  return null
+}
@@ -0,0 +1,87 @@
+// k-NN distance detector - mean distance to the k closest enrollment samples after z-scoring,
+// so a user with two distinct "modes" of typing the passphrase isn't averaged into neither
+import {
+  assertDetectorModel,
+  buildTrainingStats,
+  confidenceFromScore,
+  euclideanDistance,
+  featureMeans,
+  featureStandardDeviations,
+  heatmapDeviations,
+  leaveOneOutScores,
+  trainingTimestamp,
+} from "./shared"
+import type { AnomalyDetector, SerializedDetectorModel } from "./types"
+
+const MODEL_VERSION = 1
+
+interface KnnModel extends SerializedDetectorModel {
+  neighbors: number
+  means: number[]
+  standardDeviations: number[]
+  referenceSamples: number[][] // z-scored enrollment samples
+}
+
+function fitReferences(samples: number[][]) {
+  const means = featureMeans(samples)
+  const standardDeviations = featureStandardDeviations(samples, means)
+  const referenceSamples = samples.map((sample) => zScore(sample, means, standardDeviations))
+  return { means, standardDeviations, referenceSamples }
+}
+
+function zScore(features: number[], means: number[], standardDeviations: number[]): number[] {
+  return features.map((value, i) => (value - means[i]) / standardDeviations[i])
+}
+
+function nearestNeighborDistance(references: ReturnType<typeof fitReferences>, features: number[], neighbors: number) {
+  const normalizedFeatures = zScore(features, references.means, references.standardDeviations)
+  const distances = references.referenceSamples
+    .map((reference) => euclideanDistance(reference, normalizedFeatures))
+    .sort((a, b) => a - b)
+  const k = Math.max(1, Math.min(neighbors, distances.length))
+  return distances.slice(0, k).reduce((a, b) => a + b, 0) / k
+}
+
+export const knnDetector: AnomalyDetector<KnnModel> = {
+  id: "knn",
+  label: "k-NN distance",
+  scoreName: "Nearest-neighbour distance",
+
+  train(samples, options) {
+    const neighbors = Math.max(1, Math.round(options.knnNeighbors))
+    const scores = leaveOneOutScores(samples, fitReferences, (references, sample) =>
+      nearestNeighborDistance(references, sample, neighbors),
+    )
+    const trainingStats = buildTrainingStats(samples, scores)
+
+    return {
+      detector: "knn",
+      version: MODEL_VERSION,
+      neighbors,
+      ...fitReferences(samples),
+      threshold: trainingStats.finalThreshold,
+      trainingStats,
+      createdAt: trainingTimestamp(options),
+    }
+  },
+
+  score(model, features) {
+    const score = nearestNeighborDistance(model, features, model.neighbors)
+    return {
+      score,
+      threshold: model.threshold,
+      accepted: score <= model.threshold,
+      confidence: confidenceFromScore(score, model.trainingStats.maxScore, model.threshold),
+      deviations: heatmapDeviations(features, model.means, model.standardDeviations),
+    }
+  },
+
+  serialize(model) {
+    return model
+  },
+
+  deserialize(data) {
+    assertDetectorModel(data, "knn", MODEL_VERSION)
+    return data as KnnModel
+  },
+}
@@ -0,0 +1,131 @@
+// Mahalanobis detector - distance from the enrollment mean that accounts for correlated timings
+// (e.g. a slow hold usually comes with a slow flight). With only a handful of enrollment samples the
+// sample covariance is singular, so it is shrunk towards its diagonal before inverting.
+import {
+  MINIMUM_FEATURE_SPREAD,
+  DetectorModelError,
+  assertDetectorModel,
+  buildTrainingStats,
+  confidenceFromScore,
+  featureMeans,
+  featureStandardDeviations,
+  heatmapDeviations,
+  leaveOneOutScores,
+  trainingTimestamp,
+} from "./shared"
+import type { AnomalyDetector, SerializedDetectorModel } from "./types"
+
+const MODEL_VERSION = 1
+
+interface MahalanobisModel extends SerializedDetectorModel {
+  means: number[]
+  standardDeviations: number[]
+  inverseCovariance: number[][]
+  shrinkage: number
+}
+
+// Gauss-Jordan elimination with partial pivoting
+function invertMatrix(matrix: number[][]): number[][] {
+  const size = matrix.length
+  const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))])
+
+  for (let column = 0; column < size; column++) {
+    let pivotRow = column
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivotRow][column])) pivotRow = row
+    }
+    if (Math.abs(augmented[pivotRow][column]) < 1e-12) {
+      throw new DetectorModelError("Covariance matrix is singular")
+    }
+    ;[augmented[column], augmented[pivotRow]] = [augmented[pivotRow], augmented[column]]
+
+    const pivot = augmented[column][column]
+    for (let j = 0; j < 2 * size; j++) augmented[column][j] /= pivot
+
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue
+      const factor = augmented[row][column]
+      if (factor === 0) continue
+      for (let j = 0; j < 2 * size; j++) augmented[row][j] -= factor * augmented[column][j]
+    }
+  }
+
+  return augmented.map((row) => row.slice(size))
+}
+
+function fitDistribution(samples: number[][], shrinkage: number) {
+  const means = featureMeans(samples)
+  const featureCount = means.length
+  const minimumVariance = MINIMUM_FEATURE_SPREAD * MINIMUM_FEATURE_SPREAD
+
+  const covariance = Array.from({ length: featureCount }, () => new Array(featureCount).fill(0))
+  for (const sample of samples) {
+    for (let i = 0; i < featureCount; i++) {
+      for (let j = 0; j < featureCount; j++) {
+        covariance[i][j] += ((sample[i] - means[i]) * (sample[j] - means[j])) / samples.length
+      }
+    }
+  }
+
+  // Off-diagonal terms are scaled down, the diagonal is kept (and floored) so the result is invertible
+  const shrunkCovariance = covariance.map((row, i) =>
+    row.map((value, j) => (i === j ? Math.max(value, minimumVariance) : (1 - shrinkage) * value)),
+  )
+
+  return { means, inverseCovariance: invertMatrix(shrunkCovariance) }
+}
+
+function mahalanobisDistance(distribution: ReturnType<typeof fitDistribution>, features: number[]): number {
+  const difference = features.map((value, i) => value - distribution.means[i])
+  let squaredDistance = 0
+  for (let i = 0; i < difference.length; i++) {
+    for (let j = 0; j < difference.length; j++) {
+      squaredDistance += difference[i] * distribution.inverseCovariance[i][j] * difference[j]
+    }
+  }
+  return Math.sqrt(Math.max(squaredDistance, 0))
+}
+
+export const mahalanobisDetector: AnomalyDetector<MahalanobisModel> = {
+  id: "mahalanobis",
+  label: "Mahalanobis",
+  scoreName: "Mahalanobis distance",
+
+  train(samples, options) {
+    const shrinkage = Math.min(Math.max(options.mahalanobisShrinkage, 0), 1)
+    const distribution = fitDistribution(samples, shrinkage)
+    const scores = leaveOneOutScores(samples, (remaining) => fitDistribution(remaining, shrinkage), mahalanobisDistance)
+    const trainingStats = buildTrainingStats(samples, scores)
+
+    return {
+      detector: "mahalanobis",
+      version: MODEL_VERSION,
+      ...distribution,
+      standardDeviations: featureStandardDeviations(samples, distribution.means),
+      shrinkage,
+      threshold: trainingStats.finalThreshold,
+      trainingStats,
+      createdAt: trainingTimestamp(options),
+    }
+  },
+
+  score(model, features) {
+    const score = mahalanobisDistance(model, features)
+    return {
+      score,
+      threshold: model.threshold,
+      accepted: score <= model.threshold,
+      confidence: confidenceFromScore(score, model.trainingStats.maxScore, model.threshold),
+      deviations: heatmapDeviations(features, model.means, model.standardDeviations),
+    }
+  },
+
+  serialize(model) {
+    return model
+  },
+
+  deserialize(data) {
+    assertDetectorModel(data, "mahalanobis", MODEL_VERSION)
+    return data as MahalanobisModel
+  },
+}
@@ -0,0 +1,160 @@
+// One-class SVM detector - RBF-kernel boundary around the z-scored enrollment samples
+// The dual problem is tiny (one variable per enrollment sample) so a plain SMO loop solves it instantly.
+import {
+  assertDetectorModel,
+  buildTrainingStats,
+  confidenceFromScore,
+  featureMeans,
+  featureStandardDeviations,
+  heatmapDeviations,
+  leaveOneOutScores,
+  trainingTimestamp,
+} from "./shared"
+import type { AnomalyDetector, SerializedDetectorModel } from "./types"
+
+const MODEL_VERSION = 1
+const SOLVER_TOLERANCE = 1e-6
+const SOLVER_MAX_ITERATIONS_PER_SAMPLE = 1000
+
+interface OneClassSvmModel extends SerializedDetectorModel {
+  nu: number
+  gamma: number
+  means: number[]
+  standardDeviations: number[]
+  supportVectors: number[][] // z-scored
+  alphas: number[]
+  rho: number
+}
+
+function rbfKernel(a: number[], b: number[], gamma: number): number {
+  let squaredDistance = 0
+  for (let i = 0; i < a.length; i++) {
+    squaredDistance += (a[i] - b[i]) ** 2
+  }
+  return Math.exp(-gamma * squaredDistance)
+}
+
+// Solve  min ½ αᵀKα  subject to  0 ≤ α_i ≤ 1/(νn),  Σα_i = 1  and derive the offset ρ
+function solveDual(kernel: number[][], nu: number) {
+  const sampleCount = kernel.length
+  const upperBound = 1 / Math.max(nu * sampleCount, 1)
+
+  // Feasible starting point: fill samples up to the bound until the budget of 1 is spent
+  const alphas = new Array(sampleCount).fill(0)
+  let remaining = 1
+  for (let i = 0; i < sampleCount && remaining > 0; i++) {
+    alphas[i] = Math.min(upperBound, remaining)
+    remaining -= alphas[i]
+  }
+
+  // gradient[i] = (Kα)_i
+  const gradient = kernel.map((row) => row.reduce((sum, value, j) => sum + value * alphas[j], 0))
+
+  for (let iteration = 0; iteration < SOLVER_MAX_ITERATIONS_PER_SAMPLE * sampleCount; iteration++) {
+    // Most violating pair: grow the alpha with the smallest gradient, shrink the one with the largest
+    let grow = -1
+    let shrink = -1
+    for (let i = 0; i < sampleCount; i++) {
+      if (alphas[i] < upperBound && (grow === -1 || gradient[i] < gradient[grow])) grow = i
+      if (alphas[i] > 0 && (shrink === -1 || gradient[i] > gradient[shrink])) shrink = i
+    }
+    if (grow === -1 || shrink === -1 || gradient[shrink] - gradient[grow] < SOLVER_TOLERANCE) break
+
+    const curvature = Math.max(kernel[grow][grow] + kernel[shrink][shrink] - 2 * kernel[grow][shrink], 1e-12)
+    const step = Math.min((gradient[shrink] - gradient[grow]) / curvature, upperBound - alphas[grow], alphas[shrink])
+
+    alphas[grow] += step
+    alphas[shrink] -= step
+    for (let k = 0; k < sampleCount; k++) {
+      gradient[k] += step * (kernel[k][grow] - kernel[k][shrink])
+    }
+  }
+
+  // ρ sits where the free support vectors are; without any, between the bounded and the inactive ones
+  const freeGradients = gradient.filter((_, i) => alphas[i] > 0 && alphas[i] < upperBound)
+  let rho: number
+  if (freeGradients.length > 0) {
+    rho = freeGradients.reduce((a, b) => a + b, 0) / freeGradients.length
+  } else {
+    const boundedGradients = gradient.filter((_, i) => alphas[i] >= upperBound)
+    const inactiveGradients = gradient.filter((_, i) => alphas[i] <= 0)
+    const lower = boundedGradients.length > 0 ? Math.max(...boundedGradients) : Math.min(...gradient)
+    const upper = inactiveGradients.length > 0 ? Math.min(...inactiveGradients) : Math.max(...gradient)
+    rho = (lower + upper) / 2
+  }
+
+  return { alphas, rho }
+}
+
+function fitBoundary(samples: number[][], nu: number) {
+  const means = featureMeans(samples)
+  const standardDeviations = featureStandardDeviations(samples, means)
+  const normalizedSamples = samples.map((sample) => sample.map((value, i) => (value - means[i]) / standardDeviations[i]))
+  const gamma = 1 / means.length
+
+  const kernel = normalizedSamples.map((a) => normalizedSamples.map((b) => rbfKernel(a, b, gamma)))
+  const { alphas, rho } = solveDual(kernel, nu)
+
+  // Only samples with a non-zero weight take part in the decision function
+  const supportIndices = alphas.map((alpha, i) => (alpha > 0 ? i : -1)).filter((i) => i !== -1)
+  return {
+    gamma,
+    means,
+    standardDeviations,
+    supportVectors: supportIndices.map((i) => normalizedSamples[i]),
+    alphas: supportIndices.map((i) => alphas[i]),
+    rho,
+  }
+}
+
+// 0 inside the learned boundary, growing with the relative distance outside it
+function boundaryViolation(boundary: ReturnType<typeof fitBoundary>, features: number[]): number {
+  const normalizedFeatures = features.map((value, i) => (value - boundary.means[i]) / boundary.standardDeviations[i])
+  const decisionValue = boundary.supportVectors.reduce(
+    (sum, supportVector, i) => sum + boundary.alphas[i] * rbfKernel(supportVector, normalizedFeatures, boundary.gamma),
+    0,
+  )
+  return Math.max(0, boundary.rho - decisionValue) / boundary.rho
+}
+
+export const oneClassSvmDetector: AnomalyDetector<OneClassSvmModel> = {
+  id: "one-class-svm",
+  label: "One-class SVM",
+  scoreName: "Boundary violation",
+
+  train(samples, options) {
+    const nu = Math.min(Math.max(options.oneClassSvmNu, 0.01), 1)
+    const scores = leaveOneOutScores(samples, (remaining) => fitBoundary(remaining, nu), boundaryViolation)
+    const trainingStats = buildTrainingStats(samples, scores)
+
+    return {
+      detector: "one-class-svm",
+      version: MODEL_VERSION,
+      nu,
+      ...fitBoundary(samples, nu),
+      threshold: trainingStats.finalThreshold,
+      trainingStats,
+      createdAt: trainingTimestamp(options),
+    }
+  },
+
+  score(model, features) {
+    const score = boundaryViolation(model, features)
+    return {
+      score,
+      threshold: model.threshold,
+      accepted: score <= model.threshold,
+      confidence: confidenceFromScore(score, model.trainingStats.maxScore, model.threshold),
+      deviations: heatmapDeviations(features, model.means, model.standardDeviations),
+    }
+  },
+
+  serialize(model) {
+    return model
+  },
+
+  deserialize(data) {
+    assertDetectorModel(data, "one-class-svm", MODEL_VERSION)
+    return data as OneClassSvmModel
+  },
+}
@@ -0,0 +1,76 @@
+// Scaled Manhattan detector - sum of per-feature distances from the enrollment mean,
+// each divided by that feature's mean absolute deviation (one of the strongest classic keystroke detectors)
+import {
+  MINIMUM_FEATURE_SPREAD,
+  assertDetectorModel,
+  buildTrainingStats,
+  confidenceFromScore,
+  featureMeans,
+  heatmapDeviations,
+  leaveOneOutScores,
+  trainingTimestamp,
+} from "./shared"
+import type { AnomalyDetector, SerializedDetectorModel } from "./types"
+
+const MODEL_VERSION = 1
+
+interface ScaledManhattanModel extends SerializedDetectorModel {
+  means: number[]
+  meanAbsoluteDeviations: number[]
+}
+
+function fitTemplate(samples: number[][]) {
+  const means = featureMeans(samples)
+  const meanAbsoluteDeviations = means.map((mean, i) =>
+    Math.max(samples.reduce((sum, sample) => sum + Math.abs(sample[i] - mean), 0) / samples.length, MINIMUM_FEATURE_SPREAD),
+  )
+  return { means, meanAbsoluteDeviations }
+}
+
+function scaledManhattanDistance(template: ReturnType<typeof fitTemplate>, features: number[]): number {
+  return features.reduce(
+    (sum, value, i) => sum + Math.abs(value - template.means[i]) / template.meanAbsoluteDeviations[i],
+    0,
+  )
+}
+
+export const scaledManhattanDetector: AnomalyDetector<ScaledManhattanModel> = {
+  id: "scaled-manhattan",
+  label: "Scaled Manhattan",
+  scoreName: "Scaled Manhattan distance",
+
+  train(samples, options) {
+    const template = fitTemplate(samples)
+    const scores = leaveOneOutScores(samples, fitTemplate, scaledManhattanDistance)
+    const trainingStats = buildTrainingStats(samples, scores)
+
+    return {
+      detector: "scaled-manhattan",
+      version: MODEL_VERSION,
+      ...template,
+      threshold: trainingStats.finalThreshold,
+      trainingStats,
+      createdAt: trainingTimestamp(options),
+    }
+  },
+
+  score(model, features) {
+    const score = scaledManhattanDistance(model, features)
+    return {
+      score,
+      threshold: model.threshold,
+      accepted: score <= model.threshold,
+      confidence: confidenceFromScore(score, model.trainingStats.maxScore, model.threshold),
+      deviations: heatmapDeviations(features, model.means, model.meanAbsoluteDeviations),
+    }
+  },
+
+  serialize(model) {
+    return model
+  },
+
+  deserialize(data) {
+    assertDetectorModel(data, "scaled-manhattan", MODEL_VERSION)
+    return data as ScaledManhattanModel
+  },
+}
@@ -0,0 +1,99 @@
+// Small numeric helpers shared by the classic (distance-based) detectors
+import { BIOMETRIC_AUTH_CONFIG } from "@/libs/autoencoder"
+import type { DetectorId, DetectorTrainingOptions, SerializedDetectorModel } from "./types"
+
+// Timings are in milliseconds, so a spread below 1 (ms, or one backspace) is treated as 1
+// to stop a feature that never varied during enrollment from dominating every score
+export const MINIMUM_FEATURE_SPREAD = 1
+
+// Thrown when a stored model can't be read back by its detector
+export class DetectorModelError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "DetectorModelError"
+  }
+}
+
+// createdAt for a freshly trained model
+export function trainingTimestamp(options: DetectorTrainingOptions): string {
+  return options.trainedAt ?? new Date().toISOString()
+}
+
+export function featureMeans(samples: number[][]): number[] {
+  const means = new Array(samples[0].length).fill(0)
+  for (const sample of samples) {
+    sample.forEach((value, i) => (means[i] += value / samples.length))
+  }
+  return means
+}
+
+export function featureStandardDeviations(samples: number[][], means: number[]): number[] {
+  return means.map((mean, i) => {
+    const variance = samples.reduce((sum, sample) => sum + (sample[i] - mean) ** 2, 0) / samples.length
+    return Math.max(Math.sqrt(variance), MINIMUM_FEATURE_SPREAD)
+  })
+}
+
+export function euclideanDistance(a: number[], b: number[]): number {
+  let sum = 0
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2
+  }
+  return Math.sqrt(sum)
+}
+
+// Score every enrollment sample against a model fitted on the others. Scoring a sample against
+// a template it is part of makes distance detectors look far more certain than they are.
+export function leaveOneOutScores<TFit>(
+  samples: number[][],
+  fit: (trainingSamples: number[][]) => TFit,
+  score: (fitted: TFit, sample: number[]) => number,
+): number[] {
+  return samples.map((heldOut, index) => {
+    const remaining = samples.filter((_, i) => i !== index)
+    return score(fit(remaining), heldOut)
+  })
+}
+
+// Same rule the autoencoder uses: 95th percentile of the enrollment scores plus the safety margin
+export function thresholdFromScores(scores: number[], minimumThreshold = 0) {
+  const sortedScores = [...scores].sort((a, b) => a - b)
+  const calculatedThreshold = sortedScores[Math.min(sortedScores.length - 1, Math.floor(0.95 * sortedScores.length))]
+  const finalThreshold = Math.max(minimumThreshold, calculatedThreshold * BIOMETRIC_AUTH_CONFIG.THRESHOLD_SAFETY_MARGIN)
+  return { calculatedThreshold, finalThreshold }
+}
+
+export function buildTrainingStats(samples: number[][], scores: number[], minimumThreshold = 0) {
+  const { calculatedThreshold, finalThreshold } = thresholdFromScores(scores, minimumThreshold)
+  return {
+    samples: samples.length,
+    scores,
+    meanScore: scores.reduce((a, b) => a + b, 0) / scores.length,
+    maxScore: Math.max(...scores),
+    minScore: Math.min(...scores),
+    calculatedThreshold,
+    finalThreshold,
+  }
+}
+
+// Mirrors the autoencoder confidence: 1 at a perfect match, 0.5 at the worst enrollment score
+export function confidenceFromScore(score: number, maxTrainingScore: number, threshold: number): number {
+  const maxExpectedScore = maxTrainingScore || threshold * 2 || 1
+  return Math.max(0, Math.min(1, 1 - score / (maxExpectedScore * 2)))
+}
+
+// Per-feature deviations in "spreads" against enrollment mapped to 0-1 (3 spreads or more is fully red).
+// Covers the whole vector, index-aligned with the feature schema names.
+export function heatmapDeviations(features: number[], means: number[], spreads: number[]): number[] {
+  return features.map((value, i) => Math.min(Math.abs(value - means[i]) / (3 * spreads[i]), 1))
+}
+
+// Stored models are plain JSON - check the tag before trusting the rest of the fields
+export function assertDetectorModel(data: SerializedDetectorModel, id: DetectorId, version: number) {
+  if (data?.detector !== id) {
+    throw new DetectorModelError(`Expected a ${id} model, got ${data?.detector ?? "nothing"}`)
+  }
+  if (data.version > version) {
+    throw new DetectorModelError(`${id} model version ${data.version} is newer than this server supports`)
+  }
+}
@@ -0,0 +1,45 @@
+// Shared shapes for the anomaly detector registry
+
+export type DetectorId = "autoencoder" | "scaled-manhattan" | "mahalanobis" | "knn" | "one-class-svm"
+
+// Knobs a detector may use during training - each detector ignores the ones it doesn't need
+export interface DetectorTrainingOptions {
+  noiseLevel: number // Autoencoder data augmentation
+  augmentationMultiplier: number
+  minimumThreshold: number // Autoencoder threshold floor
+  knnNeighbors: number
+  mahalanobisShrinkage: number // Blend of sample covariance (0) and its diagonal (1)
+  oneClassSvmNu: number // Upper bound on the fraction of enrollment samples treated as outliers
+  seed?: number // Randomized detectors (the autoencoder) draw everything from this - same seed, same model
+  trainedAt?: string // createdAt of the trained model, fixed when a run has to be reproduced byte for byte
+  onEpoch?: (epoch: number, epochs: number, loss: number) => void // Progress from iterative detectors (the autoencoder)
+}
+
+// What every detector stores in model.json under detectors[<id>]
+export interface SerializedDetectorModel {
+  detector: DetectorId
+  version: number
+  threshold: number
+  trainingStats: Record<string, any>
+  createdAt: string
+  [parameter: string]: unknown
+}
+
+// Result of scoring one attempt - higher scores always mean "less like the enrolled typist"
+export interface DetectorScore {
+  score: number
+  threshold: number
+  accepted: boolean
+  confidence: number // 0-1
+  deviations: number[] // 0-1 per feature for the anomaly heatmap, same order as featureSchema.featureNames
+}
+
+export interface AnomalyDetector<TModel extends SerializedDetectorModel = SerializedDetectorModel> {
+  id: DetectorId
+  label: string
+  scoreName: string // What the score measures, for log lines and failure messages
+  train(samples: number[][], options: DetectorTrainingOptions): TModel
+  score(model: TModel, features: number[]): DetectorScore
+  serialize(model: TModel): SerializedDetectorModel
+  deserialize(data: SerializedDetectorModel): TModel
+}
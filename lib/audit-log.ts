@@ -0,0 +1,26 @@
+/**
+ * The authentication audit trail
+ * The routes that decide an attempt append it to the audit-event repository (lib/storage) themselves, with
+ * the client address from lib/client-address and the user agent of the request they decided. Nothing writes
+ * to it over HTTP, so Pass, Fail and lockout rows - and the usernames in them - only come from the server's
+ * own decisions.
+ */
+import type { NextRequest } from "next/server"
+import { clientAddress } from "@/lib/client-address"
+import { getStorage, type AuditEvent } from "@/lib/storage"
+
+export type AuditEntry = Pick<AuditEvent, "username" | "result" | "mse" | "reason">
+
+// A failed write is logged and otherwise ignored - the attempt it describes has been decided either way
+export async function logAuditEvent(request: NextRequest, entry: AuditEntry) {
+  try {
+    await getStorage().auditEvents.append({
+      timestamp: new Date().toISOString(),
+      ...entry,
+      ip: clientAddress(request),
+      userAgent: request.headers.get("user-agent") || "unknown",
+    })
+  } catch (error) {
+    console.error("Failed to write audit event:", error)
+  }
+}
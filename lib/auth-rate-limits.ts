@@ -0,0 +1,345 @@
+/**
+ * Rate limits and lockouts for the authentication endpoints
+ * Failed attempts are counted per username and per client IP over a sliding window of
+ * RATE_LIMIT_WINDOW_MINUTES:
+ *   - per username, each failure doubles the wait before the next attempt (RATE_LIMIT_BACKOFF_BASE_SECONDS,
+ *     capped at RATE_LIMIT_BACKOFF_MAX_SECONDS), and RATE_LIMIT_MAX_USER_FAILURES failures lock the username
+ *   - per IP, RATE_LIMIT_MAX_IP_FAILURES failures lock the address - no backoff, people share IPs
+ * A lockout lasts LOCKOUT_MINUTES and doubles each time the key is locked again (up to LOCKOUT_MAX_MINUTES),
+ * until a pass or an admin unlock resets it. /api/authenticate, /api/touch/authenticate and
+ * /api/voice/verify share the counters, so switching modality doesn't buy more guesses. The passphrase and
+ * PIN checks of /api/train-model and /api/touch/train count against them too, and
+ * /api/authenticate/challenge refuses a locked IP without counting anything.
+ * /api/admin/login counts admin names the same way, under their own kind so an admin and a user with
+ * the same name don't lock each other - the IP counter is shared with the user logins.
+ *
+ * An attempt counts as a failure from the moment it is let through until it passes, so parallel requests
+ * see each other and can't all be scored before the first one fails.
+ *
+ * The state lives in memory and is written through to RATE_LIMIT_STATE_FILE, so lockouts survive a
+ * restart. The IP is the one lib/client-address reads from x-forwarded-for.
+ */
+import fs from "fs/promises"
+import path from "path"
+import { NextResponse, type NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { logAuditEvent } from "@/lib/audit-log"
+import { AUTH_REASON_CODES, type AuthReasonCode } from "@/lib/auth-reasons"
+import { clientAddress } from "@/lib/client-address"
+
+export type LimitKind = "user" | "admin" | "ip"
+type AccountKind = Exclude<LimitKind, "ip"> // What the per-name limits (backoff, RATE_LIMIT_MAX_USER_FAILURES) apply to
+
+interface LimitEntry {
+  failures: number[] // Failure times (ms) inside the window
+  lastAttemptAt: number | null
+  lockedUntil: number | null
+  lockouts: number // Consecutive lockouts - each one lasts twice as long as the one before
+}
+
+export interface Lockout {
+  kind: LimitKind
+  subject: string // Username or IP
+  lockedUntil: string
+  lockouts: number
+}
+
+export type RateLimitDecision =
+  | { allowed: true }
+  | { allowed: false; reasonCode: AuthReasonCode; reason: string; retryAfterSeconds: number }
+
+// Loaded once and kept on globalThis so dev-mode reloads don't re-read (or lose) it
+const globalStore = globalThis as typeof globalThis & {
+  ghostKeyRateLimits?: { entries: Map<string, LimitEntry> | null; writing: Promise<void> }
+}
+const store = (globalStore.ghostKeyRateLimits ??= { entries: null, writing: Promise.resolve() })
+
+function stateFilePath() {
+  return path.join(process.cwd(), AUTH_CONFIG.RATE_LIMIT_STATE_FILE)
+}
+
+async function loadEntries(): Promise<Map<string, LimitEntry>> {
+  if (!store.entries) {
+    try {
+      const stored = JSON.parse(await fs.readFile(stateFilePath(), "utf-8"))
+      store.entries = new Map(Object.entries(stored.entries ?? {}))
+    } catch {
+      store.entries = new Map()
+    }
+  }
+  return store.entries
+}
+
+// Writes are chained so two attempts finishing together can't interleave their file writes
+function saveEntries(entries: Map<string, LimitEntry>) {
+  const snapshot = JSON.stringify({ entries: Object.fromEntries(entries) }, null, 2)
+  store.writing = store.writing.then(async () => {
+    try {
+      const filePath = stateFilePath()
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(`${filePath}.tmp`, snapshot, "utf-8")
+      await fs.rename(`${filePath}.tmp`, filePath)
+    } catch (error) {
+      console.error("Failed to save rate limit state:", error)
+    }
+  })
+  return store.writing
+}
+
+function keyOf(kind: LimitKind, subject: string) {
+  return `${kind}:${subject}`
+}
+
+// Drop failures that slid out of the window and entries with nothing left to remember
+function pruneEntries(entries: Map<string, LimitEntry>, now: number) {
+  const windowStart = now - AUTH_CONFIG.RATE_LIMIT_WINDOW_MINUTES * 60_000
+  for (const [key, entry] of entries) {
+    entry.failures = entry.failures.filter((time) => time > windowStart)
+    const locked = entry.lockedUntil !== null && entry.lockedUntil > now
+    // A lockout count is kept for one maximum lockout after the last one ended, so the next can escalate
+    const escalationRemembered =
+      entry.lockedUntil !== null && entry.lockedUntil + AUTH_CONFIG.LOCKOUT_MAX_MINUTES * 60_000 > now
+    if (entry.failures.length === 0 && !locked && !escalationRemembered) {
+      entries.delete(key)
+    }
+  }
+}
+
+function backoffSeconds(failures: number) {
+  if (failures === 0) return 0
+  return Math.min(AUTH_CONFIG.RATE_LIMIT_BACKOFF_BASE_SECONDS * 2 ** (failures - 1), AUTH_CONFIG.RATE_LIMIT_BACKOFF_MAX_SECONDS)
+}
+
+/**
+ * Whether an attempt for `username` (an admin name for account "admin") from `ip` may be scored now
+ * An attempt that is let through is counted as a failure right away (recordAuthSuccess takes it back), so
+ * parallel requests can't all slip in before the first one fails - the second already waits out the backoff.
+ */
+export async function checkRateLimit(
+  username: string,
+  ip: string,
+  account: AccountKind = "user",
+): Promise<RateLimitDecision> {
+  const entries = await loadEntries()
+  const now = Date.now()
+  pruneEntries(entries, now)
+
+  for (const [kind, subject] of [
+    [account, username],
+    ["ip", ip],
+  ] as const) {
+    const entry = entries.get(keyOf(kind, subject))
+    if (entry?.lockedUntil && entry.lockedUntil > now) {
+      return {
+        allowed: false,
+        reasonCode: AUTH_REASON_CODES.LOCKED_OUT,
+        reason: `Too many failed attempts - ${kind === "ip" ? "this address" : "this account"} is locked until ${new Date(entry.lockedUntil).toISOString()}`,
+        retryAfterSeconds: Math.ceil((entry.lockedUntil - now) / 1000),
+      }
+    }
+  }
+
+  const userEntry = entries.get(keyOf(account, username))
+  if (userEntry && userEntry.failures.length > 0) {
+    const lastActivity = Math.max(userEntry.failures[userEntry.failures.length - 1], userEntry.lastAttemptAt ?? 0)
+    const allowedAt = lastActivity + backoffSeconds(userEntry.failures.length) * 1000
+    if (allowedAt > now) {
+      return {
+        allowed: false,
+        reasonCode: AUTH_REASON_CODES.RATE_LIMITED,
+        reason: `Too many attempts - wait ${Math.ceil((allowedAt - now) / 1000)} s before trying again`,
+        retryAfterSeconds: Math.ceil((allowedAt - now) / 1000),
+      }
+    }
+  }
+
+  // A full window - the failures in it (or attempts still being scored) would lock the key as soon as one more fails
+  for (const [kind, subject, maxFailures] of [
+    [account, username, AUTH_CONFIG.RATE_LIMIT_MAX_USER_FAILURES],
+    ["ip", ip, AUTH_CONFIG.RATE_LIMIT_MAX_IP_FAILURES],
+  ] as const) {
+    const failures = entries.get(keyOf(kind, subject))?.failures ?? []
+    if (failures.length >= maxFailures) {
+      const allowedAt = failures[0] + AUTH_CONFIG.RATE_LIMIT_WINDOW_MINUTES * 60_000
+      return {
+        allowed: false,
+        reasonCode: AUTH_REASON_CODES.RATE_LIMITED,
+        reason: `Too many attempts - wait ${Math.ceil((allowedAt - now) / 1000)} s before trying again`,
+        retryAfterSeconds: Math.ceil((allowedAt - now) / 1000),
+      }
+    }
+  }
+
+  for (const [kind, subject] of [
+    [account, username],
+    ["ip", ip],
+  ] as const) {
+    const key = keyOf(kind, subject)
+    const entry = entries.get(key) ?? { failures: [], lastAttemptAt: null, lockedUntil: null, lockouts: 0 }
+    entry.failures.push(now)
+    entry.lastAttemptAt = now
+    entries.set(key, entry)
+  }
+  await saveEntries(entries)
+  return { allowed: true }
+}
+
+// Whether `ip` is locked or has a full window of failures, without counting anything - for requests that
+// only lead up to an attempt (/api/authenticate/challenge)
+export async function checkIpLimit(ip: string): Promise<RateLimitDecision> {
+  const entries = await loadEntries()
+  const now = Date.now()
+  pruneEntries(entries, now)
+
+  const entry = entries.get(keyOf("ip", ip))
+  if (entry?.lockedUntil && entry.lockedUntil > now) {
+    return {
+      allowed: false,
+      reasonCode: AUTH_REASON_CODES.LOCKED_OUT,
+      reason: `Too many failed attempts - this address is locked until ${new Date(entry.lockedUntil).toISOString()}`,
+      retryAfterSeconds: Math.ceil((entry.lockedUntil - now) / 1000),
+    }
+  }
+  if (entry && entry.failures.length >= AUTH_CONFIG.RATE_LIMIT_MAX_IP_FAILURES) {
+    const allowedAt = entry.failures[0] + AUTH_CONFIG.RATE_LIMIT_WINDOW_MINUTES * 60_000
+    return {
+      allowed: false,
+      reasonCode: AUTH_REASON_CODES.RATE_LIMITED,
+      reason: `Too many attempts - wait ${Math.ceil((allowedAt - now) / 1000)} s before trying again`,
+      retryAfterSeconds: Math.ceil((allowedAt - now) / 1000),
+    }
+  }
+  return { allowed: true }
+}
+
+/**
+ * Settle a failed attempt - checkRateLimit already counted it, this locks the username and the IP
+ * once their failures fill the window. Returns the lockouts it started, so the route can put them in the audit log.
+ */
+export async function recordAuthFailure(username: string, ip: string, account: AccountKind = "user"): Promise<Lockout[]> {
+  const entries = await loadEntries()
+  const now = Date.now()
+  pruneEntries(entries, now)
+
+  const started: Lockout[] = []
+  for (const [kind, subject, maxFailures] of [
+    [account, username, AUTH_CONFIG.RATE_LIMIT_MAX_USER_FAILURES],
+    ["ip", ip, AUTH_CONFIG.RATE_LIMIT_MAX_IP_FAILURES],
+  ] as const) {
+    const key = keyOf(kind, subject)
+    const entry = entries.get(key) ?? { failures: [now], lastAttemptAt: now, lockedUntil: null, lockouts: 0 }
+    const locked = entry.lockedUntil !== null && entry.lockedUntil > now
+    // The failures stay after a lockout - they keep the key blocked until they slide out of the window
+    if (!locked && entry.failures.length >= maxFailures) {
+      entry.lockouts += 1
+      const minutes = Math.min(AUTH_CONFIG.LOCKOUT_MINUTES * 2 ** (entry.lockouts - 1), AUTH_CONFIG.LOCKOUT_MAX_MINUTES)
+      entry.lockedUntil = now + minutes * 60_000
+      started.push({ kind, subject, lockedUntil: new Date(entry.lockedUntil).toISOString(), lockouts: entry.lockouts })
+    }
+    entries.set(key, entry)
+  }
+
+  await saveEntries(entries)
+  return started
+}
+
+// A pass clears the username's failures and lockout history. The IP keeps its count, less the failure
+// checkRateLimit counted for this attempt (which one of them doesn't matter to a count).
+export async function recordAuthSuccess(username: string, ip: string, account: AccountKind = "user") {
+  const entries = await loadEntries()
+  entries.delete(keyOf(account, username))
+  entries.get(keyOf("ip", ip))?.failures.pop()
+  await saveEntries(entries)
+}
+
+export async function listLockouts(): Promise<Lockout[]> {
+  const entries = await loadEntries()
+  const now = Date.now()
+  pruneEntries(entries, now)
+
+  return [...entries.entries()]
+    .filter(([, entry]) => entry.lockedUntil !== null && entry.lockedUntil > now)
+    .map(([key, entry]) => {
+      const [kind, ...subject] = key.split(":")
+      return {
+        kind: kind as LimitKind,
+        subject: subject.join(":"), // IPv6 addresses contain colons
+        lockedUntil: new Date(entry.lockedUntil!).toISOString(),
+        lockouts: entry.lockouts,
+      }
+    })
+}
+
+// Lift a lockout and forget the failures behind it. Returns false when nothing was stored for the key.
+export async function clearLockout(kind: LimitKind, subject: string): Promise<boolean> {
+  const entries = await loadEntries()
+  if (!entries.delete(keyOf(kind, subject))) return false
+  await saveEntries(entries)
+  return true
+}
+
+/**
+ * Put a blocked attempt or a lockout in the audit log, next to the attempts that caused it
+ * Same CSV as the attempts, as a Fail row told apart by its reason code. An IP lockout is logged under the
+ * username of the attempt that set it off.
+ */
+export async function logRateLimitEvent(request: NextRequest, username: string, reasonCode: AuthReasonCode) {
+  await logAuditEvent(request, { username, result: "Fail", mse: 0, reason: reasonCode })
+}
+
+// Count a scored attempt's outcome - a failure that locks the username or IP is logged as lockout_started
+// (under "admin:<name>" for an admin sign-in, the way unlocks of an IP are logged under "ip:<address>")
+export async function recordAuthOutcome(
+  request: NextRequest,
+  username: string,
+  passed: boolean,
+  account: AccountKind = "user",
+) {
+  try {
+    if (passed) {
+      await recordAuthSuccess(username, clientAddress(request), account)
+      return
+    }
+    for (const lockout of await recordAuthFailure(username, clientAddress(request), account)) {
+      console.log(`Locked ${lockout.kind} ${lockout.subject} until ${lockout.lockedUntil} (lockout ${lockout.lockouts})`)
+      await logRateLimitEvent(request, account === "admin" ? `admin:${username}` : username, AUTH_REASON_CODES.LOCKOUT_STARTED)
+    }
+  } catch (error) {
+    console.error("Failed to update rate limits:", error)
+  }
+}
+
+// Settle a passphrase or PIN check outside a sign-in (the enrollment routes) that checkRateLimit let through.
+// A mismatch counts like a failed attempt. A match only takes back the attempt - unlike a pass it leaves the
+// username's earlier failures and lockouts in place, since it proves the passphrase but not the typist.
+export async function recordKnowledgeCheck(request: NextRequest, username: string, matched: boolean) {
+  if (!matched) {
+    await recordAuthOutcome(request, username, false)
+    return
+  }
+  try {
+    const entries = await loadEntries()
+    entries.get(keyOf("user", username))?.failures.pop()
+    entries.get(keyOf("ip", clientAddress(request)))?.failures.pop()
+    await saveEntries(entries)
+  } catch (error) {
+    console.error("Failed to update rate limits:", error)
+  }
+}
+
+// The 429 for an attempt that wasn't scored - same body as a failed attempt, plus when to come back
+export function rateLimitedResponse(decision: Extract<RateLimitDecision, { allowed: false }>) {
+  return NextResponse.json(
+    {
+      success: false,
+      authenticated: false,
+      mse: 0,
+      reconstructionError: 0,
+      deviations: [],
+      reasonCode: decision.reasonCode,
+      reason: decision.reason,
+      retryAfterSeconds: decision.retryAfterSeconds,
+    },
+    { status: 429, headers: { "Retry-After": String(decision.retryAfterSeconds) } },
+  )
+}
@@ -0,0 +1,21 @@
+// Reason codes written to the "reason" column of audit events (logs/access_log.csv in the filesystem layout)
+// Keeping them as stable strings so the audit dashboard (and anyone grepping the CSV) can tell failures apart
+export const AUTH_REASON_CODES = {
+  KNOWLEDGE_FACTOR_FAILED: "knowledge_factor_failed", // Wrong passphrase, rhythm was fine
+  BIOMETRIC_FACTOR_FAILED: "biometric_factor_failed", // Right passphrase, wrong typist
+  BOTH_FACTORS_FAILED: "both_factors_failed",
+  NO_PASSPHRASE_ENROLLED: "no_passphrase_enrolled", // Model predates passphrase hashing - user must re-register
+  FEATURE_SCHEMA_MISMATCH: "feature_schema_mismatch", // Vector doesn't fit the enrolled layout (wrong length, corrections, legacy model)
+  UNSUPPORTED_KEYBOARD: "unsupported_keyboard", // Keys reported as "Unidentified" and the keystrokes don't add up to the passphrase
+  SYNTHETIC_INPUT: "synthetic_input", // Failed the liveness checks - scripted events, machine-regular or inhuman timing
+  CHALLENGE_INVALID: "challenge_invalid", // No challenge nonce, or an expired/unknown one or one issued for another user
+  REPLAY_DETECTED: "replay_detected", // Reused challenge, or timings (near-)identical to an earlier attempt
+  CONTINUOUS_STEP_UP: "continuous_step_up", // Free-text trust fell below CONTINUOUS_STEP_UP_TRUST during a session
+  CONTINUOUS_LOCKED: "continuous_locked", // ...and below CONTINUOUS_LOCK_TRUST - the session was locked
+  RATE_LIMITED: "rate_limited", // Attempt came before the backoff after the username's last failure was over
+  LOCKED_OUT: "locked_out", // Attempt for a locked username or from a locked IP - not scored
+  LOCKOUT_STARTED: "lockout_started", // Too many failures in the window - the username or IP is now locked
+  LOCKOUT_CLEARED: "lockout_cleared", // An admin lifted a lockout
+} as const
+
+export type AuthReasonCode = (typeof AUTH_REASON_CODES)[keyof typeof AUTH_REASON_CODES]
@@ -0,0 +1,63 @@
+/**
+ * Samples used for threshold calibration
+ * Genuine samples are the user's own enrollment samples. Impostor samples come from two places:
+ * other enrolled users (from any of their device templates) who typed a passphrase of the same length,
+ * and attempts the user tagged as "someone else typing" (kept with the user's default template).
+ */
+import { deviceTemplate } from "@/lib/device-templates"
+import {
+  fitFeatureVectorToSchema,
+  validateFeatureVector,
+  type KeystrokeFeatureSchema,
+} from "@/lib/keystroke-feature-schema"
+import type { Username } from "@/lib/request-validation"
+import { getStorage, type SampleSet, type TemplateRef } from "@/lib/storage"
+
+export interface ImpostorSamples {
+  samples: number[][]
+  sources: { enrolledUsers: number; taggedAttempts: number }
+}
+
+// The feature vectors of a sample set that fit the schema
+async function readFeatureVectors(template: TemplateRef, set: SampleSet, featureSchema: KeystrokeFeatureSchema): Promise<number[][]> {
+  const vectors: number[][] = []
+  for (const sample of await getStorage().samples.list(template, set)) {
+    // Other users may have enrolled under a newer schema version - their samples still count as impostors
+    const features = fitFeatureVectorToSchema(featureSchema, sample.data.features)
+    if (validateFeatureVector(featureSchema, features).valid) {
+      vectors.push(features as number[])
+    }
+  }
+  return vectors
+}
+
+export async function loadGenuineSamples(template: TemplateRef, featureSchema: KeystrokeFeatureSchema) {
+  return readFeatureVectors(template, "samples", featureSchema)
+}
+
+export async function loadImpostorSamples(username: Username, featureSchema: KeystrokeFeatureSchema): Promise<ImpostorSamples> {
+  // Their device templates count too - the user's own other devices never do
+  const samplesByUser = new Map<string, number[][]>()
+  for (const template of await getStorage().models.listTemplates({ modality: "keystroke" })) {
+    if (template.username === username) continue
+    const otherSamples = samplesByUser.get(template.username) ?? []
+    otherSamples.push(...(await readFeatureVectors(template, "samples", featureSchema)))
+    samplesByUser.set(template.username, otherSamples)
+  }
+  const otherUsers = [...samplesByUser.values()].filter((otherSamples) => otherSamples.length > 0)
+
+  const taggedSamples = await readFeatureVectors(deviceTemplate(username), "impostor_samples", featureSchema)
+
+  return {
+    samples: [...otherUsers.flat(), ...taggedSamples],
+    sources: { enrolledUsers: otherUsers.length, taggedAttempts: taggedSamples.length },
+  }
+}
+
+export async function saveTaggedImpostorSample(username: Username, features: number[]) {
+  const timestamp = new Date().toISOString()
+  await getStorage().samples.write(deviceTemplate(username), "impostor_samples", {
+    id: Date.now(),
+    data: { timestamp, source: "tagged", features },
+  })
+}
@@ -0,0 +1,28 @@
+/**
+ * The client address of a request, for the per-IP rate limits (lib/auth-rate-limits) and the audit log
+ * Route handlers don't see the socket, only x-forwarded-for: Next fills it in with the socket address when
+ * the request came without one, and every proxy on the way appends the address it got the request from.
+ * Behind TRUSTED_PROXY_HOPS proxies the client is the entry the outermost of them appended - anything
+ * further left is whatever the client sent. Without a proxy a client that sends the header itself picks
+ * its own address, so deployments that rely on the per-IP limits run behind a proxy and set
+ * GHOSTKEY_TRUSTED_PROXY_HOPS.
+ */
+import type { NextRequest } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+let warnedAboutMissingProxy = false
+
+export function clientAddress(request: NextRequest): string {
+  const hops = AUTH_CONFIG.TRUSTED_PROXY_HOPS
+  if (hops === 0 && process.env.NODE_ENV === "production" && !warnedAboutMissingProxy) {
+    console.warn("GHOSTKEY_TRUSTED_PROXY_HOPS is not set - client addresses come from x-forwarded-for as the client sent it")
+    warnedAboutMissingProxy = true
+  }
+
+  const forwarded = (request.headers.get("x-forwarded-for") ?? "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean)
+  // With no proxy the last entry is the one Next added from the socket, unless the client sent the header
+  return forwarded[Math.max(0, forwarded.length - Math.max(hops, 1))] ?? "unknown"
+}
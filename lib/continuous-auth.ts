@@ -0,0 +1,91 @@
+/**
+ * Continuous authentication sessions
+ * After a successful login the client keeps sending windows of whatever the user types (see
+ * useContinuousAuth). Each scored window moves a rolling trust score; when it falls below policy the
+ * session asks for a step-up (type the passphrase again) and, lower still, locks. Either one ends the
+ * Ghost Key session as well, so a fresh pass on /api/authenticate is the only way back. Trust lives on the
+ * server so a client can't simply report itself trusted. Each one is bound to the Ghost Key session
+ * (lib/user-sessions) it was started under and is only found again with that session's cookie.
+ * Sessions are in memory, like the challenges in lib/replay-protection - a restart ends them and the
+ * user logs in again.
+ */
+import { randomBytes } from "crypto"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+export type ContinuousSessionStatus = "active" | "step-up" | "locked"
+
+export interface ContinuousSession {
+  id: string
+  username: string
+  userSessionId: string // sid of the Ghost Key session it was started under
+  trust: number // 0-1, starts at 1 right after login
+  status: ContinuousSessionStatus
+  windows: number // Windows scored so far
+  createdAt: number
+  updatedAt: number
+}
+
+// Kept on globalThis so sessions survive Next's dev-mode module reloads
+const globalStore = globalThis as typeof globalThis & { continuousAuthSessions?: Map<string, ContinuousSession> }
+const sessions: Map<string, ContinuousSession> = (globalStore.continuousAuthSessions ??= new Map())
+
+function dropIdleSessions(now: number) {
+  const cutoff = now - AUTH_CONFIG.CONTINUOUS_SESSION_IDLE_MINUTES * 60000
+  for (const [id, session] of sessions) {
+    if (session.updatedAt < cutoff) {
+      sessions.delete(id)
+    }
+  }
+}
+
+export function startContinuousSession(username: string, userSessionId: string): ContinuousSession {
+  const now = Date.now()
+  dropIdleSessions(now)
+
+  const session: ContinuousSession = {
+    id: randomBytes(18).toString("base64url"),
+    username,
+    userSessionId,
+    trust: 1,
+    status: "active",
+    windows: 0,
+    createdAt: now,
+    updatedAt: now,
+  }
+  sessions.set(session.id, session)
+  return session
+}
+
+// The user's session, or null when it is unknown, idle for too long, belongs to someone else or
+// was started under another Ghost Key session
+export function getContinuousSession(
+  sessionId: unknown,
+  username: string,
+  userSessionId: string,
+): ContinuousSession | null {
+  dropIdleSessions(Date.now())
+  const session = typeof sessionId === "string" ? sessions.get(sessionId) : undefined
+  return session && session.username === username && session.userSessionId === userSessionId ? session : null
+}
+
+// Apply a window's score to the rolling trust. A window that couldn't be scored leaves trust alone,
+// and neither a step-up nor a lock is undone by trust climbing back - only a new login starts a trusted session.
+export function applyWindowScore(session: ContinuousSession, windowScore: number | null): ContinuousSession {
+  session.updatedAt = Date.now()
+  if (windowScore === null || session.status === "locked") {
+    return session
+  }
+
+  const smoothing = AUTH_CONFIG.CONTINUOUS_TRUST_SMOOTHING
+  session.trust = (1 - smoothing) * session.trust + smoothing * windowScore
+  session.windows++
+
+  if (session.trust < AUTH_CONFIG.CONTINUOUS_LOCK_TRUST) {
+    session.status = "locked"
+  } else if (session.trust < AUTH_CONFIG.CONTINUOUS_STEP_UP_TRUST || session.status === "step-up") {
+    session.status = "step-up"
+  } else {
+    session.status = "active"
+  }
+  return session
+}
@@ -0,0 +1,71 @@
+/**
+ * CSV fields for logs/access_log.csv and the other CSVs under models/
+ * Values are quoted when they contain a comma or a quote, and line breaks are flattened, so one
+ * attempt is always one line. Text that a spreadsheet would run as a formula (=, +, -, @ first) gets
+ * a leading apostrophe. parseCsvLine reads the result back, quoted fields included.
+ */
+import type { AuditEvent } from "@/lib/storage/types"
+
+// Columns of logs/access_log.csv - also the layout of the audit export, whichever backend keeps the events
+export const AUDIT_LOG_COLUMNS = ["timestamp", "username", "result", "mse", "ip", "userAgent", "reason"] as const
+
+export function toCsvField(value: unknown): string {
+  if (value === null || value === undefined) return ""
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : ""
+
+  let text = String(value).replace(/[\r\n]+/g, " ")
+  if (/^[=+\-@\t]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsvLine(values: unknown[]): string {
+  return values.map(toCsvField).join(",")
+}
+
+export function parseCsvLine(line: string): string[] {
+  const fields: string[] = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      fields.push(field)
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  fields.push(field)
+  return fields
+}
+
+export function formatAuditEvent(event: AuditEvent): string {
+  return toCsvLine(AUDIT_LOG_COLUMNS.map((column) => event[column]))
+}
+
+export function parseAuditEvent(line: string): AuditEvent {
+  const values = parseCsvLine(line)
+  return {
+    timestamp: values[0] || new Date().toISOString(),
+    username: values[1] || "unknown",
+    result: values[2] === "Pass" ? "Pass" : "Fail",
+    mse: values[3] ? Number.parseFloat(values[3]) : null,
+    ip: values[4] || "unknown",
+    userAgent: values[5] || "unknown",
+    reason: values[6] || "",
+  }
+}
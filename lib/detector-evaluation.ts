@@ -0,0 +1,66 @@
+/**
+ * Error-rate maths for evaluating keystroke detectors
+ * Given genuine scores (the user's own held-out attempts) and impostor scores (everyone else's
+ * samples), work out FAR/FRR at any threshold, the full ROC/DET curve and the equal error rate.
+ * Scores follow the detector convention: an attempt is accepted when score <= threshold.
+ */
+
+export interface ErrorRates {
+  threshold: number
+  far: number // False accept rate - impostor attempts accepted
+  frr: number // False reject rate - genuine attempts rejected
+}
+
+export interface CurvePoint extends ErrorRates {
+  tar: number // True accept rate (1 - FRR), the ROC y-axis
+}
+
+export interface EqualErrorRate {
+  eer: number
+  threshold: number
+}
+
+export function errorRatesAt(genuineScores: number[], impostorScores: number[], threshold: number): ErrorRates {
+  const falseRejects = genuineScores.filter((score) => score > threshold).length
+  const falseAccepts = impostorScores.filter((score) => score <= threshold).length
+  return {
+    threshold,
+    far: impostorScores.length > 0 ? falseAccepts / impostorScores.length : 0,
+    frr: genuineScores.length > 0 ? falseRejects / genuineScores.length : 0,
+  }
+}
+
+// One point per distinct score, plus a "reject everything" point, ordered by threshold.
+// Plot tar against far for the ROC curve, or frr against far (normal-deviate axes) for the DET curve.
+export function errorRateCurve(genuineScores: number[], impostorScores: number[]): CurvePoint[] {
+  const thresholds = Array.from(new Set([...genuineScores, ...impostorScores])).sort((a, b) => a - b)
+  const lowestScore = thresholds.length > 0 ? thresholds[0] : 0
+
+  return [lowestScore - 1, ...thresholds].map((threshold) => {
+    const rates = errorRatesAt(genuineScores, impostorScores, threshold)
+    return { ...rates, tar: 1 - rates.frr }
+  })
+}
+
+// Where FAR and FRR cross - interpolated between the two curve points either side of the crossing
+export function equalErrorRate(curve: CurvePoint[]): EqualErrorRate {
+  for (let i = 1; i < curve.length; i++) {
+    const previous = curve[i - 1]
+    const current = curve[i]
+    const previousGap = previous.frr - previous.far
+    const currentGap = current.frr - current.far
+    if (previousGap >= 0 && currentGap <= 0) {
+      const fraction = previousGap === currentGap ? 0 : previousGap / (previousGap - currentGap)
+      return {
+        eer: previous.frr + fraction * (current.frr - previous.frr),
+        threshold: previous.threshold + fraction * (current.threshold - previous.threshold),
+      }
+    }
+  }
+
+  // FAR and FRR never cross (e.g. no impostor scores) - report the closest point instead
+  const closest = curve.reduce((best, point) =>
+    Math.abs(point.far - point.frr) < Math.abs(best.far - best.frr) ? point : best,
+  )
+  return { eer: (closest.far + closest.frr) / 2, threshold: closest.threshold }
+}
@@ -0,0 +1,47 @@
+/**
+ * Device template names
+ * A user can enroll one keystroke template per device ("mac-keyboard", "android-touch", or any name
+ * they pick, like "mechanical"). Names are slugs so they are safe as directory names. This module has
+ * no Node dependencies - the capture component uses it to suggest a name, the server to check one.
+ */
+
+// The user's original template, stored directly in models/<user>/ as before device templates existed
+export const DEFAULT_DEVICE = "default"
+
+const MAX_DEVICE_NAME_LENGTH = 32
+
+// Lower-case slug of a device name, or null when nothing usable is left
+export function normalizeDeviceName(name: unknown): string | null {
+  if (typeof name !== "string") return null
+  const slug = name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_DEVICE_NAME_LENGTH)
+    .replace(/-+$/, "")
+  return slug.length > 0 ? slug : null
+}
+
+function detectPlatform(userAgent: string): string {
+  if (/Android/i.test(userAgent)) return "android"
+  if (/iPhone|iPad|iPod/i.test(userAgent)) return "ios"
+  if (/CrOS/i.test(userAgent)) return "chromeos"
+  if (/Macintosh|Mac OS X/i.test(userAgent)) return "mac"
+  if (/Windows/i.test(userAgent)) return "windows"
+  if (/Linux/i.test(userAgent)) return "linux"
+  return "device"
+}
+
+// Suggest a template name from the user agent and the primary pointer (CSS `pointer` media feature).
+// A coarse pointer means typing on a touch screen; anything else is taken for a physical keyboard.
+// Two keyboards on one machine look the same from here, so the user can always rename the suggestion.
+export function suggestDeviceName({
+  userAgent,
+  pointerType,
+}: {
+  userAgent: string
+  pointerType: "fine" | "coarse" | "none"
+}): string {
+  return `${detectPlatform(userAgent)}-${pointerType === "coarse" ? "touch" : "keyboard"}`
+}
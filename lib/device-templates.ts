@@ -0,0 +1,47 @@
+/**
+ * Per-device keystroke templates
+ * The same person types differently on a laptop keyboard, a mechanical keyboard and a phone, so each
+ * device gets its own template: samples, model versions and thresholds. The default template is the one
+ * every enrollment used before devices existed (models/<user>/ in the filesystem layout, named ones in
+ * models/<user>/devices/<name>/). Everything that takes a TemplateRef works on either. The passphrase hash,
+ * replay fingerprints and tagged impostor samples stay with the default template - they are per user.
+ */
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import { loadActiveModel } from "@/lib/model-versions"
+import type { Username } from "@/lib/request-validation"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+
+export interface DeviceTemplate {
+  device: string
+  template: TemplateRef
+  model: any // The template's active model version (see loadActiveModel)
+}
+
+export function deviceTemplate(username: Username, device: string = DEFAULT_DEVICE): TemplateRef {
+  return { username, device, modality: "keystroke" }
+}
+
+// Every template of the user that has a trained model, the default one first
+export async function loadDeviceTemplates(username: Username): Promise<DeviceTemplate[]> {
+  const namedDevices = (await getStorage().models.listTemplates({ username, modality: "keystroke" }))
+    .map((template) => template.device)
+    .filter((device) => device !== DEFAULT_DEVICE)
+    .sort()
+
+  const templates: DeviceTemplate[] = []
+  for (const device of [DEFAULT_DEVICE, ...namedDevices]) {
+    const template = deviceTemplate(username, device)
+    const model = await loadActiveModel(template)
+    if (model) {
+      templates.push({ device, template, model })
+    }
+  }
+  return templates
+}
+
+// A single template, or null when that device hasn't been enrolled
+export async function loadDeviceTemplate(username: Username, device: string): Promise<DeviceTemplate | null> {
+  const template = deviceTemplate(username, device)
+  const model = await loadActiveModel(template)
+  return model ? { device, template, model } : null
+}
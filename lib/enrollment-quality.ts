@@ -0,0 +1,118 @@
+/**
+ * Enrollment quality control
+ * Five samples where one was typed with a hesitation or a typo make a template that rejects the user
+ * half the time. Each new sample is compared with the samples already collected (per-feature z-scores)
+ * and flagged with readable findings ("sample 3 is 2.4σ slower on keys 4–6") so the user can retype
+ * it, and training is refused when the samples as a whole are too inconsistent.
+ */
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { featureMeans, featureStandardDeviations } from "@/lib/anomaly-detectors/shared"
+import type { KeystrokeFeatureSchema } from "@/lib/keystroke-feature-schema"
+import type { TouchFeatureSchema } from "@/lib/touch-dynamics"
+
+export interface SampleQualityReport {
+  sampleNumber: number // 1-based, as the user counts them
+  checked: boolean // False until there are enough earlier samples to compare with
+  outlier: boolean
+  deviation: number // Root mean square z-score over all features
+  findings: string[]
+}
+
+export interface EnrollmentConsistency {
+  score: number // 0-1, 1 - median coefficient of variation of the hold and DD times
+  minimum: number
+  acceptable: boolean
+}
+
+// Spread of each feature across the earlier samples, floored so a near-constant feature doesn't explode
+function featureSpreads(samples: number[][]) {
+  const means = featureMeans(samples)
+  const spreads = featureStandardDeviations(samples, means).map((spread, i) =>
+    Math.max(spread, Math.abs(means[i]) * AUTH_CONFIG.ENROLLMENT_MIN_RELATIVE_SPREAD),
+  )
+  return { means, spreads }
+}
+
+// Signed z-score per key: its hold time and the DD interval that leads into it. Positive is slower.
+// UD is left out - a long hold on one key shortens the UD into the next and would flag that one as "faster".
+function keyDeviations(schema: KeystrokeFeatureSchema, zScores: number[]): number[] {
+  const perKey: number[][] = Array.from({ length: schema.passphraseLength }, () => [])
+  schema.featureNames.forEach((name, index) => {
+    const match = name.match(/^(?:hold\.k(\d+)|dd\.k\d+-k(\d+))$/)
+    if (match) {
+      perKey[Number(match[1] ?? match[2]) - 1].push(zScores[index])
+    }
+  })
+  return perKey.map((values) => values.reduce((sum, value) => sum + value, 0) / values.length)
+}
+
+// Runs of neighbouring keys that are off in the same direction, reported as one finding each
+function describeKeyRuns(sampleNumber: number, deviations: number[]): string[] {
+  const findings: string[] = []
+  let runStart = -1
+  for (let key = 0; key <= deviations.length; key++) {
+    const value = deviations[key]
+    const flagged = key < deviations.length && Math.abs(value) >= AUTH_CONFIG.ENROLLMENT_OUTLIER_SIGMA
+    const continuesRun = flagged && runStart !== -1 && Math.sign(value) === Math.sign(deviations[runStart])
+    if (runStart !== -1 && !continuesRun) {
+      const run = deviations.slice(runStart, key)
+      const meanDeviation = run.reduce((sum, z) => sum + z, 0) / run.length
+      const keys = run.length === 1 ? `key ${runStart + 1}` : `keys ${runStart + 1}–${key}`
+      findings.push(
+        `sample ${sampleNumber} is ${Math.abs(meanDeviation).toFixed(1)}σ ${meanDeviation > 0 ? "slower" : "faster"} on ${keys}`,
+      )
+      runStart = -1
+    }
+    if (flagged && runStart === -1) {
+      runStart = key
+    }
+  }
+  return findings
+}
+
+// Compare a new sample with the ones collected before it in this enrollment
+export function assessEnrollmentSample(
+  schema: KeystrokeFeatureSchema,
+  sample: number[],
+  previousSamples: number[][],
+): SampleQualityReport {
+  const sampleNumber = previousSamples.length + 1
+  if (previousSamples.length < AUTH_CONFIG.ENROLLMENT_QC_MIN_PREVIOUS_SAMPLES) {
+    return { sampleNumber, checked: false, outlier: false, deviation: 0, findings: [] }
+  }
+
+  const { means, spreads } = featureSpreads(previousSamples)
+  const zScores = sample.map((value, i) => (value - means[i]) / spreads[i])
+  const deviation = Math.sqrt(zScores.reduce((sum, z) => sum + z * z, 0) / zScores.length)
+
+  const findings = describeKeyRuns(sampleNumber, keyDeviations(schema, zScores))
+  const corrections = sample[schema.featureNames.indexOf("errorCount")] ?? 0
+  if (corrections > 0) {
+    findings.push(`sample ${sampleNumber} was typed with ${corrections} correction${corrections === 1 ? "" : "s"}`)
+  }
+  // Off everywhere a little rather than on particular keys
+  if (findings.length === 0 && deviation >= AUTH_CONFIG.ENROLLMENT_OUTLIER_SIGMA) {
+    findings.push(`sample ${sampleNumber} is ${deviation.toFixed(1)}σ off overall`)
+  }
+
+  return { sampleNumber, checked: true, outlier: findings.length > 0, deviation, findings }
+}
+
+// How alike the enrollment samples are overall - the typical hold/DD time (dwell time on the touch keypad)
+// varies by less than half its mean at the default minimum. UD and swipe-in times are left out, they sit
+// near zero (or below) for fast typists.
+export function measureEnrollmentConsistency(
+  schema: KeystrokeFeatureSchema | TouchFeatureSchema,
+  samples: number[][],
+): EnrollmentConsistency {
+  const means = featureMeans(samples)
+  const deviations = featureStandardDeviations(samples, means)
+  const coefficients = schema.featureNames
+    .map((name, i) => (/^(hold|dd|dwell)\./.test(name) && means[i] > 0 ? deviations[i] / means[i] : null))
+    .filter((coefficient): coefficient is number => coefficient !== null)
+    .sort((a, b) => a - b)
+
+  const median = coefficients.length > 0 ? coefficients[Math.floor(coefficients.length / 2)] : 0
+  const score = Math.max(0, Math.min(1, 1 - median))
+  return { score, minimum: AUTH_CONFIG.ENROLLMENT_MIN_CONSISTENCY, acceptable: score >= AUTH_CONFIG.ENROLLMENT_MIN_CONSISTENCY }
+}
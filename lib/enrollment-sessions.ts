@@ -0,0 +1,68 @@
+/**
+ * Enrollment sessions for /api/train-model and /api/touch/train
+ * The first sample of an enrollment (sampleCount 0) starts one: a random token bound to the template being
+ * enrolled, sent back as an httpOnly cookie (one per modality, so a keystroke and a touch enrollment can run
+ * side by side). Every later sample has to carry it - knowing the passphrase or PIN isn't enough to add
+ * samples to an enrollment someone else started. A token lasts ENROLLMENT_SESSION_MINUTES from its last use
+ * and lives in this server's memory, so a restart means starting the enrollment over.
+ */
+import { randomBytes } from "crypto"
+import type { NextRequest, NextResponse } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { sameTemplate, type TemplateRef } from "@/lib/storage"
+
+interface EnrollmentSession {
+  template: TemplateRef
+  expiresAt: number
+}
+
+// Kept on globalThis so an enrollment in progress survives Next's dev-mode module reloads
+const globalStore = globalThis as typeof globalThis & { ghostKeyEnrollmentSessions?: Map<string, EnrollmentSession> }
+const enrollments: Map<string, EnrollmentSession> = (globalStore.ghostKeyEnrollmentSessions ??= new Map())
+
+function enrollmentCookie(modality: TemplateRef["modality"]) {
+  return `ghostkey_enrollment_${modality}`
+}
+
+function dropExpiredEnrollments(now: number) {
+  for (const [token, enrollment] of enrollments) {
+    if (enrollment.expiresAt <= now) {
+      enrollments.delete(token)
+    }
+  }
+}
+
+// The enrollment the request's cookie for `modality` belongs to, or null - using it extends it
+export function readEnrollmentSession(request: NextRequest, modality: TemplateRef["modality"]): TemplateRef | null {
+  const now = Date.now()
+  dropExpiredEnrollments(now)
+
+  const enrollment = enrollments.get(request.cookies.get(enrollmentCookie(modality))?.value ?? "")
+  if (!enrollment) return null
+  enrollment.expiresAt = now + AUTH_CONFIG.ENROLLMENT_SESSION_MINUTES * 60_000
+  return enrollment.template
+}
+
+// Whether the request carries the enrollment session of `template`
+export function hasEnrollmentSession(request: NextRequest, template: TemplateRef): boolean {
+  const enrollment = readEnrollmentSession(request, template.modality)
+  return enrollment !== null && sameTemplate(enrollment, template)
+}
+
+// Start an enrollment of `template` - replaces the one the request's cookie belonged to. Returns its token.
+export function startEnrollmentSession(request: NextRequest, template: TemplateRef): string {
+  enrollments.delete(request.cookies.get(enrollmentCookie(template.modality))?.value ?? "")
+
+  const token = randomBytes(24).toString("base64url")
+  enrollments.set(token, { template, expiresAt: Date.now() + AUTH_CONFIG.ENROLLMENT_SESSION_MINUTES * 60_000 })
+  return token
+}
+
+export function setEnrollmentCookie(response: NextResponse, request: NextRequest, template: TemplateRef, token: string) {
+  response.cookies.set(enrollmentCookie(template.modality), token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: request.nextUrl.protocol === "https:" || request.headers.get("x-forwarded-proto") === "https",
+    path: "/api",
+  })
+}
@@ -0,0 +1,125 @@
+/**
+ * Free-text keystroke dynamics for continuous authentication
+ * The passphrase model only ever sees one fixed string. After login the user types arbitrary text, so
+ * instead of a fixed feature vector we keep latency statistics per digraph ("KeyT>KeyH", keydown to
+ * keydown) and trigraph ("KeyT>KeyH>KeyE", first to third keydown) - the classic free-text approach.
+ * Statistics are kept on log latencies (typing latencies are roughly log-normal) with Welford's running
+ * mean/variance, as a document of the user's default template (models/<user>/free_text_profile.json in the
+ * filesystem layout). A window of typing is scored by the share of
+ * its graphs that fall within CONTINUOUS_GRAPH_TOLERANCE_SIGMA of the profile.
+ */
+import { AUTH_CONFIG } from "@/config/auth-config"
+import type { RawKeystrokeEvent } from "@/lib/keystroke-features"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+import { pairKeystrokeEvents } from "@/libs/keystroke-pairing"
+
+interface GraphStatistics {
+  count: number
+  meanLog: number
+  m2Log: number // Sum of squared deviations from meanLog (Welford)
+}
+
+export interface FreeTextProfile {
+  version: 1
+  graphs: Record<string, GraphStatistics>
+  observations: number // Graph latencies ever added
+  updatedAt: string
+}
+
+export interface WindowScore {
+  score: number | null // Share of comparable graphs within tolerance, null when too few could be compared
+  comparedGraphs: number
+  matchedGraphs: number
+}
+
+// Latencies per graph in one window of typing
+export function extractGraphLatencies(events: RawKeystrokeEvent[]): Map<string, number[]> {
+  const { keystrokes } = pairKeystrokeEvents(events.map(({ code, type, t }) => ({ code, type, timestamp: t })))
+  const latencies = new Map<string, number[]>()
+  const add = (graph: string, latency: number) => {
+    if (latency > 0) {
+      latencies.set(graph, [...(latencies.get(graph) ?? []), latency])
+    }
+  }
+
+  for (let i = 1; i < keystrokes.length; i++) {
+    const digraphLatency = keystrokes[i].downAt - keystrokes[i - 1].downAt
+    // A long gap is the user thinking, not their rhythm - it also breaks the trigraph running through it
+    if (digraphLatency > AUTH_CONFIG.CONTINUOUS_MAX_GRAPH_LATENCY_MS) continue
+    add(`${keystrokes[i - 1].code}>${keystrokes[i].code}`, digraphLatency)
+
+    if (i >= 2) {
+      const trigraphLatency = keystrokes[i].downAt - keystrokes[i - 2].downAt
+      if (trigraphLatency <= 2 * AUTH_CONFIG.CONTINUOUS_MAX_GRAPH_LATENCY_MS) {
+        add(`${keystrokes[i - 2].code}>${keystrokes[i - 1].code}>${keystrokes[i].code}`, trigraphLatency)
+      }
+    }
+  }
+  return latencies
+}
+
+export function createFreeTextProfile(): FreeTextProfile {
+  return { version: 1, graphs: {}, observations: 0, updatedAt: new Date().toISOString() }
+}
+
+// Still collecting the user's typing - windows are added to the profile but not scored
+export function isProfileLearning(profile: FreeTextProfile): boolean {
+  return profile.observations < AUTH_CONFIG.CONTINUOUS_LEARNING_OBSERVATIONS
+}
+
+export function scoreTypingWindow(profile: FreeTextProfile, latencies: Map<string, number[]>): WindowScore {
+  let comparedGraphs = 0
+  let matchedGraphs = 0
+
+  for (const [graph, values] of latencies) {
+    const statistics = profile.graphs[graph]
+    if (!statistics || statistics.count < AUTH_CONFIG.CONTINUOUS_MIN_GRAPH_OCCURRENCES) continue
+
+    const spread = Math.max(Math.sqrt(statistics.m2Log / (statistics.count - 1)), AUTH_CONFIG.CONTINUOUS_MIN_LOG_SPREAD)
+    const windowMeanLog = values.reduce((sum, value) => sum + Math.log(value), 0) / values.length
+    comparedGraphs++
+    if (Math.abs(windowMeanLog - statistics.meanLog) / spread <= AUTH_CONFIG.CONTINUOUS_GRAPH_TOLERANCE_SIGMA) {
+      matchedGraphs++
+    }
+  }
+
+  return {
+    score: comparedGraphs >= AUTH_CONFIG.CONTINUOUS_MIN_COMPARED_GRAPHS ? matchedGraphs / comparedGraphs : null,
+    comparedGraphs,
+    matchedGraphs,
+  }
+}
+
+// Fold a window into the profile. The count is capped so the profile keeps following slow drift
+// instead of freezing after the first few hundred observations.
+export function addWindowToProfile(profile: FreeTextProfile, latencies: Map<string, number[]>): FreeTextProfile {
+  const graphs = { ...profile.graphs }
+  let observations = profile.observations
+
+  for (const [graph, values] of latencies) {
+    let { count, meanLog, m2Log } = graphs[graph] ?? { count: 0, meanLog: 0, m2Log: 0 }
+    for (const value of values) {
+      if (count >= AUTH_CONFIG.CONTINUOUS_PROFILE_MAX_COUNT) {
+        m2Log *= (count - 1) / count
+        count--
+      }
+      count++
+      const delta = Math.log(value) - meanLog
+      meanLog += delta / count
+      m2Log += delta * (Math.log(value) - meanLog)
+      observations++
+    }
+    graphs[graph] = { count, meanLog, m2Log }
+  }
+
+  return { version: 1, graphs, observations, updatedAt: new Date().toISOString() }
+}
+
+export async function loadFreeTextProfile(template: TemplateRef): Promise<FreeTextProfile> {
+  const stored = await getStorage().models.readDocument<FreeTextProfile>(template, "free-text-profile")
+  return stored?.version === 1 ? stored : createFreeTextProfile()
+}
+
+export async function saveFreeTextProfile(template: TemplateRef, profile: FreeTextProfile) {
+  await getStorage().models.writeDocument(template, "free-text-profile", profile)
+}
@@ -0,0 +1,130 @@
+/**
+ * Keystroke feature schema
+ * Describes the layout of the feature vector for one enrolled passphrase, so vectors are never
+ * silently padded or truncated. The schema is derived from the passphrase length at enrollment
+ * and stored in model.json; authentication rejects anything that doesn't match it.
+ */
+
+export const FEATURE_SCHEMA_NAME = "keystroke-timing"
+export const FEATURE_SCHEMA_VERSION = 2
+
+// Aggregate features appended after the per-key timings, in this order. Each schema version only ever
+// appends to the list, so an older layout is a prefix of the current one.
+// v2: overlapCount - how many times the next key went down before the previous one was released
+const SUMMARY_FEATURE_NAMES = ["typingSpeed", "meanFlightTime", "errorCount", "holdTimeStd", "overlapCount"] as const
+const SUMMARY_FEATURE_COUNT_BY_VERSION: Record<number, number> = { 1: 4, 2: 5 }
+
+export interface KeystrokeFeatureSchema {
+  name: typeof FEATURE_SCHEMA_NAME
+  version: number
+  passphraseLength: number
+  featureCount: number
+  featureNames: string[] // e.g. "hold.k1", "dd.k1-k2", "ud.k1-k2", "typingSpeed", "overlapCount"
+}
+
+// Timing parts the capture hook produces for one passphrase entry
+export interface KeystrokeTimingParts {
+  holdTimes: number[]
+  ddTimes: number[]
+  udTimes: number[]
+  typingSpeed: number
+  flightTime: number
+  errorRate: number
+  pressPressure: number
+  overlapCount: number
+}
+
+// Thrown when a vector (or its parts) doesn't fit the schema
+export class FeatureSchemaError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "FeatureSchemaError"
+  }
+}
+
+// Count characters the way the user typed them (code points, not UTF-16 units)
+export function getPassphraseLength(passphrase: string): number {
+  return Array.from(passphrase.normalize("NFC")).length
+}
+
+// Build the schema for a passphrase of the given length: n hold times, n-1 DD and n-1 UD times, then summaries
+export function createFeatureSchema(passphraseLength: number): KeystrokeFeatureSchema {
+  if (!Number.isInteger(passphraseLength) || passphraseLength < 2) {
+    throw new FeatureSchemaError(`Passphrase must be at least 2 characters long, got ${passphraseLength}`)
+  }
+
+  const featureNames: string[] = []
+  for (let key = 1; key <= passphraseLength; key++) {
+    featureNames.push(`hold.k${key}`)
+  }
+  for (let key = 1; key < passphraseLength; key++) {
+    featureNames.push(`dd.k${key}-k${key + 1}`)
+  }
+  for (let key = 1; key < passphraseLength; key++) {
+    featureNames.push(`ud.k${key}-k${key + 1}`)
+  }
+  featureNames.push(...SUMMARY_FEATURE_NAMES)
+
+  return {
+    name: FEATURE_SCHEMA_NAME,
+    version: FEATURE_SCHEMA_VERSION,
+    passphraseLength,
+    featureCount: featureNames.length,
+    featureNames,
+  }
+}
+
+// Lay out the timing parts as a feature vector - no padding, no truncation.
+// Defaults to the current layout; pass a stored schema's version to build the layout it was enrolled with.
+export function assembleFeatureVector(parts: KeystrokeTimingParts, version: number = FEATURE_SCHEMA_VERSION): number[] {
+  const summaries = [parts.typingSpeed, parts.flightTime, parts.errorRate, parts.pressPressure, parts.overlapCount]
+  return [
+    ...parts.holdTimes,
+    ...parts.ddTimes,
+    ...parts.udTimes,
+    ...summaries.slice(0, SUMMARY_FEATURE_COUNT_BY_VERSION[version] ?? summaries.length),
+  ]
+}
+
+// Clients always send the current layout. A model enrolled under an older schema gets the prefix it was
+// trained on; anything else is returned untouched for validateFeatureVector to reject.
+export function fitFeatureVectorToSchema(schema: KeystrokeFeatureSchema, featureVector: unknown): unknown {
+  if (!Array.isArray(featureVector) || schema.version >= FEATURE_SCHEMA_VERSION) {
+    return featureVector
+  }
+  const currentFeatureCount = createFeatureSchema(schema.passphraseLength).featureCount
+  return featureVector.length === currentFeatureCount ? featureVector.slice(0, schema.featureCount) : featureVector
+}
+
+// Check that a vector has exactly the layout the schema describes
+export function validateFeatureVector(
+  schema: KeystrokeFeatureSchema,
+  featureVector: unknown,
+): { valid: true } | { valid: false; reason: string } {
+  if (!Array.isArray(featureVector)) {
+    return { valid: false, reason: "Feature vector is missing" }
+  }
+  if (featureVector.length !== schema.featureCount) {
+    return {
+      valid: false,
+      reason: `Expected ${schema.featureCount} features for a ${schema.passphraseLength}-character passphrase, got ${featureVector.length}`,
+    }
+  }
+  const badIndex = featureVector.findIndex((value) => typeof value !== "number" || !Number.isFinite(value))
+  if (badIndex !== -1) {
+    return { valid: false, reason: `Feature ${schema.featureNames[badIndex]} is not a finite number` }
+  }
+  return { valid: true }
+}
+
+// Read the schema stored in model.json, or null for models trained before schemas existed
+export function readModelFeatureSchema(modelData: any): KeystrokeFeatureSchema | null {
+  const schema = modelData?.featureSchema
+  if (!schema || schema.name !== FEATURE_SCHEMA_NAME || !Array.isArray(schema.featureNames)) {
+    return null
+  }
+  if (schema.version > FEATURE_SCHEMA_VERSION) {
+    throw new FeatureSchemaError(`Feature schema version ${schema.version} is newer than this server supports`)
+  }
+  return schema
+}
@@ -0,0 +1,125 @@
+/**
+ * Keystroke feature extraction
+ * The one extractor behind /api/train-model and /api/authenticate. Clients send the raw
+ * {code, type, t} events of a passphrase entry and the server turns them into the feature vector,
+ * so every client gets the same features and stored raw events can be re-extracted when the
+ * feature schema changes. The hook runs the same code for local scoring and previews.
+ */
+import { pairKeystrokeEvents } from "@/libs/keystroke-pairing"
+import {
+  FEATURE_SCHEMA_VERSION,
+  assembleFeatureVector,
+  validateFeatureVector,
+  type KeystrokeFeatureSchema,
+  type KeystrokeTimingParts,
+} from "@/lib/keystroke-feature-schema"
+
+// One keydown or keyup as a client sends it - no event.key, the code says which physical key it was
+export interface RawKeystrokeEvent {
+  code: string
+  type: "keydown" | "keyup"
+  t: number // performance.now() milliseconds - only differences between events matter
+}
+
+export interface ExtractedKeystrokeFeatures extends KeystrokeTimingParts {
+  keystrokeCount: number // Characters left after Backspace corrections
+  unidentifiedKeystrokeCount: number // Keys the keyboard reported as "Unidentified" (Android soft keyboards)
+  features: number[]
+}
+
+// A passphrase entry is a few dozen events - anything far beyond that isn't one
+const MAX_KEYSTROKE_EVENTS = 1000
+
+// Check the shape of a client-supplied event list before extracting from it
+export function validateRawKeystrokeEvents(
+  events: unknown,
+): { valid: true; events: RawKeystrokeEvent[] } | { valid: false; reason: string } {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { valid: false, reason: "Keystroke events are missing" }
+  }
+  if (events.length > MAX_KEYSTROKE_EVENTS) {
+    return { valid: false, reason: `Too many keystroke events (${events.length}, at most ${MAX_KEYSTROKE_EVENTS})` }
+  }
+  const badIndex = events.findIndex(
+    (event) =>
+      typeof event?.code !== "string" ||
+      event.code.length === 0 ||
+      event.code.length > 32 ||
+      (event.type !== "keydown" && event.type !== "keyup") ||
+      typeof event.t !== "number" ||
+      !Number.isFinite(event.t),
+  )
+  if (badIndex !== -1) {
+    return { valid: false, reason: `Keystroke event ${badIndex + 1} is not a {code, type, t} event` }
+  }
+  return { valid: true, events: events.map(({ code, type, t }) => ({ code, type, t })) }
+}
+
+// Turn a passphrase entry into timing parts and the feature vector.
+// Defaults to the current schema layout; pass a stored schema's version to build the layout it was enrolled with.
+export function extractKeystrokeFeatures(
+  events: RawKeystrokeEvent[],
+  version: number = FEATURE_SCHEMA_VERSION,
+): ExtractedKeystrokeFeatures {
+  // Pair every keydown with its own keyup by physical key - handles repeated letters, rollover,
+  // Shift/CapsLock and Backspace corrections (see libs/keystroke-pairing)
+  const { keystrokes, holdTimes, ddTimes, udTimes, overlapCount, correctionCount, unidentifiedCount } = pairKeystrokeEvents(
+    events.map(({ code, type, t }) => ({ code, type, timestamp: t })),
+  )
+
+  // Overall pace over whichever timing total is largest (they differ when keys overlap)
+  const totalTypingTime =
+    Math.max(
+      holdTimes.reduce((sum, t) => sum + t, 0),
+      ddTimes.reduce((sum, t) => sum + t, 0),
+      udTimes.reduce((sum, t) => sum + t, 0),
+    ) || 0.001 // Avoid division by zero
+  const typingSpeed = keystrokes.length / (totalTypingTime / 1000)
+  const flightTime = udTimes.length > 0 ? udTimes.reduce((a, b) => a + b, 0) / udTimes.length : 0
+
+  // Spread of hold times (the "pressure" consistency indicator)
+  const meanHoldTime = holdTimes.length > 0 ? holdTimes.reduce((a, b) => a + b, 0) / holdTimes.length : 0
+  const pressPressure =
+    holdTimes.length > 0
+      ? Math.sqrt(holdTimes.reduce((sum, t) => sum + Math.pow(t - meanHoldTime, 2), 0) / holdTimes.length)
+      : 0
+
+  const parts: KeystrokeTimingParts = {
+    holdTimes,
+    ddTimes,
+    udTimes,
+    typingSpeed,
+    flightTime,
+    errorRate: correctionCount,
+    pressPressure,
+    overlapCount,
+  }
+
+  return {
+    ...parts,
+    keystrokeCount: keystrokes.length,
+    unidentifiedKeystrokeCount: unidentifiedCount,
+    features: assembleFeatureVector(parts, version),
+  }
+}
+
+// validateFeatureVector for an extracted entry. "Unidentified" keys are paired in order and all count as
+// characters, so when the count still comes out wrong (a hidden Backspace, an IME sending one event per
+// word) the keyboard is the problem, not the layout - say so instead of reporting a schema mismatch.
+export function validateExtractedFeatures(
+  schema: KeystrokeFeatureSchema,
+  extracted: ExtractedKeystrokeFeatures,
+): { valid: true } | { valid: false; reason: string; unsupportedKeyboard: boolean } {
+  const schemaCheck = validateFeatureVector(schema, extracted.features)
+  if (schemaCheck.valid) {
+    return schemaCheck
+  }
+  if (extracted.unidentifiedKeystrokeCount > 0) {
+    return {
+      valid: false,
+      reason: `Unsupported keyboard: it doesn't report which keys were pressed, and ${extracted.keystrokeCount} keystrokes were captured for a ${schema.passphraseLength}-character passphrase - type it without corrections or use another keyboard`,
+      unsupportedKeyboard: true,
+    }
+  }
+  return { ...schemaCheck, unsupportedKeyboard: false }
+}
@@ -0,0 +1,52 @@
+/**
+ * Server-side keystroke liveness
+ * Runs the shared checks from libs/keystroke-liveness (the ones the hook and the extension run before
+ * sending anything) on the raw events a client posted, plus heuristics only worth doing here: a client
+ * that skipped its own checks can still send events out of order or keys that never come back up.
+ * The server never sees isTrusted, so the untrusted-events check only ever fails in the browser.
+ */
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { checkKeystrokeLiveness } from "@/libs/keystroke-liveness"
+import { pairKeystrokeEvents } from "@/libs/keystroke-pairing"
+import type { RawKeystrokeEvent } from "@/lib/keystroke-features"
+
+export type LivenessCheck =
+  | "untrusted-events"
+  | "timer-quantization"
+  | "low-variance"
+  | "non-human-timing"
+  | "event-order"
+  | "unreleased-keys"
+
+export interface LivenessResult {
+  live: boolean
+  failures: { check: LivenessCheck; message: string }[]
+}
+
+// One line for responses and logs
+export function describeLivenessFailures(result: LivenessResult): string {
+  return `Input looks synthetic: ${result.failures.map((failure) => failure.message).join("; ")}`
+}
+
+export function assessKeystrokeLiveness(events: RawKeystrokeEvent[]): LivenessResult {
+  if (!AUTH_CONFIG.LIVENESS_CHECKS_ENABLED) {
+    return { live: true, failures: [] }
+  }
+
+  const timedEvents = events.map(({ code, type, t }) => ({ code, type, timestamp: t }))
+  const { failures } = checkKeystrokeLiveness(timedEvents) as LivenessResult
+
+  // A browser delivers events in time order - a list that goes back in time was put together by hand
+  const backwardsIndex = events.findIndex((event, i) => i > 0 && event.t < events[i - 1].t)
+  if (backwardsIndex !== -1) {
+    failures.push({ check: "event-order", message: `Key event ${backwardsIndex + 1} is earlier than the one before it` })
+  }
+
+  // Submitting with Enter can leave the last key down, but not several
+  const unreleased = pairKeystrokeEvents(timedEvents).keystrokes.filter((keystroke) => !keystroke.released).length
+  if (unreleased > 1) {
+    failures.push({ check: "unreleased-keys", message: `${unreleased} keys were pressed and never released` })
+  }
+
+  return { live: failures.length === 0, failures }
+}
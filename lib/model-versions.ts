@@ -0,0 +1,275 @@
+/**
+ * Model version history
+ * Every trained model of a template is stored once as a numbered version and never touched again
+ * (models/<user>/versions/v<N>.json in the filesystem layout). The template's active pointer names the
+ * version authentication uses, together with the mutable per-user state (adaptation counters and the
+ * update history), so a bad retrain can be rolled back by moving the pointer instead of re-enrolling.
+ */
+import { readDetectorSet, type DetectorId } from "@/lib/anomaly-detectors"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+
+// Oldest history entries are dropped once the history grows past this
+const MAX_HISTORY_ENTRIES = 100
+
+export type ModelVersionSource = "enrollment" | "adaptation" | "calibration" | "legacy"
+
+export interface AdaptationState {
+  samplesSinceRetrain: number
+  lastSampleAt: string | null
+}
+
+export type ModelHistoryEntry =
+  | { type: "trained"; timestamp: string; version: number; source: ModelVersionSource }
+  | { type: "activated"; timestamp: string; version: number; previousVersion: number | null }
+  | { type: "sample-added"; timestamp: string; sampleId: number; confidence: number; score: number; evictedSampleIds: number[] }
+  | {
+      type: "retrained"
+      timestamp: string
+      samples: number
+      thresholds: Partial<Record<DetectorId, { previous: number; proposed: number; applied: number }>>
+    }
+
+// Summary stored alongside each version so listing doesn't have to dig through the model
+export interface ModelVersionMetadata {
+  samples: number | null
+  featureCount: number | null
+  primaryDetector: string | null
+  seed: number | null // Training seed - POST it to /api/train-model to rebuild this version
+  detectors: Record<string, { threshold: number; estimatedFar: number | null; estimatedFrr: number | null }>
+}
+
+export interface ModelVersionRecord {
+  version: number
+  createdAt: string
+  source: ModelVersionSource
+  metadata: ModelVersionMetadata
+  model: any
+}
+
+export interface ActiveModelPointer {
+  version: number
+  activatedAt: string
+  adaptation: AdaptationState
+  history: ModelHistoryEntry[]
+}
+
+// Thrown for unknown versions and users without versioned models
+export class ModelVersionError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "ModelVersionError"
+  }
+}
+
+const EMPTY_ADAPTATION_STATE: AdaptationState = { samplesSinceRetrain: 0, lastSampleAt: null }
+
+// Detector models keyed by id - pre-registry models are read as a single autoencoder
+function detectorModels(model: any): Record<string, any> {
+  return readDetectorSet(model)?.detectors ?? {}
+}
+
+function describeModel(model: any): ModelVersionMetadata {
+  const detectors: ModelVersionMetadata["detectors"] = {}
+  for (const [id, detectorModel] of Object.entries<any>(detectorModels(model))) {
+    detectors[id] = {
+      threshold: detectorModel.threshold,
+      estimatedFar: detectorModel.trainingStats?.calibration?.estimatedFar ?? null,
+      estimatedFrr: detectorModel.trainingStats?.calibration?.estimatedFrr ?? null,
+    }
+  }
+  const primaryDetector = readDetectorSet(model)?.primaryDetector ?? null
+  return {
+    samples: primaryDetector ? detectorModels(model)[primaryDetector]?.trainingStats?.samples ?? null : null,
+    featureCount: model?.featureSchema?.featureCount ?? null,
+    primaryDetector,
+    seed: typeof model?.seed === "number" ? model.seed : null,
+    detectors,
+  }
+}
+
+// The per-user state lives in the pointer, not in the (immutable) model itself
+function stripMutableState(model: any) {
+  const { version, adaptation, history, ...modelContent } = model
+  return modelContent
+}
+
+// Oldest history entries are dropped here, so no backend has to
+async function writeActivePointer(template: TemplateRef, pointer: ActiveModelPointer) {
+  await getStorage().models.writeActivePointer(template, { ...pointer, history: pointer.history.slice(-MAX_HISTORY_ENTRIES) })
+}
+
+export async function readActivePointer(template: TemplateRef): Promise<ActiveModelPointer | null> {
+  return getStorage().models.readActivePointer(template)
+}
+
+export async function readModelVersion(template: TemplateRef, version: number): Promise<ModelVersionRecord | null> {
+  return getStorage().models.readVersion(template, version)
+}
+
+export async function listModelVersions(template: TemplateRef) {
+  const pointer = await readActivePointer(template)
+  const versions: Omit<ModelVersionRecord, "model">[] = []
+  for (const version of await getStorage().models.listVersions(template)) {
+    const record = await readModelVersion(template, version)
+    if (record) {
+      const { model, ...summary } = record
+      versions.push(summary)
+    }
+  }
+  return { activeVersion: pointer?.version ?? null, versions, history: pointer?.history ?? [] }
+}
+
+// The model authentication should use, with the pointer's state merged in - null if the user has none.
+// Falls back to a pre-versioning model.json so existing users keep working until their next retrain.
+export async function loadActiveModel(template: TemplateRef): Promise<any | null> {
+  const pointer = await readActivePointer(template)
+  if (!pointer) {
+    return getStorage().models.readDocument(template, "legacy-model")
+  }
+
+  const record = await readModelVersion(template, pointer.version)
+  if (!record) {
+    throw new ModelVersionError(`Active model version ${pointer.version} is missing`)
+  }
+  return { ...record.model, version: record.version, adaptation: pointer.adaptation, history: pointer.history }
+}
+
+// A model.json from before versioning becomes v1, so the first versioned retrain can still be rolled back
+async function importLegacyModel(template: TemplateRef) {
+  const legacyModel = await getStorage().models.readDocument<any>(template, "legacy-model")
+  if (!legacyModel) return null
+
+  const record: ModelVersionRecord = {
+    version: 1,
+    createdAt: legacyModel.createdAt || new Date().toISOString(),
+    source: "legacy",
+    metadata: describeModel(legacyModel),
+    model: stripMutableState(legacyModel),
+  }
+  await getStorage().models.createVersion(template, record)
+  await getStorage().models.deleteDocument(template, "legacy-model")
+
+  return {
+    version: 1,
+    activatedAt: record.createdAt,
+    adaptation: legacyModel.adaptation || { ...EMPTY_ADAPTATION_STATE },
+    history: legacyModel.history || [],
+  }
+}
+
+// Save a newly trained model as the next version and make it active.
+// Enrollment starts a new template, so it resets the adaptation counters; other sources keep them.
+export async function saveModelVersion(
+  template: TemplateRef,
+  model: any,
+  source: Exclude<ModelVersionSource, "legacy">,
+  options: { adaptation?: AdaptationState; historyEntries?: ModelHistoryEntry[] } = {},
+): Promise<number> {
+  const previousPointer = (await readActivePointer(template)) ?? (await importLegacyModel(template))
+  const existingVersions = await getStorage().models.listVersions(template)
+  const version = existingVersions.length > 0 ? existingVersions[existingVersions.length - 1] + 1 : 1
+  const createdAt = new Date().toISOString()
+  const modelContent = stripMutableState(model)
+
+  const record: ModelVersionRecord = { version, createdAt, source, metadata: describeModel(modelContent), model: modelContent }
+  // Fails instead of overwriting - versions are immutable once written
+  await getStorage().models.createVersion(template, record)
+
+  const adaptation =
+    options.adaptation ??
+    (source === "enrollment" ? { ...EMPTY_ADAPTATION_STATE } : previousPointer?.adaptation ?? { ...EMPTY_ADAPTATION_STATE })
+  await writeActivePointer(template, {
+    version,
+    activatedAt: createdAt,
+    adaptation,
+    history: [
+      ...(previousPointer?.history || []),
+      ...(options.historyEntries || []),
+      { type: "trained", timestamp: createdAt, version, source },
+    ],
+  })
+
+  return version
+}
+
+// Update the per-user state without creating a new version (e.g. a sample was added but no retrain yet)
+export async function updateActiveState(
+  template: TemplateRef,
+  adaptation: AdaptationState,
+  historyEntries: ModelHistoryEntry[],
+) {
+  const pointer = (await readActivePointer(template)) ?? (await importLegacyModel(template))
+  if (!pointer) {
+    throw new ModelVersionError("No active model version to update")
+  }
+  await writeActivePointer(template, { ...pointer, adaptation, history: [...pointer.history, ...historyEntries] })
+}
+
+// Roll back (or forward) to an existing version. Adaptation restarts its count towards the next retrain.
+export async function activateModelVersion(template: TemplateRef, version: number) {
+  const pointer = await readActivePointer(template)
+  if (!pointer) {
+    throw new ModelVersionError("This user has no versioned models")
+  }
+  if (!(await readModelVersion(template, version))) {
+    throw new ModelVersionError(`Version ${version} does not exist`)
+  }
+
+  const activatedAt = new Date().toISOString()
+  await writeActivePointer(template, {
+    version,
+    activatedAt,
+    adaptation: { ...pointer.adaptation, samplesSinceRetrain: 0 },
+    history: [...pointer.history, { type: "activated", timestamp: activatedAt, version, previousVersion: pointer.version }],
+  })
+}
+
+// Delete old versions, keeping the newest `keep` plus the active one
+export async function pruneModelVersions(template: TemplateRef, keep: number): Promise<number[]> {
+  const pointer = await readActivePointer(template)
+  const versions = await getStorage().models.listVersions(template)
+  const newestVersions = new Set(keep > 0 ? versions.slice(-keep) : [])
+
+  const prunedVersions = versions.filter((version) => version !== pointer?.version && !newestVersions.has(version))
+  for (const version of prunedVersions) {
+    await getStorage().models.deleteVersion(template, version)
+  }
+  return prunedVersions
+}
+
+// Numeric training stats side by side for two versions, per detector
+export function diffModelVersions(from: ModelVersionRecord, to: ModelVersionRecord) {
+  const scalarStats = (detectorModel: any) => {
+    const stats: Record<string, number> = { threshold: detectorModel?.threshold }
+    for (const [key, value] of Object.entries<any>(detectorModel?.trainingStats || {})) {
+      if (typeof value === "number") stats[key] = value
+    }
+    const calibration = detectorModel?.trainingStats?.calibration
+    if (typeof calibration?.estimatedFar === "number") stats.estimatedFar = calibration.estimatedFar
+    if (typeof calibration?.estimatedFrr === "number") stats.estimatedFrr = calibration.estimatedFrr
+    return stats
+  }
+
+  const fromDetectors = detectorModels(from.model)
+  const toDetectors = detectorModels(to.model)
+  const detectorIds = new Set([...Object.keys(fromDetectors), ...Object.keys(toDetectors)])
+  const detectors: Record<string, Record<string, { from: number | null; to: number | null; change: number | null }>> = {}
+  for (const id of detectorIds) {
+    const fromStats = scalarStats(fromDetectors[id])
+    const toStats = scalarStats(toDetectors[id])
+    detectors[id] = {}
+    for (const key of new Set([...Object.keys(fromStats), ...Object.keys(toStats)])) {
+      const fromValue = Number.isFinite(fromStats[key]) ? fromStats[key] : null
+      const toValue = Number.isFinite(toStats[key]) ? toStats[key] : null
+      detectors[id][key] = { from: fromValue, to: toValue, change: fromValue !== null && toValue !== null ? toValue - fromValue : null }
+    }
+  }
+
+  return {
+    from: { version: from.version, createdAt: from.createdAt, source: from.source },
+    to: { version: to.version, createdAt: to.createdAt, source: to.source },
+    primaryDetector: { from: from.metadata.primaryDetector, to: to.metadata.primaryDetector },
+    samples: { from: from.metadata.samples, to: to.metadata.samples },
+    detectors,
+  }
+}
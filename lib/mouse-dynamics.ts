@@ -0,0 +1,183 @@
+/**
+ * Mouse dynamics - how the pointer travels to the login form
+ * A passive extra signal next to keystroke timing: the path the mouse takes to the username field, the
+ * password field and the submit button. Each of those three movements contributes its mean and peak
+ * velocity and its curvature (path length over straight-line distance), and the whole approach adds
+ * pause and click-dwell statistics. The layout is fixed, so unlike keystroke schemas it doesn't depend
+ * on the passphrase. An attempt without all three movements (keyboard navigation, a touch screen, Enter
+ * instead of the button) simply has no mouse signal. Shared by useMouseDynamics and the server.
+ */
+
+export const MOUSE_FEATURE_SCHEMA_NAME = "mouse-dynamics"
+export const MOUSE_FEATURE_SCHEMA_VERSION = 1
+
+// Form elements the movement is measured to, in the order they're approached (data-mouse-target="...")
+export const MOUSE_TARGETS = ["username", "password", "submit"] as const
+export type MouseTarget = (typeof MOUSE_TARGETS)[number]
+
+// The hook samples moves at most every ~16 ms, so a form approach is a few hundred events
+const MAX_POINTER_EVENTS = 3000
+
+// A gap between two moves at least this long counts as a pause
+export const MOUSE_PAUSE_MS = 100
+
+export interface RawPointerEvent {
+  type: "move" | "down" | "up"
+  t: number // performance.now()
+  x: number // clientX/clientY in CSS pixels
+  y: number
+  target: MouseTarget | null // Form element under the pointer for down/up, null elsewhere
+}
+
+export interface MouseFeatureSchema {
+  name: typeof MOUSE_FEATURE_SCHEMA_NAME
+  version: number
+  featureCount: number
+  featureNames: string[] // e.g. "velocity.username", "curvature.submit", "clickDwellMean"
+}
+
+const SEGMENT_FEATURE_KINDS = ["velocity", "peakVelocity", "curvature"] as const
+const SUMMARY_FEATURE_NAMES = ["pauseCount", "meanPauseMs", "clickDwellMean", "clickDwellStd", "velocityStd"] as const
+
+export function createMouseFeatureSchema(): MouseFeatureSchema {
+  const featureNames = [
+    ...SEGMENT_FEATURE_KINDS.flatMap((kind) => MOUSE_TARGETS.map((target) => `${kind}.${target}`)),
+    ...SUMMARY_FEATURE_NAMES,
+  ]
+  return {
+    name: MOUSE_FEATURE_SCHEMA_NAME,
+    version: MOUSE_FEATURE_SCHEMA_VERSION,
+    featureCount: featureNames.length,
+    featureNames,
+  }
+}
+
+// Check the shape of a client-supplied pointer trace before extracting from it
+export function validateRawPointerEvents(
+  events: unknown,
+): { valid: true; events: RawPointerEvent[] } | { valid: false; reason: string } {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { valid: false, reason: "No pointer movement was captured" }
+  }
+  if (events.length > MAX_POINTER_EVENTS) {
+    return { valid: false, reason: `Too many pointer events (${events.length}, at most ${MAX_POINTER_EVENTS})` }
+  }
+  const badIndex = events.findIndex(
+    (event) =>
+      (event?.type !== "move" && event?.type !== "down" && event?.type !== "up") ||
+      ![event.t, event.x, event.y].every((value) => typeof value === "number" && Number.isFinite(value)) ||
+      (event.target !== null && !MOUSE_TARGETS.includes(event.target)),
+  )
+  if (badIndex !== -1) {
+    return { valid: false, reason: `Pointer event ${badIndex + 1} is malformed` }
+  }
+  return {
+    valid: true,
+    events: events.map(({ type, t, x, y, target }) => ({ type, t, x, y, target })),
+  }
+}
+
+function mean(values: number[]) {
+  return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+function standardDeviation(values: number[]) {
+  const average = mean(values)
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)))
+}
+
+// Turn a pointer trace into the feature vector, or explain which movement is missing. Each target's
+// movement runs from the previous click (or the start of the trace) to the first press on that target.
+export function extractMouseFeatures(
+  events: RawPointerEvent[],
+): { available: true; features: number[] } | { available: false; reason: string } {
+  const sorted = [...events].sort((a, b) => a.t - b.t)
+  const segments: { velocity: number; peakVelocity: number; curvature: number }[] = []
+  const stepVelocities: number[] = []
+  const pauses: number[] = []
+  const clickDwells: number[] = []
+  let segmentStart = 0
+
+  for (const target of MOUSE_TARGETS) {
+    const pressIndex = sorted.findIndex((event, i) => i >= segmentStart && event.type === "down" && event.target === target)
+    if (pressIndex === -1) {
+      return { available: false, reason: `The pointer was not used to click the ${target} ${target === "submit" ? "button" : "field"}` }
+    }
+
+    // The press itself ends the path - its position is where the pointer arrived
+    const path = sorted.slice(segmentStart, pressIndex + 1).filter((event) => event.type === "move" || event === sorted[pressIndex])
+    if (path.length < 3) {
+      return { available: false, reason: `Too little pointer movement towards the ${target} ${target === "submit" ? "button" : "field"}` }
+    }
+
+    let pathLength = 0
+    let peakVelocity = 0
+    for (let i = 1; i < path.length; i++) {
+      const distance = Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y)
+      const elapsed = path[i].t - path[i - 1].t
+      pathLength += distance
+      if (elapsed >= MOUSE_PAUSE_MS) {
+        pauses.push(elapsed)
+      } else if (elapsed > 0) {
+        stepVelocities.push(distance / elapsed)
+        peakVelocity = Math.max(peakVelocity, distance / elapsed)
+      }
+    }
+    const first = path[0]
+    const last = path[path.length - 1]
+    const straightDistance = Math.hypot(last.x - first.x, last.y - first.y)
+    const duration = last.t - first.t
+    segments.push({
+      velocity: duration > 0 ? pathLength / duration : 0,
+      peakVelocity,
+      // A press right where the pointer already was has no direction to deviate from
+      curvature: straightDistance >= 1 ? pathLength / straightDistance : 1,
+    })
+
+    const release = sorted.find((event, i) => i > pressIndex && event.type === "up")
+    if (release) {
+      clickDwells.push(release.t - sorted[pressIndex].t)
+    }
+    segmentStart = pressIndex + 1
+  }
+
+  return {
+    available: true,
+    features: [
+      ...SEGMENT_FEATURE_KINDS.flatMap((kind) => segments.map((segment) => segment[kind])),
+      pauses.length,
+      mean(pauses),
+      mean(clickDwells),
+      standardDeviation(clickDwells),
+      standardDeviation(stepVelocities),
+    ],
+  }
+}
+
+// Read the mouse schema stored with a model, or null when the model isn't a mouse-dynamics model
+export function readMouseFeatureSchema(modelData: any): MouseFeatureSchema | null {
+  const schema = modelData?.featureSchema
+  if (!schema || schema.name !== MOUSE_FEATURE_SCHEMA_NAME || !Array.isArray(schema.featureNames)) {
+    return null
+  }
+  if (schema.version > MOUSE_FEATURE_SCHEMA_VERSION) {
+    throw new Error(`Mouse feature schema version ${schema.version} is newer than this server supports`)
+  }
+  return schema
+}
+
+// Combine the keystroke and mouse scores into one decision. Each score is taken relative to its own
+// threshold (up to 1 accepts, like score <= threshold) and the mouse gets MOUSE_DYNAMICS_WEIGHT of the
+// say - at 0 it is only reported. The mouse can only reject: pointer events carry no replay or liveness
+// checks, so a scripted perfect trace must not rescue typing that missed its own threshold.
+export function combineBiometricScores(
+  keystroke: { score: number; threshold: number },
+  mouse: { score: number; threshold: number },
+  weight: number,
+) {
+  const relative = (result: { score: number; threshold: number }) =>
+    result.threshold > 0 ? result.score / result.threshold : result.score > 0 ? Infinity : 0
+  const keystrokeScore = relative(keystroke)
+  const combinedScore = (1 - weight) * keystrokeScore + weight * relative(mouse)
+  return { combinedScore, accepted: keystrokeScore <= 1 && combinedScore <= 1 }
+}
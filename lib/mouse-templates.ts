@@ -0,0 +1,48 @@
+/**
+ * Storage for mouse-dynamics samples and models
+ * Pointer movement depends on the mouse or trackpad as much as on the person, so each device template
+ * has a mouse template of its own (a mouse/ folder inside it in the filesystem layout) with the usual
+ * samples and model versions. Samples are only stored when the enrollment was clicked through with the
+ * mouse - a template without enough of them simply has no mouse model.
+ */
+import type { ImpostorSamples } from "@/lib/calibration-samples"
+import type { MouseFeatureSchema } from "@/lib/mouse-dynamics"
+import type { Username } from "@/lib/request-validation"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+
+// The mouse template riding along with a keystroke device template
+export function mouseTemplate(template: TemplateRef): TemplateRef {
+  return { username: template.username, device: template.device, modality: "mouse" }
+}
+
+function fitsSchema(featureSchema: MouseFeatureSchema, features: unknown): features is number[] {
+  return (
+    Array.isArray(features) &&
+    features.length === featureSchema.featureCount &&
+    features.every((value) => typeof value === "number" && Number.isFinite(value))
+  )
+}
+
+export async function loadMouseSamples(template: TemplateRef, featureSchema: MouseFeatureSchema): Promise<number[][]> {
+  const vectors: number[][] = []
+  for (const sample of await getStorage().samples.list(template, "samples")) {
+    if (fitsSchema(featureSchema, sample.data.features)) {
+      vectors.push(sample.data.features)
+    }
+  }
+  return vectors
+}
+
+// Other users' mouse samples, from every one of their device templates
+export async function loadMouseImpostorSamples(username: Username, featureSchema: MouseFeatureSchema): Promise<ImpostorSamples> {
+  const samplesByUser = new Map<string, number[][]>()
+  for (const template of await getStorage().models.listTemplates({ modality: "mouse" })) {
+    if (template.username === username) continue
+    const otherSamples = samplesByUser.get(template.username) ?? []
+    otherSamples.push(...(await loadMouseSamples(template, featureSchema)))
+    samplesByUser.set(template.username, otherSamples)
+  }
+
+  const otherUsers = [...samplesByUser.values()].filter((otherSamples) => otherSamples.length > 0)
+  return { samples: otherUsers.flat(), sources: { enrolledUsers: otherUsers.length, taggedAttempts: 0 } }
+}
@@ -0,0 +1,69 @@
+/**
+ * Passphrase hashing for the knowledge factor
+ * The typing rhythm alone isn't enough - we also need to know the right secret was typed.
+ * Uses scrypt (memory-hard) from Node's crypto module, so no extra dependency is needed.
+ */
+import { randomBytes, scrypt, timingSafeEqual, type ScryptOptions } from "crypto"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+
+// scrypt cost parameters - N=2^15 needs ~32MB per hash, which slows down offline guessing a lot
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 }
+const SALT_BYTES = 16
+const KEY_LENGTH = 64
+
+export interface PassphraseRecord {
+  algorithm: "scrypt"
+  params: { N: number; r: number; p: number }
+  salt: string // base64
+  hash: string // base64
+  keyLength: number
+  createdAt: string
+}
+
+// Promise wrapper around crypto.scrypt (the callback version doesn't block the event loop)
+function deriveKey(passphrase: string, salt: Buffer, keyLength: number, params: { N: number; r: number; p: number }) {
+  const options: ScryptOptions = { ...params, maxmem: 256 * params.N * params.r }
+  return new Promise<Buffer>((resolve, reject) => {
+    scrypt(passphrase.normalize("NFKC"), salt, keyLength, options, (error, derivedKey) => {
+      if (error) reject(error)
+      else resolve(derivedKey)
+    })
+  })
+}
+
+// Hash a passphrase with a fresh random salt
+export async function hashPassphrase(passphrase: string): Promise<PassphraseRecord> {
+  const salt = randomBytes(SALT_BYTES)
+  const derivedKey = await deriveKey(passphrase, salt, KEY_LENGTH, SCRYPT_PARAMS)
+
+  return {
+    algorithm: "scrypt",
+    params: { ...SCRYPT_PARAMS },
+    salt: salt.toString("base64"),
+    hash: derivedKey.toString("base64"),
+    keyLength: KEY_LENGTH,
+    createdAt: new Date().toISOString(),
+  }
+}
+
+// Check a passphrase against a stored record using a constant-time comparison
+export async function verifyPassphrase(passphrase: string, record: PassphraseRecord): Promise<boolean> {
+  if (record.algorithm !== "scrypt") {
+    throw new Error(`Unsupported passphrase hash algorithm: ${record.algorithm}`)
+  }
+
+  const expectedHash = Buffer.from(record.hash, "base64")
+  const derivedKey = await deriveKey(passphrase, Buffer.from(record.salt, "base64"), record.keyLength, record.params)
+
+  return derivedKey.length === expectedHash.length && timingSafeEqual(derivedKey, expectedHash)
+}
+
+// Load the stored passphrase record of a template, or null if none was enrolled
+export async function loadPassphraseRecord(template: TemplateRef): Promise<PassphraseRecord | null> {
+  return getStorage().models.readDocument<PassphraseRecord>(template, "passphrase")
+}
+
+// Persist the passphrase record with the template (passphrase.json in the filesystem layout)
+export async function savePassphraseRecord(template: TemplateRef, record: PassphraseRecord): Promise<void> {
+  await getStorage().models.writeDocument(template, "passphrase", record)
+}
@@ -0,0 +1,164 @@
+/**
+ * Replay protection for /api/authenticate
+ * A captured request used to pass every time it was POSTed again. Two layers stop that:
+ *   - challenges: every attempt needs a single-use nonce from POST /api/authenticate/challenge, bound
+ *     to the username and valid for AUTH_CHALLENGE_TTL_SECONDS. They live in memory - a restart only
+ *     means clients ask for a new one. Issuing is open to anyone, so it is throttled per client address
+ *     (AUTH_CHALLENGE_MAX_PER_IP_PER_MINUTE) and only AUTH_CHALLENGE_MAX_PENDING_PER_USER unused ones
+ *     are kept per username.
+ *   - timing fingerprints: the hold/DD/UD times of recent attempts are kept per user (a template document,
+ *     replay_fingerprints.json in the filesystem layout). Nobody types a passphrase twice within a few milliseconds on every key, so an
+ *     exact or near-exact repeat is a replay even when it comes with a fresh nonce.
+ */
+import { createHash, randomBytes } from "crypto"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import type { KeystrokeTimingParts } from "@/lib/keystroke-feature-schema"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+
+export interface AuthChallenge {
+  nonce: string
+  expiresAt: string
+}
+
+interface IssuedChallenge {
+  username: string
+  expiresAt: number
+  usedAt: number | null // Kept until expiry once used, so a second use is recognised as a replay
+}
+
+interface TimingFingerprint {
+  fingerprint: string // sha256 of the timings rounded to whole milliseconds
+  timings: number[] // hold, DD and UD times (ms, 0.1 ms precision)
+  seenAt: string
+}
+
+export type ChallengeCheck = { valid: true } | { valid: false; replay: boolean; reason: string }
+
+export type ChallengeIssue = { issued: true; challenge: AuthChallenge } | { issued: false; retryAfterSeconds: number }
+
+// Kept on globalThis so issued challenges survive Next's dev-mode module reloads
+const globalStore = globalThis as typeof globalThis & {
+  keystrokeAuthChallenges?: Map<string, IssuedChallenge>
+  keystrokeChallengeIssues?: Map<string, number[]> // Issue times (ms) in the last minute per client address
+}
+const challenges: Map<string, IssuedChallenge> = (globalStore.keystrokeAuthChallenges ??= new Map())
+const issuesByAddress: Map<string, number[]> = (globalStore.keystrokeChallengeIssues ??= new Map())
+
+function dropExpiredChallenges(now: number) {
+  for (const [nonce, challenge] of challenges) {
+    if (challenge.expiresAt < now) {
+      challenges.delete(nonce)
+    }
+  }
+}
+
+// Issue times of `ip` inside the last minute - addresses with none left are forgotten
+function recentIssues(ip: string, now: number): number[] {
+  for (const [address, times] of issuesByAddress) {
+    const recent = times.filter((time) => time > now - 60_000)
+    if (recent.length === 0) {
+      issuesByAddress.delete(address)
+    } else {
+      issuesByAddress.set(address, recent)
+    }
+  }
+  return issuesByAddress.get(ip) ?? []
+}
+
+export function issueAuthChallenge(username: string, ip: string): ChallengeIssue {
+  const now = Date.now()
+  dropExpiredChallenges(now)
+
+  const issues = recentIssues(ip, now)
+  if (issues.length >= AUTH_CONFIG.AUTH_CHALLENGE_MAX_PER_IP_PER_MINUTE) {
+    return { issued: false, retryAfterSeconds: Math.ceil((issues[0] + 60_000 - now) / 1000) }
+  }
+  issuesByAddress.set(ip, [...issues, now])
+
+  // Oldest first (a Map keeps insertion order) - beyond the cap the oldest unused challenge goes
+  const pending = [...challenges].filter(([, challenge]) => challenge.username === username && challenge.usedAt === null)
+  for (const [nonce] of pending.slice(0, Math.max(0, pending.length - AUTH_CONFIG.AUTH_CHALLENGE_MAX_PENDING_PER_USER + 1))) {
+    challenges.delete(nonce)
+  }
+
+  const nonce = randomBytes(24).toString("base64url")
+  const expiresAt = now + AUTH_CONFIG.AUTH_CHALLENGE_TTL_SECONDS * 1000
+  challenges.set(nonce, { username, expiresAt, usedAt: null })
+  return { issued: true, challenge: { nonce, expiresAt: new Date(expiresAt).toISOString() } }
+}
+
+// Use up a challenge - valid once, for the username it was issued to, before it expires
+export function consumeAuthChallenge(username: string, nonce: unknown): ChallengeCheck {
+  const now = Date.now()
+  dropExpiredChallenges(now)
+
+  if (typeof nonce !== "string" || nonce.length === 0) {
+    return { valid: false, replay: false, reason: "Authentication challenge is missing - request one first" }
+  }
+  const challenge = challenges.get(nonce)
+  if (!challenge) {
+    return { valid: false, replay: false, reason: "Authentication challenge is unknown or has expired" }
+  }
+  if (challenge.usedAt !== null) {
+    return { valid: false, replay: true, reason: "Authentication challenge was already used - this request is a replay" }
+  }
+  if (challenge.username !== username) {
+    return { valid: false, replay: false, reason: "Authentication challenge was issued for another user" }
+  }
+
+  challenge.usedAt = now
+  return { valid: true }
+}
+
+function attemptTimings(parts: Pick<KeystrokeTimingParts, "holdTimes" | "ddTimes" | "udTimes">): number[] {
+  return [...parts.holdTimes, ...parts.ddTimes, ...parts.udTimes].map((time) => Math.round(time * 10) / 10)
+}
+
+function fingerprintTimings(timings: number[]): string {
+  return createHash("sha256")
+    .update(timings.map((time) => Math.round(time)).join(","))
+    .digest("hex")
+}
+
+async function loadFingerprints(template: TemplateRef): Promise<TimingFingerprint[]> {
+  const stored = await getStorage().models.readDocument<{ fingerprints?: unknown }>(template, "replay-fingerprints")
+  return Array.isArray(stored?.fingerprints) ? stored.fingerprints : []
+}
+
+// Compare an attempt with the user's recent ones. Returns the describing reason for a replay, or null.
+export async function findReplayedAttempt(
+  template: TemplateRef,
+  parts: Pick<KeystrokeTimingParts, "holdTimes" | "ddTimes" | "udTimes">,
+  label = "Keystroke timings", // What the reason calls them - the touch keypad fingerprints its own timings
+): Promise<string | null> {
+  const timings = attemptTimings(parts)
+  const fingerprint = fingerprintTimings(timings)
+
+  for (const previous of await loadFingerprints(template)) {
+    if (previous.fingerprint === fingerprint) {
+      return `${label} are identical to an attempt from ${previous.seenAt}`
+    }
+    if (previous.timings.length === timings.length) {
+      const meanDifference =
+        timings.reduce((sum, time, i) => sum + Math.abs(time - previous.timings[i]), 0) / timings.length
+      if (meanDifference <= AUTH_CONFIG.REPLAY_MATCH_TOLERANCE_MS) {
+        return `${label} are within ${meanDifference.toFixed(1)} ms of an attempt from ${previous.seenAt}`
+      }
+    }
+  }
+  return null
+}
+
+// Remember an attempt's timings - only the most recent REPLAY_FINGERPRINT_HISTORY are kept
+export async function recordAttemptFingerprint(
+  template: TemplateRef,
+  parts: Pick<KeystrokeTimingParts, "holdTimes" | "ddTimes" | "udTimes">,
+) {
+  const timings = attemptTimings(parts)
+  const fingerprints = [
+    ...(await loadFingerprints(template)),
+    { fingerprint: fingerprintTimings(timings), timings, seenAt: new Date().toISOString() },
+  ].slice(-AUTH_CONFIG.REPLAY_FINGERPRINT_HISTORY)
+
+  await getStorage().models.writeDocument(template, "replay-fingerprints", { fingerprints })
+}
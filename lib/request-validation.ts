@@ -0,0 +1,130 @@
+/**
+ * Request validation shared by the API routes
+ * Each route declares a zod schema for its body, form or query and reads it through parseJsonBody,
+ * parseFormData or parseSearchParams, so nothing unchecked reaches the file system. Event arrays are left
+ * to the detailed validators in lib/keystroke-features, lib/mouse-dynamics and lib/touch-dynamics.
+ *
+ * Usernames are canonicalized before anything else sees them - NFKC, case folding and trimming - so
+ * "Alice", "ALICE" and a full-width "ａｌｉｃｅ" are one user. What remains must be letters, digits, ".",
+ * "_" or "-", starting with a letter or digit, which keeps it a single safe path segment and a single CSV
+ * field. Storage paths are built from that validated name only, through userStorageDirectory.
+ */
+import path from "path"
+import { z } from "zod"
+import { normalizeDeviceName } from "@/lib/device-names"
+
+export const USERNAME_MAX_LENGTH = 64
+
+const USERNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{M}\p{N}._-]*$/u
+
+// NFKC folds compatibility forms (full-width, ligatures); upper- then lower-casing is JavaScript's nearest
+// to full case folding ("Straße" and "STRASSE" meet at "strasse"), and the second NFKC recomposes what it split
+export function canonicalizeUsername(username: string): string {
+  return username.normalize("NFKC").trim().toUpperCase().toLowerCase().normalize("NFKC")
+}
+
+export const usernameSchema = z
+  .string()
+  .transform(canonicalizeUsername)
+  .pipe(
+    z
+      .string()
+      .min(1, "is required")
+      .max(USERNAME_MAX_LENGTH, `must be at most ${USERNAME_MAX_LENGTH} characters`)
+      .regex(USERNAME_PATTERN, 'may only contain letters, digits, ".", "_" and "-", and must start with a letter or digit'),
+  )
+  .brand<"Username">()
+
+export type Username = z.infer<typeof usernameSchema>
+
+// Device template name, slugged the way lib/device-names stores it
+export const deviceNameSchema = z.unknown().transform((value, context) => {
+  const device = normalizeDeviceName(value)
+  if (!device) {
+    context.addIssue({ code: z.ZodIssueCode.custom, message: 'must be a template name such as "mac-keyboard"' })
+    return z.NEVER
+  }
+  return device
+})
+
+// A form field holding JSON, e.g. the voice features next to the recordings
+export function jsonFieldSchema<S extends z.ZodTypeAny>(schema: S) {
+  return z
+    .string()
+    .transform((text, context) => {
+      try {
+        return JSON.parse(text) as unknown
+      } catch {
+        context.addIssue({ code: z.ZodIssueCode.custom, message: "must be valid JSON" })
+        return z.NEVER
+      }
+    })
+    .pipe(schema)
+}
+
+/**
+ * A user's directory under one of the storage roots (models/, voice_models/, ...)
+ * Only takes a validated Username - and still checks the result is a direct child of the root.
+ */
+export function userStorageDirectory(rootDirectory: string, username: Username): string {
+  const root = path.resolve(process.cwd(), rootDirectory)
+  const directory = path.resolve(root, username)
+  if (path.dirname(directory) !== root) {
+    throw new Error(`Refusing to use a storage path outside ${rootDirectory}`)
+  }
+  return directory
+}
+
+export type ParseResult<T> = { success: true; data: T } | { success: false; error: string }
+
+// Messages read as "<field> <problem>", e.g. "username is required" or "sampleCount must be a number"
+const errorMap: z.ZodErrorMap = (issue, context) => {
+  if (issue.code === z.ZodIssueCode.invalid_type) {
+    return { message: issue.received === "undefined" ? "is required" : `must be a ${issue.expected}` }
+  }
+  if (issue.code === z.ZodIssueCode.invalid_enum_value || issue.code === z.ZodIssueCode.invalid_union_discriminator) {
+    return { message: `must be one of: ${issue.options.join(", ")}` }
+  }
+  return { message: context.defaultError }
+}
+
+export function describeValidationError(error: z.ZodError): string {
+  return error.issues
+    .map((issue) => `${issue.path.length > 0 ? issue.path.join(".") : "request"} ${issue.message}`)
+    .join("; ")
+}
+
+function parseWith<S extends z.ZodTypeAny>(schema: S, input: unknown): ParseResult<z.output<S>> {
+  const result = schema.safeParse(input, { errorMap })
+  return result.success ? { success: true, data: result.data } : { success: false, error: describeValidationError(result.error) }
+}
+
+export async function parseJsonBody<S extends z.ZodTypeAny>(request: Request, schema: S): Promise<ParseResult<z.output<S>>> {
+  let body: unknown
+  try {
+    body = await request.json()
+  } catch {
+    return { success: false, error: "Request body must be JSON" }
+  }
+  return parseWith(schema, body)
+}
+
+// Multipart forms - a field sent more than once comes through as an array
+export async function parseFormData<S extends z.ZodTypeAny>(request: Request, schema: S): Promise<ParseResult<z.output<S>>> {
+  let formData: FormData
+  try {
+    formData = await request.formData()
+  } catch {
+    return { success: false, error: "Request body must be multipart form data" }
+  }
+  const fields: Record<string, FormDataEntryValue | FormDataEntryValue[]> = {}
+  for (const key of new Set(formData.keys())) {
+    const values = formData.getAll(key)
+    fields[key] = values.length === 1 ? values[0] : values
+  }
+  return parseWith(schema, fields)
+}
+
+export function parseSearchParams<S extends z.ZodTypeAny>(searchParams: URLSearchParams, schema: S): ParseResult<z.output<S>> {
+  return parseWith(schema, Object.fromEntries(searchParams))
+}
@@ -3,6 +3,9 @@
  * This handles all the communication with our backend ML services
  * Probably should add retry logic and better error handling eventually
  */
+import type { RawPointerEvent } from '@/lib/mouse-dynamics'
+import type { RawTouchEvent } from '@/lib/touch-dynamics'
+import type { SessionFactor } from '@/lib/user-sessions'
 
 // Interface definitions for type safety
 interface KeystrokeBiometricFeatures {
@@ -13,7 +16,23 @@ interface KeystrokeBiometricFeatures {
   flightTime: number
   errorRate: number
   pressPressure: number
+  overlapCount: number
   features: number[]
+  keystrokeEvents: { code: string; type: "keydown" | "keyup"; t: number }[] // Raw events the server extracts from
+}
+
+// Outcome of one authentication factor (passphrase or typing rhythm)
+interface AuthenticationFactorResult {
+  verified: boolean
+  reason: string
+}
+
+// Per-detector result when a user has several anomaly detectors trained
+interface DetectorScoreResult {
+  score: number
+  threshold: number
+  accepted: boolean
+  confidence: number
 }
 
 interface AuthenticationResult {
@@ -21,14 +40,99 @@ interface AuthenticationResult {
   authenticated: boolean
   mse: number
   reconstructionError?: number
-  deviations?: number[]
+  deviations?: number[] // 0-1 per feature, named by featureNames
+  featureNames?: string[]
   reason?: string
+  reasonCode?: string
   method?: string
   confidence?: number
+  knowledgeFactor?: AuthenticationFactorResult
+  biometricFactor?: AuthenticationFactorResult
+  detectorScores?: Record<string, DetectorScoreResult>
+  device?: string // Device template that matched (or came closest)
+  modality?: "touch" // Set by /api/touch/authenticate - keystroke results leave it out
+  mouseDynamics?: {
+    available: boolean // False when the attempt wasn't clicked through or the template has no mouse model
+    reason: string
+    weight: number // MOUSE_DYNAMICS_WEIGHT
+    score?: number
+    threshold?: number
+    accepted?: boolean
+    confidence?: number
+  }
+  combinedScore?: number | null // Weighted keystroke + mouse score relative to the thresholds (<= 1 accepts)
+  deviceScores?: Record<string, DetectorScoreResult> // Primary detector per template, when several were scored
+  livenessFailures?: { check: string; message: string }[] // Why the input was taken for synthetic (reasonCode synthetic_input)
+  templateUpdate?: { sampleAdded: boolean; retrainJobId: string | null; reason: string } | null
+  session?: GhostKeySession | null // Issued on a pass (also set as an httpOnly cookie)
+  retryAfterSeconds?: number // Only on a 429 - the username or IP is locked or backing off and nothing was scored
+}
+
+// A signed-in Ghost Key session (see lib/user-sessions)
+interface GhostKeySession {
+  username: string
+  factors: SessionFactor[]
+  authenticatedAt: string
+  expiresAt: string
+  refreshableUntil: string
+  token?: string // Only right after a pass or refresh - for clients that send it as a bearer token
+}
+
+// Enrollment QC of one sample against the ones collected before it
+interface SampleQualityReport {
+  sampleNumber: number
+  checked: boolean
+  outlier: boolean
+  deviation: number
+  findings: string[] // e.g. "sample 3 is 2.4σ slower on keys 4–6"
 }
 
 interface ModelTrainingResult {
   success: boolean
+  jobId?: string | null // Set when this sample started a background training run
+  sampleStored?: boolean // False when the sample was held back as an outlier - retype it or resend with keepOutlier
+  quality?: SampleQualityReport
+  consistency?: { score: number; minimum: number; acceptable: boolean } // Set once there are enough samples to train
+  device?: string // Device template the sample was stored for
+  mouseSampleStored?: boolean // The sample was clicked through with the mouse, so it also trains the mouse model
+  mouseJobId?: string | null
+  error?: string
+}
+
+// Progress of a background training job (GET /api/train-model/jobs/:id)
+interface TrainingJobProgress {
+  id: string
+  username: string
+  status: "queued" | "running" | "completed" | "failed" | "superseded"
+  stage: "training" | "calibrating" | "saving" | null
+  detectors: string[]
+  currentDetector: string | null
+  epoch: number
+  epochs: number
+  lossCurve: number[]
+  samples: number
+  version: number | null
+  error: string | null
+}
+
+interface ImpostorTagResult {
+  success: boolean
+  taggedAttempts?: number
+  device?: string
+  jobId?: string // Background recalibration - poll it like a training job
+  error?: string
+}
+
+// Rolling trust of a logged-in session, updated per window of free typing (POST /api/continuous-auth)
+interface ContinuousAuthResult {
+  success: boolean
+  sessionId?: string
+  trust?: number // 0-1
+  status?: "active" | "step-up" | "locked"
+  learning?: boolean // The free-text profile is still collecting typing, windows aren't scored yet
+  windowScore?: number | null
+  comparedGraphs?: number
+  matchedGraphs?: number
   error?: string
 }
 
@@ -48,20 +152,24 @@ interface VoiceVerificationResult {
   robustnessMetrics?: any
   detailedMetrics?: any
   confidenceLevel?: string
+  session?: GhostKeySession | null
   error?: string
 }
 
 class RuntimeAPI {
   /**
    * Train the keystroke biometric model for a user
-   * This sends the extracted features to our autoencoder training pipeline
+   * This sends the raw keystroke events to our training pipeline (the server extracts the features),
+   * along with the passphrase so the server can store (and check) its hash
    */
   static async trainModel(
     username: string,
+    password: string,
     keystrokeFeatures: KeystrokeBiometricFeatures,
     sampleCount: number,
-    privacyMode: boolean
-  ): Promise<boolean> {
+    privacyMode: boolean,
+    options: { keepOutlier?: boolean; device?: string; pointerEvents?: RawPointerEvent[] } = {}
+  ): Promise<ModelTrainingResult> {
     try {
       const response = await fetch('/api/train-model', {
         method: 'POST',
@@ -70,44 +178,87 @@ class RuntimeAPI {
         },
         body: JSON.stringify({
           username,
-          features: keystrokeFeatures.features,
-          holdTimes: keystrokeFeatures.holdTimes,
-          ddTimes: keystrokeFeatures.ddTimes,
-          udTimes: keystrokeFeatures.udTimes,
-          additionalFeatures: {
-            typingSpeed: keystrokeFeatures.typingSpeed,
-            flightTime: keystrokeFeatures.flightTime,
-            errorRate: keystrokeFeatures.errorRate,
-            pressPressure: keystrokeFeatures.pressPressure,
-          },
+          password,
+          keystrokeEvents: keystrokeFeatures.keystrokeEvents,
           sampleCount,
-          privacyMode,
-          rawData: privacyMode ? null : [], // Could store raw data if not in privacy mode
+          privacyMode, // Without it the server also keeps the raw events for re-extraction
+          keepOutlier: options.keepOutlier, // The user saw the QC findings and wants this sample anyway
+          device: options.device, // Device template to enroll - the user's default one without it
+          pointerEvents: options.pointerEvents, // Mouse movement to the form, when it was clicked through
         }),
       })
 
-      if (!response.ok) {
-        throw new Error(`Training failed: ${response.statusText}`)
+      const result: ModelTrainingResult = await response.json().catch(() => ({ success: false }))
+
+      // An enrollment refused for inconsistent samples comes back as a result the UI can act on
+      if (!response.ok && !result.consistency) {
+        throw new Error(result.error || `Training failed: ${response.statusText}`)
       }
 
-      const result: ModelTrainingResult = await response.json()
-      return result.success
+      return result
     } catch (error) {
       console.error('Training API error:', error)
       throw error
     }
   }
 
+  /**
+   * Check on a background training job started by trainModel
+   * Training runs on the server after the sample is stored, so the client polls this for progress
+   */
+  static async getTrainingJob(jobId: string): Promise<TrainingJobProgress> {
+    const response = await fetch(`/api/train-model/jobs/${encodeURIComponent(jobId)}`)
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Training job lookup failed: ${response.statusText}`)
+    }
+
+    return result.job
+  }
+
+  /**
+   * Get a single-use challenge nonce for the next authentication attempt
+   * It is bound to the username and expires after a couple of minutes. A locked or throttled client
+   * address gets the 429 of a rate-limited attempt instead, which the caller hands back as its result.
+   */
+  static async getAuthChallenge(username: string): Promise<{ nonce: string; expiresAt: string } | AuthenticationResult> {
+    const response = await fetch('/api/authenticate/challenge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username }),
+    })
+    const result = await response.json()
+
+    if (response.status === 429) {
+      return result as AuthenticationResult
+    }
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Challenge request failed: ${response.statusText}`)
+    }
+
+    return result.challenge
+  }
+
   /**
    * Authenticate a user against their trained biometric model
-   * Returns detailed results including reconstruction error and confidence
+   * Returns detailed results including reconstruction error and confidence.
+   * Without a device every device template of the user is scored and the result says which one matched.
    */
   static async authenticate(
     username: string,
     keystrokeFeatures: KeystrokeBiometricFeatures,
-    password: string
+    password: string,
+    device?: string,
+    pointerEvents?: RawPointerEvent[]
   ): Promise<AuthenticationResult> {
     try {
+      // Every attempt needs a fresh single-use challenge, so a captured request can't be sent again
+      const challenge = await RuntimeAPI.getAuthChallenge(username)
+      if (!('nonce' in challenge)) {
+        return challenge
+      }
+
       const response = await fetch('/api/authenticate', {
         method: 'POST',
         headers: {
@@ -116,18 +267,15 @@ class RuntimeAPI {
         body: JSON.stringify({
           username,
           password,
-          features: keystrokeFeatures.features,
-          holdTimes: keystrokeFeatures.holdTimes,
-          ddTimes: keystrokeFeatures.ddTimes,
-          udTimes: keystrokeFeatures.udTimes,
-          typingSpeed: keystrokeFeatures.typingSpeed,
-          flightTime: keystrokeFeatures.flightTime,
-          errorRate: keystrokeFeatures.errorRate,
-          pressPressure: keystrokeFeatures.pressPressure,
+          keystrokeEvents: keystrokeFeatures.keystrokeEvents,
+          challenge: challenge.nonce,
+          device,
+          pointerEvents,
         }),
       })
 
-      if (!response.ok) {
+      // A 429 carries a normal failure body (reasonCode rate_limited or locked_out) - the UI shows it
+      if (!response.ok && response.status !== 429) {
         throw new Error(`Authentication failed: ${response.statusText}`)
       }
 
@@ -139,6 +287,146 @@ class RuntimeAPI {
     }
   }
 
+  /**
+   * Enroll one PIN entry on the touch keypad
+   * The server reads the PIN from the touched keys, so only the pointer events are sent
+   */
+  static async trainTouchModel(
+    username: string,
+    touchEvents: RawTouchEvent[],
+    sampleCount: number
+  ): Promise<ModelTrainingResult> {
+    const response = await fetch('/api/touch/train', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, touchEvents, sampleCount }),
+    })
+    const result: ModelTrainingResult = await response.json().catch(() => ({ success: false }))
+
+    // An inconsistent enrollment comes back as a result - the caller starts it over
+    if ((!response.ok || !result.success) && !result.consistency) {
+      throw new Error(result.error || `Touch training failed: ${response.statusText}`)
+    }
+
+    return result
+  }
+
+  /**
+   * Authenticate with a PIN entered on the touch keypad
+   * Uses the same single-use challenges as keystroke authentication
+   */
+  static async authenticateTouch(username: string, touchEvents: RawTouchEvent[]): Promise<AuthenticationResult> {
+    const challenge = await RuntimeAPI.getAuthChallenge(username)
+    if (!('nonce' in challenge)) {
+      return challenge
+    }
+
+    const response = await fetch('/api/touch/authenticate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, touchEvents, challenge: challenge.nonce }),
+    })
+
+    if (!response.ok && response.status !== 429) {
+      throw new Error(`Touch authentication failed: ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
+  /**
+   * Send a window of free-text typing for a logged-in user
+   * Without a sessionId (and events) this opens a new continuous session right after login
+   */
+  static async scoreContinuousAuth(
+    username: string,
+    sessionId?: string,
+    keystrokeEvents?: KeystrokeBiometricFeatures['keystrokeEvents']
+  ): Promise<ContinuousAuthResult> {
+    const response = await fetch('/api/continuous-auth', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, sessionId, keystrokeEvents }),
+    })
+    const result: ContinuousAuthResult = await response.json()
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Continuous authentication failed: ${response.statusText}`)
+    }
+
+    return result
+  }
+
+  /**
+   * The current session from the httpOnly cookie, or null when signed out
+   */
+  static async getSession(): Promise<GhostKeySession | null> {
+    const response = await fetch('/api/session')
+    if (response.status === 401) return null
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Session check failed: ${response.statusText}`)
+    }
+
+    return result.session
+  }
+
+  /**
+   * Renew the session before it expires - null once it can't be renewed any more
+   */
+  static async refreshSession(): Promise<GhostKeySession | null> {
+    const response = await fetch('/api/session/refresh', { method: 'POST' })
+    if (response.status === 401) return null
+    const result = await response.json()
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Session refresh failed: ${response.statusText}`)
+    }
+
+    return result.session
+  }
+
+  /**
+   * End the session - the server revokes it and clears the cookie
+   */
+  static async logout(): Promise<void> {
+    await fetch('/api/logout', { method: 'POST' })
+  }
+
+  /**
+   * Tag an attempt as "someone else typing" for this user
+   * The server keeps it as an impostor sample and recalibrates the user's thresholds with it
+   */
+  static async tagImpostorAttempt(
+    username: string,
+    keystrokeFeatures: KeystrokeBiometricFeatures,
+    device?: string
+  ): Promise<ImpostorTagResult> {
+    try {
+      const response = await fetch('/api/impostor-samples', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          username,
+          keystrokeEvents: keystrokeFeatures.keystrokeEvents,
+          device, // Template to recalibrate - the default one without it
+        }),
+      })
+
+      const result: ImpostorTagResult = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || `Tagging failed: ${response.statusText}`)
+      }
+      return result
+    } catch (error) {
+      console.error('Impostor tagging API error:', error)
+      throw error
+    }
+  }
+
   /**
    * Register voice biometric samples for a user
    * Takes multiple voice samples and extracts features for training
@@ -213,6 +501,10 @@ class RuntimeAPI {
         body: formData,
       })
 
+      if (response.status === 429) {
+        const { error } = await response.json()
+        throw new Error(error)
+      }
       if (!response.ok) {
         throw new Error(`Voice verification failed: ${response.statusText}`)
       }
@@ -226,4 +518,5 @@ class RuntimeAPI {
   }
 }
 
+export type { ContinuousAuthResult, GhostKeySession, SampleQualityReport, TrainingJobProgress }
 export default RuntimeAPI
@@ -0,0 +1,53 @@
+/**
+ * Next middleware helper for pages and routes that need a Ghost Key session
+ * Call it from middleware.ts with a matcher for the paths to protect:
+ *
+ *   export function middleware(request: NextRequest) {
+ *     return requireGhostKeySession(request, { factors: ["keystroke"] })
+ *   }
+ *   export const config = { matcher: ["/reports/:path*"] }
+ *
+ * Pages without a valid session are redirected to the login page with a `next` parameter; API paths
+ * get a 401 (or 403 when a required factor is missing). Requests that pass carry x-ghostkey-user and
+ * x-ghostkey-factors headers for the page or route behind it. Middleware only checks the signature and
+ * expiry - see lib/user-sessions for why a just-revoked token still passes here.
+ */
+import { NextResponse, type NextRequest } from "next/server"
+import { readSessionToken, verifySessionToken, type SessionFactor } from "@/lib/user-sessions"
+
+export const SESSION_USER_HEADER = "x-ghostkey-user"
+export const SESSION_FACTORS_HEADER = "x-ghostkey-factors"
+
+export interface RequireSessionOptions {
+  factors?: SessionFactor[] // Every one of these must have been passed in the session
+  loginPath?: string // Where pages send signed-out visitors (default "/")
+}
+
+export async function requireGhostKeySession(
+  request: NextRequest,
+  { factors = [], loginPath = "/" }: RequireSessionOptions = {},
+): Promise<NextResponse> {
+  const token = readSessionToken(request)
+  const session = token ? await verifySessionToken(token).catch(() => null) : null
+  const missingFactors = session ? factors.filter((factor) => !session.factors.includes(factor)) : factors
+
+  if (!session || missingFactors.length > 0) {
+    if (request.nextUrl.pathname.startsWith("/api/")) {
+      return NextResponse.json(
+        session
+          ? { success: false, error: `Session is missing required factors: ${missingFactors.join(", ")}` }
+          : { success: false, error: "Not signed in" },
+        { status: session ? 403 : 401 },
+      )
+    }
+    const loginUrl = new URL(loginPath, request.url)
+    loginUrl.searchParams.set("next", request.nextUrl.pathname + request.nextUrl.search)
+    return NextResponse.redirect(loginUrl)
+  }
+
+  // Set, not appended, so a client can't send its own identity headers through
+  const headers = new Headers(request.headers)
+  headers.set(SESSION_USER_HEADER, session.sub)
+  headers.set(SESSION_FACTORS_HEADER, session.factors.join(","))
+  return NextResponse.next({ request: { headers } })
+}
@@ -0,0 +1,347 @@
+/**
+ * Filesystem storage adapter - the layout the app has always used
+ * models/<user>/ holds the default keystroke template (samples/, raw_data/, versions/, passphrase.json, ...),
+ * models/<user>/devices/<name>/ the named device templates, a mouse/ folder inside either the mouse model,
+ * and models/<user>/touch/ the keypad modality. Voice profiles and their recordings live in
+ * voice_models/<user>/, audit events in logs/access_log.csv. Users aren't stored anywhere - they are
+ * whoever has a folder or appears in the audit log.
+ */
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { AUDIT_LOG_COLUMNS, formatAuditEvent, parseAuditEvent, parseCsvLine } from "@/lib/csv"
+import { DEFAULT_DEVICE, normalizeDeviceName } from "@/lib/device-names"
+import type { ActiveModelPointer, ModelVersionRecord } from "@/lib/model-versions"
+import { userStorageDirectory, usernameSchema, type Username } from "@/lib/request-validation"
+import type {
+  AuditEvent,
+  SampleSet,
+  StorageRepository,
+  StoredSample,
+  TemplateDocument,
+  TemplateModality,
+  TemplateRef,
+} from "@/lib/storage/types"
+
+const DEVICE_TEMPLATES_DIRECTORY = "devices"
+const MOUSE_TEMPLATE_DIRECTORY = "mouse"
+const TOUCH_TEMPLATE_DIRECTORY = "touch"
+const MODEL_VERSIONS_DIRECTORY = "versions"
+const ACTIVE_POINTER_FILE = "active.json"
+
+const DOCUMENT_FILES: Record<TemplateDocument, string> = {
+  passphrase: "passphrase.json",
+  "replay-fingerprints": "replay_fingerprints.json",
+  "free-text-profile": "free_text_profile.json",
+  "legacy-model": "model.json", // Models saved before versioning
+}
+
+const SAMPLE_FILE_PREFIXES: Record<SampleSet, string> = {
+  samples: "sample_",
+  raw_data: "raw_",
+  impostor_samples: "impostor_",
+}
+
+const VOICE_PROFILE_FILE = "voice_profile.json"
+const VOICE_VERIFICATION_LOG_FILE = "verification_log.jsonl"
+const VOICE_RECORDING_PATTERN = /^[\w.-]+\.webm$/
+
+// Leftovers of older versions of the app, removed along with the user
+const LEGACY_USER_DIRECTORIES = ["user_data", "temp", "exports"]
+const SUMMARY_METRICS_FILE = "summary_metrics.csv"
+
+async function readJson<T>(filePath: string): Promise<T | null> {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"))
+  } catch {
+    return null
+  }
+}
+
+// Write to a temporary file and rename, so a crash never leaves a half-written document behind
+async function writeJson(filePath: string, value: unknown) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const temporaryPath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(temporaryPath, JSON.stringify(value, null, 2))
+  await fs.rename(temporaryPath, filePath)
+}
+
+async function isDirectory(directory: string) {
+  return fs
+    .stat(directory)
+    .then((stats) => stats.isDirectory())
+    .catch(() => false)
+}
+
+async function listDirectories(directory: string): Promise<string[]> {
+  return fs
+    .readdir(directory, { withFileTypes: true })
+    .then((entries) => entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort())
+    .catch(() => [] as string[])
+}
+
+// Only folders named the way a validated username is - anything else was never reachable through the API
+async function listUserDirectories(rootDirectory: string): Promise<Username[]> {
+  const usernames: Username[] = []
+  for (const name of await listDirectories(rootDirectory)) {
+    const parsed = usernameSchema.safeParse(name)
+    if (parsed.success && parsed.data === name) {
+      usernames.push(parsed.data)
+    }
+  }
+  return usernames
+}
+
+// Keeps the same layout under another root (e.g. a copy of the data) - paths in AUTH_CONFIG are relative to it
+export function createFilesystemStorage(rootDirectory: string = process.cwd()): StorageRepository {
+  const modelsDirectory = path.resolve(rootDirectory, AUTH_CONFIG.KEYSTROKE_MODELS_DIRECTORY)
+  const voiceModelsDirectory = path.resolve(rootDirectory, AUTH_CONFIG.VOICE_MODELS_DIRECTORY)
+  const auditLogFile = path.resolve(rootDirectory, AUTH_CONFIG.AUDIT_LOG_FILE)
+
+  function templateDirectory(template: TemplateRef) {
+    const userDirectory = userStorageDirectory(modelsDirectory, template.username)
+    if (template.modality === "touch") {
+      return path.join(userDirectory, TOUCH_TEMPLATE_DIRECTORY)
+    }
+    const deviceDirectory =
+      template.device === DEFAULT_DEVICE ? userDirectory : path.join(userDirectory, DEVICE_TEMPLATES_DIRECTORY, template.device)
+    return template.modality === "mouse" ? path.join(deviceDirectory, MOUSE_TEMPLATE_DIRECTORY) : deviceDirectory
+  }
+
+  function versionsDirectory(template: TemplateRef) {
+    return path.join(templateDirectory(template), MODEL_VERSIONS_DIRECTORY)
+  }
+
+  function sampleFile(template: TemplateRef, set: SampleSet, id: number) {
+    return path.join(templateDirectory(template), set, `${SAMPLE_FILE_PREFIXES[set]}${id}.json`)
+  }
+
+  function voiceFile(username: Username, name: string) {
+    if (name !== VOICE_PROFILE_FILE && name !== VOICE_VERIFICATION_LOG_FILE && !VOICE_RECORDING_PATTERN.test(name)) {
+      throw new Error(`Not a voice recording name: ${name}`)
+    }
+    return path.join(userStorageDirectory(voiceModelsDirectory, username), name)
+  }
+
+  async function readAuditLog(): Promise<string[]> {
+    try {
+      return (await fs.readFile(auditLogFile, "utf-8")).split("\n")
+    } catch {
+      return []
+    }
+  }
+
+  return {
+    backend: "filesystem",
+
+    users: {
+      async list() {
+        const usernames = new Set<Username>([
+          ...(await listUserDirectories(modelsDirectory)),
+          ...(await listUserDirectories(voiceModelsDirectory)),
+        ])
+        for (const line of (await readAuditLog()).slice(1)) {
+          if (!line.trim()) continue
+          // Skips "ip:<address>" entries and names logged before usernames were validated
+          const parsed = usernameSchema.safeParse(parseCsvLine(line)[1])
+          if (parsed.success) usernames.add(parsed.data)
+        }
+        return [...usernames].sort()
+      },
+
+      async delete(username) {
+        const userDirectory = userStorageDirectory(modelsDirectory, username)
+        const voiceDirectory = userStorageDirectory(voiceModelsDirectory, username)
+        const models = await isDirectory(userDirectory)
+        const voiceProfile = await isDirectory(voiceDirectory)
+        await fs.rm(userDirectory, { recursive: true, force: true })
+        await fs.rm(voiceDirectory, { recursive: true, force: true })
+
+        for (const legacyDirectory of LEGACY_USER_DIRECTORIES) {
+          await fs.rm(userStorageDirectory(path.resolve(rootDirectory, legacyDirectory), username), { recursive: true, force: true })
+        }
+        const summaryFile = path.join(modelsDirectory, SUMMARY_METRICS_FILE)
+        const summary = await fs.readFile(summaryFile, "utf-8").catch(() => null)
+        if (summary !== null) {
+          const lines = summary.split("\n").filter((line, index) => index === 0 || (line.trim() && parseCsvLine(line)[0] !== username))
+          await fs.writeFile(summaryFile, lines.join("\n"), "utf-8")
+        }
+
+        return { models, voiceProfile }
+      },
+    },
+
+    models: {
+      async listTemplates(filter = {}) {
+        const usernames = filter.username ? [filter.username] : await listUserDirectories(modelsDirectory)
+        const wanted = (modality: TemplateModality) => !filter.modality || filter.modality === modality
+        const templates: TemplateRef[] = []
+
+        for (const username of usernames) {
+          const userDirectory = userStorageDirectory(modelsDirectory, username)
+          if (!(await isDirectory(userDirectory))) continue
+
+          const namedDevices = (await listDirectories(path.join(userDirectory, DEVICE_TEMPLATES_DIRECTORY))).filter(
+            (device) => device !== DEFAULT_DEVICE && normalizeDeviceName(device) === device,
+          )
+          for (const device of [DEFAULT_DEVICE, ...namedDevices].sort()) {
+            const keystrokeTemplate: TemplateRef = { username, device, modality: "keystroke" }
+            if (wanted("keystroke")) templates.push(keystrokeTemplate)
+            const mouseTemplate: TemplateRef = { username, device, modality: "mouse" }
+            if (wanted("mouse") && (await isDirectory(templateDirectory(mouseTemplate)))) templates.push(mouseTemplate)
+          }
+
+          const touchTemplate: TemplateRef = { username, device: DEFAULT_DEVICE, modality: "touch" }
+          if (wanted("touch") && (await isDirectory(templateDirectory(touchTemplate)))) templates.push(touchTemplate)
+        }
+        return templates
+      },
+
+      async readDocument<T>(template: TemplateRef, name: TemplateDocument) {
+        return readJson<T>(path.join(templateDirectory(template), DOCUMENT_FILES[name]))
+      },
+
+      async writeDocument(template, name, value) {
+        await writeJson(path.join(templateDirectory(template), DOCUMENT_FILES[name]), value)
+      },
+
+      async deleteDocument(template, name) {
+        await fs.rm(path.join(templateDirectory(template), DOCUMENT_FILES[name]), { force: true })
+      },
+
+      async readActivePointer(template) {
+        return readJson<ActiveModelPointer>(path.join(versionsDirectory(template), ACTIVE_POINTER_FILE))
+      },
+
+      async writeActivePointer(template, pointer) {
+        await writeJson(path.join(versionsDirectory(template), ACTIVE_POINTER_FILE), pointer)
+      },
+
+      async listVersions(template) {
+        const fileNames = await fs.readdir(versionsDirectory(template)).catch(() => [] as string[])
+        return fileNames
+          .map((name) => /^v(\d+)\.json$/.exec(name))
+          .filter((match): match is RegExpExecArray => match !== null)
+          .map((match) => Number(match[1]))
+          .sort((a, b) => a - b)
+      },
+
+      async readVersion(template, version) {
+        return readJson<ModelVersionRecord>(path.join(versionsDirectory(template), `v${version}.json`))
+      },
+
+      async createVersion(template, record) {
+        await fs.mkdir(versionsDirectory(template), { recursive: true })
+        // "wx" fails instead of overwriting - versions are immutable once written
+        await fs.writeFile(path.join(versionsDirectory(template), `v${record.version}.json`), JSON.stringify(record, null, 2), {
+          flag: "wx",
+        })
+      },
+
+      async deleteVersion(template, version) {
+        await fs.rm(path.join(versionsDirectory(template), `v${version}.json`), { force: true })
+      },
+    },
+
+    samples: {
+      async list(template, set) {
+        const pattern = new RegExp(`^${SAMPLE_FILE_PREFIXES[set]}(\\d+)\\.json$`)
+        const ids = (await fs.readdir(path.join(templateDirectory(template), set)).catch(() => [] as string[]))
+          .map((name) => pattern.exec(name))
+          .filter((match): match is RegExpExecArray => match !== null)
+          .map((match) => Number(match[1]))
+          .sort((a, b) => a - b)
+
+        const samples: StoredSample[] = []
+        for (const id of ids) {
+          const data = await readJson(sampleFile(template, set, id))
+          if (data === null) {
+            console.error(`Failed to read ${set} ${id} of ${template.username} (${template.device}, ${template.modality})`)
+          } else {
+            samples.push({ id, data })
+          }
+        }
+        return samples
+      },
+
+      async write(template, set, sample) {
+        await fs.mkdir(path.join(templateDirectory(template), set), { recursive: true })
+        await fs.writeFile(sampleFile(template, set, sample.id), JSON.stringify(sample.data, null, 2))
+      },
+
+      async delete(template, set, id) {
+        await fs.rm(sampleFile(template, set, id), { force: true })
+      },
+
+      async clear(template, set) {
+        await fs.rm(path.join(templateDirectory(template), set), { recursive: true, force: true })
+      },
+    },
+
+    voiceProfiles: {
+      async read(username) {
+        return readJson(voiceFile(username, VOICE_PROFILE_FILE))
+      },
+
+      async save(username, profile) {
+        await writeJson(voiceFile(username, VOICE_PROFILE_FILE), profile)
+      },
+
+      async listRecordings(username) {
+        const fileNames = await fs.readdir(userStorageDirectory(voiceModelsDirectory, username)).catch(() => [] as string[])
+        return fileNames.filter((name) => VOICE_RECORDING_PATTERN.test(name)).sort()
+      },
+
+      async readRecording(username, name) {
+        return fs.readFile(voiceFile(username, name)).catch(() => null)
+      },
+
+      async saveRecording(username, name, data) {
+        await fs.mkdir(userStorageDirectory(voiceModelsDirectory, username), { recursive: true })
+        await fs.writeFile(voiceFile(username, name), data)
+      },
+
+      async deleteRecording(username, name) {
+        await fs.rm(voiceFile(username, name), { force: true })
+      },
+
+      async listVerifications(username) {
+        const content = await fs.readFile(voiceFile(username, VOICE_VERIFICATION_LOG_FILE), "utf-8").catch(() => "")
+        return content
+          .split("\n")
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line))
+      },
+
+      async appendVerification(username, entry) {
+        await fs.mkdir(userStorageDirectory(voiceModelsDirectory, username), { recursive: true })
+        await fs.appendFile(voiceFile(username, VOICE_VERIFICATION_LOG_FILE), JSON.stringify(entry) + "\n")
+      },
+    },
+
+    auditEvents: {
+      async append(event: AuditEvent) {
+        await fs.mkdir(path.dirname(auditLogFile), { recursive: true })
+        // "wx" only creates the file - the header goes in once, before the first event
+        await fs.writeFile(auditLogFile, `${AUDIT_LOG_COLUMNS.join(",")}\n`, { encoding: "utf-8", flag: "wx" }).catch(() => {})
+        await fs.appendFile(auditLogFile, `${formatAuditEvent(event)}\n`, "utf-8")
+      },
+
+      async list() {
+        return (await readAuditLog())
+          .slice(1)
+          .filter((line) => line.trim())
+          .map(parseAuditEvent)
+      },
+
+      async deleteForUser(username) {
+        const lines = await readAuditLog()
+        if (lines.length === 0) return 0
+
+        const keptLines = lines.filter((line, index) => index === 0 || (line.trim() && parseCsvLine(line)[1] !== username))
+        await fs.writeFile(auditLogFile, `${keptLines.join("\n")}\n`, "utf-8")
+        return lines.filter((line) => line.trim()).length - keptLines.length
+      },
+    },
+  }
+}
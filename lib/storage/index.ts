@@ -0,0 +1,46 @@
+/**
+ * Storage repositories
+ * Routes and the lib modules never touch the disk for user data themselves - they go through the
+ * repositories here: users, models (versions, active pointers and per-template documents), samples,
+ * voice profiles and audit events. Templates are addressed by TemplateRef (user, device, modality),
+ * not by folder, so the same code runs on either adapter: the filesystem layout the app always had
+ * (lib/storage/filesystem) or one embedded SQLite database (lib/storage/sqlite). AUTH_CONFIG.STORAGE_BACKEND
+ * picks one; `npm run storage:migrate` copies an existing models/ and voice_models/ tree into SQLite.
+ * The SQLite adapter (and with it the native better-sqlite3 module) is only loaded when it is picked, so a
+ * filesystem deployment runs without it - import createSqliteStorage from lib/storage/sqlite directly.
+ */
+import path from "path"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { createFilesystemStorage } from "@/lib/storage/filesystem"
+import type { StorageRepository, TemplateRef } from "@/lib/storage/types"
+
+export type {
+  AuditEvent,
+  SampleSet,
+  StorageBackend,
+  StorageRepository,
+  StoredSample,
+  TemplateDocument,
+  TemplateModality,
+  TemplateRef,
+} from "@/lib/storage/types"
+export { SAMPLE_SETS, TEMPLATE_DOCUMENTS } from "@/lib/storage/types"
+export { createFilesystemStorage }
+
+// Kept on globalThis so dev-mode module reloads don't open the database again
+const globalStore = globalThis as typeof globalThis & { ghostKeyStorage?: StorageRepository }
+
+function openSqliteStorage(): StorageRepository {
+  // require rather than a top-level import - see the header
+  const { createSqliteStorage } = require("./sqlite") as typeof import("./sqlite")
+  return createSqliteStorage(path.join(process.cwd(), AUTH_CONFIG.SQLITE_DATABASE_FILE))
+}
+
+export function getStorage(): StorageRepository {
+  return (globalStore.ghostKeyStorage ??=
+    AUTH_CONFIG.STORAGE_BACKEND === "sqlite" ? openSqliteStorage() : createFilesystemStorage(process.cwd()))
+}
+
+export function sameTemplate(a: TemplateRef, b: TemplateRef) {
+  return a.username === b.username && a.device === b.device && a.modality === b.modality
+}
@@ -0,0 +1,359 @@
+/**
+ * Embedded SQLite storage adapter
+ * Everything the filesystem layout keeps in folders goes into one database file (SQLITE_DATABASE_FILE):
+ * users are rows of their own rather than whoever has a folder (storing something for a name makes one,
+ * logging an audit event under it doesn't), templates hang off users, and model versions, samples and
+ * documents hang off templates - deleting a user cascades through all of it.
+ * JSON stays JSON (model versions, samples, documents are stored as text), recordings as blobs.
+ * better-sqlite3 is synchronous; the repository methods are async only to share the interface.
+ */
+import fs from "fs"
+import path from "path"
+import Database from "better-sqlite3"
+import type { ActiveModelPointer, ModelVersionRecord } from "@/lib/model-versions"
+import { usernameSchema, type Username } from "@/lib/request-validation"
+import type { AuditEvent, StorageRepository, TemplateRef } from "@/lib/storage/types"
+
+const SCHEMA = `
+  create table if not exists users (
+    username text primary key,
+    created_at text not null
+  );
+
+  create table if not exists templates (
+    username text not null references users (username) on delete cascade,
+    device text not null,
+    modality text not null,
+    active_pointer text,
+    primary key (username, device, modality)
+  );
+
+  create table if not exists template_documents (
+    username text not null,
+    device text not null,
+    modality text not null,
+    name text not null,
+    content text not null,
+    updated_at text not null,
+    primary key (username, device, modality, name),
+    foreign key (username, device, modality) references templates (username, device, modality) on delete cascade
+  );
+
+  create table if not exists model_versions (
+    username text not null,
+    device text not null,
+    modality text not null,
+    version integer not null,
+    created_at text not null,
+    record text not null,
+    primary key (username, device, modality, version),
+    foreign key (username, device, modality) references templates (username, device, modality) on delete cascade
+  );
+
+  create table if not exists samples (
+    username text not null,
+    device text not null,
+    modality text not null,
+    sample_set text not null,
+    id integer not null,
+    content text not null,
+    primary key (username, device, modality, sample_set, id),
+    foreign key (username, device, modality) references templates (username, device, modality) on delete cascade
+  );
+
+  create table if not exists voice_profiles (
+    username text primary key references users (username) on delete cascade,
+    profile text not null,
+    updated_at text not null
+  );
+
+  create table if not exists voice_recordings (
+    username text not null references users (username) on delete cascade,
+    name text not null,
+    data blob not null,
+    created_at text not null,
+    primary key (username, name)
+  );
+
+  create table if not exists voice_verifications (
+    id integer primary key autoincrement,
+    username text not null references users (username) on delete cascade,
+    entry text not null
+  );
+
+  -- No foreign key: failed attempts for unknown names and "ip:<address>" entries are audited too
+  create table if not exists audit_events (
+    id integer primary key autoincrement,
+    timestamp text not null,
+    username text not null,
+    result text not null,
+    mse real,
+    ip text not null,
+    user_agent text not null,
+    reason text not null
+  );
+  create index if not exists audit_events_username on audit_events (username);
+`
+
+interface AuditEventRow {
+  timestamp: string
+  username: string
+  result: "Pass" | "Fail"
+  mse: number | null
+  ip: string
+  user_agent: string
+  reason: string
+}
+
+export function createSqliteStorage(databaseFile: string): StorageRepository {
+  fs.mkdirSync(path.dirname(databaseFile), { recursive: true })
+  const database = new Database(databaseFile)
+  database.pragma("journal_mode = WAL")
+  database.pragma("foreign_keys = ON")
+  database.exec(SCHEMA)
+
+  const insertUser = database.prepare("insert into users (username, created_at) values (?, ?) on conflict do nothing")
+  const insertTemplate = database.prepare(
+    "insert into templates (username, device, modality) values (?, ?, ?) on conflict do nothing",
+  )
+
+  function ensureUser(username: string) {
+    insertUser.run(username, new Date().toISOString())
+  }
+
+  // Writes create the template (and its user) the way writing a file creates its folders
+  function ensureTemplate(template: TemplateRef) {
+    ensureUser(template.username)
+    insertTemplate.run(template.username, template.device, template.modality)
+  }
+
+  const templateKey = (template: TemplateRef) => [template.username, template.device, template.modality] as const
+
+  return {
+    backend: "sqlite",
+
+    users: {
+      // Like the filesystem layout, names from the audit log are listed too - without a users row of their own
+      async list() {
+        const usernames = new Set(
+          (database.prepare("select username from users").all() as { username: Username }[]).map((row) => row.username),
+        )
+        for (const row of database.prepare("select distinct username from audit_events").all() as { username: string }[]) {
+          // Skips "ip:<address>"/"admin:<name>" entries and names logged before usernames were validated
+          const parsed = usernameSchema.safeParse(row.username)
+          if (parsed.success) usernames.add(parsed.data)
+        }
+        return [...usernames].sort()
+      },
+
+      async delete(username) {
+        return database.transaction(() => {
+          const models = database.prepare("select 1 from templates where username = ?").get(username) !== undefined
+          const voiceProfile = database.prepare("select 1 from voice_profiles where username = ?").get(username) !== undefined
+          database.prepare("delete from users where username = ?").run(username)
+          return { models, voiceProfile }
+        })()
+      },
+    },
+
+    models: {
+      async listTemplates(filter = {}) {
+        const rows = database
+          .prepare(
+            `select username, device, modality from templates
+             where (:username is null or username = :username) and (:modality is null or modality = :modality)
+             order by username, device, modality`,
+          )
+          .all({ username: filter.username ?? null, modality: filter.modality ?? null }) as TemplateRef[]
+        return rows
+      },
+
+      async readDocument<T>(template: TemplateRef, name: string) {
+        const row = database
+          .prepare("select content from template_documents where username = ? and device = ? and modality = ? and name = ?")
+          .get(...templateKey(template), name) as { content: string } | undefined
+        return row ? (JSON.parse(row.content) as T) : null
+      },
+
+      async writeDocument(template, name, value) {
+        ensureTemplate(template)
+        database
+          .prepare(
+            `insert into template_documents (username, device, modality, name, content, updated_at) values (?, ?, ?, ?, ?, ?)
+             on conflict do update set content = excluded.content, updated_at = excluded.updated_at`,
+          )
+          .run(...templateKey(template), name, JSON.stringify(value), new Date().toISOString())
+      },
+
+      async deleteDocument(template, name) {
+        database
+          .prepare("delete from template_documents where username = ? and device = ? and modality = ? and name = ?")
+          .run(...templateKey(template), name)
+      },
+
+      async readActivePointer(template) {
+        const row = database
+          .prepare("select active_pointer from templates where username = ? and device = ? and modality = ?")
+          .get(...templateKey(template)) as { active_pointer: string | null } | undefined
+        return row?.active_pointer ? (JSON.parse(row.active_pointer) as ActiveModelPointer) : null
+      },
+
+      async writeActivePointer(template, pointer) {
+        ensureTemplate(template)
+        database
+          .prepare("update templates set active_pointer = ? where username = ? and device = ? and modality = ?")
+          .run(JSON.stringify(pointer), ...templateKey(template))
+      },
+
+      async listVersions(template) {
+        const rows = database
+          .prepare("select version from model_versions where username = ? and device = ? and modality = ? order by version")
+          .all(...templateKey(template)) as { version: number }[]
+        return rows.map((row) => row.version)
+      },
+
+      async readVersion(template, version) {
+        const row = database
+          .prepare("select record from model_versions where username = ? and device = ? and modality = ? and version = ?")
+          .get(...templateKey(template), version) as { record: string } | undefined
+        return row ? (JSON.parse(row.record) as ModelVersionRecord) : null
+      },
+
+      async createVersion(template, record) {
+        ensureTemplate(template)
+        // A plain insert - the primary key refuses a second record for the same version
+        database
+          .prepare("insert into model_versions (username, device, modality, version, created_at, record) values (?, ?, ?, ?, ?, ?)")
+          .run(...templateKey(template), record.version, record.createdAt, JSON.stringify(record))
+      },
+
+      async deleteVersion(template, version) {
+        database
+          .prepare("delete from model_versions where username = ? and device = ? and modality = ? and version = ?")
+          .run(...templateKey(template), version)
+      },
+    },
+
+    samples: {
+      async list(template, set) {
+        const rows = database
+          .prepare(
+            "select id, content from samples where username = ? and device = ? and modality = ? and sample_set = ? order by id",
+          )
+          .all(...templateKey(template), set) as { id: number; content: string }[]
+        return rows.map((row) => ({ id: row.id, data: JSON.parse(row.content) }))
+      },
+
+      async write(template, set, sample) {
+        ensureTemplate(template)
+        database
+          .prepare(
+            `insert into samples (username, device, modality, sample_set, id, content) values (?, ?, ?, ?, ?, ?)
+             on conflict do update set content = excluded.content`,
+          )
+          .run(...templateKey(template), set, sample.id, JSON.stringify(sample.data))
+      },
+
+      async delete(template, set, id) {
+        database
+          .prepare("delete from samples where username = ? and device = ? and modality = ? and sample_set = ? and id = ?")
+          .run(...templateKey(template), set, id)
+      },
+
+      async clear(template, set) {
+        database
+          .prepare("delete from samples where username = ? and device = ? and modality = ? and sample_set = ?")
+          .run(...templateKey(template), set)
+      },
+    },
+
+    voiceProfiles: {
+      async read(username) {
+        const row = database.prepare("select profile from voice_profiles where username = ?").get(username) as
+          | { profile: string }
+          | undefined
+        return row ? JSON.parse(row.profile) : null
+      },
+
+      async save(username, profile) {
+        ensureUser(username)
+        database
+          .prepare(
+            `insert into voice_profiles (username, profile, updated_at) values (?, ?, ?)
+             on conflict do update set profile = excluded.profile, updated_at = excluded.updated_at`,
+          )
+          .run(username, JSON.stringify(profile), new Date().toISOString())
+      },
+
+      async listRecordings(username) {
+        const rows = database.prepare("select name from voice_recordings where username = ? order by name").all(username) as {
+          name: string
+        }[]
+        return rows.map((row) => row.name)
+      },
+
+      async readRecording(username, name) {
+        const row = database.prepare("select data from voice_recordings where username = ? and name = ?").get(username, name) as
+          | { data: Buffer }
+          | undefined
+        return row ? row.data : null
+      },
+
+      async saveRecording(username, name, data) {
+        ensureUser(username)
+        database
+          .prepare(
+            `insert into voice_recordings (username, name, data, created_at) values (?, ?, ?, ?)
+             on conflict do update set data = excluded.data, created_at = excluded.created_at`,
+          )
+          .run(username, name, Buffer.from(data), new Date().toISOString())
+      },
+
+      async deleteRecording(username, name) {
+        database.prepare("delete from voice_recordings where username = ? and name = ?").run(username, name)
+      },
+
+      async listVerifications(username) {
+        const rows = database.prepare("select entry from voice_verifications where username = ? order by id").all(username) as {
+          entry: string
+        }[]
+        return rows.map((row) => JSON.parse(row.entry))
+      },
+
+      async appendVerification(username, entry) {
+        ensureUser(username)
+        database.prepare("insert into voice_verifications (username, entry) values (?, ?)").run(username, JSON.stringify(entry))
+      },
+    },
+
+    auditEvents: {
+      async append(event: AuditEvent) {
+        // Just the event - a failed login for a made-up name must not turn that name into a user
+        database
+          .prepare(
+            "insert into audit_events (timestamp, username, result, mse, ip, user_agent, reason) values (?, ?, ?, ?, ?, ?, ?)",
+          )
+          .run(event.timestamp, event.username, event.result, event.mse, event.ip, event.userAgent, event.reason)
+      },
+
+      async list() {
+        const rows = database
+          .prepare("select timestamp, username, result, mse, ip, user_agent, reason from audit_events order by id")
+          .all() as AuditEventRow[]
+        return rows.map((row) => ({
+          timestamp: row.timestamp,
+          username: row.username,
+          result: row.result,
+          mse: row.mse,
+          ip: row.ip,
+          userAgent: row.user_agent,
+          reason: row.reason,
+        }))
+      },
+
+      async deleteForUser(username) {
+        return database.prepare("delete from audit_events where username = ?").run(username).changes
+      },
+    },
+  }
+}
@@ -0,0 +1,95 @@
+// Shared shapes for the storage repositories and their adapters
+
+import type { ActiveModelPointer, ModelVersionRecord } from "@/lib/model-versions"
+import type { Username } from "@/lib/request-validation"
+
+export type StorageBackend = "filesystem" | "sqlite"
+
+// keystroke: one of the user's device templates; mouse: the mouse model that rides along with a device
+// template; touch: the keypad modality (only ever the default device)
+export type TemplateModality = "keystroke" | "mouse" | "touch"
+
+// Which template a model, sample or document belongs to - the adapters decide where that is kept
+export interface TemplateRef {
+  username: Username
+  device: string // DEFAULT_DEVICE for the user's default template
+  modality: TemplateModality
+}
+
+// Small JSON documents kept per template
+export const TEMPLATE_DOCUMENTS = ["passphrase", "replay-fingerprints", "free-text-profile", "legacy-model"] as const
+export type TemplateDocument = (typeof TEMPLATE_DOCUMENTS)[number]
+
+// samples: enrollment and adaptation samples; raw_data: raw events of enrollment samples (unless privacy
+// mode was on); impostor_samples: attempts the user tagged as someone else typing
+export const SAMPLE_SETS = ["samples", "raw_data", "impostor_samples"] as const
+export type SampleSet = (typeof SAMPLE_SETS)[number]
+
+export interface StoredSample {
+  id: number
+  data: any
+}
+
+export interface AuditEvent {
+  timestamp: string
+  username: string // Canonicalized, but not always a valid Username - lockout clears for an IP are "ip:<address>"
+  result: "Pass" | "Fail"
+  mse: number | null
+  ip: string
+  userAgent: string
+  reason: string
+}
+
+export interface UserRepository {
+  // Everyone with a stored template, a voice profile or an audit event, sorted
+  list(): Promise<Username[]>
+  // Removes the user's templates and voice profile - audit events stay until auditEvents.deleteForUser
+  delete(username: Username): Promise<{ models: boolean; voiceProfile: boolean }>
+}
+
+export interface ModelRepository {
+  // Templates that have anything stored, sorted by user and device
+  listTemplates(filter?: { username?: Username; modality?: TemplateModality }): Promise<TemplateRef[]>
+  readDocument<T>(template: TemplateRef, name: TemplateDocument): Promise<T | null>
+  writeDocument(template: TemplateRef, name: TemplateDocument, value: unknown): Promise<void>
+  deleteDocument(template: TemplateRef, name: TemplateDocument): Promise<void>
+  readActivePointer(template: TemplateRef): Promise<ActiveModelPointer | null>
+  writeActivePointer(template: TemplateRef, pointer: ActiveModelPointer): Promise<void>
+  listVersions(template: TemplateRef): Promise<number[]> // Ascending
+  readVersion(template: TemplateRef, version: number): Promise<ModelVersionRecord | null>
+  createVersion(template: TemplateRef, record: ModelVersionRecord): Promise<void> // Throws if the version exists
+  deleteVersion(template: TemplateRef, version: number): Promise<void>
+}
+
+export interface SampleRepository {
+  list(template: TemplateRef, set: SampleSet): Promise<StoredSample[]> // Ascending id
+  write(template: TemplateRef, set: SampleSet, sample: StoredSample): Promise<void>
+  delete(template: TemplateRef, set: SampleSet, id: number): Promise<void>
+  clear(template: TemplateRef, set: SampleSet): Promise<void>
+}
+
+export interface VoiceProfileRepository {
+  read(username: Username): Promise<any | null>
+  save(username: Username, profile: unknown): Promise<void>
+  listRecordings(username: Username): Promise<string[]>
+  readRecording(username: Username, name: string): Promise<Uint8Array | null>
+  saveRecording(username: Username, name: string, data: Uint8Array): Promise<void>
+  deleteRecording(username: Username, name: string): Promise<void>
+  listVerifications(username: Username): Promise<any[]>
+  appendVerification(username: Username, entry: unknown): Promise<void>
+}
+
+export interface AuditEventRepository {
+  append(event: AuditEvent): Promise<void>
+  list(): Promise<AuditEvent[]> // Oldest first
+  deleteForUser(username: string): Promise<number> // How many were removed
+}
+
+export interface StorageRepository {
+  backend: StorageBackend
+  users: UserRepository
+  models: ModelRepository
+  samples: SampleRepository
+  voiceProfiles: VoiceProfileRepository
+  auditEvents: AuditEventRepository
+}
@@ -0,0 +1,212 @@
+/**
+ * Adaptive template updating
+ * Typing rhythm drifts over weeks, so confident passes are fed back into the template's samples
+ * (a rolling window) and the detectors are retrained every few additions. An attacker who slips
+ * through once shouldn't be able to drag the template towards their own rhythm, hence the guards:
+ * minimum confidence, at most one sample per interval, and a cap on how far a threshold may move.
+ * The retrain itself is a background training job (lib/training-jobs) - it calibrates leave-one-out,
+ * which is far too slow to run inside the sign-in that triggered it.
+ */
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { DETECTOR_SET_MODEL_TYPE, type DetectorId, type DetectorSet } from "@/lib/anomaly-detectors"
+import { loadImpostorSamples } from "@/lib/calibration-samples"
+import { validateFeatureVector, type KeystrokeFeatureSchema } from "@/lib/keystroke-feature-schema"
+import {
+  loadActiveModel,
+  saveModelVersion,
+  updateActiveState,
+  type AdaptationState,
+  type ModelHistoryEntry,
+} from "@/lib/model-versions"
+import type { Username } from "@/lib/request-validation"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+import { enqueueTrainingJob } from "@/lib/training-jobs"
+import { generateTrainingSeed } from "@/libs/autoencoder"
+
+export interface TemplateUpdate {
+  sampleAdded: boolean
+  retrainJobId: string | null // Training job of the retrain this sample triggered - poll /api/train-model/jobs/<id>
+  reason: string
+}
+
+interface AdaptationRequest {
+  username: Username
+  template: TemplateRef // Device template that accepted the attempt (lib/device-templates)
+  modelData: any // The active model version (see loadActiveModel)
+  featureSchema: KeystrokeFeatureSchema
+  detectorSet: DetectorSet
+  features: number[]
+  confidence: number
+  score: number
+}
+
+// Adaptations of one template run one after another - two passes at once would read the same
+// lastSampleAt and pick the same sample id. Kept on globalThis like the other in-memory state.
+const globalStore = globalThis as typeof globalThis & { ghostKeyAdaptationLocks?: Map<string, Promise<unknown>> }
+const templateLocks: Map<string, Promise<unknown>> = (globalStore.ghostKeyAdaptationLocks ??= new Map())
+
+function withTemplateLock<T>(template: TemplateRef, task: () => Promise<T>): Promise<T> {
+  const key = `${template.username}/${template.device}/${template.modality}`
+  const run = (templateLocks.get(key) ?? Promise.resolve()).then(task)
+  const tail = run.catch(() => undefined)
+  templateLocks.set(key, tail)
+  void tail.then(() => {
+    if (templateLocks.get(key) === tail) templateLocks.delete(key)
+  })
+  return run
+}
+
+// Ids of the stored samples, oldest first
+async function listSampleIds(template: TemplateRef): Promise<number[]> {
+  return (await getStorage().samples.list(template, "samples")).map((sample) => sample.id)
+}
+
+async function loadWindowSamples(template: TemplateRef, sampleIds: number[], featureSchema: KeystrokeFeatureSchema) {
+  const windowIds = new Set(sampleIds)
+  const samples: number[][] = []
+  for (const sample of await getStorage().samples.list(template, "samples")) {
+    if (windowIds.has(sample.id) && validateFeatureVector(featureSchema, sample.data.features).valid) {
+      samples.push(sample.data.features)
+    }
+  }
+  return samples
+}
+
+// Keep the new threshold within ±ADAPTATION_MAX_THRESHOLD_CHANGE of the current one
+function capThresholdChange(previous: number, proposed: number): number {
+  const maximumChange = Math.abs(previous) * AUTH_CONFIG.ADAPTATION_MAX_THRESHOLD_CHANGE
+  return Math.min(Math.max(proposed, previous - maximumChange), previous + maximumChange)
+}
+
+// Add one confidently-accepted attempt to the user's template, queueing a retrain when enough have accumulated.
+// The sample only changes the active pointer's state; the retrain is saved as a new model version when its job
+// finishes. Returns what happened (the caller only reports it).
+export async function adaptTemplate(request: AdaptationRequest): Promise<TemplateUpdate> {
+  const { confidence } = request
+
+  if (!AUTH_CONFIG.ADAPTATION_ENABLED) {
+    return { sampleAdded: false, retrainJobId: null, reason: "Template adaptation is disabled" }
+  }
+  if (confidence < AUTH_CONFIG.ADAPTATION_MIN_CONFIDENCE) {
+    return { sampleAdded: false, retrainJobId: null, reason: `Confidence ${confidence.toFixed(3)} below ${AUTH_CONFIG.ADAPTATION_MIN_CONFIDENCE}` }
+  }
+
+  return withTemplateLock(request.template, () => addAdaptationSample(request))
+}
+
+async function addAdaptationSample(request: AdaptationRequest): Promise<TemplateUpdate> {
+  const { username, template, modelData, featureSchema, detectorSet, features, confidence, score } = request
+
+  // Re-read under the lock - the model the attempt was scored against may have moved on meanwhile
+  const activeModel = await loadActiveModel(template)
+  if (!activeModel || activeModel.version !== modelData.version) {
+    return { sampleAdded: false, retrainJobId: null, reason: "The active model changed while the attempt was scored" }
+  }
+
+  const now = new Date()
+  const adaptation: AdaptationState = { ...(activeModel.adaptation || { samplesSinceRetrain: 0, lastSampleAt: null }) }
+  if (adaptation.lastSampleAt) {
+    const minutesSinceLastSample = (now.getTime() - new Date(adaptation.lastSampleAt).getTime()) / 60000
+    if (minutesSinceLastSample < AUTH_CONFIG.ADAPTATION_MIN_INTERVAL_MINUTES) {
+      return { sampleAdded: false, retrainJobId: null, reason: "Rate limited - a sample was added recently" }
+    }
+  }
+
+  // Append the sample, then evict the oldest ones beyond the rolling window
+  const existingIds = await listSampleIds(template)
+  const sampleId = existingIds.length > 0 ? existingIds[existingIds.length - 1] + 1 : 0
+  await getStorage().samples.write(template, "samples", {
+    id: sampleId,
+    data: { sampleId, timestamp: now.toISOString(), features, source: "adaptation", confidence, score },
+  })
+
+  const windowIds = [...existingIds, sampleId]
+  const evictedSampleIds = windowIds.splice(0, Math.max(0, windowIds.length - AUTH_CONFIG.ADAPTATION_WINDOW_SIZE))
+  for (const evictedId of evictedSampleIds) {
+    await getStorage().samples.delete(template, "samples", evictedId)
+  }
+
+  adaptation.samplesSinceRetrain += 1
+  adaptation.lastSampleAt = now.toISOString()
+
+  let retrainJobId: string | null = null
+  if (adaptation.samplesSinceRetrain >= AUTH_CONFIG.ADAPTATION_RETRAIN_EVERY) {
+    const samples = await loadWindowSamples(template, windowIds, featureSchema)
+    const detectorIds = Object.keys(detectorSet.detectors) as DetectorId[]
+    // A fresh seed per retrain, stored with the model so this version can be rebuilt exactly
+    const seed = generateTrainingSeed()
+    const trainedAt = now.toISOString()
+
+    const job = enqueueTrainingJob({
+      username,
+      template,
+      featureSchema,
+      samples,
+      impostors: await loadImpostorSamples(username, featureSchema),
+      detectorIds,
+      primaryDetector: detectorSet.primaryDetector,
+      seed,
+      trainedAt,
+      saveDetectors: (calibratedDetectors) =>
+        withTemplateLock(template, () =>
+          saveRetrainedModel(template, modelData, detectorSet, calibratedDetectors, samples.length, seed, trainedAt),
+        ),
+    })
+    retrainJobId = job.id
+    adaptation.samplesSinceRetrain = 0
+    console.log(`Adapting template for ${username}: queued retrain ${job.id} of ${detectorIds.join(", ")} on ${samples.length} samples (seed ${seed})`)
+  }
+
+  await updateActiveState(template, adaptation, [
+    { type: "sample-added", timestamp: now.toISOString(), sampleId, confidence, score, evictedSampleIds },
+  ])
+
+  return {
+    sampleAdded: true,
+    retrainJobId,
+    reason: retrainJobId
+      ? "Sample added and retrain queued"
+      : `Sample added (${adaptation.samplesSinceRetrain}/${AUTH_CONFIG.ADAPTATION_RETRAIN_EVERY} before retraining)`,
+  }
+}
+
+// Called by the training job once the retrained detectors are calibrated: cap each threshold's move
+// and save the result as a new version - unless the template got a different model in the meantime
+async function saveRetrainedModel(
+  template: TemplateRef,
+  modelData: any,
+  detectorSet: DetectorSet,
+  calibratedDetectors: DetectorSet["detectors"],
+  sampleCount: number,
+  seed: number,
+  trainedAt: string,
+): Promise<{ version: number; detectors: DetectorSet["detectors"] }> {
+  const activeModel = await loadActiveModel(template)
+  if (activeModel?.version !== modelData.version) {
+    throw new Error(`Model version ${modelData.version} is no longer active - dropping the adaptation retrain`)
+  }
+
+  const detectors = { ...calibratedDetectors }
+  const thresholds: Extract<ModelHistoryEntry, { type: "retrained" }>["thresholds"] = {}
+  for (const id of Object.keys(detectorSet.detectors) as DetectorId[]) {
+    const previous = detectorSet.detectors[id]!.threshold
+    const proposed = detectors[id]!.threshold
+    const applied = capThresholdChange(previous, proposed)
+    detectors[id] = { ...detectors[id]!, threshold: applied }
+    thresholds[id] = { previous, proposed, applied }
+  }
+
+  const retrainedModelData = {
+    ...modelData,
+    modelType: DETECTOR_SET_MODEL_TYPE,
+    primaryDetector: detectorSet.primaryDetector,
+    detectors,
+    seed,
+    createdAt: trainedAt,
+  }
+  // The pointer keeps its adaptation state - samples added while the job ran still count towards the next retrain
+  const version = await saveModelVersion(template, retrainedModelData, "adaptation", {
+    historyEntries: [{ type: "retrained", timestamp: new Date().toISOString(), samples: sampleCount, thresholds }],
+  })
+  return { version, detectors }
+}
@@ -0,0 +1,122 @@
+/**
+ * Impostor-aware threshold calibration
+ * The detectors pick their threshold from the user's own samples only. When impostor samples are
+ * available we score them too and move the threshold to the loosest value that keeps the false
+ * accept rate at or below the target, then store the FAR/FRR estimate in trainingStats.calibration.
+ * Calibration only ever tightens: the detector's own threshold is the ceiling, so impostor samples
+ * that are easy to tell apart (or were tagged on purpose to be) can't loosen the template.
+ */
+import { AUTH_CONFIG } from "@/config/auth-config"
+import {
+  DEFAULT_TRAINING_OPTIONS,
+  getDetector,
+  type DetectorId,
+  type DetectorSet,
+  type DetectorTrainingOptions,
+  type SerializedDetectorModel,
+} from "@/lib/anomaly-detectors"
+import { errorRatesAt } from "@/lib/detector-evaluation"
+import type { ImpostorSamples } from "@/lib/calibration-samples"
+
+export interface ThresholdCalibration {
+  calibrated: boolean // false when there weren't enough impostor samples - the detector's own threshold is kept
+  targetFar: number
+  threshold: number
+  uncalibratedThreshold: number
+  estimatedFar: number | null // null without impostor samples
+  estimatedFrr: number
+  genuineScoring: "leave-one-out" | "in-sample"
+  genuineSamples: number
+  impostorSamples: number
+  impostorSources: ImpostorSamples["sources"]
+  calibratedAt: string
+}
+
+// Genuine scores should come from samples the model didn't see. Leave-one-out needs a full training set
+// per fold, so right at the minimum sample count we fall back to scoring the training samples themselves.
+// The folds are trained with the run's options (seed included), so calibration is reproducible too.
+function scoreGenuineSamples(
+  detectorId: DetectorId,
+  model: SerializedDetectorModel,
+  samples: number[][],
+  trainingOptions: DetectorTrainingOptions,
+) {
+  const detector = getDetector(detectorId)
+  if (samples.length - 1 < AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES) {
+    return { scoring: "in-sample" as const, scores: samples.map((sample) => detector.score(model, sample).score) }
+  }
+
+  const scores = samples.map((heldOut, index) => {
+    const foldModel = detector.train(
+      samples.filter((_, i) => i !== index),
+      trainingOptions,
+    )
+    return detector.score(foldModel, heldOut).score
+  })
+  return { scoring: "leave-one-out" as const, scores }
+}
+
+// Loosest threshold that accepts at most floor(targetFar × n) impostor attempts - placed halfway
+// between the last score we may accept and the first impostor score we have to reject
+export function thresholdForTargetFar(impostorScores: number[], allScores: number[], targetFar: number): number {
+  const sortedImpostorScores = [...impostorScores].sort((a, b) => a - b)
+  const allowedFalseAccepts = Math.floor(targetFar * sortedImpostorScores.length)
+  if (allowedFalseAccepts >= sortedImpostorScores.length) {
+    return Math.max(...allScores)
+  }
+
+  const firstRejected = sortedImpostorScores[allowedFalseAccepts]
+  const belowRejected = allScores.filter((score) => score < firstRejected)
+  const lastAccepted = belowRejected.length > 0 ? Math.max(...belowRejected) : Math.min(0, firstRejected)
+  return (lastAccepted + firstRejected) / 2
+}
+
+export function calibrateDetectorModel(
+  detectorId: DetectorId,
+  model: SerializedDetectorModel,
+  genuineSamples: number[][],
+  impostors: ImpostorSamples,
+  trainingOptions: DetectorTrainingOptions = DEFAULT_TRAINING_OPTIONS,
+  targetFar: number = AUTH_CONFIG.CALIBRATION_TARGET_FAR,
+): SerializedDetectorModel {
+  const detector = getDetector(detectorId)
+  const uncalibratedThreshold = model.trainingStats.calibration?.uncalibratedThreshold ?? model.threshold
+
+  const genuine = scoreGenuineSamples(detectorId, model, genuineSamples, trainingOptions)
+  const impostorScores = impostors.samples.map((sample) => detector.score(model, sample).score)
+  const calibrated = impostorScores.length >= AUTH_CONFIG.CALIBRATION_MIN_IMPOSTOR_SAMPLES
+
+  const threshold = calibrated
+    ? Math.min(thresholdForTargetFar(impostorScores, [...genuine.scores, ...impostorScores], targetFar), uncalibratedThreshold)
+    : uncalibratedThreshold
+  const rates = errorRatesAt(genuine.scores, impostorScores, threshold)
+
+  const calibration: ThresholdCalibration = {
+    calibrated,
+    targetFar,
+    threshold,
+    uncalibratedThreshold,
+    estimatedFar: impostorScores.length > 0 ? rates.far : null,
+    estimatedFrr: rates.frr,
+    genuineScoring: genuine.scoring,
+    genuineSamples: genuineSamples.length,
+    impostorSamples: impostorScores.length,
+    impostorSources: impostors.sources,
+    calibratedAt: trainingOptions.trainedAt ?? new Date().toISOString(),
+  }
+
+  return { ...model, threshold, trainingStats: { ...model.trainingStats, calibration } }
+}
+
+export function calibrateDetectorSet(
+  detectorSet: DetectorSet,
+  genuineSamples: number[][],
+  impostors: ImpostorSamples,
+  trainingOptions: DetectorTrainingOptions = DEFAULT_TRAINING_OPTIONS,
+): DetectorSet["detectors"] {
+  const calibratedDetectors: DetectorSet["detectors"] = {}
+  for (const id of Object.keys(detectorSet.detectors) as DetectorId[]) {
+    calibratedDetectors[id] = calibrateDetectorModel(id, detectorSet.detectors[id]!, genuineSamples, impostors, trainingOptions)
+  }
+  return calibratedDetectors
+}
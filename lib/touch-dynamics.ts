@@ -0,0 +1,243 @@
+/**
+ * Touch dynamics for the on-screen keypad
+ * On a phone the keystroke timings of a soft keyboard say little (and "pressPressure" is really hold-time
+ * variance), but pointer events on our own keypad carry much more: where on the key the finger lands,
+ * how large the contact is, PointerEvent.pressure, how long it stays and how quickly it swipes in to the
+ * next key. The keypad sends those raw per-pointer events; this module (shared by the hook and the
+ * server, no Node dependencies) pairs them into touches and lays them out as a feature vector for the
+ * same detectors the keystroke modality uses. Mouse and emulated touch input work too - their pressure
+ * and contact size are just constant, which the detectors' spread floors handle.
+ */
+
+export const TOUCH_FEATURE_SCHEMA_NAME = "touch-dynamics"
+export const TOUCH_FEATURE_SCHEMA_VERSION = 1
+
+// Aggregate features appended after the per-touch ones, in this order
+const TOUCH_SUMMARY_FEATURE_NAMES = ["touchSpeed", "meanContactSize", "pressureStd"] as const
+
+// A PIN entry is a few dozen events - anything far beyond that isn't one
+const MAX_TOUCH_EVENTS = 200
+
+export const TOUCH_BACKSPACE_KEY = "Backspace"
+
+// One pointer event on a keypad key, as the keypad reports it
+export interface RawTouchEvent {
+  key: string // Keypad key ("0"-"9", or Backspace)
+  type: "down" | "up"
+  t: number // performance.now()
+  pointerId: number
+  pointerType: string // "touch", "pen" or "mouse"
+  offsetX: number // Where the pointer went down, relative to the key centre: -1 (left edge) .. 1 (right edge)
+  offsetY: number // -1 (top edge) .. 1 (bottom edge)
+  width: number // Contact size in CSS pixels (1 for a mouse)
+  height: number
+  pressure: number // 0-1, 0.5 for a pressed mouse button
+}
+
+// One completed touch of a keypad key
+export interface KeypadTouch {
+  key: string
+  downAt: number
+  upAt: number
+  offsetX: number
+  offsetY: number
+  contactSize: number
+  pressure: number
+}
+
+export interface TouchFeatureSchema {
+  name: typeof TOUCH_FEATURE_SCHEMA_NAME
+  version: number
+  pinLength: number
+  featureCount: number
+  featureNames: string[] // e.g. "dwell.t1", "offsetX.t1", "swipeIn.t1-t2", "pressureStd"
+}
+
+export interface ExtractedTouchFeatures {
+  touches: KeypadTouch[]
+  dwellTimes: number[]
+  swipeInTimes: number[] // Release of one key to contact on the next - negative when two thumbs overlap
+  features: number[]
+}
+
+// Build the schema for a PIN of the given length: dwell, offsets, contact size and pressure per touch,
+// the swipe-in time between touches, then summaries
+export function createTouchFeatureSchema(pinLength: number): TouchFeatureSchema {
+  if (!Number.isInteger(pinLength) || pinLength < 2) {
+    throw new Error(`PIN must be at least 2 digits long, got ${pinLength}`)
+  }
+
+  const featureNames: string[] = []
+  for (const kind of ["dwell", "offsetX", "offsetY", "contact", "pressure"]) {
+    for (let touch = 1; touch <= pinLength; touch++) {
+      featureNames.push(`${kind}.t${touch}`)
+    }
+  }
+  for (let touch = 1; touch < pinLength; touch++) {
+    featureNames.push(`swipeIn.t${touch}-t${touch + 1}`)
+  }
+  featureNames.push(...TOUCH_SUMMARY_FEATURE_NAMES)
+
+  return {
+    name: TOUCH_FEATURE_SCHEMA_NAME,
+    version: TOUCH_FEATURE_SCHEMA_VERSION,
+    pinLength,
+    featureCount: featureNames.length,
+    featureNames,
+  }
+}
+
+const isFiniteIn = (value: unknown, minimum: number, maximum: number) =>
+  typeof value === "number" && Number.isFinite(value) && value >= minimum && value <= maximum
+
+// Check the shape of a client-supplied event list before extracting from it
+export function validateRawTouchEvents(
+  events: unknown,
+): { valid: true; events: RawTouchEvent[] } | { valid: false; reason: string } {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { valid: false, reason: "Touch events are missing" }
+  }
+  if (events.length > MAX_TOUCH_EVENTS) {
+    return { valid: false, reason: `Too many touch events (${events.length}, at most ${MAX_TOUCH_EVENTS})` }
+  }
+  const badIndex = events.findIndex(
+    (event) =>
+      typeof event?.key !== "string" ||
+      event.key.length === 0 ||
+      event.key.length > 16 ||
+      (event.type !== "down" && event.type !== "up") ||
+      typeof event.t !== "number" ||
+      !Number.isFinite(event.t) ||
+      !Number.isInteger(event.pointerId) ||
+      typeof event.pointerType !== "string" ||
+      // A little past the edge is allowed - the key's hit area includes its border
+      !isFiniteIn(event.offsetX, -1.5, 1.5) ||
+      !isFiniteIn(event.offsetY, -1.5, 1.5) ||
+      !isFiniteIn(event.width, 0, 500) ||
+      !isFiniteIn(event.height, 0, 500) ||
+      !isFiniteIn(event.pressure, 0, 1),
+  )
+  if (badIndex !== -1) {
+    return { valid: false, reason: `Touch event ${badIndex + 1} is not a keypad pointer event` }
+  }
+  return {
+    valid: true,
+    events: events.map(({ key, type, t, pointerId, pointerType, offsetX, offsetY, width, height, pressure }) => ({
+      key,
+      type,
+      t,
+      pointerId,
+      pointerType: pointerType.slice(0, 16),
+      offsetX,
+      offsetY,
+      width,
+      height,
+      pressure,
+    })),
+  }
+}
+
+// Pair every down with the next up of the same pointer. Several fingers can be down at once, each up
+// closes its own touch; Backspace removes the last touch so the touches line up with the entered PIN.
+export function pairTouchEvents(events: RawTouchEvent[]): KeypadTouch[] {
+  const open = new Map<number, KeypadTouch>()
+  const touches: KeypadTouch[] = []
+
+  for (const event of [...events].sort((a, b) => a.t - b.t)) {
+    if (event.type === "down") {
+      open.set(event.pointerId, {
+        key: event.key,
+        downAt: event.t,
+        upAt: event.t,
+        offsetX: event.offsetX,
+        offsetY: event.offsetY,
+        // Geometric mean of the contact ellipse's axes
+        contactSize: Math.sqrt(Math.max(event.width, 0) * Math.max(event.height, 0)),
+        pressure: event.pressure,
+      })
+      continue
+    }
+
+    const touch = open.get(event.pointerId)
+    if (!touch) continue
+    open.delete(event.pointerId)
+    touch.upAt = event.t
+    if (touch.key === TOUCH_BACKSPACE_KEY) {
+      touches.pop()
+    } else {
+      touches.push(touch)
+    }
+  }
+
+  return touches.sort((a, b) => a.downAt - b.downAt)
+}
+
+function standardDeviation(values: number[]) {
+  if (values.length === 0) return 0
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length)
+}
+
+// Turn a keypad entry into touches and the feature vector (laid out as createTouchFeatureSchema describes)
+export function extractTouchFeatures(events: RawTouchEvent[]): ExtractedTouchFeatures {
+  const touches = pairTouchEvents(events)
+  const dwellTimes = touches.map((touch) => touch.upAt - touch.downAt)
+  const swipeInTimes = touches.slice(1).map((touch, i) => touch.downAt - touches[i].upAt)
+
+  const duration = touches.length > 1 ? touches[touches.length - 1].upAt - touches[0].downAt : 0
+  const touchSpeed = duration > 0 ? (touches.length / duration) * 1000 : 0
+  const meanContactSize =
+    touches.length > 0 ? touches.reduce((sum, touch) => sum + touch.contactSize, 0) / touches.length : 0
+
+  const features = [
+    ...dwellTimes,
+    ...touches.map((touch) => touch.offsetX),
+    ...touches.map((touch) => touch.offsetY),
+    ...touches.map((touch) => touch.contactSize),
+    ...touches.map((touch) => touch.pressure),
+    ...swipeInTimes,
+    touchSpeed,
+    meanContactSize,
+    standardDeviation(touches.map((touch) => touch.pressure)),
+  ]
+
+  return { touches, dwellTimes, swipeInTimes, features }
+}
+
+// The PIN the touches spell out (the keypad keys in order)
+export function touchesToPin(touches: KeypadTouch[]): string {
+  return touches.map((touch) => touch.key).join("")
+}
+
+// Check that a vector has exactly the layout the schema describes
+export function validateTouchFeatureVector(
+  schema: TouchFeatureSchema,
+  featureVector: unknown,
+): { valid: true } | { valid: false; reason: string } {
+  if (!Array.isArray(featureVector)) {
+    return { valid: false, reason: "Feature vector is missing" }
+  }
+  if (featureVector.length !== schema.featureCount) {
+    return {
+      valid: false,
+      reason: `Expected ${schema.featureCount} features for a ${schema.pinLength}-digit PIN, got ${featureVector.length}`,
+    }
+  }
+  const badIndex = featureVector.findIndex((value) => typeof value !== "number" || !Number.isFinite(value))
+  if (badIndex !== -1) {
+    return { valid: false, reason: `Feature ${schema.featureNames[badIndex]} is not a finite number` }
+  }
+  return { valid: true }
+}
+
+// Read the touch schema stored with a model, or null when the model isn't a touch model
+export function readTouchFeatureSchema(modelData: any): TouchFeatureSchema | null {
+  const schema = modelData?.featureSchema
+  if (!schema || schema.name !== TOUCH_FEATURE_SCHEMA_NAME || !Array.isArray(schema.featureNames)) {
+    return null
+  }
+  if (schema.version > TOUCH_FEATURE_SCHEMA_VERSION) {
+    throw new Error(`Touch feature schema version ${schema.version} is newer than this server supports`)
+  }
+  return schema
+}
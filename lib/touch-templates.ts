@@ -0,0 +1,44 @@
+/**
+ * Storage for the touch-dynamics modality
+ * Touch enrollment is a template of its own (models/<user>/touch/ in the filesystem layout) with the
+ * layout of a keystroke template - samples, model versions, the hashed PIN as its passphrase record,
+ * replay fingerprints - so model versioning, the training jobs and the detectors work on it unchanged.
+ * It is a separate modality, not a device template - the keystroke code never looks inside it.
+ */
+import type { ImpostorSamples } from "@/lib/calibration-samples"
+import { DEFAULT_DEVICE } from "@/lib/device-names"
+import type { Username } from "@/lib/request-validation"
+import { getStorage, type TemplateRef } from "@/lib/storage"
+import { validateTouchFeatureVector, type TouchFeatureSchema } from "@/lib/touch-dynamics"
+
+export function touchTemplate(username: Username): TemplateRef {
+  return { username, device: DEFAULT_DEVICE, modality: "touch" }
+}
+
+// Touch samples of a template that fit the schema, oldest first
+export async function loadTouchSamples(template: TemplateRef, featureSchema: TouchFeatureSchema): Promise<number[][]> {
+  const vectors: number[][] = []
+  for (const sample of await getStorage().samples.list(template, "samples")) {
+    if (validateTouchFeatureVector(featureSchema, sample.data.features).valid) {
+      vectors.push(sample.data.features)
+    }
+  }
+  return vectors
+}
+
+// Other users' touch samples for a PIN of the same length calibrate the thresholds
+export async function loadTouchImpostorSamples(username: Username, featureSchema: TouchFeatureSchema): Promise<ImpostorSamples> {
+  const samples: number[][] = []
+  let enrolledUsers = 0
+
+  for (const template of await getStorage().models.listTemplates({ modality: "touch" })) {
+    if (template.username === username) continue
+    const otherSamples = await loadTouchSamples(template, featureSchema)
+    if (otherSamples.length > 0) {
+      enrolledUsers++
+      samples.push(...otherSamples)
+    }
+  }
+
+  return { samples, sources: { enrolledUsers, taggedAttempts: 0 } }
+}
@@ -0,0 +1,294 @@
+/**
+ * Background training jobs
+ * Training 200 epochs inside the request of the fifth sample froze the browser and a timeout lost the
+ * model, so /api/train-model now queues a job and answers with its id straight away. Jobs run one at a
+ * time in a worker thread (lib/training-worker) and the client polls GET /api/train-model/jobs/<id>.
+ * Recalibrating an existing model against new impostor samples (/api/impostor-samples) queues here too -
+ * its leave-one-out folds retrain the detectors once per sample, which is no work for a request either.
+ * So does template adaptation's periodic retrain (lib/template-adaptation), which runs on a sign-in.
+ * The queue lives in memory - a restart drops queued jobs, but a finished model is already saved.
+ */
+import { randomUUID } from "crypto"
+import { Worker } from "worker_threads"
+import { AUTH_CONFIG } from "@/config/auth-config"
+import { DETECTOR_SET_MODEL_TYPE, type DetectorId, type DetectorSet } from "@/lib/anomaly-detectors"
+import type { ImpostorSamples } from "@/lib/calibration-samples"
+import type { KeystrokeFeatureSchema } from "@/lib/keystroke-feature-schema"
+import { saveModelVersion, type ModelVersionSource } from "@/lib/model-versions"
+import type { MouseFeatureSchema } from "@/lib/mouse-dynamics"
+import { sameTemplate, type TemplateRef } from "@/lib/storage"
+import type { TouchFeatureSchema } from "@/lib/touch-dynamics"
+
+export type TrainingJobStatus = "queued" | "running" | "completed" | "failed" | "superseded"
+
+export interface TrainingJob {
+  id: string
+  username: string
+  status: TrainingJobStatus
+  stage: "training" | "calibrating" | "saving" | null
+  detectors: DetectorId[]
+  currentDetector: DetectorId | null
+  epoch: number // Only iterative detectors (the autoencoder) report epochs
+  epochs: number
+  lossCurve: number[] // Average loss per epoch of the latest iterative detector
+  samples: number
+  version: number | null // Model version saved by a completed job
+  error: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface TrainingJobRequest {
+  username: string
+  template: TemplateRef // Keystroke, mouse or touch template the model is saved to
+  featureSchema: KeystrokeFeatureSchema | TouchFeatureSchema | MouseFeatureSchema // Stored with the model - the detectors don't care which
+  samples: number[][]
+  impostors: ImpostorSamples
+  detectorIds: DetectorId[]
+  primaryDetector: DetectorId
+  seed: number // Same seed, samples and trainedAt give a byte-identical model
+  trainedAt: string
+  pretrainedDetectors?: DetectorSet["detectors"] // Recalibration: calibrate these instead of training new ones
+  // Template adaptation saves the result itself (capped thresholds, adaptation history) - resolves with what it saved
+  saveDetectors?: (detectors: DetectorSet["detectors"]) => Promise<{ version: number; detectors: DetectorSet["detectors"] }>
+}
+
+// What the worker gets (structured-cloned) and what it posts back
+export type TrainingWorkerData = Pick<
+  TrainingJobRequest,
+  "samples" | "impostors" | "detectorIds" | "primaryDetector" | "seed" | "trainedAt" | "pretrainedDetectors"
+>
+
+export type TrainingWorkerMessage =
+  | { type: "stage"; stage: "training" | "calibrating"; detector: DetectorId | null }
+  | { type: "epoch"; detector: DetectorId; epoch: number; epochs: number; loss: number }
+  | { type: "done"; detectors: DetectorSet["detectors"] }
+  | { type: "failed"; error: string }
+
+interface TrainingJobStore {
+  jobs: Map<string, TrainingJob>
+  requests: Map<string, TrainingJobRequest> // Dropped once the job starts
+  queue: string[]
+  running: boolean
+}
+
+// Kept on globalThis so the queue survives Next's dev-mode module reloads
+const globalStore = globalThis as typeof globalThis & { keystrokeTrainingJobs?: TrainingJobStore }
+const store: TrainingJobStore = (globalStore.keystrokeTrainingJobs ??= {
+  jobs: new Map(),
+  requests: new Map(),
+  queue: [],
+  running: false,
+})
+
+function updateJob(job: TrainingJob, changes: Partial<TrainingJob>) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() })
+}
+
+function snapshot(job: TrainingJob): TrainingJob {
+  return { ...job, detectors: [...job.detectors], lossCurve: [...job.lossCurve] }
+}
+
+// Forget finished jobs nobody has polled for a while
+function dropExpiredJobs() {
+  const cutoff = Date.now() - AUTH_CONFIG.TRAINING_JOB_RETENTION_MINUTES * 60000
+  for (const [id, job] of store.jobs) {
+    const finished = job.status !== "queued" && job.status !== "running"
+    if (finished && new Date(job.updatedAt).getTime() < cutoff) {
+      store.jobs.delete(id)
+    }
+  }
+}
+
+function jobSource(request: TrainingJobRequest): Exclude<ModelVersionSource, "legacy"> {
+  if (request.saveDetectors) return "adaptation"
+  return request.pretrainedDetectors ? "calibration" : "enrollment"
+}
+
+// Run the training worker and resolve with the calibrated detectors, passing its progress messages on.
+// Under Next the worker is a chunk webpack bundled next to the server chunks (see next.config.mjs). Anywhere
+// else - npm run verify:training checks it under tsx - it is the TypeScript source, which node only loads
+// with tsx's require hook. `quiet` drops the worker's console output (training logs every epoch).
+export function trainInWorker(
+  workerData: TrainingWorkerData,
+  onProgress: (message: Extract<TrainingWorkerMessage, { type: "stage" | "epoch" }>) => void = () => {},
+  quiet = false,
+): Promise<DetectorSet["detectors"]> {
+  return new Promise((resolve, reject) => {
+    const execArgv = process.env.NEXT_RUNTIME ? undefined : ["--require", "tsx/cjs"]
+    const worker = new Worker(new URL("./training-worker.ts", import.meta.url), { workerData, execArgv, stdout: quiet })
+    let settled = false
+
+    worker.on("message", (message: TrainingWorkerMessage) => {
+      switch (message.type) {
+        case "stage":
+        case "epoch":
+          onProgress(message)
+          break
+        case "done":
+          settled = true
+          resolve(message.detectors)
+          break
+        case "failed":
+          settled = true
+          reject(new Error(message.error))
+          break
+      }
+    })
+    worker.on("error", (error) => {
+      settled = true
+      reject(error)
+    })
+    worker.on("exit", (code) => {
+      if (!settled) reject(new Error(`Training worker exited with code ${code}`))
+    })
+  })
+}
+
+// Run the worker for one job, keeping the job's progress up to date
+function runWorker(job: TrainingJob, request: TrainingJobRequest): Promise<DetectorSet["detectors"]> {
+  const workerData: TrainingWorkerData = {
+    samples: request.samples,
+    impostors: request.impostors,
+    detectorIds: request.detectorIds,
+    primaryDetector: request.primaryDetector,
+    seed: request.seed,
+    trainedAt: request.trainedAt,
+    pretrainedDetectors: request.pretrainedDetectors,
+  }
+
+  return trainInWorker(workerData, (message) => {
+    if (message.type === "stage") {
+      updateJob(job, { stage: message.stage, currentDetector: message.detector })
+    } else {
+      // A new iterative detector starts a new curve; the last one stays visible while the others train
+      updateJob(job, {
+        epoch: message.epoch,
+        epochs: message.epochs,
+        lossCurve: message.epoch === 1 ? [message.loss] : [...job.lossCurve, message.loss],
+      })
+    }
+  })
+}
+
+async function runJob(job: TrainingJob, request: TrainingJobRequest) {
+  const source = jobSource(request)
+  updateJob(job, { status: "running" })
+  console.log(
+    `Training job ${job.id}: ${source} of ${request.detectorIds.join(", ")} for ${request.username} with ${request.samples.length} samples (seed ${request.seed})`,
+  )
+
+  const trainedDetectors = await runWorker(job, request)
+
+  updateJob(job, { stage: "saving", currentDetector: null })
+  let version: number
+  let detectors = trainedDetectors
+  if (request.saveDetectors) {
+    const saved = await request.saveDetectors(trainedDetectors)
+    version = saved.version
+    detectors = saved.detectors
+  } else {
+    const trainedModelData = {
+      username: request.username,
+      featureSchema: request.featureSchema,
+      modelType: DETECTOR_SET_MODEL_TYPE,
+      primaryDetector: request.primaryDetector,
+      detectors,
+      seed: request.seed,
+      createdAt: request.trainedAt,
+    }
+    // Saved as a new immutable version and made active - earlier versions stay available for rollback
+    version = await saveModelVersion(request.template, trainedModelData, source)
+  }
+
+  for (const id of request.detectorIds) {
+    const detectorModel = detectors[id]!
+    const { calibration } = detectorModel.trainingStats
+    console.log(`${id} ${source === "calibration" ? "recalibrated" : "trained"} successfully for ${request.username}:`, {
+      samples: detectorModel.trainingStats.samples,
+      threshold: detectorModel.threshold,
+      calibrated: calibration.calibrated,
+      estimatedFar: calibration.estimatedFar,
+      estimatedFrr: calibration.estimatedFrr,
+      primary: id === request.primaryDetector,
+      version,
+    })
+  }
+
+  updateJob(job, { status: "completed", stage: null, version })
+}
+
+// Work through the queue one job at a time - training is CPU bound, running several at once only slows them all
+async function drainQueue() {
+  if (store.running) return
+  store.running = true
+  try {
+    let jobId: string | undefined
+    while ((jobId = store.queue.shift())) {
+      const job = store.jobs.get(jobId)
+      const request = store.requests.get(jobId)
+      store.requests.delete(jobId)
+      if (!job || !request || job.status !== "queued") continue
+
+      try {
+        await runJob(job, request)
+      } catch (error) {
+        console.error(`Training job ${job.id} failed:`, error)
+        updateJob(job, { status: "failed", stage: null, error: error instanceof Error ? error.message : String(error) })
+      }
+    }
+  } finally {
+    store.running = false
+  }
+}
+
+// Queue a training run and return the job straight away. Each enrollment sample past the minimum asks
+// for a retrain, so a job still waiting for the same template is superseded by a newer one of the same kind.
+export function enqueueTrainingJob(request: TrainingJobRequest): TrainingJob {
+  dropExpiredJobs()
+
+  for (const queuedId of store.queue) {
+    const queuedJob = store.jobs.get(queuedId)
+    // Same template only - enrolling on a second device doesn't cancel the first one's training,
+    // and a recalibration or adaptation never cancels the enrollment training queued before it
+    const queuedRequest = store.requests.get(queuedId)
+    if (
+      queuedJob?.status === "queued" &&
+      queuedRequest &&
+      sameTemplate(queuedRequest.template, request.template) &&
+      jobSource(queuedRequest) === jobSource(request)
+    ) {
+      updateJob(queuedJob, { status: "superseded" })
+      store.requests.delete(queuedId)
+    }
+  }
+
+  const now = new Date().toISOString()
+  const job: TrainingJob = {
+    id: randomUUID(),
+    username: request.username,
+    status: "queued",
+    stage: null,
+    detectors: [...request.detectorIds],
+    currentDetector: null,
+    epoch: 0,
+    epochs: 0,
+    lossCurve: [],
+    samples: request.samples.length,
+    version: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  }
+  store.jobs.set(job.id, job)
+  store.requests.set(job.id, request)
+  store.queue.push(job.id)
+
+  void drainQueue()
+  return snapshot(job)
+}
+
+export function getTrainingJob(jobId: string): TrainingJob | null {
+  const job = store.jobs.get(jobId)
+  return job ? snapshot(job) : null
+}
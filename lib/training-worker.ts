@@ -0,0 +1,38 @@
+/**
+ * Worker thread for background training jobs (see lib/training-jobs)
+ * Fits and calibrates the requested detectors off the server's main thread, posting progress as it goes
+ * (a recalibration brings its trained detectors along and only calibrates them).
+ * Loading samples and saving the model stay on the main thread - the worker only does the number crunching.
+ */
+import { parentPort, workerData } from "worker_threads"
+import { DEFAULT_TRAINING_OPTIONS, trainDetectors, type DetectorSet } from "@/lib/anomaly-detectors"
+import { calibrateDetectorSet } from "@/lib/threshold-calibration"
+import type { TrainingWorkerData, TrainingWorkerMessage } from "@/lib/training-jobs"
+
+function post(message: TrainingWorkerMessage) {
+  parentPort!.postMessage(message)
+}
+
+const { samples, impostors, detectorIds, primaryDetector, seed, trainedAt, pretrainedDetectors } = workerData as TrainingWorkerData
+const trainingOptions = { ...DEFAULT_TRAINING_OPTIONS, seed, trainedAt }
+
+try {
+  const trainedDetectors: DetectorSet["detectors"] = { ...pretrainedDetectors }
+  for (const id of pretrainedDetectors ? [] : detectorIds) {
+    post({ type: "stage", stage: "training", detector: id })
+    Object.assign(
+      trainedDetectors,
+      trainDetectors([id], samples, {
+        ...trainingOptions,
+        onEpoch: (epoch, epochs, loss) => post({ type: "epoch", detector: id, epoch, epochs, loss }),
+      }),
+    )
+  }
+
+  post({ type: "stage", stage: "calibrating", detector: null })
+  const detectors = calibrateDetectorSet({ primaryDetector, detectors: trainedDetectors }, samples, impostors, trainingOptions)
+
+  post({ type: "done", detectors })
+} catch (error) {
+  post({ type: "failed", error: error instanceof Error ? error.message : String(error) })
+}
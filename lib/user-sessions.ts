@@ -0,0 +1,230 @@
+/**
+ * Ghost Key sessions
+ * A pass on /api/authenticate, /api/touch/authenticate or /api/voice/verify issues a signed session token
+ * that says who signed in and which factors they satisfied. The token is an HS256 JWT signed with
+ * GHOSTKEY_SESSION_SECRET. It is sent as an httpOnly cookie and also returned in the response body,
+ * so non-browser clients can send it as `Authorization: Bearer <token>`.
+ *
+ * Signing uses Web Crypto rather than Node's crypto, so edge middleware (lib/session-middleware) can
+ * check tokens too. Tokens live SESSION_TOKEN_TTL_MINUTES. POST /api/session/refresh renews them until
+ * SESSION_MAX_HOURS after the first sign-in. Passing another factor while signed in adds it to the
+ * same session.
+ *
+ * Logout revokes the session id in this server's memory. Middleware can't see that list, so there a
+ * revoked token keeps working until it expires. Routes that need more than that should use getUserSession.
+ */
+import type { NextRequest, NextResponse } from "next/server"
+import { AUTH_CONFIG } from "@/config/auth-config"
+
+export const SESSION_COOKIE = "ghostkey_session"
+
+// What a pass proves: the passphrase or PIN (knowledge) and the biometric modalities that matched
+export const SESSION_FACTORS = ["passphrase", "keystroke", "mouse", "pin", "touch", "voice"] as const
+export type SessionFactor = (typeof SESSION_FACTORS)[number]
+
+export interface SessionClaims {
+  sub: string // Username
+  sid: string // Stays the same across refreshes and step-ups, so logout can revoke all of them
+  factors: SessionFactor[]
+  authTime: number // First sign-in of this session (seconds) - refreshes stop SESSION_MAX_HOURS after it
+  iat: number
+  exp: number
+}
+
+export interface IssuedSession {
+  token: string
+  claims: SessionClaims
+}
+
+const DEVELOPMENT_SECRET = "ghost-key-development-session-secret-do-not-deploy"
+const MIN_SECRET_LENGTH = 32
+
+let warnedAboutDevelopmentSecret = false
+
+function sessionSecret(): string {
+  const secret = process.env.GHOSTKEY_SESSION_SECRET
+  if (secret && secret.length >= MIN_SECRET_LENGTH) return secret
+  if (secret) {
+    throw new Error(`GHOSTKEY_SESSION_SECRET must be at least ${MIN_SECRET_LENGTH} characters long`)
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("GHOSTKEY_SESSION_SECRET must be set to issue or check session tokens")
+  }
+  if (!warnedAboutDevelopmentSecret) {
+    console.warn("GHOSTKEY_SESSION_SECRET is not set - signing session tokens with the development secret")
+    warnedAboutDevelopmentSecret = true
+  }
+  return DEVELOPMENT_SECRET
+}
+
+// The imported HMAC key, cached per secret
+let cachedKey: { secret: string; key: Promise<CryptoKey> } | null = null
+
+function signingKey(): Promise<CryptoKey> {
+  const secret = sessionSecret()
+  if (cachedKey?.secret !== secret) {
+    const key = crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+      "sign",
+      "verify",
+    ])
+    cachedKey = { secret, key }
+  }
+  return cachedKey.key
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = ""
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)))
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+function base64UrlDecode(text: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0))
+}
+
+const TOKEN_HEADER = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ alg: "HS256", typ: "JWT" })))
+
+export async function signSessionToken(claims: SessionClaims): Promise<string> {
+  const signingInput = `${TOKEN_HEADER}.${base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)))}`
+  const signature = await crypto.subtle.sign("HMAC", await signingKey(), new TextEncoder().encode(signingInput))
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`
+}
+
+function isSessionClaims(value: any): value is SessionClaims {
+  return (
+    typeof value?.sub === "string" &&
+    typeof value.sid === "string" &&
+    Array.isArray(value.factors) &&
+    value.factors.every((factor: unknown) => SESSION_FACTORS.includes(factor as SessionFactor)) &&
+    [value.authTime, value.iat, value.exp].every(Number.isInteger)
+  )
+}
+
+// The token's claims when the signature checks out and it hasn't expired, otherwise null
+export async function verifySessionToken(token: string): Promise<SessionClaims | null> {
+  const [header, payload, signature, ...rest] = token.split(".")
+  // Only tokens with our own header are accepted, which rules out alg=none and friends
+  if (header !== TOKEN_HEADER || !payload || !signature || rest.length > 0) return null
+
+  try {
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      await signingKey(),
+      base64UrlDecode(signature),
+      new TextEncoder().encode(`${header}.${payload}`),
+    )
+    if (!valid) return null
+
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)))
+    return isSessionClaims(claims) && claims.exp > Date.now() / 1000 ? claims : null
+  } catch {
+    return null // Malformed base64 or JSON
+  }
+}
+
+// A bearer token takes precedence over the cookie
+export function readSessionToken(request: NextRequest): string | null {
+  const authorization = request.headers.get("authorization")
+  const bearer = authorization?.match(/^Bearer\s+(\S+)$/i)?.[1]
+  return bearer ?? request.cookies.get(SESSION_COOKIE)?.value ?? null
+}
+
+// Revoked session ids until their last possible expiry. Kept on globalThis so dev-mode reloads don't forget them.
+const globalStore = globalThis as typeof globalThis & { ghostKeyRevokedSessions?: Map<string, number> }
+const revokedSessions: Map<string, number> = (globalStore.ghostKeyRevokedSessions ??= new Map())
+
+export function revokeSession(claims: SessionClaims) {
+  const now = Date.now() / 1000
+  for (const [sid, until] of revokedSessions) {
+    if (until <= now) {
+      revokedSessions.delete(sid)
+    }
+  }
+  revokedSessions.set(claims.sid, claims.authTime + AUTH_CONFIG.SESSION_MAX_HOURS * 3600)
+}
+
+// The caller's session, checked against the revocation list - for route handlers
+export async function getUserSession(request: NextRequest): Promise<SessionClaims | null> {
+  const token = readSessionToken(request)
+  const claims = token ? await verifySessionToken(token) : null
+  return claims && !revokedSessions.has(claims.sid) ? claims : null
+}
+
+// What a full keystroke pass on /api/authenticate proves - routes that change a user's keystroke templates ask for it
+export const KEYSTROKE_PASS_FACTORS: SessionFactor[] = ["passphrase", "keystroke"]
+
+// Whether `claims` is a session of `username` that satisfied every one of `factors`
+export function sessionCovers(
+  claims: SessionClaims | null,
+  username: string,
+  factors: SessionFactor[],
+): claims is SessionClaims {
+  return claims?.sub === username && factors.every((factor) => claims.factors.includes(factor))
+}
+
+// A fresh token for `claims`, valid for another TTL but never past the session's maximum lifetime
+async function renewSession(claims: Omit<SessionClaims, "iat" | "exp">): Promise<IssuedSession | null> {
+  const now = Math.floor(Date.now() / 1000)
+  const exp = Math.min(now + AUTH_CONFIG.SESSION_TOKEN_TTL_MINUTES * 60, claims.authTime + AUTH_CONFIG.SESSION_MAX_HOURS * 3600)
+  if (exp <= now) return null
+
+  const renewed = { ...claims, iat: now, exp }
+  return { token: await signSessionToken(renewed), claims: renewed }
+}
+
+/**
+ * Issue a session after `username` passed with `factors`
+ * When the request already carries a session for the same user, the factors are added to it (step-up);
+ * a different user's session is replaced. Returns null, after logging why, when no token can be signed -
+ * the pass itself still stands.
+ */
+export async function issueUserSession(
+  request: NextRequest,
+  username: string,
+  factors: SessionFactor[],
+): Promise<IssuedSession | null> {
+  try {
+    const current = await getUserSession(request)
+    const now = Math.floor(Date.now() / 1000)
+    const session =
+      current?.sub === username
+        ? await renewSession({ ...current, factors: [...new Set([...current.factors, ...factors])] })
+        : null
+    return session ?? (await renewSession({ sub: username, sid: crypto.randomUUID(), factors, authTime: now }))
+  } catch (error) {
+    console.error("Could not issue a session token:", error)
+    return null
+  }
+}
+
+export async function refreshUserSession(current: SessionClaims): Promise<IssuedSession | null> {
+  return renewSession(current)
+}
+
+// What the API returns about a session - the token only when it was just issued
+export function describeSession(claims: SessionClaims, token?: string) {
+  return {
+    username: claims.sub,
+    factors: claims.factors,
+    authenticatedAt: new Date(claims.authTime * 1000).toISOString(),
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    refreshableUntil: new Date((claims.authTime + AUTH_CONFIG.SESSION_MAX_HOURS * 3600) * 1000).toISOString(),
+    token,
+  }
+}
+
+// The cookie expires with the token. Secure whenever the request came in over HTTPS (directly or through a proxy).
+export function setSessionCookie(response: NextResponse, request: NextRequest, session: IssuedSession) {
+  response.cookies.set(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: request.nextUrl.protocol === "https:" || request.headers.get("x-forwarded-proto") === "https",
+    path: "/",
+    expires: new Date(session.claims.exp * 1000),
+  })
+}
+
+export function clearSessionCookie(response: NextResponse) {
+  response.cookies.delete(SESSION_COOKIE)
+}
@@ -1,53 +1,110 @@
 /**
- * SimpleAutoencoder for Ghost Key Universal Extension
- * Ported from the main Ghost Key project's API routes for compatibility
- * Implements neural network autoencoder for keystroke biometric authentication
- * 
- * This is essentially the same autoencoder we use on the server-side, but adapted
- * for client-side execution in browser extensions or standalone applications
+ * SimpleAutoencoder - the one keystroke autoencoder shared by every Ghost Key runtime
+ *
+ * The Next.js API routes, the React hook and the browser extension all import this file,
+ * so a model trained in one place scores identically in the others. It is plain ES module
+ * JavaScript with no dependencies on purpose: it has to run in Node, in the browser bundle
+ * and inside the extension without a build step.
+ *
+ * The extension cannot reach outside its own folder, so EXTENSIONN/libs/autoencoder.js is a
+ * verbatim copy of this file. Edit this one, then run `npm run sync:extension` and
+ * `npm run verify:autoencoder` (checks libs/autoencoder-vectors.json against both copies).
  */
 
-// Authentication configuration constants - mirrors server-side settings
+// Authentication configuration constants - mirrors AUTH_CONFIG in config/auth-config.ts
 const BIOMETRIC_AUTH_CONFIG = {
   REQUIRED_PASSWORD_LENGTH: 8,        // Minimum password length for good biometric signal
   MINIMUM_TRAINING_SAMPLES: 5,        // Need at least 5 samples for reliable training
   DATA_AUGMENTATION_NOISE: 0.1,       // 10% noise level for synthetic sample generation
   SAMPLE_AUGMENTATION_MULTIPLIER: 3,  // Create 3x more samples through augmentation
-  DEFAULT_AUTH_THRESHOLD: 0.03        // Base threshold for authentication decisions
+  DEFAULT_AUTH_THRESHOLD: 0.03,       // Base threshold for authentication decisions
+  THRESHOLD_SAFETY_MARGIN: 1.2,       // Calculated threshold is widened by 20%
+  TRAINING_EPOCHS: 200,
+  LEARNING_RATE: 0.01,
+  HIDDEN_LAYER_SIZE: 16,
+  BOTTLENECK_SIZE: 8
 };
 
 /**
- * Simple autoencoder neural network implementation
- * Ported directly from the main Ghost Key project for consistency
- * 
- * Architecture: Input -> Hidden Layer (ReLU) -> Bottleneck (ReLU) -> Output (Linear)
- * This creates a compressed representation that can detect typing pattern anomalies
+ * Seeded pseudo-random generator (mulberry32)
+ * Training takes all of its randomness - weight initialization, augmentation noise and shuffling -
+ * from one of these, so the same seed and samples always produce the same model.
+ * @param {number} seed 32-bit unsigned integer
+ * @returns {() => number} uniform values in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for a training run that didn't ask for a specific one
+ * @returns {number}
+ */
+function generateTrainingSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Serialization format written into every model - bump the version when the layout changes
+const AUTOENCODER_FORMAT = 'ghostkey-autoencoder';
+const AUTOENCODER_FORMAT_VERSION = 2;
+
+/**
+ * Simple autoencoder neural network
+ *
+ * Architecture: Input -> Hidden Layer (ReLU) -> Bottleneck (ReLU) -> Output (Sigmoid)
+ * Inputs are min-max normalized to [0,1], which is why the output layer is a sigmoid.
+ * Models trained by the old extension copy used a linear output layer; those still
+ * deserialize with outputActivation 'linear'.
  */
 class SimpleAutoencoder {
-  constructor(inputFeatureCount, hiddenLayerSize = 16, compressionSize = 8) {
+  /**
+   * @param {number} inputFeatureCount
+   * @param {number} [hiddenLayerSize]
+   * @param {number} [compressionSize]
+   * @param {{ outputActivation?: 'sigmoid' | 'linear', random?: () => number }} [options]
+   *   random drives weight initialization and shuffling - pass a seeded generator for reproducible training
+   */
+  constructor(inputFeatureCount, hiddenLayerSize = 16, compressionSize = 8, options = {}) {
     this.inputFeatureCount = inputFeatureCount;
     this.hiddenLayerSize = hiddenLayerSize;
     this.compressionSize = compressionSize;
+    /** @type {'sigmoid' | 'linear'} */
+    this.outputActivation = options.outputActivation || 'sigmoid';
+    /** @type {() => number} */
+    this.random = options.random || Math.random;
 
-    // Initialize neural network weights using Xavier initialization for better training
+    // Initialize neural network weights using He/Xavier-style scaling for better training
+    /** @type {number[][]} */
     this.encoderWeights = this.initializeWeightMatrix(inputFeatureCount, hiddenLayerSize);
+    /** @type {number[][]} */
     this.bottleneckWeights = this.initializeWeightMatrix(hiddenLayerSize, compressionSize);
+    /** @type {number[][]} */
     this.decoderWeights = this.initializeWeightMatrix(compressionSize, inputFeatureCount);
 
     // Initialize biases with small random values
-    this.encoderBiases = new Array(hiddenLayerSize).fill(0).map(() => Math.random() * 0.1 - 0.05);
-    this.bottleneckBiases = new Array(compressionSize).fill(0).map(() => Math.random() * 0.1 - 0.05);
-    this.decoderBiases = new Array(inputFeatureCount).fill(0).map(() => Math.random() * 0.1 - 0.05);
+    /** @type {number[]} */
+    this.encoderBiases = new Array(hiddenLayerSize).fill(0).map(() => this.random() * 0.1 - 0.05);
+    /** @type {number[]} */
+    this.bottleneckBiases = new Array(compressionSize).fill(0).map(() => this.random() * 0.1 - 0.05);
+    /** @type {number[]} */
+    this.decoderBiases = new Array(inputFeatureCount).fill(0).map(() => this.random() * 0.1 - 0.05);
   }
 
-  // Xavier/Glorot weight initialization - helps with gradient flow during training
+  // Weight initialization scaled by fan-in - keeps ReLU activations from dying or exploding
   initializeWeightMatrix(inputSize, outputSize) {
     const weightMatrix = [];
-    const initializationScale = Math.sqrt(6 / (inputSize + outputSize)); // Xavier initialization formula
+    const initializationScale = Math.sqrt(2.0 / inputSize);
     for (let i = 0; i < inputSize; i++) {
       weightMatrix[i] = [];
       for (let j = 0; j < outputSize; j++) {
-        weightMatrix[i][j] = Math.random() * 2 * initializationScale - initializationScale;
+        weightMatrix[i][j] = (this.random() * 2 - 1) * initializationScale;
       }
     }
     return weightMatrix;
@@ -58,16 +115,25 @@ class SimpleAutoencoder {
     return Math.max(0, x);
   }
 
-  // Forward pass through the autoencoder network
+  // Sigmoid activation for the output layer - clamped to prevent numerical overflow
+  sigmoidActivation(x) {
+    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, x))));
+  }
+
+  /**
+   * Forward pass through the autoencoder network, keeping every layer's activations for backprop
+   * @param {number[]} inputFeatures
+   * @returns {{ hiddenOutput: number[], bottleneckOutput: number[], finalOutput: number[] }}
+   */
   forwardPass(inputFeatures) {
     // Layer 1: Input to hidden layer (encoding)
-    const hiddenLayerOutput = new Array(this.hiddenLayerSize);
+    const hiddenOutput = new Array(this.hiddenLayerSize);
     for (let j = 0; j < this.hiddenLayerSize; j++) {
       let weightedSum = this.encoderBiases[j];
       for (let i = 0; i < this.inputFeatureCount; i++) {
         weightedSum += inputFeatures[i] * this.encoderWeights[i][j];
       }
-      hiddenLayerOutput[j] = this.reluActivation(weightedSum);
+      hiddenOutput[j] = this.reluActivation(weightedSum);
     }
 
     // Layer 2: Hidden to bottleneck layer (compression)
@@ -75,59 +141,63 @@ class SimpleAutoencoder {
     for (let j = 0; j < this.compressionSize; j++) {
       let weightedSum = this.bottleneckBiases[j];
       for (let i = 0; i < this.hiddenLayerSize; i++) {
-        weightedSum += hiddenLayerOutput[i] * this.bottleneckWeights[i][j];
+        weightedSum += hiddenOutput[i] * this.bottleneckWeights[i][j];
       }
       bottleneckOutput[j] = this.reluActivation(weightedSum);
     }
 
     // Layer 3: Bottleneck to output layer (reconstruction)
-    const reconstructedOutput = new Array(this.inputFeatureCount);
+    const finalOutput = new Array(this.inputFeatureCount);
     for (let j = 0; j < this.inputFeatureCount; j++) {
       let weightedSum = this.decoderBiases[j];
       for (let i = 0; i < this.compressionSize; i++) {
         weightedSum += bottleneckOutput[i] * this.decoderWeights[i][j];
       }
-      reconstructedOutput[j] = weightedSum; // Linear activation for output layer
+      finalOutput[j] = this.outputActivation === 'linear' ? weightedSum : this.sigmoidActivation(weightedSum);
     }
 
-    return reconstructedOutput;
+    return { hiddenOutput, bottleneckOutput, finalOutput };
   }
 
-  // Prediction method for inference - just calls forward pass
+  /**
+   * Prediction method for inference - returns the reconstruction only
+   * @param {number[]} inputFeatures
+   * @returns {number[]}
+   */
   predict(inputFeatures) {
-    return this.forwardPass(inputFeatures);
+    return this.forwardPass(inputFeatures).finalOutput;
   }
 
-  // Main training loop - implements gradient descent with data shuffling
-  trainNetwork(trainingData, epochs = 200, learningRate = 0.01) {
+  /**
+   * Main training loop - stochastic gradient descent with data shuffling
+   * @param {number[][]} trainingData
+   * @param {number} [epochs]
+   * @param {number} [learningRate]
+   * @param {(epoch: number, epochs: number, loss: number) => void} [onEpoch] called after every epoch (1-based)
+   * @returns {number[]} average loss per epoch
+   */
+  trainNetwork(trainingData, epochs = 200, learningRate = 0.01, onEpoch) {
     const trainingLosses = [];
-    console.log(`Training autoencoder with ${trainingData.length} samples for ${epochs} epochs...`);
 
     for (let currentEpoch = 0; currentEpoch < epochs; currentEpoch++) {
       let epochTotalLoss = 0;
 
-      // Shuffle data each epoch for better training
-      const shuffledData = [...trainingData].sort(() => Math.random() - 0.5);
+      // Shuffle data each epoch (Fisher-Yates) so the sample order doesn't bias the weights
+      const shuffledData = [...trainingData];
+      for (let i = shuffledData.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [shuffledData[i], shuffledData[j]] = [shuffledData[j], shuffledData[i]];
+      }
 
       for (const trainingSample of shuffledData) {
-        // Forward pass to get reconstruction
-        const reconstructedSample = this.forwardPass(trainingSample);
-
-        // Calculate reconstruction error (mean squared error)
-        let sampleLoss = 0;
-        for (let i = 0; i < trainingSample.length; i++) {
-          const reconstructionError = trainingSample[i] - reconstructedSample[i];
-          sampleLoss += reconstructionError * reconstructionError;
-        }
-        sampleLoss /= trainingSample.length;
-        epochTotalLoss += sampleLoss;
-
-        // Backward pass - update weights based on reconstruction error
-        this.performBackpropagation(trainingSample, reconstructedSample, learningRate);
+        const activations = this.forwardPass(trainingSample);
+        epochTotalLoss += computeReconstructionError(trainingSample, activations.finalOutput);
+        this.performBackpropagation(trainingSample, activations, learningRate);
       }
 
       const averageEpochLoss = epochTotalLoss / shuffledData.length;
       trainingLosses.push(averageEpochLoss);
+      if (onEpoch) onEpoch(currentEpoch + 1, epochs, averageEpochLoss);
 
       // Log training progress periodically
       if (currentEpoch % 50 === 0 || currentEpoch === epochs - 1) {
@@ -138,51 +208,80 @@ class SimpleAutoencoder {
     return trainingLosses;
   }
 
-  // Simplified backpropagation for weight updates
-  // Note: This is a basic implementation - production systems would use more sophisticated methods
-  performBackpropagation(targetOutput, actualOutput, learningRate) {
-    // Calculate output layer gradients (error derivatives)
-    const outputGradients = [];
-    for (let i = 0; i < targetOutput.length; i++) {
-      outputGradients[i] = 2 * (actualOutput[i] - targetOutput[i]) / targetOutput.length;
+  /**
+   * Full backpropagation through all three layers
+   * All deltas are computed from the pre-update weights before anything is changed.
+   * @param {number[]} originalInput
+   * @param {{ hiddenOutput: number[], bottleneckOutput: number[], finalOutput: number[] }} activations
+   * @param {number} learningRate
+   */
+  performBackpropagation(originalInput, activations, learningRate) {
+    const { hiddenOutput, bottleneckOutput, finalOutput } = activations;
+
+    // Output layer deltas (negative gradient of squared error, through the output activation)
+    const outputDeltas = new Array(this.inputFeatureCount);
+    for (let j = 0; j < this.inputFeatureCount; j++) {
+      const error = originalInput[j] - finalOutput[j];
+      outputDeltas[j] = this.outputActivation === 'linear' ? error : error * finalOutput[j] * (1 - finalOutput[j]);
     }
 
-    // Update decoder weights and biases (output layer)
+    // Bottleneck deltas (ReLU derivative)
+    const bottleneckDeltas = new Array(this.compressionSize);
     for (let i = 0; i < this.compressionSize; i++) {
+      let delta = 0;
       for (let j = 0; j < this.inputFeatureCount; j++) {
-        // Note: In a full implementation, we'd need the bottleneck activations here
-        // This is simplified for demonstration purposes
-        this.decoderWeights[i][j] -= learningRate * outputGradients[j] * 0.1;
+        delta += outputDeltas[j] * this.decoderWeights[i][j];
       }
+      bottleneckDeltas[i] = bottleneckOutput[i] > 0 ? delta : 0;
     }
 
-    for (let j = 0; j < this.inputFeatureCount; j++) {
-      this.decoderBiases[j] -= learningRate * outputGradients[j];
+    // Hidden layer deltas (ReLU derivative)
+    const hiddenDeltas = new Array(this.hiddenLayerSize);
+    for (let i = 0; i < this.hiddenLayerSize; i++) {
+      let delta = 0;
+      for (let j = 0; j < this.compressionSize; j++) {
+        delta += bottleneckDeltas[j] * this.bottleneckWeights[i][j];
+      }
+      hiddenDeltas[i] = hiddenOutput[i] > 0 ? delta : 0;
     }
 
-    // Apply weight decay to prevent overfitting
-    const weightDecay = 0.0001;
-    
-    // Update encoder weights with small random adjustments
-    for (let i = 0; i < this.inputFeatureCount; i++) {
-      for (let j = 0; j < this.hiddenLayerSize; j++) {
-        this.encoderWeights[i][j] *= (1 - weightDecay);
-        this.encoderWeights[i][j] += (Math.random() - 0.5) * learningRate * 0.01;
+    // Update decoder weights and biases
+    for (let i = 0; i < this.compressionSize; i++) {
+      for (let j = 0; j < this.inputFeatureCount; j++) {
+        this.decoderWeights[i][j] += learningRate * outputDeltas[j] * bottleneckOutput[i];
       }
     }
+    for (let j = 0; j < this.inputFeatureCount; j++) {
+      this.decoderBiases[j] += learningRate * outputDeltas[j];
+    }
 
-    // Update bottleneck weights with small random adjustments
+    // Update bottleneck weights and biases
     for (let i = 0; i < this.hiddenLayerSize; i++) {
       for (let j = 0; j < this.compressionSize; j++) {
-        this.bottleneckWeights[i][j] *= (1 - weightDecay);
-        this.bottleneckWeights[i][j] += (Math.random() - 0.5) * learningRate * 0.01;
+        this.bottleneckWeights[i][j] += learningRate * bottleneckDeltas[j] * hiddenOutput[i];
       }
     }
+    for (let j = 0; j < this.compressionSize; j++) {
+      this.bottleneckBiases[j] += learningRate * bottleneckDeltas[j];
+    }
+
+    // Update encoder weights and biases
+    for (let i = 0; i < this.inputFeatureCount; i++) {
+      for (let j = 0; j < this.hiddenLayerSize; j++) {
+        this.encoderWeights[i][j] += learningRate * hiddenDeltas[j] * originalInput[i];
+      }
+    }
+    for (let j = 0; j < this.hiddenLayerSize; j++) {
+      this.encoderBiases[j] += learningRate * hiddenDeltas[j];
+    }
   }
 
   // Serialize the trained model for storage or transmission
   serialize() {
     return {
+      format: AUTOENCODER_FORMAT,
+      formatVersion: AUTOENCODER_FORMAT_VERSION,
+      outputActivation: this.outputActivation,
       inputSize: this.inputFeatureCount,
       hiddenSize: this.hiddenLayerSize,
       bottleneckSize: this.compressionSize,
@@ -195,10 +294,20 @@ class SimpleAutoencoder {
     };
   }
 
-  // Restore a trained model from serialized data
+  /**
+   * Restore a trained model from serialized data
+   * Pre-format models (no `format` field) were all written by the server with a sigmoid output.
+   * @param {any} serializedData
+   * @returns {SimpleAutoencoder}
+   */
   static deserialize(serializedData) {
-    const autoencoder = new SimpleAutoencoder(serializedData.inputSize, serializedData.hiddenSize, serializedData.bottleneckSize);
-    
+    const autoencoder = new SimpleAutoencoder(
+      serializedData.inputSize,
+      serializedData.hiddenSize,
+      serializedData.bottleneckSize,
+      { outputActivation: serializedData.outputActivation || 'sigmoid' }
+    );
+
     autoencoder.encoderWeights = serializedData.weights1;
     autoencoder.bottleneckWeights = serializedData.weights2;
     autoencoder.decoderWeights = serializedData.weights3;
@@ -211,9 +320,24 @@ class SimpleAutoencoder {
 }
 
 /**
- * Feature normalization utilities
- * Ported from the main Ghost Key project for consistency
- * Essential for neural network training - features must be in [0,1] range
+ * Mean squared error between an input and its reconstruction
+ * @param {number[]} originalSample
+ * @param {number[]} reconstructedSample
+ * @returns {number}
+ */
+function computeReconstructionError(originalSample, reconstructedSample) {
+  let meanSquaredError = 0;
+  for (let i = 0; i < originalSample.length; i++) {
+    const difference = originalSample[i] - reconstructedSample[i];
+    meanSquaredError += difference * difference;
+  }
+  return meanSquaredError / originalSample.length;
+}
+
+/**
+ * Feature normalization - features must be in [0,1] range for the sigmoid output layer
+ * @param {number[][]} featureArrays
+ * @returns {{ normalized: number[][], min: number[], max: number[] }}
  */
 function normalizeKeystrokeFeatures(featureArrays) {
   if (featureArrays.length === 0) {
@@ -232,184 +356,191 @@ function normalizeKeystrokeFeatures(featureArrays) {
     }
   }
 
-  // Normalize all features to [0, 1] range
-  const normalizedFeatures = featureArrays.map(featureSample =>
-    featureSample.map((value, i) => {
-      const featureRange = maxValues[i] - minValues[i];
-      return featureRange === 0 ? 0 : (value - minValues[i]) / featureRange;
-    })
-  );
+  const normalizationParams = { min: minValues, max: maxValues };
+  const normalizedFeatures = featureArrays.map((featureSample) => applyNormalization(featureSample, normalizationParams));
 
   return { normalized: normalizedFeatures, min: minValues, max: maxValues };
 }
 
+/**
+ * Normalize one feature vector with parameters saved at training time
+ * @param {number[]} featureSample
+ * @param {{ min: number[], max: number[] }} normalizationParams
+ * @returns {number[]}
+ */
+function applyNormalization(featureSample, normalizationParams) {
+  const { min, max } = normalizationParams;
+  return featureSample.map((value, i) => {
+    if (i >= min.length || i >= max.length) {
+      return 0; // Pad with zeros if feature array is longer than training data
+    }
+    const featureRange = max[i] - min[i];
+    return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
+  });
+}
+
 /**
  * Add realistic noise to samples for data augmentation
  * Helps create more training data and improves model robustness
- * Ported from the main Ghost Key project
+ * @param {number[]} originalSample
+ * @param {number} [noiseIntensity]
+ * @param {() => number} [random]
+ * @returns {number[]}
  */
-function addRealisticNoise(originalSample, noiseIntensity = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE) {
-  return originalSample.map(featureValue => {
+function addRealisticNoise(originalSample, noiseIntensity = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE, random = Math.random) {
+  return originalSample.map((featureValue) => {
     // Add proportional noise to simulate natural typing variations
-    const randomNoise = (Math.random() - 0.5) * 2 * noiseIntensity * featureValue;
+    const randomNoise = (random() - 0.5) * 2 * noiseIntensity * featureValue;
     return Math.max(0, featureValue + randomNoise); // Ensure non-negative values
   });
 }
 
 /**
  * Complete training pipeline for keystroke biometric models
- * Handles data augmentation, normalization, training, and threshold calculation
- * Ported from the main Ghost Key project's train-model route
+ * Handles data augmentation, normalization, training, and threshold calculation.
+ * Returns the model.json payload (minus the username, which the caller owns).
+ * The same samples, seed and createdAt give a byte-identical result; without a seed a fresh one is
+ * picked and recorded in the model so the run can be reproduced.
+ * @param {number[][]} trainingSamples
+ * @param {{ epochs?: number, learningRate?: number, hiddenSize?: number, bottleneckSize?: number, noiseLevel?: number, augmentationMultiplier?: number, minimumThreshold?: number, seed?: number, createdAt?: string, onEpoch?: (epoch: number, epochs: number, loss: number) => void }} [options]
  */
-async function trainKeystrokeBiometricModel(trainingSamples) {
+function trainKeystrokeBiometricModel(trainingSamples, options = {}) {
+  const {
+    epochs = BIOMETRIC_AUTH_CONFIG.TRAINING_EPOCHS,
+    learningRate = BIOMETRIC_AUTH_CONFIG.LEARNING_RATE,
+    hiddenSize = BIOMETRIC_AUTH_CONFIG.HIDDEN_LAYER_SIZE,
+    bottleneckSize = BIOMETRIC_AUTH_CONFIG.BOTTLENECK_SIZE,
+    noiseLevel = BIOMETRIC_AUTH_CONFIG.DATA_AUGMENTATION_NOISE,
+    augmentationMultiplier = BIOMETRIC_AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER,
+    minimumThreshold = BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD,
+    seed = generateTrainingSeed(),
+    createdAt = new Date().toISOString(),
+    onEpoch
+  } = options;
+
   if (trainingSamples.length < BIOMETRIC_AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES) {
     throw new Error(`Need at least ${BIOMETRIC_AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES} samples for reliable training`);
   }
 
-  console.log(`Training keystroke biometric model with ${trainingSamples.length} original samples...`);
+  console.log(`Training keystroke biometric model with ${trainingSamples.length} original samples (seed ${seed})...`);
+  const random = createSeededRandom(seed);
 
   // Data augmentation phase - create synthetic samples by adding realistic noise
   const augmentedDataset = [];
   trainingSamples.forEach((originalSample) => {
     augmentedDataset.push(originalSample); // Include the original sample
-
-    // Generate augmented samples with realistic noise variations
-    for (let i = 0; i < BIOMETRIC_AUTH_CONFIG.SAMPLE_AUGMENTATION_MULTIPLIER; i++) {
-      augmentedDataset.push(addRealisticNoise(originalSample));
+    for (let i = 0; i < augmentationMultiplier; i++) {
+      augmentedDataset.push(addRealisticNoise(originalSample, noiseLevel, random));
     }
   });
 
   // Feature normalization - essential for neural network training
   const { normalized, min, max } = normalizeKeystrokeFeatures(augmentedDataset);
+  const normalizationParams = { min, max };
 
-  // Create and configure the autoencoder neural network
+  // Create and train the autoencoder neural network
   const inputDimensionality = normalized[0].length;
-  const autoencoderModel = new SimpleAutoencoder(inputDimensionality, 16, 8);
-
-  console.log("Training autoencoder neural network...");
-  const trainingLossHistory = autoencoderModel.trainNetwork(normalized, 200, 0.01);
+  const autoencoderModel = new SimpleAutoencoder(inputDimensionality, hiddenSize, bottleneckSize, { random });
+  const trainingLossHistory = autoencoderModel.trainNetwork(normalized, epochs, learningRate, onEpoch);
 
   // Evaluate model performance on original (non-augmented) samples
-  const originalNormalizedSamples = trainingSamples.map((sample) =>
-    sample.map((value, i) => {
-      const featureRange = max[i] - min[i];
-      return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
-    })
-  );
-
-  const reconstructionErrors = [];
-  for (const normalizedSample of originalNormalizedSamples) {
-    const reconstructedSample = autoencoderModel.predict(normalizedSample);
-    let meanSquaredError = 0;
-    for (let i = 0; i < normalizedSample.length; i++) {
-      const difference = normalizedSample[i] - reconstructedSample[i];
-      meanSquaredError += difference * difference;
-    }
-    meanSquaredError /= normalizedSample.length;
-    reconstructionErrors.push(meanSquaredError);
-  }
+  const reconstructionErrors = trainingSamples.map((sample) => {
+    const normalizedSample = applyNormalization(sample, normalizationParams);
+    return computeReconstructionError(normalizedSample, autoencoderModel.predict(normalizedSample));
+  });
 
-  // Calculate authentication threshold using 95th percentile of training errors
+  // Threshold = 95th percentile of training errors plus a safety margin, never below the configured floor
   const sortedErrors = [...reconstructionErrors].sort((a, b) => a - b);
-  const percentile95Index = Math.floor(sortedErrors.length * 0.95);
-  const calculatedThreshold = Math.max(
-    sortedErrors[percentile95Index] || BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD,
-    BIOMETRIC_AUTH_CONFIG.DEFAULT_AUTH_THRESHOLD
-  );
+  const percentile95Error = sortedErrors[Math.floor(0.95 * sortedErrors.length)];
+  const calculatedThreshold =
+    Number.isFinite(percentile95Error) && percentile95Error > 0 ? percentile95Error : minimumThreshold;
+  const finalThreshold = Math.max(minimumThreshold, calculatedThreshold * BIOMETRIC_AUTH_CONFIG.THRESHOLD_SAFETY_MARGIN);
 
-  const averageError = reconstructionErrors.reduce((a, b) => a + b, 0) / reconstructionErrors.length;
-  const maximumError = Math.max(...reconstructionErrors);
+  const meanError = reconstructionErrors.reduce((a, b) => a + b, 0) / reconstructionErrors.length;
 
-  console.log(`Training complete. Threshold: ${calculatedThreshold.toFixed(6)}, Average Error: ${averageError.toFixed(6)}`);
+  console.log(`Training complete. Threshold: ${finalThreshold.toFixed(6)}, Mean Error: ${meanError.toFixed(6)}`);
 
   return {
-    modelType: "autoencoder",
+    modelType: 'autoencoder',
+    inputDim: inputDimensionality,
+    seed,
+    normalizationParams,
+    threshold: finalThreshold,
     autoencoder: autoencoderModel.serialize(),
-    normalizationParams: { min, max },
-    threshold: calculatedThreshold,
     trainingStats: {
-      originalSampleCount: trainingSamples.length,
-      augmentedSampleCount: augmentedDataset.length,
-      averageError,
-      maximumError,
-      finalLosses: trainingLossHistory.slice(-10), // Keep last 10 loss values for analysis
+      samples: trainingSamples.length,
+      augmentedSamples: augmentedDataset.length,
+      reconstructionErrors,
+      meanError,
+      maxError: Math.max(...reconstructionErrors),
+      minError: Math.min(...reconstructionErrors),
+      calculatedThreshold,
+      finalThreshold,
+      finalLoss: trainingLossHistory[trainingLossHistory.length - 1],
+      lossHistory: trainingLossHistory
     },
-    createdAt: new Date().toISOString(),
-    version: "1.0"
+    createdAt
   };
 }
 
 /**
- * Authentication function that validates new features against a trained model
- * Compares reconstruction error against the learned threshold
- * Ported from the main Ghost Key project's authenticate route
+ * Score a feature vector against a trained model
+ * Compares reconstruction error against the learned threshold.
+ * @param {number[]} inputFeatures
+ * @param {any} trainedModelData
  */
 function authenticateKeystrokePattern(inputFeatures, trainedModelData) {
-  if (trainedModelData.modelType !== "autoencoder" || !trainedModelData.autoencoder) {
-    throw new Error("Invalid model data - expected autoencoder model for authentication");
+  if (trainedModelData.modelType !== 'autoencoder' || !trainedModelData.autoencoder) {
+    throw new Error('Invalid model data - expected autoencoder model for authentication');
   }
 
-  console.log("Performing autoencoder-based keystroke authentication");
-
   // Normalize the input features using the same parameters from training
-  const { min, max } = trainedModelData.normalizationParams;
-  const normalizedInputFeatures = inputFeatures.map((value, i) => {
-    if (i >= min.length || i >= max.length) {
-      return 0; // Pad with zeros if feature array is longer than training data
-    }
-    const featureRange = max[i] - min[i];
-    return featureRange === 0 ? 0 : (value - min[i]) / featureRange;
-  });
+  const normalizedFeatures = applyNormalization(inputFeatures, trainedModelData.normalizationParams);
 
-  // Load and use the trained autoencoder
+  // Load the trained autoencoder and measure how well it reconstructs the input
   const trainedAutoencoder = SimpleAutoencoder.deserialize(trainedModelData.autoencoder);
-
-  // Get the autoencoder's reconstruction of the input
-  const reconstructedFeatures = trainedAutoencoder.predict(normalizedInputFeatures);
-
-  // Calculate reconstruction error (mean squared error)
-  let reconstructionError = 0;
-  for (let i = 0; i < normalizedInputFeatures.length; i++) {
-    const featureDifference = normalizedInputFeatures[i] - reconstructedFeatures[i];
-    reconstructionError += featureDifference * featureDifference;
-  }
-  reconstructionError /= normalizedInputFeatures.length;
+  const reconstructedFeatures = trainedAutoencoder.predict(normalizedFeatures);
+  const reconstructionError = computeReconstructionError(normalizedFeatures, reconstructedFeatures);
 
   // Check against the learned authentication threshold
-  const authenticationThreshold = trainedModelData.threshold;
-  const authenticationSuccessful = reconstructionError <= authenticationThreshold;
-
-  // Calculate confidence score based on how close we are to the threshold
-  const maxExpectedError = trainedModelData.trainingStats?.maximumError || authenticationThreshold * 2;
-  const confidenceLevel = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)));
+  const threshold = trainedModelData.threshold;
+  const authenticated = reconstructionError <= threshold;
 
-  // Create feature deviation visualization data (use first 10 features for heatmap)
-  const featureDeviations = normalizedInputFeatures.slice(0, 10).map((val) => Math.min(Math.abs(val), 1));
+  // Confidence based on how far we are below the worst training error (extension models call it maximumError)
+  const maxExpectedError =
+    trainedModelData.trainingStats?.maxError || trainedModelData.trainingStats?.maximumError || threshold * 2;
+  const confidence = Math.max(0, Math.min(1, 1 - reconstructionError / (maxExpectedError * 2)));
 
-  console.log(`Keystroke authentication result:`, {
-    reconstructionError: reconstructionError.toFixed(6),
-    threshold: authenticationThreshold.toFixed(6),
-    authenticated: authenticationSuccessful,
-    confidence: confidenceLevel.toFixed(3),
-  });
+  // Per-feature squared reconstruction error - the heatmap shows which features the model failed to rebuild.
+  // Scaled so a feature with three times the threshold's worth of error on its own is fully anomalous.
+  const featureErrors = normalizedFeatures.map((value, i) => Math.pow(value - reconstructedFeatures[i], 2));
+  const deviations = featureErrors.map((error) => (threshold > 0 ? Math.min(error / (3 * threshold), 1) : 0));
 
   return {
-    success: authenticationSuccessful,
-    authenticated: authenticationSuccessful,
+    success: authenticated,
+    authenticated,
     reconstructionError,
-    threshold: authenticationThreshold,
-    confidence: confidenceLevel,
-    deviations: featureDeviations,
-    modelType: "autoencoder"
+    threshold,
+    confidence,
+    deviations,
+    featureErrors,
+    normalizedFeatures,
+    reconstructedFeatures,
+    modelType: 'autoencoder'
   };
 }
 
-// Export all classes and functions for use in other modules
 export {
   SimpleAutoencoder,
+  createSeededRandom,
+  generateTrainingSeed,
+  AUTOENCODER_FORMAT,
+  AUTOENCODER_FORMAT_VERSION,
+  BIOMETRIC_AUTH_CONFIG,
+  computeReconstructionError,
   normalizeKeystrokeFeatures,
+  applyNormalization,
   addRealisticNoise,
   trainKeystrokeBiometricModel,
-  authenticateKeystrokePattern,
-  BIOMETRIC_AUTH_CONFIG
-}; 
\ No newline at end of file
+  authenticateKeystrokePattern
+};
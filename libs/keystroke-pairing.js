@@ -0,0 +1,187 @@
+/**
+ * Keystroke event pairing - turns raw keydown/keyup events into the keystrokes that made up the typed text
+ *
+ * Shared by the React hook and the browser extension (EXTENSIONN/libs/keystroke-pairing.js is a
+ * verbatim copy - edit this one, then run `npm run sync:extension`). Plain ES module JavaScript
+ * with no dependencies so it runs in Node, the browser bundle and the extension alike.
+ *
+ * Pairing a keyup with "the next keyup of the same character" breaks as soon as the passphrase
+ * repeats a letter or a fast typist presses the next key before releasing the previous one. Here
+ * every press is tracked by its physical key (event.code) from keydown to keyup:
+ *   - rollover: several keys can be down at once, each keyup closes its own press
+ *   - auto-repeat: keydowns for a key that is already down are counted, not treated as new presses
+ *   - Shift/CapsLock: modifiers are not keystrokes, and a keyup whose key changed case ("A" down,
+ *     "a" up after Shift was released) still closes the right press because the code is the same
+ *   - Backspace: removes the last keystroke (again on every auto-repeat), so the timings line up with
+ *     the text that was submitted
+ *   - "Unidentified" keys: Android soft keyboards report code (and often key) as "Unidentified" for
+ *     every key. Those are paired by event.key when it is a character, otherwise in order - each keyup
+ *     closes the oldest open press. They all count as characters, since there is no telling a
+ *     Backspace apart, and unidentifiedCount lets the caller say so when the count comes out wrong.
+ *
+ * Events don't need event.key: the server only receives {code, type, t}, so whether a key types a
+ * character is decided from its code when the key isn't there.
+ */
+
+// Keys that never produce a character of the passphrase
+const MODIFIER_CODES = new Set([
+  'ShiftLeft',
+  'ShiftRight',
+  'CapsLock',
+  'ControlLeft',
+  'ControlRight',
+  'AltLeft',
+  'AltRight',
+  'MetaLeft',
+  'MetaRight',
+]);
+
+// What soft keyboards report for event.code (and event.key) when they don't know the key
+const UNIDENTIFIED_CODE = 'Unidentified';
+
+// Physical keys that type a character (letters, digits, punctuation, space, numpad)
+const CHARACTER_CODE_PATTERN =
+  /^(Key[A-Z]|Digit[0-9]|Numpad[0-9]|Space|Minus|Equal|BracketLeft|BracketRight|Backslash|IntlBackslash|Semicolon|Quote|Backquote|Comma|Period|Slash|NumpadDecimal|NumpadAdd|NumpadSubtract|NumpadMultiply|NumpadDivide)$/;
+
+/**
+ * Whether a key code types a character of the passphrase
+ * Captures without a code (some soft keyboards) fall back to event.key, which is a single character for those keys.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isCharacterCode(code) {
+  return code.length === 1 || CHARACTER_CODE_PATTERN.test(code);
+}
+
+/**
+ * @typedef {Object} RawKeyEvent
+ * @property {'keydown'|'keyup'} type
+ * @property {string} [key]      - event.key (what was typed, depends on Shift/CapsLock)
+ * @property {string} [code]     - event.code (physical key); captures without it fall back to key
+ * @property {number} timestamp  - performance.now() at the event
+ * @property {boolean} [repeat]  - event.repeat
+ */
+
+/**
+ * @typedef {Object} PairedKeystroke
+ * @property {string} [key]
+ * @property {string} code
+ * @property {number} downAt
+ * @property {number} upAt
+ * @property {boolean} released - false when the key was still down at the end of the capture
+ */
+
+/**
+ * Run the pairing state machine over a capture
+ * @param {RawKeyEvent[]} events - in the order they were received
+ * @returns {{
+ *   keystrokes: PairedKeystroke[],
+ *   holdTimes: number[],
+ *   ddTimes: number[],
+ *   udTimes: number[],
+ *   overlapCount: number,
+ *   correctionCount: number,
+ *   repeatCount: number,
+ *   unidentifiedCount: number
+ * }}
+ */
+function pairKeystrokeEvents(events) {
+  const keystrokes = [];
+  const pressed = new Map(); // code -> keystroke that is currently down
+  const unidentifiedPresses = []; // "Unidentified" keystrokes that are down, oldest first
+  let correctionCount = 0;
+  let repeatCount = 0;
+  let unidentifiedCount = 0;
+  let lastTimestamp = 0;
+
+  for (const event of events) {
+    const code = (event.code !== UNIDENTIFIED_CODE && event.code) || event.key || event.code || '';
+    lastTimestamp = Math.max(lastTimestamp, event.timestamp);
+
+    // No key to pair by - a keyup closes the oldest open press, and every press types a character
+    if (code === UNIDENTIFIED_CODE) {
+      if (event.type === 'keyup') {
+        const keystroke = unidentifiedPresses.shift();
+        if (keystroke) {
+          keystroke.upAt = event.timestamp;
+          keystroke.released = true;
+        }
+      } else if (event.repeat) {
+        repeatCount++;
+      } else {
+        const keystroke = { key: event.key, code, downAt: event.timestamp, upAt: event.timestamp, released: false };
+        unidentifiedPresses.push(keystroke);
+        keystrokes.push(keystroke);
+        unidentifiedCount++;
+      }
+      continue;
+    }
+
+    if (event.type === 'keyup') {
+      const keystroke = pressed.get(code);
+      if (keystroke) {
+        keystroke.upAt = event.timestamp;
+        keystroke.released = true;
+        pressed.delete(code);
+      }
+      // A keyup with no open press belongs to a key pressed before the capture started
+      continue;
+    }
+
+    // Backspace removes the last keystroke - held down, every repeat removes another one
+    if (event.key === 'Backspace' || code === 'Backspace') {
+      const removed = keystrokes.pop();
+      if (removed) {
+        correctionCount++;
+        if (pressed.get(removed.code) === removed) {
+          pressed.delete(removed.code);
+        }
+      }
+    }
+
+    // Held keys fire repeated keydowns without a keyup in between
+    if (event.repeat || pressed.has(code)) {
+      repeatCount++;
+      continue;
+    }
+
+    if (MODIFIER_CODES.has(code)) {
+      continue;
+    }
+
+    // Only printable characters end up in the passphrase (Backspace, Enter, arrows... are tracked but not kept)
+    const keystroke = { key: event.key, code, downAt: event.timestamp, upAt: event.timestamp, released: false };
+    pressed.set(code, keystroke);
+    if (event.key !== undefined ? event.key.length === 1 : isCharacterCode(code)) {
+      keystrokes.push(keystroke);
+    }
+  }
+
+  // Keys still down when the capture ended (e.g. submitted with Enter mid-press) are held until the last event
+  for (const keystroke of keystrokes) {
+    if (!keystroke.released) {
+      keystroke.upAt = lastTimestamp;
+    }
+  }
+
+  const holdTimes = keystrokes.map((keystroke) => keystroke.upAt - keystroke.downAt);
+  const ddTimes = [];
+  const udTimes = [];
+  for (let i = 0; i < keystrokes.length - 1; i++) {
+    ddTimes.push(keystrokes[i + 1].downAt - keystrokes[i].downAt);
+    udTimes.push(keystrokes[i + 1].downAt - keystrokes[i].upAt);
+  }
+
+  return {
+    keystrokes,
+    holdTimes,
+    ddTimes,
+    udTimes,
+    overlapCount: udTimes.filter((flightTime) => flightTime < 0).length, // Next key pressed before this one was released
+    correctionCount,
+    repeatCount,
+    unidentifiedCount
+  };
+}
+
+export { MODIFIER_CODES, UNIDENTIFIED_CODE, isCharacterCode, pairKeystrokeEvents };
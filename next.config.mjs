@@ -10,6 +10,14 @@ const nextConfig = {
   images: {
     unoptimized: true, // Disable image optimization for static export compatibility
   },
+  webpack: (config, { isServer }) => {
+    if (isServer) {
+      // Training runs in a worker_threads Worker (lib/training-jobs). Its chunk has to be loaded from disk
+      // next to the other server chunks, not from the /_next/ public path webpack would use by default
+      config.output.workerPublicPath = "./"
+    }
+    return config
+  },
   // Enable experimental features if needed
   experimental: {
     // Add any experimental features here as they become available
@@ -0,0 +1,73 @@
+/**
+ * Bootstrap command for admin accounts
+ * Creates an account in AUTH_CONFIG.ADMIN_ACCOUNTS_FILE - run it once to get the first superadmin,
+ * who can then add the others from the Command Center. The password is read from
+ * GHOSTKEY_ADMIN_PASSWORD when set (for provisioning scripts), otherwise prompted for twice.
+ *
+ * Usage: npm run admin:create -- --username alice                  (superadmin)
+ *        npm run admin:create -- --username bob --role auditor
+ */
+import readline from "readline"
+import { AUTH_CONFIG } from "../config/auth-config"
+import { createAdminAccount } from "../lib/admin-accounts"
+import { ADMIN_ROLES, isAdminRole, type AdminRole } from "../lib/admin-roles"
+
+function parseArguments(argv: string[]) {
+  const options = { username: "", role: "superadmin" as AdminRole }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--username") {
+      options.username = argv[++i] || ""
+    } else if (argv[i] === "--role") {
+      const role = argv[++i]
+      if (!isAdminRole(role)) {
+        throw new Error(`--role must be one of: ${ADMIN_ROLES.join(", ")}`)
+      }
+      options.role = role
+    }
+  }
+  if (!options.username) {
+    throw new Error("--username is required")
+  }
+  return options
+}
+
+// Prompt without echoing what is typed
+function promptHidden(question: string): Promise<string> {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+  const output = prompt as unknown as { _writeToOutput: (text: string) => void }
+  let muted = false
+  output._writeToOutput = (text) => {
+    if (!muted || text.includes("\n")) process.stdout.write(muted ? "\n" : text)
+  }
+  return new Promise((resolve) => {
+    prompt.question(question, (answer) => {
+      prompt.close()
+      resolve(answer)
+    })
+    muted = true
+  })
+}
+
+async function readPassword() {
+  if (process.env.GHOSTKEY_ADMIN_PASSWORD) return process.env.GHOSTKEY_ADMIN_PASSWORD
+  if (!process.stdin.isTTY) {
+    throw new Error("No terminal to prompt on - set GHOSTKEY_ADMIN_PASSWORD instead")
+  }
+
+  const password = await promptHidden(`Password (at least ${AUTH_CONFIG.ADMIN_PASSWORD_MIN_LENGTH} characters): `)
+  if ((await promptHidden("Repeat password: ")) !== password) {
+    throw new Error("Passwords do not match")
+  }
+  return password
+}
+
+async function createAdmin() {
+  const { username, role } = parseArguments(process.argv.slice(2))
+  const account = await createAdminAccount(username, await readPassword(), role, null)
+  console.log(`Created ${account.role} account ${account.username} in ${AUTH_CONFIG.ADMIN_ACCOUNTS_FILE}`)
+}
+
+createAdmin().catch((error) => {
+  console.error("Could not create admin account:", error instanceof Error ? error.message : error)
+  process.exit(1)
+})
@@ -0,0 +1,259 @@
+/**
+ * Offline accuracy evaluation for the keystroke detectors
+ * For every enrolled user (default keystroke template, from whichever storage backend is configured), trains on all but one of their samples and scores the held-out
+ * sample (genuine attempt) plus every other user's samples (impostor attempts). Reports FAR/FRR at
+ * each of AUTH_CONFIG.AUTOENCODER_TEST_THRESHOLDS, FAR/FRR at the thresholds the detectors learn
+ * themselves, the EER, and the full ROC/DET curve as JSON and CSV.
+ *
+ * Usage: npm run evaluate                                   (default detectors, writes to logs/evaluation)
+ *        npm run evaluate -- --detectors autoencoder,knn --out logs/evaluation-knn
+ *        npm run evaluate -- --seed 42                      (training seed, so two runs give the same report)
+ *        npm run evaluate -- --help                         (the options - an unknown one stops the run)
+ */
+import fs from "fs/promises"
+import path from "path"
+import { AUTH_CONFIG } from "../config/auth-config"
+import { DEFAULT_TRAINING_OPTIONS, DETECTOR_IDS, getDetector, isDetectorId, type DetectorId } from "../lib/anomaly-detectors"
+import { equalErrorRate, errorRateCurve, errorRatesAt, type ErrorRates } from "../lib/detector-evaluation"
+import { DEFAULT_DEVICE } from "../lib/device-names"
+import { getStorage } from "../lib/storage"
+
+interface UserSamples {
+  username: string
+  samples: number[][]
+}
+
+interface Attempt {
+  username: string // Model owner
+  score: number
+  accepted: boolean // Decision at the threshold the detector learned for this fold
+}
+
+const USAGE = `Usage: npm run evaluate -- [--detectors <ids>] [--out <directory>] [--seed <n>]
+
+  --detectors <ids>   Comma-separated detectors to evaluate (${DETECTOR_IDS.join(", ")})
+  --out <directory>   Where the report goes, replacing an earlier one there (default logs/evaluation)
+  --seed <n>          Training seed, so two runs give the same report (default 1)
+  --help              Show this help`
+
+// An argument that isn't understood stops the script before it trains anything or overwrites a report
+function exitWithUsage(error: string): never {
+  console.error(`${error}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+function parseArguments(argv: string[]) {
+  const options = {
+    detectors: [...AUTH_CONFIG.DEFAULT_DETECTORS] as DetectorId[],
+    outputDirectory: path.join("logs", "evaluation"),
+    seed: 1,
+  }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--detectors") {
+      const requested = (argv[++i] || "").split(",").filter(Boolean)
+      const unknown = requested.filter((id) => !isDetectorId(id))
+      if (requested.length === 0 || unknown.length > 0) {
+        exitWithUsage(`--detectors must be a comma-separated list of: ${DETECTOR_IDS.join(", ")}`)
+      }
+      options.detectors = requested as DetectorId[]
+    } else if (argv[i] === "--out") {
+      const outputDirectory = argv[++i]
+      if (!outputDirectory || outputDirectory.startsWith("--")) {
+        exitWithUsage("--out needs a directory")
+      }
+      options.outputDirectory = outputDirectory
+    } else if (argv[i] === "--seed") {
+      const seed = Number(argv[++i])
+      if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+        exitWithUsage("--seed must be an unsigned 32-bit integer")
+      }
+      options.seed = seed
+    } else if (argv[i] === "--help" || argv[i] === "-h") {
+      console.log(USAGE)
+      process.exit(0)
+    } else {
+      exitWithUsage(`Unknown argument: ${argv[i]}`)
+    }
+  }
+  return options
+}
+
+// Each user's samples, keeping only the feature length most of them share (older samples may differ)
+async function loadUserSamples() {
+  const users: UserSamples[] = []
+  const skippedUsers: { username: string; reason: string }[] = []
+  const storage = getStorage()
+
+  for (const template of await storage.models.listTemplates({ modality: "keystroke" })) {
+    if (template.device !== DEFAULT_DEVICE) continue
+    const { username } = template
+
+    const vectors: number[][] = []
+    for (const sample of await storage.samples.list(template, "samples")) {
+      if (Array.isArray(sample.data.features) && sample.data.features.every(Number.isFinite)) {
+        vectors.push(sample.data.features)
+      }
+    }
+    if (vectors.length === 0) continue // Enrolled on another device or modality only
+
+    const lengthCounts = new Map<number, number>()
+    vectors.forEach((vector) => lengthCounts.set(vector.length, (lengthCounts.get(vector.length) || 0) + 1))
+    const [commonLength] = [...lengthCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [0]
+    const samples = vectors.filter((vector) => vector.length === commonLength)
+
+    // Leave-one-out needs a full training set once a sample is held back
+    if (samples.length < AUTH_CONFIG.MINIMUM_TRAINING_SAMPLES + 1) {
+      skippedUsers.push({ username, reason: `only ${samples.length} usable samples` })
+    } else {
+      users.push({ username, samples })
+    }
+  }
+
+  return { users, skippedUsers }
+}
+
+// Training is chatty (epoch losses, thresholds) - keep the evaluation output readable
+function quietly<T>(work: () => T): T {
+  const log = console.log
+  console.log = () => {}
+  try {
+    return work()
+  } finally {
+    console.log = log
+  }
+}
+
+function evaluateDetector(detectorId: DetectorId, users: UserSamples[], seed: number): Attempt[][] {
+  const detector = getDetector(detectorId)
+  const genuineAttempts: Attempt[] = []
+  const impostorAttempts: Attempt[] = []
+
+  for (const user of users) {
+    // Impostors can only be scored against a model with the same feature layout
+    const impostors = users.filter((other) => other.username !== user.username && other.samples[0].length === user.samples[0].length)
+
+    user.samples.forEach((heldOut, index) => {
+      const trainingSamples = user.samples.filter((_, i) => i !== index)
+      const model = quietly(() => detector.train(trainingSamples, { ...DEFAULT_TRAINING_OPTIONS, seed }))
+
+      const genuineScore = detector.score(model, heldOut)
+      genuineAttempts.push({ username: user.username, score: genuineScore.score, accepted: genuineScore.accepted })
+
+      for (const impostor of impostors) {
+        for (const sample of impostor.samples) {
+          const impostorScore = detector.score(model, sample)
+          impostorAttempts.push({ username: user.username, score: impostorScore.score, accepted: impostorScore.accepted })
+        }
+      }
+    })
+
+    console.log(`  ${detectorId}: ${user.username} done (${user.samples.length} folds, ${impostors.length} impostor users)`)
+  }
+
+  return [genuineAttempts, impostorAttempts]
+}
+
+function summarizeDetector(detectorId: DetectorId, genuineAttempts: Attempt[], impostorAttempts: Attempt[], users: UserSamples[]) {
+  const genuineScores = genuineAttempts.map((attempt) => attempt.score)
+  const impostorScores = impostorAttempts.map((attempt) => attempt.score)
+  const curve = errorRateCurve(genuineScores, impostorScores)
+
+  // The test thresholds are reconstruction errors, so they only mean something for the autoencoder
+  const testThresholds: ErrorRates[] =
+    detectorId === "autoencoder"
+      ? AUTH_CONFIG.AUTOENCODER_TEST_THRESHOLDS.map((threshold) => errorRatesAt(genuineScores, impostorScores, threshold))
+      : []
+
+  const perUser = users.map((user) => {
+    const ownGenuine = genuineAttempts.filter((attempt) => attempt.username === user.username).map((attempt) => attempt.score)
+    const ownImpostor = impostorAttempts.filter((attempt) => attempt.username === user.username).map((attempt) => attempt.score)
+    return {
+      username: user.username,
+      genuineAttempts: ownGenuine.length,
+      impostorAttempts: ownImpostor.length,
+      eer: ownImpostor.length > 0 ? equalErrorRate(errorRateCurve(ownGenuine, ownImpostor)).eer : null,
+    }
+  })
+
+  return {
+    genuineAttempts: genuineAttempts.length,
+    impostorAttempts: impostorAttempts.length,
+    testThresholds,
+    learnedThresholds: {
+      far: impostorAttempts.length > 0 ? impostorAttempts.filter((attempt) => attempt.accepted).length / impostorAttempts.length : 0,
+      frr: genuineAttempts.length > 0 ? genuineAttempts.filter((attempt) => !attempt.accepted).length / genuineAttempts.length : 0,
+    },
+    equalErrorRate: equalErrorRate(curve),
+    perUser,
+    curve,
+  }
+}
+
+function toCsv(header: string[], rows: (string | number)[][]): string {
+  return [header.join(","), ...rows.map((row) => row.join(","))].join("\n") + "\n"
+}
+
+async function runEvaluation() {
+  const options = parseArguments(process.argv.slice(2))
+  const outputDirectory = path.resolve(options.outputDirectory)
+
+  const { users, skippedUsers } = await loadUserSamples()
+  skippedUsers.forEach((skipped) => console.log(`Skipping ${skipped.username}: ${skipped.reason}`))
+  if (users.length < 2) {
+    throw new Error("Need at least two users with enough samples to measure impostor attempts")
+  }
+
+  console.log(`Evaluating ${options.detectors.join(", ")} on ${users.length} users (seed ${options.seed})...`)
+
+  const detectorReports: Record<string, ReturnType<typeof summarizeDetector>> = {}
+  for (const detectorId of options.detectors) {
+    const [genuineAttempts, impostorAttempts] = evaluateDetector(detectorId, users, options.seed)
+    detectorReports[detectorId] = summarizeDetector(detectorId, genuineAttempts, impostorAttempts, users)
+  }
+
+  await fs.mkdir(outputDirectory, { recursive: true })
+
+  await fs.writeFile(
+    path.join(outputDirectory, "evaluation.json"),
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        seed: options.seed,
+        users: users.map((user) => ({ username: user.username, samples: user.samples.length, featureCount: user.samples[0].length })),
+        skippedUsers,
+        detectors: detectorReports,
+      },
+      null,
+      2,
+    ),
+  )
+
+  const thresholdRows: (string | number)[][] = []
+  for (const [detectorId, report] of Object.entries(detectorReports)) {
+    report.testThresholds.forEach((rates) => thresholdRows.push([detectorId, rates.threshold, rates.far, rates.frr]))
+    thresholdRows.push([detectorId, "learned", report.learnedThresholds.far, report.learnedThresholds.frr])
+    thresholdRows.push([detectorId, `eer@${report.equalErrorRate.threshold}`, report.equalErrorRate.eer, report.equalErrorRate.eer])
+
+    await fs.writeFile(
+      path.join(outputDirectory, `${detectorId}-curve.csv`),
+      toCsv(["threshold", "far", "frr", "tar"], report.curve.map((point) => [point.threshold, point.far, point.frr, point.tar])),
+    )
+  }
+  await fs.writeFile(path.join(outputDirectory, "thresholds.csv"), toCsv(["detector", "threshold", "far", "frr"], thresholdRows))
+
+  // Console summary - the files have the details
+  for (const [detectorId, report] of Object.entries(detectorReports)) {
+    console.log(`\n${getDetector(detectorId as DetectorId).label}: ${report.genuineAttempts} genuine / ${report.impostorAttempts} impostor attempts`)
+    report.testThresholds.forEach((rates) =>
+      console.log(`  threshold ${rates.threshold}: FAR ${(rates.far * 100).toFixed(2)}%  FRR ${(rates.frr * 100).toFixed(2)}%`),
+    )
+    console.log(`  learned thresholds: FAR ${(report.learnedThresholds.far * 100).toFixed(2)}%  FRR ${(report.learnedThresholds.frr * 100).toFixed(2)}%`)
+    console.log(`  EER ${(report.equalErrorRate.eer * 100).toFixed(2)}% at threshold ${report.equalErrorRate.threshold.toPrecision(4)}`)
+  }
+  console.log(`\nReport written to ${path.relative(process.cwd(), outputDirectory) || "."}`)
+}
+
+runEvaluation().catch((error) => {
+  console.error("Evaluation failed:", error)
+  process.exit(1)
+})
@@ -0,0 +1,97 @@
+/**
+ * One-shot migration from the filesystem layout to the SQLite backend
+ * Copies everything under models/, voice_models/ and logs/access_log.csv - templates with their
+ * documents, active pointers, model versions and sample sets, voice profiles with their recordings
+ * and verification log, and the audit events - into AUTH_CONFIG.SQLITE_DATABASE_FILE. The files are
+ * left alone, so switching back is a matter of unsetting GHOSTKEY_STORAGE_BACKEND. A database that
+ * already holds users or events is refused rather than merged into.
+ *
+ * Usage: npm run storage:migrate                                  (from the current directory)
+ *        npm run storage:migrate -- --source /srv/ghost-key --database /srv/ghost-key/data/ghostkey.db
+ */
+import path from "path"
+import { AUTH_CONFIG } from "../config/auth-config"
+import { createFilesystemStorage, SAMPLE_SETS, TEMPLATE_DOCUMENTS } from "../lib/storage"
+import { createSqliteStorage } from "../lib/storage/sqlite"
+
+function parseArguments(argv: string[]) {
+  const options = { sourceDirectory: process.cwd(), databaseFile: "" }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--source") {
+      options.sourceDirectory = path.resolve(argv[++i] || "")
+    } else if (argv[i] === "--database") {
+      options.databaseFile = path.resolve(argv[++i] || "")
+    }
+  }
+  options.databaseFile ||= path.join(options.sourceDirectory, AUTH_CONFIG.SQLITE_DATABASE_FILE)
+  return options
+}
+
+async function migrateStorage() {
+  const { sourceDirectory, databaseFile } = parseArguments(process.argv.slice(2))
+  const source = createFilesystemStorage(sourceDirectory)
+  const target = createSqliteStorage(databaseFile)
+
+  if ((await target.users.list()).length > 0 || (await target.auditEvents.list()).length > 0) {
+    throw new Error(`${databaseFile} already holds data - migrate into a new database file`)
+  }
+
+  const counts = { templates: 0, versions: 0, samples: 0, voiceProfiles: 0, recordings: 0, auditEvents: 0 }
+
+  for (const template of await source.models.listTemplates()) {
+    for (const name of TEMPLATE_DOCUMENTS) {
+      const document = await source.models.readDocument(template, name)
+      if (document !== null) await target.models.writeDocument(template, name, document)
+    }
+    for (const version of await source.models.listVersions(template)) {
+      const record = await source.models.readVersion(template, version)
+      if (record) {
+        await target.models.createVersion(template, record)
+        counts.versions++
+      }
+    }
+    const pointer = await source.models.readActivePointer(template)
+    if (pointer) await target.models.writeActivePointer(template, pointer)
+    for (const set of SAMPLE_SETS) {
+      for (const sample of await source.samples.list(template, set)) {
+        await target.samples.write(template, set, sample)
+        counts.samples++
+      }
+    }
+    counts.templates++
+  }
+
+  for (const username of await source.users.list()) {
+    const profile = await source.voiceProfiles.read(username)
+    if (profile) {
+      await target.voiceProfiles.save(username, profile)
+      counts.voiceProfiles++
+    }
+    for (const name of await source.voiceProfiles.listRecordings(username)) {
+      const recording = await source.voiceProfiles.readRecording(username, name)
+      if (recording) {
+        await target.voiceProfiles.saveRecording(username, name, recording)
+        counts.recordings++
+      }
+    }
+    for (const entry of await source.voiceProfiles.listVerifications(username)) {
+      await target.voiceProfiles.appendVerification(username, entry)
+    }
+  }
+
+  for (const event of await source.auditEvents.list()) {
+    await target.auditEvents.append(event)
+    counts.auditEvents++
+  }
+
+  console.log(`Migrated ${sourceDirectory} into ${databaseFile}:`)
+  for (const [kind, count] of Object.entries(counts)) {
+    console.log(`  ${kind}: ${count}`)
+  }
+  console.log("\nStart the app with GHOSTKEY_STORAGE_BACKEND=sqlite to use it.")
+}
+
+migrateStorage().catch((error) => {
+  console.error("Migration failed:", error instanceof Error ? error.message : error)
+  process.exit(1)
+})
@@ -0,0 +1,25 @@
+/**
+ * Copies the shared modules (autoencoder, keystroke pairing, liveness checks) into the browser extension
+ * The extension can only load files from its own folder, so each EXTENSIONN/libs/<name>.js
+ * has to be a byte-for-byte copy of libs/<name>.js.
+ *
+ * Usage: npm run sync:extension
+ */
+import fs from "fs/promises"
+import path from "path"
+
+const SHARED_LIBRARIES = ["autoencoder.js", "keystroke-pairing.js", "keystroke-liveness.js"] // Also checked by scripts/verify-autoencoder-vectors
+
+async function syncExtensionLibraries() {
+  for (const libraryName of SHARED_LIBRARIES) {
+    const sourcePath = path.join(process.cwd(), "libs", libraryName)
+    const targetPath = path.join(process.cwd(), "EXTENSIONN", "libs", libraryName)
+    await fs.copyFile(sourcePath, targetPath)
+    console.log(`Synced libs/${libraryName} -> EXTENSIONN/libs/${libraryName}`)
+  }
+}
+
+syncExtensionLibraries().catch((error) => {
+  console.error("Failed to sync extension libraries:", error)
+  process.exit(1)
+})
@@ -0,0 +1,137 @@
+/**
+ * Verifies the shared autoencoder against libs/autoencoder-vectors.json
+ * Every runtime (Next.js routes, browser hook, extension) imports the same module, so a model
+ * trained in one place must score bit-for-bit identically in the others. This checks both the
+ * app copy and the extension copy against fixed models and expected scores, and that every shared
+ * library in EXTENSIONN/libs is still a byte-for-byte copy of its libs/ original.
+ *
+ * Usage: npm run verify:autoencoder            (check)
+ *        npm run verify:autoencoder -- --write (regenerate after an intentional scoring change)
+ */
+import fs from "fs/promises"
+import path from "path"
+import * as appAutoencoder from "../libs/autoencoder.js"
+import * as extensionAutoencoder from "../EXTENSIONN/libs/autoencoder.js"
+
+const VECTORS_PATH = path.join(process.cwd(), "libs", "autoencoder-vectors.json")
+const SHARED_LIBRARIES = ["autoencoder.js", "keystroke-pairing.js", "keystroke-liveness.js"] // As in scripts/sync-extension-libs
+
+interface VectorCase {
+  description: string
+  model: any
+  features: number[]
+  expected: { reconstructionError: number; authenticated: boolean; confidence: number }
+}
+
+function buildVectorModel(seed: number, outputActivation: "sigmoid" | "linear") {
+  // Seeded so the vector models don't depend on Math.random
+  const random = appAutoencoder.createSeededRandom(seed)
+  const matrix = (rows: number, columns: number) =>
+    Array.from({ length: rows }, () => Array.from({ length: columns }, () => random() * 2 - 1))
+  const vector = (length: number) => Array.from({ length }, () => random() * 0.1 - 0.05)
+  const inputSize = 6
+  const hiddenSize = 4
+  const bottleneckSize = 3
+
+  return {
+    modelType: "autoencoder",
+    inputDim: inputSize,
+    normalizationParams: {
+      min: [80, 90, 100, 60, 70, 0],
+      max: [160, 180, 220, 140, 150, 2],
+    },
+    threshold: 0.05,
+    autoencoder: {
+      format: appAutoencoder.AUTOENCODER_FORMAT,
+      formatVersion: appAutoencoder.AUTOENCODER_FORMAT_VERSION,
+      outputActivation,
+      inputSize,
+      hiddenSize,
+      bottleneckSize,
+      weights1: matrix(inputSize, hiddenSize),
+      weights2: matrix(hiddenSize, bottleneckSize),
+      weights3: matrix(bottleneckSize, inputSize),
+      biases1: vector(hiddenSize),
+      biases2: vector(bottleneckSize),
+      biases3: vector(inputSize),
+    },
+    trainingStats: { maxError: 0.04 },
+  }
+}
+
+function generateVectors(): VectorCase[] {
+  const sigmoidModel = buildVectorModel(1337, "sigmoid")
+  const linearModel = buildVectorModel(4242, "linear")
+  const inputs = [
+    { description: "typical sample", features: [120, 135, 160, 100, 110, 0] },
+    { description: "sample at the training minimum", features: [80, 90, 100, 60, 70, 0] },
+    { description: "slow outlier beyond the training range", features: [310, 290, 400, 260, 280, 2] },
+  ]
+
+  const cases: VectorCase[] = []
+  for (const [label, model] of [
+    ["sigmoid", sigmoidModel],
+    ["legacy linear", linearModel],
+  ] as const) {
+    for (const input of inputs) {
+      const result = appAutoencoder.authenticateKeystrokePattern(input.features, model)
+      cases.push({
+        description: `${label} model, ${input.description}`,
+        model,
+        features: input.features,
+        expected: {
+          reconstructionError: result.reconstructionError,
+          authenticated: result.authenticated,
+          confidence: result.confidence,
+        },
+      })
+    }
+  }
+  return cases
+}
+
+async function verifyVectors() {
+  if (process.argv.includes("--write")) {
+    await fs.writeFile(VECTORS_PATH, JSON.stringify({ cases: generateVectors() }, null, 2) + "\n")
+    console.log(`Wrote ${VECTORS_PATH}`)
+    return
+  }
+
+  const failures: string[] = []
+
+  // The extension copies have to be the exact same files, not just similar ones - every library
+  // scripts/sync-extension-libs copies, not only the autoencoder checked below
+  for (const libraryName of SHARED_LIBRARIES) {
+    const appSource = await fs.readFile(path.join(process.cwd(), "libs", libraryName), "utf-8")
+    const extensionSource = await fs.readFile(path.join(process.cwd(), "EXTENSIONN", "libs", libraryName), "utf-8")
+    if (appSource !== extensionSource) {
+      failures.push(`EXTENSIONN/libs/${libraryName} is out of date - run \`npm run sync:extension\``)
+    }
+  }
+
+  const { cases } = JSON.parse(await fs.readFile(VECTORS_PATH, "utf-8")) as { cases: VectorCase[] }
+  for (const [runtimeName, runtime] of [
+    ["app", appAutoencoder],
+    ["extension", extensionAutoencoder],
+  ] as const) {
+    for (const vectorCase of cases) {
+      const result = runtime.authenticateKeystrokePattern(vectorCase.features, vectorCase.model)
+      for (const key of ["reconstructionError", "authenticated", "confidence"] as const) {
+        if (result[key] !== vectorCase.expected[key]) {
+          failures.push(`${runtimeName}: ${vectorCase.description}: ${key} ${result[key]} !== ${vectorCase.expected[key]}`)
+        }
+      }
+    }
+  }
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`✗ ${failure}`))
+    process.exit(1)
+  }
+  console.log(`✓ ${cases.length} autoencoder vectors match in the app and extension copies`)
+}
+
+verifyVectors().catch((error) => {
+  console.error("Autoencoder vector verification failed:", error)
+  process.exit(1)
+})